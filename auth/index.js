@@ -50,15 +50,17 @@ export function createAuthManager(options, http) {
     maxRetries: config.maxRetries
   });
   
-  // Create authentication middleware for HTTP client
-  const authMiddleware = async (request) => {
+  // Create authentication middleware for HTTP client. Middleware hooks run
+  // synchronously, so this attaches the token the manager currently holds;
+  // obtain or refresh it with `await auth.getToken()` (e.g. in setup).
+  const authMiddleware = (request) => {
     // Skip authentication for the login endpoint
     if (request.url === config.url) {
       return request;
     }
     
     // Get token
-    const token = await tokenManager.getToken();
+    const token = tokenManager.isTokenValid() ? tokenManager.token : null;
     
     // Add token to request
     if (token) {
@@ -74,9 +76,7 @@ export function createAuthManager(options, http) {
   };
   
   // Apply middleware to HTTP client if supported
-  if (http.use) {
-    http.use(authMiddleware);
-  }
+  const removeMiddleware = http.use ? http.use(authMiddleware) : null;
   
   // Return authentication manager
   return {
@@ -84,7 +84,12 @@ export function createAuthManager(options, http) {
     refreshToken: () => tokenManager.refreshToken(),
     setToken: (token, expiresAt) => tokenManager.setToken(token, expiresAt),
     clearToken: () => tokenManager.clearToken(),
-    isAuthenticated: () => tokenManager.isTokenValid()
+    isAuthenticated: () => tokenManager.isTokenValid(),
+    detach: () => {
+      if (removeMiddleware) {
+        removeMiddleware();
+      }
+    }
   };
 }
 
@@ -178,6 +178,9 @@ export const config = new ConfigLoader();
 // Export individual functions from submodules for convenience
 export { getEnvVar, requireEnvVar, getEnvVars } from './env.js';
 export { loadJsonConfig, mergeConfigs } from './json-loader.js';
+export { loadOpenApiEndpoints, createEndpointsFromSpec } from './openapi-loader.js';
+export { parseYaml } from './yaml.js';
+export { loadTlsConfig, toK6TlsOptions, toGrpcTlsParams } from './tls.js';
 
 // Default export
 export default {
@@ -0,0 +1,443 @@
+/**
+ * OpenAPI endpoint loader for k6 performance testing SDK
+ *
+ * Turns an OpenAPI 3 document into the `endpoints` map every template takes
+ * ({ method, path, body, validate, schema, tags }), so a template can be
+ * pointed at a spec instead of a hand-written map.
+ */
+
+import { parseYaml } from './yaml.js';
+import { expandPath, routeToEndpointName } from '../http/routes.js';
+import { hasVariables } from '../http/correlation.js';
+import { randomJson, randomNumber, randomItem } from '../utils/helpers.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Nested schemas deeper than this generate null
+const MAX_GENERATION_DEPTH = 8;
+
+// JSON Schema types and formats mapped to helpers.randomJson field types
+const FORMAT_TYPES = {
+  uuid: 'uuid',
+  email: 'email',
+  'date-time': 'date',
+  ipv4: 'ip'
+};
+
+/**
+ * Load endpoints from an OpenAPI 3 JSON or YAML file. Must be called in the
+ * init context, where k6's open() is available.
+ * @param {string} path - Path to the spec file
+ * @param {Object} [options] - See createEndpointsFromSpec
+ * @returns {Object} Endpoints map keyed by operationId
+ */
+export function loadOpenApiEndpoints(path, options = {}) {
+  let spec;
+  try {
+    spec = parseOpenApiSpec(open(path), path);
+  } catch (error) {
+    throw new Error(`Failed to load OpenAPI spec from ${path}: ${error.message}`);
+  }
+
+  return createEndpointsFromSpec(spec, options);
+}
+
+/**
+ * Parse OpenAPI source text as JSON, or YAML when it is not JSON
+ * @param {string} content - Spec source
+ * @param {string} [path] - File name, used to pick the format
+ * @returns {Object} Spec object
+ */
+export function parseOpenApiSpec(content, path = '') {
+  const isYaml = /\.ya?ml$/i.test(path) || !/^\s*\{/.test(content);
+  return isYaml ? parseYaml(content) : JSON.parse(content);
+}
+
+/**
+ * Build an endpoints map from an OpenAPI 3 spec object
+ * @param {Object} spec - OpenAPI 3 document
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.tags] - Only operations with one of these tags
+ * @param {Array<string>} [options.operationIds] - Only these operations
+ * @param {Array<string>} [options.exclude] - Skip these operations
+ * @param {Object} [options.pathParams] - Path/query parameter values by name, overriding
+ *   samples; {{name}} references are kept for the client's correlation variables
+ * @param {string} [options.basePath] - Prefix for every path (defaults to the first server's path)
+ * @param {boolean} [options.useExamples=true] - Prefer spec examples over generated bodies
+ * @param {boolean} [options.validateSchema=true] - Attach the success response schema
+ * @param {boolean} [options.includeDeprecated=false] - Include deprecated operations
+ * @param {number} [options.weight=1] - Weight given to every endpoint
+ * @returns {Object} Endpoints map keyed by operationId
+ */
+export function createEndpointsFromSpec(spec, options = {}) {
+  const {
+    tags,
+    operationIds,
+    exclude = [],
+    pathParams = {},
+    basePath = serverBasePath(spec),
+    useExamples = true,
+    validateSchema = true,
+    includeDeprecated = false,
+    weight = 1
+  } = options;
+
+  if (!spec || !spec.openapi || !String(spec.openapi).startsWith('3')) {
+    throw new Error('Only OpenAPI 3 documents are supported');
+  }
+
+  const endpoints = {};
+
+  Object.entries(spec.paths || {}).forEach(([route, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const name = operation.operationId || `${method}_${routeToEndpointName(route)}`;
+
+      if (operation.deprecated && !includeDeprecated) return;
+      if (operationIds && !operationIds.includes(name)) return;
+      if (exclude.includes(name)) return;
+      if (tags && !(operation.tags || []).some(tag => tags.includes(tag))) return;
+
+      const parameters = mergeParameters(spec, pathItem.parameters, operation.parameters);
+      const success = successResponse(spec, operation.responses);
+      const endpoint = {
+        method: method.toUpperCase(),
+        path: `${basePath}${buildPath(spec, route, parameters, pathParams)}`,
+        body: null,
+        validate: statusCheck(name, success.status),
+        tags: { operation: name },
+        weight
+      };
+      defineBody(endpoint, bodySource(spec, operation.requestBody, useExamples), spec);
+
+      if (validateSchema && success.schema) {
+        endpoint.schema = toJsonSchema({ ...success.schema, components: spec.components || {} });
+      }
+
+      endpoints[name] = endpoint;
+    });
+  });
+
+  return endpoints;
+}
+
+/**
+ * Generate a sample value for a schema, using helpers.randomJson for leaf fields
+ * @param {Object} schema - OpenAPI schema object
+ * @param {Object} [spec] - Spec the schema belongs to (for $ref resolution)
+ * @returns {*} Sample value
+ */
+export function generateFromSchema(schema, spec = {}) {
+  return generateValue(schema, spec, []);
+}
+
+/**
+ * @private
+ * @param {Array} ancestors - Schemas being generated above this one; a schema
+ *   that refers back to one of them (directly or via $ref) generates null
+ */
+function generateValue(schema, spec, ancestors) {
+  if (!schema || ancestors.length > MAX_GENERATION_DEPTH) return null;
+
+  const resolved = resolveRef(spec, schema);
+  if (ancestors.includes(resolved)) return null;
+
+  const path = [...ancestors, resolved];
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.const !== undefined) return resolved.const;
+  if (resolved.enum) return randomItem(resolved.enum);
+
+  const composite = resolved.allOf || resolved.oneOf || resolved.anyOf;
+  if (composite) {
+    return resolved.allOf
+      ? Object.assign({}, ...resolved.allOf.map(part => generateValue(part, spec, path)))
+      : generateValue(composite[0], spec, path);
+  }
+
+  const type = schemaType(resolved);
+
+  if (type === 'object') {
+    const properties = resolved.properties || {};
+    const fieldTypes = {};
+    const nested = {};
+
+    Object.entries(properties).forEach(([key, property]) => {
+      const field = resolveRef(spec, property);
+      if (field.readOnly) return;
+
+      const leafType = randomJsonType(field);
+      if (leafType && field.example === undefined && field.enum === undefined && !hasRange(field)) {
+        fieldTypes[key] = leafType;
+      } else {
+        nested[key] = generateValue(field, spec, path);
+      }
+    });
+
+    return { ...randomJson(fieldTypes), ...nested };
+  }
+
+  if (type === 'array') {
+    const count = Math.max(resolved.minItems || 1, 1);
+    const items = Array.from({ length: count }, () => generateValue(resolved.items, spec, path));
+    return items.filter(item => item !== null);
+  }
+
+  if ((type === 'integer' || type === 'number') && hasRange(resolved)) {
+    const min = resolved.minimum !== undefined ? resolved.minimum : resolved.maximum - 100;
+    const max = resolved.maximum !== undefined ? resolved.maximum : min + 100;
+    return randomNumber(Math.ceil(min), Math.floor(max));
+  }
+
+  if (type === 'string' && resolved.format === 'date') {
+    return randomJson({ value: 'date' }).value.slice(0, 10);
+  }
+
+  const leafType = randomJsonType(resolved);
+  return leafType ? randomJson({ value: leafType }).value : null;
+}
+
+/**
+ * Pick the helpers.randomJson field type for a primitive schema
+ * @private
+ */
+function randomJsonType(schema) {
+  const type = schemaType(schema);
+
+  if (type === 'string') {
+    if (schema.format === 'date') return null;
+    return FORMAT_TYPES[schema.format] || 'string';
+  }
+  if (type === 'integer' || type === 'number') return 'number';
+  if (type === 'boolean') return 'boolean';
+  return null;
+}
+
+/**
+ * @private
+ */
+function schemaType(schema) {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type) return type;
+  if (schema.properties) return 'object';
+  if (schema.items) return 'array';
+  return null;
+}
+
+/**
+ * @private
+ */
+function hasRange(schema) {
+  return schema.minimum !== undefined || schema.maximum !== undefined;
+}
+
+/**
+ * Merge path-level and operation-level parameters (operation wins per name+in)
+ * @private
+ */
+function mergeParameters(spec, pathLevel = [], operationLevel = []) {
+  const merged = {};
+  [...pathLevel, ...operationLevel].forEach(parameter => {
+    const resolved = resolveRef(spec, parameter);
+    merged[`${resolved.in}:${resolved.name}`] = resolved;
+  });
+  return Object.values(merged);
+}
+
+/**
+ * Expand path parameters and append required query parameters
+ * @private
+ */
+function buildPath(spec, route, parameters, overrides) {
+  const values = {};
+  const query = [];
+
+  parameters.forEach(parameter => {
+    const value = overrides[parameter.name] !== undefined
+      ? overrides[parameter.name]
+      : parameterSample(spec, parameter);
+
+    if (parameter.in === 'path') {
+      values[parameter.name] = value;
+    } else if (parameter.in === 'query' && (parameter.required || overrides[parameter.name] !== undefined)) {
+      query.push(`${encodeURIComponent(parameter.name)}=${encodeURIComponent(String(value))}`);
+    }
+  });
+
+  const path = route.replace(/\{([^}]+)\}/g, (placeholder, name) => (
+    hasVariables(values[name]) ? values[name] : expandPath(placeholder, values)
+  ));
+  return query.length > 0 ? `${path}?${query.join('&')}` : path;
+}
+
+/**
+ * @private
+ */
+function parameterSample(spec, parameter) {
+  if (parameter.example !== undefined) return parameter.example;
+
+  const examples = Object.values(parameter.examples || {});
+  if (examples.length > 0) return resolveRef(spec, examples[0]).value;
+
+  const value = generateFromSchema(parameter.schema || { type: 'string' }, spec);
+  return value === null ? 1 : value;
+}
+
+/**
+ * Find where a JSON request body comes from: its example, or its schema
+ * @private
+ * @returns {Object} { example } or { schema }
+ */
+function bodySource(spec, requestBody, useExamples) {
+  if (!requestBody) return { example: null };
+
+  const media = jsonMedia(resolveRef(spec, requestBody).content);
+  if (!media) return { example: null };
+
+  if (useExamples) {
+    if (media.example !== undefined) return { example: media.example };
+
+    const examples = Object.values(media.examples || {});
+    if (examples.length > 0) return { example: resolveRef(spec, examples[0]).value };
+  }
+
+  return { schema: media.schema };
+}
+
+/**
+ * Set an endpoint's body. A body generated from a schema is a getter, so every
+ * read, i.e. every request a template sends, gets new random values; assigning
+ * a body replaces the getter.
+ * @private
+ */
+function defineBody(endpoint, source, spec) {
+  if (!('schema' in source)) {
+    endpoint.body = source.example;
+    return;
+  }
+
+  Object.defineProperty(endpoint, 'body', {
+    enumerable: true,
+    configurable: true,
+    get: () => generateFromSchema(source.schema, spec),
+    set: (value) => Object.defineProperty(endpoint, 'body', { value, writable: true, enumerable: true, configurable: true })
+  });
+}
+
+/**
+ * Find the documented success response: the first 2xx, else 2XX, else default
+ * @private
+ */
+function successResponse(spec, responses = {}) {
+  const codes = Object.keys(responses);
+  const status = codes.find(code => /^2\d\d$/.test(code))
+    || codes.find(code => code.toUpperCase() === '2XX')
+    || (responses.default ? 'default' : null);
+
+  if (!status) return { status: null, schema: null };
+
+  const media = jsonMedia(resolveRef(spec, responses[status]).content);
+  return { status, schema: media ? media.schema : null };
+}
+
+/**
+ * Status check for the documented success response
+ * @private
+ */
+function statusCheck(name, status) {
+  if (/^\d{3}$/.test(String(status))) {
+    const expected = Number(status);
+    return { [`${name} returns ${expected}`]: (r) => r.status === expected };
+  }
+
+  return { [`${name} returns 2xx`]: (r) => r.status >= 200 && r.status < 300 };
+}
+
+/**
+ * Pick the JSON media type object from a content map
+ * @private
+ */
+function jsonMedia(content = {}) {
+  const type = Object.keys(content).find(key => /^application\/([\w.+-]+\+)?json/.test(key));
+  return type ? content[type] : null;
+}
+
+/**
+ * Follow a local $ref ('#/components/...') to the object it names
+ * @private
+ */
+function resolveRef(spec, node) {
+  let resolved = node;
+  const seen = [];
+
+  while (resolved && resolved.$ref) {
+    if (seen.includes(resolved.$ref) || !resolved.$ref.startsWith('#/')) {
+      throw new Error(`Cannot resolve $ref ${resolved.$ref}`);
+    }
+    seen.push(resolved.$ref);
+
+    const ref = resolved.$ref;
+    resolved = ref.slice(2).split('/').reduce((target, token) => (
+      target ? target[token.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined
+    ), spec);
+
+    if (resolved === undefined) {
+      throw new Error(`Cannot resolve $ref ${ref}`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Convert OpenAPI 3.0 schema keywords to their JSON Schema equivalents
+ * (nullable, boolean exclusiveMinimum/Maximum) so utils/schema.js can check them
+ * @private
+ */
+function toJsonSchema(node) {
+  if (Array.isArray(node)) return node.map(toJsonSchema);
+  if (!node || typeof node !== 'object') return node;
+
+  const result = {};
+  Object.keys(node).forEach(key => {
+    result[key] = toJsonSchema(node[key]);
+  });
+
+  if (typeof node.nullable === 'boolean') {
+    delete result.nullable;
+  }
+
+  if (node.nullable === true && node.type) {
+    result.type = [...(Array.isArray(node.type) ? node.type : [node.type]), 'null'];
+    if (node.enum) result.enum = [...node.enum, null];
+  }
+
+  ['Minimum', 'Maximum'].forEach(bound => {
+    if (node[`exclusive${bound}`] === true) {
+      result[`exclusive${bound}`] = node[bound.toLowerCase()];
+      delete result[bound.toLowerCase()];
+    } else if (node[`exclusive${bound}`] === false) {
+      delete result[`exclusive${bound}`];
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Path portion of the first server URL, e.g. /v1 for https://api.example.com/v1,
+ * with server variables set to their defaults
+ * @private
+ */
+function serverBasePath(spec) {
+  const server = spec && spec.servers && spec.servers[0];
+  if (!server || !server.url) return '';
+
+  const variables = server.variables || {};
+  const url = server.url.replace(/\{([^}]+)\}/g, (placeholder, name) => (
+    variables[name] && variables[name].default !== undefined ? variables[name].default : placeholder
+  ));
+
+  const match = /^(?:[a-z][a-z0-9+.-]*:\/\/[^/]*)?(\/[^?#]*)?/i.exec(url);
+  return (match && match[1] ? match[1] : '').replace(/\/$/, '');
+}
@@ -0,0 +1,146 @@
+/**
+ * Tests for the OpenAPI endpoint loader (parseOpenApiSpec, createEndpointsFromSpec,
+ * generateFromSchema).
+ */
+
+import { parseOpenApiSpec, createEndpointsFromSpec, generateFromSchema } from './openapi-loader.js';
+import { validateSchema } from '../utils/schema.js';
+
+// k6 jslib helpers used by utils/helpers.js
+jest.mock('https://jslib.k6.io/k6-utils/1.2.0/index.js', () => ({
+  randomString: (length) => Math.random().toString(36).slice(2, 2 + length).padEnd(length, 'x'),
+  randomIntBetween: (min, max) => min + Math.floor(Math.random() * (max - min + 1))
+}), { virtual: true });
+
+const spec = parseOpenApiSpec([
+  'openapi: 3.0.3',
+  'servers:',
+  '  - url: https://api.example.com/{version}',
+  '    variables:',
+  '      version: {default: v2}',
+  'paths:',
+  '  /orders/{orderId}:',
+  '    parameters:',
+  '      - $ref: "#/components/parameters/OrderId"',
+  '    get:',
+  '      operationId: getOrder',
+  '      tags: [orders]',
+  '      parameters:',
+  '        - {name: expand, in: query, required: true, example: items}',
+  '      responses:',
+  '        "200":',
+  '          description: The order',
+  '          content:',
+  '            application/json:',
+  '              schema: {$ref: "#/components/schemas/Order"}',
+  '  /orders:',
+  '    post:',
+  '      operationId: createOrder',
+  '      tags: [orders]',
+  '      requestBody:',
+  '        content:',
+  '          application/json:',
+  '            schema: {$ref: "#/components/schemas/NewOrder"}',
+  '      responses:',
+  '        "201": {description: Created}',
+  '  /health:',
+  '    get:',
+  '      responses:',
+  '        2XX: {description: Up}',
+  'components:',
+  '  parameters:',
+  '    OrderId: {name: orderId, in: path, required: true, schema: {type: integer, minimum: 7, maximum: 7}}',
+  '  schemas:',
+  '    NewOrder:',
+  '      type: object',
+  '      required: [sku]',
+  '      properties:',
+  '        id: {type: string, format: uuid, readOnly: true}',
+  '        sku: {type: string}',
+  '        quantity: {type: integer, minimum: 1, maximum: 5}',
+  '        items: {type: array, items: {$ref: "#/components/schemas/Item"}}',
+  '    Item: {type: object, properties: {price: {type: number}}}',
+  '    Order:',
+  '      allOf:',
+  '        - $ref: "#/components/schemas/NewOrder"',
+  '        - type: object',
+  '          properties: {note: {type: string, nullable: true}}'
+].join('\n'), 'openapi.yaml');
+
+describe('createEndpointsFromSpec', () => {
+  it('builds endpoints with paths, checks and tags from a YAML spec', () => {
+    const endpoints = createEndpointsFromSpec(spec);
+
+    expect(Object.keys(endpoints)).toEqual(['getOrder', 'createOrder', 'get_health']);
+    expect(endpoints.getOrder).toMatchObject({
+      method: 'GET',
+      path: '/v2/orders/7?expand=items',
+      body: null,
+      tags: { operation: 'getOrder' },
+      weight: 1
+    });
+    expect(endpoints.getOrder.validate['getOrder returns 200']({ status: 200 })).toBe(true);
+    expect(endpoints.createOrder.validate['createOrder returns 201']({ status: 200 })).toBe(false);
+    expect(Object.keys(endpoints.get_health.validate)).toEqual(['get_health returns 2xx']);
+  });
+
+  it('resolves $refs in parameters, bodies and response schemas', () => {
+    const { getOrder } = createEndpointsFromSpec(spec);
+    const order = { sku: 'A-1', quantity: 2, items: [{ price: 9.5 }], note: null };
+
+    expect(getOrder.schema.$ref).toBe('#/components/schemas/Order');
+    expect(validateSchema(order, getOrder.schema).valid).toBe(true);
+    expect(validateSchema({ items: [{ price: 'free' }] }, getOrder.schema).errors).toEqual([
+      { path: '$.sku', message: 'is required' },
+      { path: '$.items[0].price', message: 'expected number, got string' }
+    ]);
+  });
+
+  it('generates a new body from the schema on every read', () => {
+    const { createOrder } = createEndpointsFromSpec(spec);
+    const first = createOrder.body;
+
+    expect(first).toEqual({
+      sku: expect.any(String),
+      quantity: expect.any(Number),
+      items: [{ price: expect.any(Number) }]
+    });
+    expect(first.id).toBeUndefined();
+    expect(first.quantity).toBeGreaterThanOrEqual(1);
+    expect(first.quantity).toBeLessThanOrEqual(5);
+    expect(createOrder.body).not.toBe(first);
+    expect(createOrder.body.sku).not.toBe(first.sku);
+
+    createOrder.body = { sku: 'fixed' };
+    expect(createOrder.body).toEqual({ sku: 'fixed' });
+  });
+
+  it('filters operations and overrides parameters', () => {
+    const endpoints = createEndpointsFromSpec(spec, {
+      tags: ['orders'],
+      exclude: ['createOrder'],
+      pathParams: { orderId: '{{orderId}}', expand: 'all' },
+      basePath: ''
+    });
+
+    expect(Object.keys(endpoints)).toEqual(['getOrder']);
+    expect(endpoints.getOrder.path).toBe('/orders/{{orderId}}?expand=all');
+  });
+
+  it('rejects documents that are not OpenAPI 3 and unresolvable $refs', () => {
+    expect(() => createEndpointsFromSpec({ swagger: '2.0' })).toThrow('Only OpenAPI 3 documents are supported');
+    expect(() => generateFromSchema({ $ref: '#/components/schemas/Missing' }, spec))
+      .toThrow('Cannot resolve $ref #/components/schemas/Missing');
+  });
+});
+
+describe('generateFromSchema', () => {
+  it('prefers examples, defaults and enums, and stops at recursive schemas', () => {
+    const recursive = { components: { schemas: { Node: { type: 'object', properties: { next: { $ref: '#/components/schemas/Node' } } } } } };
+
+    expect(generateFromSchema({ type: 'string', example: 'abc' })).toBe('abc');
+    expect(generateFromSchema({ type: 'integer', default: 3 })).toBe(3);
+    expect(['a', 'b']).toContain(generateFromSchema({ enum: ['a', 'b'] }));
+    expect(generateFromSchema({ $ref: '#/components/schemas/Node' }, recursive)).toEqual({ next: null });
+  });
+});
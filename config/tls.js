@@ -0,0 +1,401 @@
+/**
+ * TLS and mutual TLS configuration for k6 performance testing SDK
+ *
+ * One config block serves both protocols: createGrpcClient passes it to
+ * client.connect() as `tls`, and createHttpClient turns it into the
+ * `tlsAuth`/`tlsVersion` k6 options, since k6 only configures HTTP TLS globally.
+ * Files are read with open(), so configs must be loaded in the init context.
+ */
+
+import { getEnvVar } from './env.js';
+
+const TLS_VERSIONS = ['ssl3.0', 'tls1.0', 'tls1.1', 'tls1.2', 'tls1.3'];
+
+// Environment variables overriding the config block
+const ENV_VARS = {
+  caFile: 'TLS_CA_FILE',
+  certFile: 'TLS_CERT_FILE',
+  keyFile: 'TLS_KEY_FILE',
+  password: 'TLS_KEY_PASSWORD',
+  serverName: 'TLS_SERVER_NAME',
+  minVersion: 'TLS_MIN_VERSION',
+  maxVersion: 'TLS_MAX_VERSION',
+  insecureSkipVerify: 'TLS_INSECURE_SKIP_VERIFY'
+};
+
+// DER-encoded algorithm OIDs from SubjectPublicKeyInfo / PKCS#8
+const KEY_ALGORITHMS = {
+  '2a864886f70d010101': 'RSA',
+  '2a8648ce3d0201': 'EC',
+  '2b6570': 'Ed25519'
+};
+
+const PEM_PATTERN = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g;
+
+/**
+ * Load and validate a TLS config block. Env vars (TLS_CA_FILE, TLS_CERT_FILE,
+ * TLS_KEY_FILE, TLS_KEY_PASSWORD, TLS_SERVER_NAME, TLS_MIN_VERSION,
+ * TLS_MAX_VERSION, TLS_INSECURE_SKIP_VERIFY) override its values.
+ * @param {Object} [config] - TLS config
+ * @param {string|Array<string>} [config.caFile] - CA bundle(s) to trust
+ * @param {string} [config.certFile] - Client certificate (PEM), for mutual TLS
+ * @param {string} [config.keyFile] - Client private key (PEM), for mutual TLS
+ * @param {string} [config.password] - Password of an encrypted private key
+ * @param {string} [config.serverName] - Default `:authority` header of gRPC calls; SNI and
+ *   certificate verification still use the target host
+ * @param {string} [config.minVersion] - Lowest TLS version ('tls1.2', ...)
+ * @param {string} [config.maxVersion] - Highest TLS version
+ * @param {boolean} [config.insecureSkipVerify] - Skip server certificate verification
+ * @param {Array<string>} [config.domains] - Hosts to present the client certificate to (HTTP)
+ * @returns {Object} Loaded config with the PEM contents ({ ca, cert, key, ... , loaded: true })
+ * @throws {Error} When files are missing, are not what they claim to be, or the key
+ *   does not belong to the certificate
+ */
+export function loadTlsConfig(config = {}) {
+  if (config.loaded) {
+    return config;
+  }
+
+  const settings = { ...config };
+  Object.keys(ENV_VARS).forEach(name => {
+    const value = getEnvVar(ENV_VARS[name]);
+    if (value !== '') {
+      settings[name] = value;
+    }
+  });
+
+  const errors = [];
+  const caFiles = toList(settings.caFile);
+  const tls = {
+    ca: [],
+    cert: null,
+    key: null,
+    password: settings.password || null,
+    serverName: settings.serverName || null,
+    minVersion: settings.minVersion || null,
+    maxVersion: settings.maxVersion || null,
+    insecureSkipVerify: settings.insecureSkipVerify === true || settings.insecureSkipVerify === 'true',
+    domains: settings.domains || null,
+    files: { ca: caFiles, cert: settings.certFile || null, key: settings.keyFile || null },
+    loaded: true
+  };
+
+  caFiles.forEach(path => {
+    const pem = readFile('CA', path, errors);
+    if (pem !== null && !findPemBlocks(pem).some(block => block.type === 'CERTIFICATE')) {
+      errors.push(`CA file ${path} contains no PEM certificate`);
+    } else if (pem !== null) {
+      tls.ca.push(pem);
+    }
+  });
+
+  if (settings.certFile && !settings.keyFile) {
+    errors.push(`Client certificate ${settings.certFile} is set without a key file`);
+  } else if (settings.keyFile && !settings.certFile) {
+    errors.push(`Client key ${settings.keyFile} is set without a certificate file`);
+  } else if (settings.certFile) {
+    tls.cert = readFile('certificate', settings.certFile, errors);
+    tls.key = readFile('key', settings.keyFile, errors);
+
+    if (tls.cert !== null && tls.key !== null) {
+      validateKeyPair(tls, settings, errors);
+    }
+  }
+
+  [['minVersion', tls.minVersion], ['maxVersion', tls.maxVersion]].forEach(([name, version]) => {
+    if (version && !TLS_VERSIONS.includes(version)) {
+      errors.push(`${name} must be one of ${TLS_VERSIONS.join(', ')} (got ${version})`);
+    }
+  });
+  if (TLS_VERSIONS.includes(tls.minVersion) && TLS_VERSIONS.includes(tls.maxVersion) &&
+      TLS_VERSIONS.indexOf(tls.minVersion) > TLS_VERSIONS.indexOf(tls.maxVersion)) {
+    errors.push(`minVersion ${tls.minVersion} is above maxVersion ${tls.maxVersion}`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid TLS config: ${errors.join('; ')}`);
+  }
+
+  return tls;
+}
+
+/**
+ * Build the gRPC connect() `tls` param from a loaded config
+ * @param {Object} tls - Config from loadTlsConfig
+ * @returns {Object} { cacerts, cert, key, password } with only the parts that are set
+ */
+export function toGrpcTlsParams(tls) {
+  return {
+    ...(tls.ca.length > 0 && { cacerts: tls.ca }),
+    ...(tls.cert && { cert: tls.cert, key: tls.key }),
+    ...(tls.password && { password: tls.password })
+  };
+}
+
+/**
+ * Build the k6 options for a loaded config: `tlsAuth` for the client certificate,
+ * `tlsVersion` and `insecureSkipTLSVerify`. Merge them into the script's options;
+ * k6 applies the version and verification settings to gRPC connections too.
+ * @param {Object} tls - Config from loadTlsConfig
+ * @param {Array<string>} [domains] - Hosts to present the certificate to over HTTP,
+ *   when the config names none; without domains no `tlsAuth` is built
+ * @returns {Object} k6 options
+ */
+export function toK6TlsOptions(tls, domains = []) {
+  const options = {};
+  const certDomains = tls.domains || domains;
+
+  if (tls.cert && certDomains.length > 0) {
+    options.tlsAuth = [{
+      domains: certDomains,
+      cert: tls.cert,
+      key: tls.key,
+      ...(tls.password && { password: tls.password })
+    }];
+  }
+
+  if (tls.minVersion || tls.maxVersion) {
+    options.tlsVersion = {
+      ...(tls.minVersion && { min: tls.minVersion }),
+      ...(tls.maxVersion && { max: tls.maxVersion })
+    };
+  }
+
+  if (tls.insecureSkipVerify) {
+    options.insecureSkipTLSVerify = true;
+  }
+
+  return options;
+}
+
+/**
+ * Read a file, recording a validation error if it cannot be opened
+ * @private
+ */
+function readFile(kind, path, errors) {
+  try {
+    return open(path);
+  } catch (error) {
+    errors.push(`${kind} file not found: ${path}`);
+    return null;
+  }
+}
+
+/**
+ * Check that the certificate and key files hold what they claim, and that the
+ * key belongs to the certificate
+ * @private
+ */
+function validateKeyPair(tls, settings, errors) {
+  const certBlock = findPemBlocks(tls.cert).find(block => block.type === 'CERTIFICATE');
+  const keyBlock = findPemBlocks(tls.key).find(block => /PRIVATE KEY$/.test(block.type));
+
+  if (!certBlock) {
+    errors.push(`Certificate file ${settings.certFile} contains no PEM certificate` +
+      (/PRIVATE KEY-----/.test(tls.cert) ? ' (is it the key file?)' : ''));
+  }
+  if (!keyBlock) {
+    errors.push(`Key file ${settings.keyFile} contains no PEM private key` +
+      (/CERTIFICATE-----/.test(tls.key) ? ' (is it the certificate file?)' : ''));
+  }
+  if (!certBlock || !keyBlock) {
+    return;
+  }
+
+  const encrypted = keyBlock.type === 'ENCRYPTED PRIVATE KEY' || /Proc-Type:\s*4,ENCRYPTED/.test(keyBlock.body);
+  if (encrypted && !tls.password) {
+    errors.push(`Key file ${settings.keyFile} is encrypted and no password is set`);
+    return;
+  }
+  if (encrypted) {
+    // The key cannot be compared without decrypting it
+    return;
+  }
+
+  let certKey;
+  let privateKey;
+  try {
+    certKey = certificatePublicKey(certBlock.der);
+    privateKey = privateKeyPublicPart(keyBlock.type, keyBlock.der);
+  } catch (error) {
+    errors.push(`Could not parse ${settings.certFile} or ${settings.keyFile}: ${error.message}`);
+    return;
+  }
+
+  if (certKey.algorithm !== privateKey.algorithm) {
+    errors.push(`Key file ${settings.keyFile} holds a key of type ${privateKey.algorithm} but ` +
+      `certificate ${settings.certFile} is for ${certKey.algorithm}`);
+  } else if (privateKey.publicPart !== null && certKey.publicPart !== privateKey.publicPart) {
+    errors.push(`Key file ${settings.keyFile} does not match certificate ${settings.certFile}`);
+  }
+}
+
+/**
+ * Split PEM text into blocks
+ * @private
+ * @returns {Array<Object>} [{ type, body, der }] - der is the decoded Uint8Array
+ */
+function findPemBlocks(text) {
+  const blocks = [];
+  let match;
+  PEM_PATTERN.lastIndex = 0;
+
+  while ((match = PEM_PATTERN.exec(text)) !== null) {
+    // Skip RFC 1421 headers such as Proc-Type and DEK-Info
+    const base64 = match[2].split(/\r?\n/).filter(line => !line.includes(':')).join('');
+    blocks.push({ type: match[1], body: match[2], der: decodeBase64(base64) });
+  }
+
+  return blocks;
+}
+
+/**
+ * Read the algorithm and public key of a certificate's SubjectPublicKeyInfo
+ * @private
+ */
+function certificatePublicKey(bytes) {
+  const certificate = readTlv(bytes, 0);
+  const tbs = children(bytes, certificate)[0];
+  const fields = children(bytes, tbs);
+
+  // Skip the optional [0] version
+  const spki = fields[fields[0].tag === 0xa0 ? 6 : 5];
+  const [algorithm, publicKey] = children(bytes, spki);
+  const type = algorithmName(bytes, children(bytes, algorithm)[0]);
+
+  // BIT STRING: first byte counts unused bits
+  const keyBytes = bytes.subarray(publicKey.start + 1, publicKey.end);
+  if (type === 'RSA') {
+    const [modulus] = children(keyBytes, readTlv(keyBytes, 0));
+    return { algorithm: type, publicPart: integerHex(keyBytes, modulus) };
+  }
+
+  return { algorithm: type, publicPart: toHex(keyBytes) };
+}
+
+/**
+ * Read the algorithm of a private key and the public part it carries, when it
+ * carries one (RSA modulus, EC public point)
+ * @private
+ */
+function privateKeyPublicPart(type, bytes) {
+  const key = readTlv(bytes, 0);
+  const fields = children(bytes, key);
+
+  if (type === 'RSA PRIVATE KEY') {
+    return { algorithm: 'RSA', publicPart: integerHex(bytes, fields[1]) };
+  }
+  if (type === 'EC PRIVATE KEY') {
+    return { algorithm: 'EC', publicPart: ecPublicPoint(bytes, fields) };
+  }
+
+  // PKCS#8: version, algorithm, privateKey OCTET STRING wrapping PKCS#1 / SEC1
+  const algorithm = algorithmName(bytes, children(bytes, fields[1])[0]);
+  const inner = bytes.subarray(fields[2].start, fields[2].end);
+
+  if (algorithm === 'RSA') {
+    return { algorithm, publicPart: integerHex(inner, children(inner, readTlv(inner, 0))[1]) };
+  }
+  if (algorithm === 'EC') {
+    return { algorithm, publicPart: ecPublicPoint(inner, children(inner, readTlv(inner, 0))) };
+  }
+
+  return { algorithm, publicPart: null };
+}
+
+/**
+ * SEC1 ECPrivateKey: the public point is the optional [1] BIT STRING
+ * @private
+ */
+function ecPublicPoint(bytes, fields) {
+  const tagged = fields.find(field => field.tag === 0xa1);
+  if (!tagged) {
+    return null;
+  }
+
+  const bitString = readTlv(bytes, tagged.start);
+  return toHex(bytes.subarray(bitString.start + 1, bitString.end));
+}
+
+function algorithmName(bytes, oid) {
+  const hex = toHex(bytes.subarray(oid.start, oid.end));
+  return KEY_ALGORITHMS[hex] || `OID ${hex}`;
+}
+
+/**
+ * Read a DER tag-length-value header
+ * @private
+ * @returns {Object} { tag, start, end } - value bounds
+ */
+function readTlv(bytes, offset) {
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let start = offset + 2;
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + bytes[start + i];
+    }
+    start += count;
+  }
+
+  if (tag === undefined || start + length > bytes.length) {
+    throw new Error('truncated DER data');
+  }
+  return { tag, start, end: start + length };
+}
+
+function children(bytes, parent) {
+  const items = [];
+  let offset = parent.start;
+
+  while (offset < parent.end) {
+    const item = readTlv(bytes, offset);
+    items.push(item);
+    offset = item.end;
+  }
+
+  return items;
+}
+
+// INTEGER as hex without sign-padding zero bytes
+function integerHex(bytes, integer) {
+  return toHex(bytes.subarray(integer.start, integer.end)).replace(/^(00)+/, '');
+}
+
+function toHex(bytes) {
+  let hex = '';
+  for (let i = 0; i < bytes.length; i++) {
+    hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+  }
+  return hex;
+}
+
+function decodeBase64(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const clean = text.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+
+  for (let i = 0; i < clean.length; i++) {
+    buffer = (buffer << 6) | alphabet.indexOf(clean[i]);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+
+  return bytes.subarray(0, index);
+}
+
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
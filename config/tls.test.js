@@ -0,0 +1,173 @@
+/**
+ * Tests for the TLS config loader (loadTlsConfig, toGrpcTlsParams, toK6TlsOptions)
+ * and the DER parsing behind its key pair check. Keys are generated with node:crypto
+ * and wrapped in minimal certificates, since only the SubjectPublicKeyInfo is read.
+ */
+
+import { generateKeyPairSync } from 'node:crypto';
+import { loadTlsConfig, toGrpcTlsParams, toK6TlsOptions } from './tls.js';
+
+// DER tag-length-value
+function tlv(tag, ...contents) {
+  const body = Buffer.concat(contents.map(content => Buffer.from(content)));
+  const lengthBytes = [];
+  for (let rest = body.length; rest > 0; rest = Math.floor(rest / 256)) {
+    lengthBytes.unshift(rest % 256);
+  }
+  const length = body.length < 0x80 ? [body.length] : [0x80 | lengthBytes.length, ...lengthBytes];
+  return Buffer.concat([Buffer.from([tag, ...length]), body]);
+}
+
+const pem = (type, der) => `-----BEGIN ${type}-----\n${der.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${type}-----\n`;
+
+// Certificate { tbsCertificate { [0] version, serial, signature, issuer, validity, subject, spki }, ... }
+function certificate(publicKey, withVersion = true) {
+  const empty = tlv(0x30);
+  const tbs = tlv(0x30,
+    ...(withVersion ? [tlv(0xa0, tlv(0x02, [2]))] : []),
+    tlv(0x02, [1]), empty, empty, empty, empty,
+    publicKey.export({ type: 'spki', format: 'der' }));
+  return pem('CERTIFICATE', tlv(0x30, tbs, empty, tlv(0x03, [0])));
+}
+
+const rsa = generateKeyPairSync('rsa', { modulusLength: 1024 });
+const otherRsa = generateKeyPairSync('rsa', { modulusLength: 1024 });
+const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const ed25519 = generateKeyPairSync('ed25519');
+
+const files = {
+  'ca.pem': certificate(otherRsa.publicKey),
+  'rsa.crt': certificate(rsa.publicKey),
+  'rsa-v1.crt': certificate(rsa.publicKey, false),
+  'rsa.pkcs1.key': rsa.privateKey.export({ type: 'pkcs1', format: 'pem' }),
+  'rsa.pkcs8.key': rsa.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  'rsa.encrypted.key': rsa.privateKey.export({ type: 'pkcs8', format: 'pem', cipher: 'aes-128-cbc', passphrase: 'secret' }),
+  'other.key': otherRsa.privateKey.export({ type: 'pkcs1', format: 'pem' }),
+  'ec.crt': certificate(ec.publicKey),
+  'ec.sec1.key': ec.privateKey.export({ type: 'sec1', format: 'pem' }),
+  'ec.pkcs8.key': ec.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  'ed25519.crt': certificate(ed25519.publicKey),
+  'ed25519.key': ed25519.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  'truncated.crt': pem('CERTIFICATE', tlv(0x30, tlv(0x30, tlv(0x02, [1]))).subarray(0, 5))
+};
+
+const TLS_ENV_VARS = ['TLS_CA_FILE', 'TLS_CERT_FILE', 'TLS_KEY_FILE', 'TLS_KEY_PASSWORD',
+  'TLS_SERVER_NAME', 'TLS_MIN_VERSION', 'TLS_MAX_VERSION', 'TLS_INSECURE_SKIP_VERIFY'];
+
+beforeEach(() => {
+  global.open = jest.fn((path) => {
+    if (files[path] === undefined) throw new Error(`no such file: ${path}`);
+    return files[path];
+  });
+});
+
+afterEach(() => {
+  delete global.open;
+  TLS_ENV_VARS.forEach(name => delete process.env[name]);
+});
+
+describe('loadTlsConfig', () => {
+  it('loads CA bundles and a matching key pair', () => {
+    const tls = loadTlsConfig({ caFile: ['ca.pem'], certFile: 'rsa.crt', keyFile: 'rsa.pkcs1.key', minVersion: 'tls1.2' });
+
+    expect(tls).toMatchObject({
+      ca: [files['ca.pem']],
+      cert: files['rsa.crt'],
+      key: files['rsa.pkcs1.key'],
+      minVersion: 'tls1.2',
+      insecureSkipVerify: false,
+      files: { ca: ['ca.pem'], cert: 'rsa.crt', key: 'rsa.pkcs1.key' },
+      loaded: true
+    });
+    expect(loadTlsConfig(tls)).toBe(tls);
+  });
+
+  it.each([
+    ['RSA PKCS#8', 'rsa.crt', 'rsa.pkcs8.key'],
+    ['RSA without a version field', 'rsa-v1.crt', 'rsa.pkcs1.key'],
+    ['EC SEC1', 'ec.crt', 'ec.sec1.key'],
+    ['EC PKCS#8', 'ec.crt', 'ec.pkcs8.key'],
+    ['Ed25519', 'ed25519.crt', 'ed25519.key']
+  ])('accepts matching %s keys', (kind, certFile, keyFile) => {
+    expect(() => loadTlsConfig({ certFile, keyFile })).not.toThrow();
+  });
+
+  it('rejects a key that belongs to another certificate or algorithm', () => {
+    expect(() => loadTlsConfig({ certFile: 'rsa.crt', keyFile: 'other.key' }))
+      .toThrow('Invalid TLS config: Key file other.key does not match certificate rsa.crt');
+    expect(() => loadTlsConfig({ certFile: 'rsa.crt', keyFile: 'ec.sec1.key' }))
+      .toThrow('Key file ec.sec1.key holds a key of type EC but certificate rsa.crt is for RSA');
+  });
+
+  it('names swapped certificate and key files', () => {
+    expect(() => loadTlsConfig({ certFile: 'rsa.pkcs1.key', keyFile: 'rsa.crt' })).toThrow(
+      'Certificate file rsa.pkcs1.key contains no PEM certificate (is it the key file?); ' +
+      'Key file rsa.crt contains no PEM private key (is it the certificate file?)'
+    );
+  });
+
+  it('needs a password for encrypted keys', () => {
+    expect(() => loadTlsConfig({ certFile: 'rsa.crt', keyFile: 'rsa.encrypted.key' }))
+      .toThrow('Key file rsa.encrypted.key is encrypted and no password is set');
+    expect(loadTlsConfig({ certFile: 'rsa.crt', keyFile: 'rsa.encrypted.key', password: 'secret' }).password).toBe('secret');
+  });
+
+  it('reports truncated DER data', () => {
+    expect(() => loadTlsConfig({ certFile: 'truncated.crt', keyFile: 'rsa.pkcs1.key' }))
+      .toThrow('Could not parse truncated.crt or rsa.pkcs1.key: truncated DER data');
+  });
+
+  it('lists every problem in one error', () => {
+    let message = '';
+    try {
+      loadTlsConfig({ caFile: 'missing.pem, rsa.pkcs1.key', certFile: 'rsa.crt', minVersion: 'tls1.3', maxVersion: 'tls9' });
+    } catch (error) {
+      message = error.message;
+    }
+
+    expect(message.split('; ')).toEqual([
+      'Invalid TLS config: CA file not found: missing.pem',
+      'CA file rsa.pkcs1.key contains no PEM certificate',
+      'Client certificate rsa.crt is set without a key file',
+      'maxVersion must be one of ssl3.0, tls1.0, tls1.1, tls1.2, tls1.3 (got tls9)'
+    ]);
+    expect(() => loadTlsConfig({ minVersion: 'tls1.3', maxVersion: 'tls1.2' }))
+      .toThrow('minVersion tls1.3 is above maxVersion tls1.2');
+    expect(() => loadTlsConfig({ keyFile: 'rsa.pkcs1.key' }))
+      .toThrow('Client key rsa.pkcs1.key is set without a certificate file');
+  });
+
+  it('lets environment variables override the config block', () => {
+    process.env.TLS_CA_FILE = 'ca.pem';
+    process.env.TLS_SERVER_NAME = 'api.internal';
+    process.env.TLS_INSECURE_SKIP_VERIFY = 'true';
+
+    expect(loadTlsConfig({ serverName: 'ignored' })).toMatchObject({
+      ca: [files['ca.pem']],
+      serverName: 'api.internal',
+      insecureSkipVerify: true
+    });
+  });
+});
+
+describe('TLS params and options', () => {
+  it('builds gRPC connect params from the parts that are set', () => {
+    expect(toGrpcTlsParams(loadTlsConfig({ caFile: 'ca.pem' }))).toEqual({ cacerts: [files['ca.pem']] });
+    expect(toGrpcTlsParams(loadTlsConfig({ certFile: 'rsa.crt', keyFile: 'rsa.encrypted.key', password: 'secret' }))).toEqual({
+      cert: files['rsa.crt'],
+      key: files['rsa.encrypted.key'],
+      password: 'secret'
+    });
+  });
+
+  it('builds k6 options, presenting the certificate only to known domains', () => {
+    const tls = loadTlsConfig({ certFile: 'ec.crt', keyFile: 'ec.sec1.key', maxVersion: 'tls1.3', insecureSkipVerify: true });
+
+    expect(toK6TlsOptions(tls)).toEqual({ tlsVersion: { max: 'tls1.3' }, insecureSkipTLSVerify: true });
+    expect(toK6TlsOptions(tls, ['api.example.com']).tlsAuth).toEqual([
+      { domains: ['api.example.com'], cert: files['ec.crt'], key: files['ec.sec1.key'] }
+    ]);
+    expect(toK6TlsOptions({ ...tls, domains: ['mtls.example.com'] }, ['api.example.com']).tlsAuth[0].domains)
+      .toEqual(['mtls.example.com']);
+  });
+});
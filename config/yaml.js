@@ -0,0 +1,437 @@
+/**
+ * Minimal YAML parser for k6 performance testing SDK
+ *
+ * k6 has no YAML module, so this covers the subset that API specs and config
+ * files use: block mappings and sequences, quoted and plain scalars, flow
+ * collections ([a, b], {a: 1}), literal/folded block scalars (| and >) and
+ * comments. Anchors, aliases, tags and multiple documents are not supported.
+ */
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Parse a YAML document
+ * @param {string} text - YAML source
+ * @returns {*} Parsed value
+ * @throws {Error} On unsupported or malformed YAML
+ */
+export function parseYaml(text) {
+  const lines = text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((raw, index) => ({ raw, number: index + 1, indent: raw.search(/\S|$/), text: stripComment(raw).trim() }));
+
+  const state = { lines, index: 0 };
+
+  // Skip a leading document marker
+  skipBlank(state);
+  if (state.index < lines.length && lines[state.index].text === '---') {
+    state.index++;
+    skipBlank(state);
+  }
+
+  if (state.index >= lines.length) {
+    return null;
+  }
+
+  const value = parseBlock(state, lines[state.index].indent);
+
+  skipBlank(state);
+  if (state.index < lines.length && lines[state.index].text !== '...') {
+    throw yamlError(lines[state.index], 'unexpected content (multiple documents are not supported)');
+  }
+
+  return value;
+}
+
+/**
+ * Parse a mapping or sequence starting at the current line
+ * @private
+ */
+function parseBlock(state, indent) {
+  const line = state.lines[state.index];
+  return isSequenceItem(line.text)
+    ? parseSequence(state, indent)
+    : parseMapping(state, indent);
+}
+
+/**
+ * @private
+ */
+function parseMapping(state, indent) {
+  const result = {};
+
+  for (skipBlank(state); state.index < state.lines.length; skipBlank(state)) {
+    const line = state.lines[state.index];
+    if (line.indent < indent) break;
+    if (line.indent > indent) throw yamlError(line, 'unexpected indentation');
+    if (isSequenceItem(line.text)) break;
+
+    const separator = findMappingSeparator(line.text);
+    if (separator === -1) throw yamlError(line, 'expected "key: value"');
+
+    const key = parseKey(line.text.slice(0, separator).trim(), line);
+    const rest = line.text.slice(separator + 1).trim();
+    state.index++;
+
+    result[key] = parseValue(state, line, rest, indent, true);
+  }
+
+  return result;
+}
+
+/**
+ * @private
+ */
+function parseSequence(state, indent) {
+  const result = [];
+
+  for (skipBlank(state); state.index < state.lines.length; skipBlank(state)) {
+    const line = state.lines[state.index];
+    if (line.indent !== indent || !isSequenceItem(line.text)) {
+      if (line.indent > indent) throw yamlError(line, 'unexpected indentation');
+      break;
+    }
+
+    const content = line.text.slice(1).trim();
+
+    if (content && (findMappingSeparator(content) !== -1 || isSequenceItem(content))) {
+      // "- key: value" or "- - item" starts a nested block at the item's column;
+      // re-read the current line as that block
+      const offset = line.raw.indexOf(content, line.indent + 1);
+      state.lines[state.index] = { ...line, indent: offset, text: content };
+      result.push(parseBlock(state, offset));
+    } else {
+      state.index++;
+      result.push(parseValue(state, line, content, indent, false));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse the value after "key:" or "-", which may continue on following lines
+ * @private
+ */
+function parseValue(state, line, rest, indent, allowSameIndentSequence) {
+  if (/^[&*!]/.test(rest)) {
+    throw yamlError(line, 'anchors, aliases and tags are not supported');
+  }
+
+  if (/^[|>][-+]?$/.test(rest)) {
+    return parseBlockScalar(state, rest, indent);
+  }
+
+  if (rest) {
+    return parseScalar(rest, line);
+  }
+
+  skipBlank(state);
+  const next = state.lines[state.index];
+  if (!next) return null;
+
+  if (next.indent > indent) {
+    return parseBlock(state, next.indent);
+  }
+
+  // A sequence may sit at the same indentation as its mapping key
+  if (allowSameIndentSequence && next.indent === indent && isSequenceItem(next.text)) {
+    return parseSequence(state, indent);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a literal (|) or folded (>) block scalar
+ * @private
+ */
+function parseBlockScalar(state, header, indent) {
+  const folded = header[0] === '>';
+  const chomp = header[1];
+  const content = [];
+  let blockIndent = null;
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.raw.trim() !== '') {
+      if (line.indent <= indent) break;
+      if (blockIndent === null) blockIndent = line.indent;
+    }
+    content.push(line.raw.trim() === '' ? '' : line.raw.slice(blockIndent));
+    state.index++;
+  }
+
+  // Trailing blank lines belong to whatever follows, apart from chomping
+  let trailing = 0;
+  while (content.length > 0 && content[content.length - 1] === '') {
+    content.pop();
+    trailing++;
+  }
+
+  let value = folded ? foldLines(content) : content.join('\n');
+
+  if (chomp === '+') {
+    value += '\n'.repeat(trailing + 1);
+  } else if (chomp !== '-' && content.length > 0) {
+    value += '\n';
+  }
+
+  return value;
+}
+
+/**
+ * Join folded block lines: line breaks become spaces, blank lines become newlines
+ * @private
+ */
+function foldLines(content) {
+  return content.reduce((value, part, i) => {
+    if (i === 0) return part;
+    if (part === '') return `${value}\n`;
+    return content[i - 1] === '' ? `${value}${part}` : `${value} ${part}`;
+  }, '');
+}
+
+/**
+ * @private
+ */
+function parseKey(key, line) {
+  if (key.startsWith('"') || key.startsWith("'")) {
+    return String(parseScalar(key, line));
+  }
+  return key;
+}
+
+/**
+ * Parse a single-line scalar or flow collection
+ * @private
+ */
+function parseScalar(text, line) {
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const state = { text, pos: 0, line };
+    const value = parseFlow(state);
+    skipFlowSpace(state);
+    if (state.pos < text.length) throw yamlError(line, 'unexpected content after flow collection');
+    return value;
+  }
+
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw yamlError(line, `invalid double-quoted string ${text}`);
+    }
+  }
+
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw yamlError(line, `invalid single-quoted string ${text}`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+
+  return parsePlain(text);
+}
+
+/**
+ * @private
+ */
+function parsePlain(text) {
+  switch (text) {
+    case '':
+    case '~':
+    case 'null':
+    case 'Null':
+    case 'NULL':
+      return null;
+    case 'true':
+    case 'True':
+    case 'TRUE':
+      return true;
+    case 'false':
+    case 'False':
+    case 'FALSE':
+      return false;
+    default:
+      return NUMBER_PATTERN.test(text) ? Number(text) : text;
+  }
+}
+
+/**
+ * Parse a flow collection or scalar inside one
+ * @private
+ */
+function parseFlow(state) {
+  skipFlowSpace(state);
+  const char = state.text[state.pos];
+
+  if (char === '[') {
+    state.pos++;
+    const result = [];
+    for (skipFlowSpace(state); state.text[state.pos] !== ']'; skipFlowSpace(state)) {
+      result.push(parseFlow(state));
+      if (!consumeFlowSeparator(state, ']')) break;
+    }
+    expectFlowChar(state, ']');
+    return result;
+  }
+
+  if (char === '{') {
+    state.pos++;
+    const result = {};
+    for (skipFlowSpace(state); state.text[state.pos] !== '}'; skipFlowSpace(state)) {
+      const key = String(readFlowScalar(state, true));
+      skipFlowSpace(state);
+      expectFlowChar(state, ':');
+      result[key] = parseFlow(state);
+      if (!consumeFlowSeparator(state, '}')) break;
+    }
+    expectFlowChar(state, '}');
+    return result;
+  }
+
+  return readFlowScalar(state, false);
+}
+
+/**
+ * @private
+ */
+function readFlowScalar(state, isKey) {
+  skipFlowSpace(state);
+  const { text } = state;
+  const start = state.pos;
+
+  if (text[start] === '"' || text[start] === "'") {
+    const quote = text[start];
+    let end = start + 1;
+    while (end < text.length) {
+      if (text[end] === '\\' && quote === '"') {
+        end += 2;
+      } else if (text[end] === quote && quote === "'" && text[end + 1] === "'") {
+        end += 2;
+      } else if (text[end] === quote) {
+        break;
+      } else {
+        end++;
+      }
+    }
+    state.pos = end + 1;
+    return parseScalar(text.slice(start, end + 1), state.line);
+  }
+
+  if (text[start] === '[' || text[start] === '{') {
+    return parseFlow(state);
+  }
+
+  const stop = isKey ? /[,:}\]]/ : /[,}\]]/;
+  while (state.pos < text.length && !stop.test(text[state.pos])) {
+    state.pos++;
+  }
+  return parsePlain(text.slice(start, state.pos).trim());
+}
+
+/**
+ * @private
+ */
+function consumeFlowSeparator(state, close) {
+  skipFlowSpace(state);
+  if (state.text[state.pos] === ',') {
+    state.pos++;
+    return true;
+  }
+  if (state.text[state.pos] !== close) {
+    throw yamlError(state.line, `expected "," or "${close}" in flow collection`);
+  }
+  return false;
+}
+
+/**
+ * @private
+ */
+function expectFlowChar(state, char) {
+  if (state.text[state.pos] !== char) {
+    throw yamlError(state.line, `expected "${char}" in flow collection`);
+  }
+  state.pos++;
+}
+
+/**
+ * @private
+ */
+function skipFlowSpace(state) {
+  while (state.pos < state.text.length && /\s/.test(state.text[state.pos])) {
+    state.pos++;
+  }
+}
+
+/**
+ * Advance past blank and comment-only lines
+ * @private
+ */
+function skipBlank(state) {
+  while (state.index < state.lines.length && state.lines[state.index].text === '') {
+    state.index++;
+  }
+}
+
+/**
+ * @private
+ */
+function isSequenceItem(text) {
+  return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Find the ":" separating a mapping key from its value, outside quotes and brackets
+ * @private
+ */
+function findMappingSeparator(text) {
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0) quote = char;
+    } else if (char === '[' || char === '{') {
+      if (i === 0) return -1;
+      depth++;
+    } else if (char === ']' || char === '}') {
+      depth--;
+    } else if (char === ':' && depth <= 0 && (i === text.length - 1 || /\s/.test(text[i + 1]))) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Remove a trailing "# comment" outside quotes
+ * @private
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && (i === 0 || /[\s:[{,-]/.test(line[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * @private
+ */
+function yamlError(line, message) {
+  return new Error(`Invalid YAML at line ${line.number}: ${message}`);
+}
@@ -0,0 +1,102 @@
+/**
+ * Tests for the YAML subset parser (parseYaml).
+ */
+
+import { parseYaml } from './yaml.js';
+
+describe('parseYaml', () => {
+  it('parses block mappings and sequences with plain scalars', () => {
+    const text = [
+      '# service config',
+      'name: orders',
+      'port: 8080',
+      'ratio: 0.5',
+      'enabled: true',
+      'owner: ~',
+      'servers:',
+      '  - url: https://api.example.com/v1',
+      '    description: prod   # trailing comment',
+      '  - url: http://localhost:8080',
+      'tags:',
+      '- orders',
+      '- "payments"'
+    ].join('\n');
+
+    expect(parseYaml(text)).toEqual({
+      name: 'orders',
+      port: 8080,
+      ratio: 0.5,
+      enabled: true,
+      owner: null,
+      servers: [
+        { url: 'https://api.example.com/v1', description: 'prod' },
+        { url: 'http://localhost:8080' }
+      ],
+      tags: ['orders', 'payments']
+    });
+  });
+
+  it('parses nested sequences and quoted keys', () => {
+    const text = [
+      'matrix:',
+      '  - - 1',
+      '    - 2',
+      '  - [3, 4]',
+      '"200":',
+      "  'it''s': \"a # not a comment\""
+    ].join('\n');
+
+    expect(parseYaml(text)).toEqual({
+      matrix: [[1, 2], [3, 4]],
+      200: { "it's": 'a # not a comment' }
+    });
+  });
+
+  it('parses flow collections', () => {
+    expect(parseYaml('required: [id, "email", 3]\nschema: {type: object, nested: {a: [1, {b: null}]}}')).toEqual({
+      required: ['id', 'email', 3],
+      schema: { type: 'object', nested: { a: [1, { b: null }] } }
+    });
+    expect(parseYaml('empty: []\nnone: {}')).toEqual({ empty: [], none: {} });
+  });
+
+  it('parses literal and folded block scalars with chomping', () => {
+    const text = [
+      'literal: |',
+      '  line one',
+      '    indented',
+      '',
+      '  line three',
+      'folded: >',
+      '  joined',
+      '  words',
+      '',
+      '  new paragraph',
+      'strip: |-',
+      '  no newline',
+      'keep: |+',
+      '  kept',
+      '',
+      'after: 1'
+    ].join('\n');
+
+    expect(parseYaml(text)).toEqual({
+      literal: 'line one\n  indented\n\nline three\n',
+      folded: 'joined words\nnew paragraph\n',
+      strip: 'no newline',
+      keep: 'kept\n\n',
+      after: 1
+    });
+  });
+
+  it('skips a document marker and returns null for an empty document', () => {
+    expect(parseYaml('---\nopenapi: 3.0.3\n')).toEqual({ openapi: '3.0.3' });
+    expect(parseYaml('# nothing\n')).toBeNull();
+  });
+
+  it('rejects anchors, aliases and multiple documents with the line number', () => {
+    expect(() => parseYaml('base: &base\n  a: 1')).toThrow('Invalid YAML at line 1: anchors, aliases and tags are not supported');
+    expect(() => parseYaml('a: 1\n---\nb: 2')).toThrow('Invalid YAML at line 2');
+    expect(() => parseYaml('list: [1, 2')).toThrow('Invalid YAML at line 1');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Client-side target selection for gRPC clients with several addresses
+ *
+ * Every VU runs its own balancer, so strategies spread load per VU: round-robin
+ * starts at a VU-dependent offset, and sticky pins each VU to one target. The VU
+ * number is read on the first pick, as clients are created in the init context.
+ */
+
+const STRATEGIES = ['round-robin', 'random', 'least-recently-used', 'sticky'];
+
+/**
+ * Create a balancer over a list of targets
+ * @param {Array<string>} targets - Target addresses
+ * @param {string} [strategy='round-robin'] - round-robin, random, least-recently-used or sticky
+ * @returns {Object} Balancer ({ pick, stats, strategy, targets })
+ */
+export function createBalancer(targets, strategy = 'round-robin') {
+    if (!Array.isArray(targets) || targets.length === 0) {
+        throw new Error('At least one gRPC target address must be specified');
+    }
+    if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Unsupported gRPC balancing strategy: ${strategy} (use ${STRATEGIES.join(', ')})`);
+    }
+
+    const picks = targets.map(() => 0);
+    const lastUsed = targets.map(() => 0);
+    let offset = null;
+    let next = 0;
+    let clock = 0;
+
+    const choose = {
+        'round-robin': () => {
+            const index = (offset + next) % targets.length;
+            next++;
+            return index;
+        },
+        random: () => Math.floor(Math.random() * targets.length),
+        // Oldest use first; a counter rather than Date.now() keeps the order strict
+        'least-recently-used': () => lastUsed.indexOf(Math.min(...lastUsed)),
+        sticky: () => offset % targets.length
+    }[strategy];
+
+    return {
+        strategy,
+        targets: [...targets],
+        pick: () => {
+            if (offset === null) offset = vuNumber();
+            const index = choose();
+            picks[index]++;
+            lastUsed[index] = ++clock;
+            return targets[index];
+        },
+        // Requests sent to each target by this VU
+        stats: () => targets.map((address, index) => ({ address, picks: picks[index] }))
+    };
+}
+
+/**
+ * Zero-based VU number; 0 outside a VU (setup, teardown)
+ * @private
+ */
+function vuNumber() {
+    return typeof __VU === 'number' && __VU > 0 ? __VU - 1 : 0;
+}
+
+export { STRATEGIES as balancingStrategies };
@@ -1,13 +1,33 @@
 import grpc from 'k6/net/grpc';
-import { fail } from 'k6';
-import { logRequest, logResponse } from './logger.js';
-import { trackMetrics } from './metrics.js';
+import { fail, sleep } from 'k6';
+import { logRequest, logResponse, logTraceOutlier } from './logger.js';
+import { trackMetrics, declareMethodMetrics } from './metrics.js';
+import { openStream } from './stream.js';
+import { createBalancer } from './balancer.js';
+import { createPayloadSizer } from './payload.js';
+import { loadGrpcDescriptors } from './discovery.js';
+import { resolveRetryPolicy, isRetryEnabled, shouldRetry, computeRetryDelay, toStatusCodes } from './retry.js';
+import { loadTlsConfig, toGrpcTlsParams, toK6TlsOptions } from '../config/tls.js';
+import { resolveTracer, traceLogFields } from '../utils/trace.js';
+import { resolveFailureCapture } from '../utils/failures.js';
 
 const DEFAULT_ADDRESS = 'localhost:50051';
 const DEFAULT_TIMEOUT = '60s';
 
 /**
  * Create a gRPC client
+ *
+ * `address` may be a list of replicas; each call then goes to the target picked by
+ * the `balance` strategy (see gRPC/balancer.js) over its own connection, and is
+ * tagged with that `target`.
+ *
+ * `payloadMetrics: true` reads the proto files or protoset a second time to size
+ * messages (see gRPC/payload.js); pass a registry instead with reflection.
+ *
+ * `tracing` adds trace context metadata (see utils/trace.js) to calls and streams;
+ * sampled calls that are slow or fail are logged with their trace ID.
+ * `captureFailures` keeps a sample of failed calls with a grpcurl command
+ * (see utils/failures.js).
  */
 export function createGrpcClient(options = {}) {
     const {
@@ -20,40 +40,111 @@ export function createGrpcClient(options = {}) {
         defaultMetadata = {},
         token = null,
         tags = {},
-        connectParams = {}
+        connectParams = {},
+        retry = null,
+        expectedStatusCodes = [],
+        tls = null,
+        balance = 'round-robin',
+        payloadMetrics = false,
+        tracing = null,
+        captureFailures = null
     } = options;
 
-    const client = new grpc.Client();
-    let connected = false;
+    // TLS files are read here, in the init context
+    const tlsConfig = tls ? loadTlsConfig(tls) : null;
+    if (tlsConfig && plaintext) {
+        throw new Error('Invalid TLS config: a plaintext gRPC client cannot use TLS settings');
+    }
+
+    if (!reflect && !protosetPath && protoFiles.length === 0) {
+        throw new Error('Proto files must be specified when not using reflection');
+    }
+
+    const balancer = createBalancer(Array.isArray(address) ? address : [address], balance);
+    const tracer = resolveTracer(tracing);
+    const capture = resolveFailureCapture(captureFailures);
     let authToken = token;
+    let sizer = null;
 
-    // Load protocol definitions
-    if (!reflect) {
-        if (protosetPath) {
-            client.loadProtoset(protosetPath);
-        } else if (protoFiles.length > 0) {
-            client.load(protoPaths, ...protoFiles);
-        } else {
-            throw new Error('Proto files must be specified when not using reflection');
+    // One k6 client, and so one connection, per target; protos load in the init context
+    const targets = balancer.targets.map(target => {
+        const client = new grpc.Client();
+        if (!reflect) {
+            if (protosetPath) {
+                client.loadProtoset(protosetPath);
+            } else {
+                client.load(protoPaths, ...protoFiles);
+            }
+        }
+        return { address: target, client, connected: false };
+    });
+
+    // Message descriptors for payload sizes
+    function setDescriptors(registry) {
+        sizer = registry ? createPayloadSizer(registry) : null;
+    }
+
+    // With descriptors at hand in the init context, every method gets its own endpoint metrics
+    function loadDescriptors(registry) {
+        setDescriptors(registry);
+        declareMethodMetrics(registry.services.flatMap(service => service.methods.map(method => method.fullMethod)));
+    }
+
+    if (payloadMetrics === true) {
+        loadDescriptors(loadGrpcDescriptors({ protoPaths, protoFiles, protosetPath }));
+    } else if (payloadMetrics) {
+        loadDescriptors(payloadMetrics);
+    }
+
+    function findTarget(targetAddress) {
+        const target = targets.find(candidate => candidate.address === targetAddress);
+        if (!target) throw new Error(`Unknown gRPC target: ${targetAddress}`);
+        return target;
+    }
+
+    function connectTarget(target) {
+        if (!target.connected) {
+            target.client.connect(target.address, {
+                plaintext,
+                reflect,
+                ...(tlsConfig && { tls: toGrpcTlsParams(tlsConfig) }),
+                ...connectParams
+            });
+            target.connected = true;
         }
+        return target;
     }
 
-    function connect() {
-        if (!connected) {
-            client.connect(address, { plaintext, ...connectParams });
-            connected = true;
+    // Pick the next target and make sure it is connected
+    function nextTarget() {
+        return connectTarget(findTarget(balancer.pick()));
+    }
+
+    // Connect one target, or all of them
+    function connect(targetAddress) {
+        if (targetAddress) {
+            connectTarget(findTarget(targetAddress));
+        } else {
+            targets.forEach(connectTarget);
         }
     }
 
     function close() {
-        if (connected) {
-            client.close();
-            connected = false;
-        }
+        targets.filter(target => target.connected).forEach(target => {
+            target.client.close();
+            target.connected = false;
+        });
     }
 
-    function executeRequest(methodUrl, request, params, isStreaming = false) {
-        connect();
+    // Start a trace in the call's metadata; retries of the call are new spans of it
+    function startTrace(params) {
+        if (!tracer) return { params, trace: null };
+        const metadata = { ...defaultMetadata, ...params.metadata };
+        const trace = tracer.inject(metadata);
+        return { params: { ...params, metadata }, trace };
+    }
+
+    function buildParams(methodUrl, params, target) {
         const metadata = { ...defaultMetadata, ...params.metadata };
         if (authToken && !metadata.authorization) {
             metadata.authorization = `Bearer ${authToken}`;
@@ -63,55 +154,157 @@ export function createGrpcClient(options = {}) {
             ...tags,
             ...params.tags,
             method: methodUrl,
-            address,
+            address: target,
             fullMethod: methodUrl,
             service: methodUrl.split('.')[0] || 'unknown',
-            target: address
+            target
         };
 
-        if (isStreaming) requestTags.streaming = true;
-
-        const invokeParams = {
+        return {
             metadata,
             tags: requestTags,
             timeout: params.timeout ?? DEFAULT_TIMEOUT,
-            ...(params.authority && { authority: params.authority }),
+            ...((params.authority || tlsConfig?.serverName) && {
+                authority: params.authority || tlsConfig.serverName
+            }),
             ...(params.discardResponseMessage !== undefined && { 
                 discardResponseMessage: params.discardResponseMessage 
             })
         };
+    }
+
+    function executeRequest(methodUrl, request, callParams) {
+        const { params, trace: firstSpan } = startTrace(callParams);
+        let trace = firstSpan;
+        const retryPolicy = resolveRetryPolicy(retry, params.retry);
+        const expected = toStatusCodes(params.expectedStatusCodes ?? expectedStatusCodes);
+        const requestSize = sizer && sizer.request(methodUrl, request);
+        const logContext = { method: methodUrl, ...traceLogFields(trace) };
 
-        // Log and execute
-        const logType = isStreaming ? 'GRPC_STREAM' : 'GRPC';
-        logRequest(logType, `${address}/${methodUrl}`, metadata, request);
+        function record(response, tags) {
+            const responseSize = requestSize !== null ? sizer.response(methodUrl, response.message) : null;
+            logResponse(response, expected, logContext);
+            trackMetrics(response, tags, {
+                expectedStatusCodes: expected,
+                sizes: requestSize !== null
+                    ? { sent: [requestSize], received: responseSize !== null ? [responseSize] : [] }
+                    : null
+            });
+        }
 
         let response;
+        let attemptTags;
+        let invokeParams;
+        let target;
+        let duration = 0;
+
+        // Each attempt picks its target, so a retry can go to another replica, and is a new span
+        for (let attempt = 1; ; attempt++) {
+            if (attempt > 1 && trace) {
+                trace = tracer.nextSpan(trace, params.metadata);
+            }
+            target = nextTarget();
+            invokeParams = buildParams(methodUrl, params, target.address);
+            attemptTags = invokeParams.tags;
+            if (isRetryEnabled(retryPolicy)) {
+                attemptTags = { ...invokeParams.tags, attempt: String(attempt), retry: String(attempt > 1) };
+            }
+
+            // Log and execute
+            logRequest('GRPC', `${target.address}/${methodUrl}`, invokeParams.metadata, request, logContext);
+
+            const startedAt = Date.now();
+            try {
+                response = target.client.invoke(methodUrl, request, { ...invokeParams, tags: attemptTags });
+                duration = Date.now() - startedAt;
+            } catch (error) {
+                fail(`gRPC invoke failed: ${error.message}`);
+                throw error;
+            }
+
+            if (!shouldRetry(retryPolicy, attempt, response)) break;
+
+            // Record the failed attempt before backing off
+            record(response, attemptTags);
+            sleep(computeRetryDelay(retryPolicy, attempt, response) / 1000);
+        }
+
+        record(response, attemptTags);
+
+        // gRPC responses carry no timings, so the duration is measured around invoke
+        const outlier = trace && tracer.record(trace, {
+            duration,
+            failed: response.status !== 0 && !expected.includes(response.status),
+            tags: attemptTags
+        });
+        if (outlier) logTraceOutlier(methodUrl, outlier);
+
+        if (capture) {
+            capture.recordGrpc({
+                method: methodUrl,
+                address: target.address,
+                metadata: invokeParams.metadata,
+                message: request,
+                duration
+            }, response, {
+                plaintext, reflect, protoPaths, protoFiles, protosetPath,
+                authority: invokeParams.authority,
+                tls: tlsConfig
+            }, expected);
+        }
+
+        return response;
+    }
+
+    function startStream(methodUrl, streamParams, type) {
+        const { params, trace } = startTrace(streamParams);
+        const target = nextTarget();
+        const { authority, discardResponseMessage, ...invokeParams } = buildParams(methodUrl, params, target.address);
+
         try {
-            response = isStreaming 
-                ? client.invokeStream(methodUrl, request, invokeParams)
-                : client.invoke(methodUrl, request, invokeParams);
+            return openStream(target.client, target.address, methodUrl, invokeParams, type, sizer,
+                traceLogFields(trace));
         } catch (error) {
-            const errorMsg = `gRPC ${isStreaming ? 'stream ' : ''}invoke failed: ${error.message}`;
-            fail(errorMsg);
+            fail(`gRPC stream failed: ${error.message}`);
             throw error;
         }
+    }
 
-        logResponse(response);
-        trackMetrics(response, requestTags);
-        return response;
+    // Server streaming: one request, then read messages until the server ends the stream
+    function serverStream(methodUrl, request = {}, params = {}) {
+        const stream = startStream(methodUrl, params, 'server');
+        stream.write(request);
+        stream.end();
+        return stream;
+    }
+
+    // Client streaming: write all messages, then read the single response
+    function clientStream(methodUrl, messages = [], params = {}) {
+        const stream = startStream(methodUrl, params, 'client');
+        messages.forEach(message => stream.write(message));
+        stream.end();
+        return stream;
     }
 
     return {
         connect,
         close,
         invoke: (methodUrl, request = {}, params = {}) => 
-            executeRequest(methodUrl, request, params, false),
-        invokeStream: (methodUrl, request = {}, params = {}) => 
-            executeRequest(methodUrl, request, params, true),
-        healthcheck: (serviceName) => {
-            connect();
+            executeRequest(methodUrl, request, params),
+        // Template-compatible request(method, path, body, params), for endpoints
+        // from createGrpcEndpoints: path is the full method, body the request message
+        request: (method, methodUrl, request, params = {}) => 
+            executeRequest(methodUrl, request ?? {}, params),
+        serverStream,
+        clientStream,
+        // Bidirectional: write and end() on the returned stream as the test needs
+        bidiStream: (methodUrl, params = {}) => startStream(methodUrl, params, 'bidi'),
+        invokeStream: serverStream,
+        // Checks the given target, or the next one picked
+        healthcheck: (serviceName, targetAddress) => {
+            const target = targetAddress ? connectTarget(findTarget(targetAddress)) : nextTarget();
             try {
-                return client.healthCheck(serviceName);
+                return target.client.healthCheck(serviceName);
             } catch (error) {
                 fail(`gRPC health check failed: ${error.message}`);
                 throw error;
@@ -119,10 +312,26 @@ export function createGrpcClient(options = {}) {
         },
         setToken: (newToken) => { authToken = newToken; },
         addDefaultMetadata: (metadata) => Object.assign(defaultMetadata, metadata),
+        // Descriptor registry for payload metrics, e.g. from reflectGrpcDescriptors()
+        setDescriptors,
+        // k6 options for the TLS version and verification settings
+        tlsOptions: () => (tlsConfig ? toK6TlsOptions(tlsConfig) : {}),
+        // Tracer adding trace context metadata, or null
+        tracer,
+        // Failed calls kept by this VU (see utils/failures.js)
+        getCapturedFailures: () => (capture ? capture.captured() : []),
+        // Per-target connection state and requests picked by this VU
+        getTargets: () => balancer.stats().map(stat => ({
+            ...stat,
+            connected: findTarget(stat.address).connected
+        })),
         getConfig: () => ({
-            address, reflect, plaintext, 
+            address, balance, reflect, plaintext, 
             defaultMetadata: { ...defaultMetadata }, 
-            token: authToken, tags: { ...tags }
+            token: authToken, tags: { ...tags },
+            retry: resolveRetryPolicy(retry),
+            tls: tlsConfig ? tlsConfig.files : null,
+            tracing: tracer ? { propagation: tracer.propagation, sampleRate: tracer.sampleRate } : null
         })
     };
 }
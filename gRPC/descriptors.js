@@ -0,0 +1,667 @@
+/**
+ * Protobuf descriptor loading for gRPC discovery
+ *
+ * k6's grpc.Client keeps the services it loads to itself, so discovery reads the
+ * same sources into a registry of its own: .proto files (a small parser covering
+ * messages, enums, oneofs, maps and services), protosets, and the serialized
+ * FileDescriptorProtos returned by server reflection.
+ *
+ * Registry: { files, messages: { '.pkg.Msg': { fields } }, enums: { '.pkg.Enum': [names] },
+ * enumValues: { '.pkg.Enum': { NAME: number } }, services: [{ name, methods: [{ name, fullMethod, inputType, outputType, clientStreaming, serverStreaming }] }] }
+ */
+
+// FieldDescriptorProto.Type numbers
+const FIELD_TYPES = {
+    1: 'double', 2: 'float', 3: 'int64', 4: 'uint64', 5: 'int32', 6: 'fixed64', 7: 'fixed32',
+    8: 'bool', 9: 'string', 10: 'group', 11: 'message', 12: 'bytes', 13: 'uint32', 14: 'enum',
+    15: 'sfixed32', 16: 'sfixed64', 17: 'sint32', 18: 'sint64'
+};
+
+const SCALAR_TYPES = Object.values(FIELD_TYPES).filter(type => !['group', 'message', 'enum'].includes(type));
+const LABEL_REPEATED = 3;
+
+/**
+ * Create an empty descriptor registry
+ */
+export function createRegistry() {
+    return { files: {}, messages: {}, enums: {}, enumValues: {}, services: [] };
+}
+
+/**
+ * Load .proto files (and their imports) into a registry; init context only, as it uses open()
+ * @param {Array<string>} protoPaths - Import paths, as for client.load()
+ * @param {Array<string>} protoFiles - Files to load
+ * @param {Object} [registry] - Registry to add to
+ */
+export function loadProtoFiles(protoPaths, protoFiles, registry = createRegistry()) {
+    const pending = [...protoFiles];
+
+    while (pending.length > 0) {
+        const file = pending.shift();
+        if (registry.files[file]) continue;
+
+        const parsed = parseProto(readProto(protoPaths, file), file);
+        addFile(registry, parsed);
+        parsed.dependencies
+            .filter(dependency => !dependency.startsWith('google/protobuf/'))
+            .forEach(dependency => pending.push(dependency));
+    }
+
+    return resolveTypes(registry);
+}
+
+/**
+ * Load a protoset (binary FileDescriptorSet) into a registry; init context only
+ * @param {string} path - Protoset path
+ * @param {Object} [registry] - Registry to add to
+ */
+export function loadProtoset(path, registry = createRegistry()) {
+    const bytes = new Uint8Array(open(path, 'b'));
+    readMessage(bytes, (field, reader) => {
+        if (field === 1) addFile(registry, decodeFileDescriptor(reader.bytes()));
+        else reader.skip();
+    });
+    return resolveTypes(registry);
+}
+
+/**
+ * Add serialized FileDescriptorProtos (from server reflection) to a registry
+ * @param {Object} registry - Registry to add to
+ * @param {Array<Uint8Array>} files - Serialized FileDescriptorProto messages
+ * @returns {Array<string>} Dependencies not in the registry yet
+ */
+export function addFileDescriptors(registry, files) {
+    const dependencies = [];
+    files.forEach(bytes => {
+        const file = decodeFileDescriptor(bytes);
+        if (registry.files[file.name]) return;
+
+        addFile(registry, file);
+        dependencies.push(...file.dependencies);
+    });
+
+    resolveTypes(registry);
+    return dependencies.filter(dependency => !registry.files[dependency]);
+}
+
+function addFile(registry, file) {
+    registry.files[file.name] = true;
+    Object.assign(registry.messages, file.messages);
+    Object.assign(registry.enums, file.enums);
+    Object.assign(registry.enumValues, file.enumValues);
+    file.services.forEach(service => {
+        if (!registry.services.some(existing => existing.name === service.name)) {
+            registry.services.push(service);
+        }
+    });
+}
+
+function readProto(protoPaths, file) {
+    const candidates = [...protoPaths.map(dir => `${dir.replace(/\/$/, '')}/${file}`), file];
+    for (const candidate of candidates) {
+        try {
+            return open(candidate);
+        } catch (e) {
+            // Try the next import path
+        }
+    }
+    throw new Error(`Proto file ${file} not found in import paths: ${protoPaths.join(', ') || '(none)'}`);
+}
+
+// ---------------------------------------------------------------------------
+// .proto text parser
+// ---------------------------------------------------------------------------
+
+const TOKEN_PATTERN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|([A-Za-z_.][\w.]*)|(-?(?:0x[0-9a-fA-F]+|\d+(?:\.\d*)?(?:[eE][+-]?\d+)?))|([{}()[\]<>;=,:])/y;
+
+/**
+ * Parse a .proto file
+ * @param {string} source - File content
+ * @param {string} name - File name (for errors and the registry)
+ * @returns {Object} { name, package, dependencies, messages, enums, enumValues, services } with
+ *   type references still relative to their scope (see resolveTypes)
+ */
+export function parseProto(source, name = 'input.proto') {
+    const tokens = tokenize(source, name);
+    let pos = 0;
+
+    const file = { name, package: '', dependencies: [], messages: {}, enums: {}, enumValues: {}, services: [] };
+
+    const peek = () => tokens[pos];
+    const next = () => {
+        if (pos >= tokens.length) throw new Error(`Unexpected end of ${name}`);
+        return tokens[pos++];
+    };
+    const expect = (value) => {
+        const token = next();
+        if (token !== value) throw new Error(`Expected "${value}" but found "${token}" in ${name}`);
+    };
+    const unquote = (token) => token.slice(1, -1);
+
+    // Skip a statement or a balanced block (options, reserved, extend, ...)
+    function skipStatement() {
+        let depth = 0;
+        while (pos < tokens.length) {
+            const token = next();
+            if (token === '{' || token === '[' || token === '(') depth++;
+            else if (token === '}' || token === ']' || token === ')') {
+                depth--;
+                if (depth === 0 && token === '}' && peek() !== ';') return;
+            } else if (token === ';' && depth === 0) return;
+        }
+    }
+
+    // Skip field options, returning the json_name option if one is set
+    function parseFieldOptions() {
+        let jsonName = null;
+        if (peek() !== '[') return jsonName;
+        let depth = 0;
+        do {
+            const token = next();
+            if (token === '[' || token === '{' || token === '(') depth++;
+            else if (token === ']' || token === '}' || token === ')') depth--;
+            else if (depth === 1 && token === 'json_name' && peek() === '=') {
+                next();
+                jsonName = unquote(next());
+            }
+        } while (depth > 0);
+        return jsonName;
+    }
+
+    function parseField(scope, message, label, oneof) {
+        let type = next();
+        let map = null;
+
+        if (type === 'map') {
+            expect('<');
+            const keyType = next();
+            expect(',');
+            const valueType = next();
+            expect('>');
+            map = { keyType, valueType };
+            type = 'map';
+        }
+
+        const fieldName = next();
+        expect('=');
+        const number = Number(next());
+        const jsonName = parseFieldOptions();
+        expect(';');
+
+        message.fields.push({
+            name: fieldName,
+            jsonName: jsonName || toJsonName(fieldName),
+            number,
+            type,
+            scope,
+            repeated: label === 'repeated',
+            oneof,
+            map
+        });
+    }
+
+    function parseMessage(scope) {
+        const fullName = `${scope}.${next()}`;
+        const message = { name: fullName, fields: [] };
+        file.messages[fullName] = message;
+        expect('{');
+
+        while (peek() !== '}') {
+            const token = peek();
+            if (token === 'message') {
+                next();
+                parseMessage(fullName);
+            } else if (token === 'enum') {
+                next();
+                parseEnum(fullName);
+            } else if (token === 'oneof') {
+                next();
+                const oneof = next();
+                expect('{');
+                while (peek() !== '}') {
+                    if (peek() === 'option') skipStatement();
+                    else parseField(fullName, message, null, oneof);
+                }
+                expect('}');
+            } else if (['option', 'reserved', 'extensions', 'extend'].includes(token)) {
+                skipStatement();
+            } else if (token === ';') {
+                next();
+            } else {
+                const label = ['repeated', 'optional', 'required'].includes(token) ? next() : null;
+                parseField(fullName, message, label, null);
+            }
+        }
+        expect('}');
+    }
+
+    function parseEnum(scope) {
+        const fullName = `${scope}.${next()}`;
+        const values = [];
+        const numbers = {};
+        expect('{');
+
+        while (peek() !== '}') {
+            const token = next();
+            if (token === 'option' || token === 'reserved') {
+                pos--;
+                skipStatement();
+            } else if (token !== ';') {
+                values.push(token);
+                expect('=');
+                numbers[token] = Number(next());
+                parseFieldOptions();
+                expect(';');
+            }
+        }
+        expect('}');
+        file.enums[fullName] = values;
+        file.enumValues[fullName] = numbers;
+    }
+
+    function parseService(scope) {
+        const serviceName = next();
+        const fullName = `${scope}.${serviceName}`.substring(1);
+        const service = { name: fullName, methods: [] };
+        expect('{');
+
+        while (peek() !== '}') {
+            const token = next();
+            if (token === 'rpc') {
+                const methodName = next();
+                expect('(');
+                const clientStreaming = peek() === 'stream' && Boolean(next());
+                const inputType = next();
+                expect(')');
+                expect('returns');
+                expect('(');
+                const serverStreaming = peek() === 'stream' && Boolean(next());
+                const outputType = next();
+                expect(')');
+
+                if (peek() === '{') skipStatement();
+                else expect(';');
+
+                service.methods.push({
+                    name: methodName,
+                    fullMethod: `${fullName}/${methodName}`,
+                    inputType,
+                    outputType,
+                    scope,
+                    clientStreaming,
+                    serverStreaming
+                });
+            } else if (token === 'option') {
+                pos--;
+                skipStatement();
+            } else if (token !== ';') {
+                throw new Error(`Unexpected "${token}" in service ${fullName} in ${name}`);
+            }
+        }
+        expect('}');
+        file.services.push(service);
+    }
+
+    while (pos < tokens.length) {
+        const token = next();
+        const scope = file.package ? `.${file.package}` : '';
+
+        switch (token) {
+            case 'syntax':
+            case 'edition':
+            case 'option':
+                pos--;
+                skipStatement();
+                break;
+            case 'package':
+                file.package = next();
+                expect(';');
+                break;
+            case 'import': {
+                let dependency = next();
+                if (dependency === 'public' || dependency === 'weak') dependency = next();
+                file.dependencies.push(unquote(dependency));
+                expect(';');
+                break;
+            }
+            case 'message':
+                parseMessage(scope);
+                break;
+            case 'enum':
+                parseEnum(scope);
+                break;
+            case 'service':
+                parseService(scope);
+                break;
+            case 'extend':
+                pos--;
+                skipStatement();
+                break;
+            case ';':
+                break;
+            default:
+                throw new Error(`Unexpected "${token}" in ${name}`);
+        }
+    }
+
+    return file;
+}
+
+function tokenize(source, name) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < source.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(source);
+        if (!match) {
+            const line = source.substring(0, start).split('\n').length;
+            throw new Error(`Invalid proto syntax at line ${line} of ${name}`);
+        }
+
+        const token = match[1] || match[2] || match[3] || match[4];
+        if (token) tokens.push(token);
+    }
+
+    return tokens;
+}
+
+/**
+ * Resolve relative type references left by parseProto into fully qualified
+ * names ('.pkg.Msg'), following protobuf scoping: innermost scope first
+ * @private
+ */
+function resolveTypes(registry) {
+    const resolve = (type, scope) => {
+        if (SCALAR_TYPES.includes(type) || type.startsWith('.')) return type;
+
+        const parts = scope.split('.');
+        for (let i = parts.length; i >= 0; i--) {
+            const candidate = `${parts.slice(0, i).join('.')}.${type}`;
+            if (registry.messages[candidate] || registry.enums[candidate]) return candidate;
+        }
+        // Unknown types (well-known types included) keep a qualified name
+        return `.${type}`;
+    };
+
+    Object.values(registry.messages).forEach(message => {
+        message.fields.forEach(field => {
+            if (field.scope === undefined) return;
+
+            if (field.map) {
+                field.map.valueType = resolve(field.map.valueType, field.scope);
+            } else if (!SCALAR_TYPES.includes(field.type)) {
+                field.typeName = resolve(field.type, field.scope);
+                field.type = registry.enums[field.typeName] ? 'enum' : 'message';
+            }
+            delete field.scope;
+        });
+    });
+
+    registry.services.forEach(service => {
+        service.methods.forEach(method => {
+            if (method.scope === undefined) return;
+
+            method.inputType = resolve(method.inputType, method.scope);
+            method.outputType = resolve(method.outputType, method.scope);
+            delete method.scope;
+        });
+    });
+
+    return registry;
+}
+
+// ---------------------------------------------------------------------------
+// Binary descriptor decoding (descriptor.proto)
+// ---------------------------------------------------------------------------
+
+/**
+ * Decode a serialized FileDescriptorProto
+ * @param {Uint8Array} bytes - Serialized message
+ * @returns {Object} Same shape as parseProto, with fully qualified type names
+ */
+export function decodeFileDescriptor(bytes) {
+    const file = { name: '', package: '', dependencies: [], messages: {}, enums: {}, enumValues: {}, services: [] };
+    const messageTypes = [];
+    const enumTypes = [];
+    const serviceTypes = [];
+
+    readMessage(bytes, (field, reader) => {
+        switch (field) {
+            case 1: file.name = reader.string(); break;
+            case 2: file.package = reader.string(); break;
+            case 3: file.dependencies.push(reader.string()); break;
+            case 4: messageTypes.push(reader.bytes()); break;
+            case 5: enumTypes.push(reader.bytes()); break;
+            case 6: serviceTypes.push(reader.bytes()); break;
+            default: reader.skip();
+        }
+    });
+
+    const scope = file.package ? `.${file.package}` : '';
+    messageTypes.forEach(message => decodeMessageType(message, scope, file));
+    enumTypes.forEach(enumType => decodeEnumType(enumType, scope, file));
+    serviceTypes.forEach(service => file.services.push(decodeService(service, scope)));
+
+    // Map fields point at a synthetic *Entry message; fold it into the field
+    Object.values(file.messages).forEach(message => {
+        message.fields.forEach(field => {
+            const entry = field.typeName && file.messages[field.typeName];
+            if (entry && entry.mapEntry) {
+                const [key, value] = entry.fields;
+                field.map = { keyType: key.type, valueType: value.typeName || value.type };
+                field.type = 'map';
+                field.repeated = false;
+                delete field.typeName;
+            }
+        });
+    });
+
+    return file;
+}
+
+function decodeMessageType(bytes, scope, file) {
+    const fields = [];
+    const nested = [];
+    const enums = [];
+    const oneofs = [];
+    let name = '';
+    let mapEntry = false;
+
+    readMessage(bytes, (field, reader) => {
+        switch (field) {
+            case 1: name = reader.string(); break;
+            case 2: fields.push(reader.bytes()); break;
+            case 3: nested.push(reader.bytes()); break;
+            case 4: enums.push(reader.bytes()); break;
+            case 7:
+                readMessage(reader.bytes(), (option, optionReader) => {
+                    if (option === 7) mapEntry = Boolean(optionReader.varint());
+                    else optionReader.skip();
+                });
+                break;
+            case 8:
+                readMessage(reader.bytes(), (oneofField, oneofReader) => {
+                    if (oneofField === 1) oneofs.push(oneofReader.string());
+                    else oneofReader.skip();
+                });
+                break;
+            default: reader.skip();
+        }
+    });
+
+    const fullName = `${scope}.${name}`;
+    file.messages[fullName] = {
+        name: fullName,
+        mapEntry,
+        fields: fields.map(field => decodeField(field, oneofs))
+    };
+    nested.forEach(message => decodeMessageType(message, fullName, file));
+    enums.forEach(enumType => decodeEnumType(enumType, fullName, file));
+}
+
+function decodeField(bytes, oneofs) {
+    const field = { name: '', jsonName: '', number: 0, type: '', repeated: false, oneof: null, map: null };
+    let proto3Optional = false;
+
+    readMessage(bytes, (number, reader) => {
+        switch (number) {
+            case 1: field.name = reader.string(); break;
+            case 3: field.number = reader.varint(); break;
+            case 4: field.repeated = reader.varint() === LABEL_REPEATED; break;
+            case 5: field.type = FIELD_TYPES[reader.varint()]; break;
+            case 6: field.typeName = reader.string(); break;
+            case 9: field.oneof = oneofs[reader.varint()] ?? null; break;
+            case 10: field.jsonName = reader.string(); break;
+            case 17: proto3Optional = Boolean(reader.varint()); break;
+            default: reader.skip();
+        }
+    });
+
+    // proto3 `optional` fields sit in a synthetic oneof of their own
+    if (proto3Optional) field.oneof = null;
+    if (!field.jsonName) field.jsonName = toJsonName(field.name);
+    return field;
+}
+
+function decodeEnumType(bytes, scope, file) {
+    let name = '';
+    const values = [];
+    const numbers = {};
+
+    readMessage(bytes, (field, reader) => {
+        if (field === 1) {
+            name = reader.string();
+        } else if (field === 2) {
+            let valueName = '';
+            let number = 0;
+            readMessage(reader.bytes(), (valueField, valueReader) => {
+                if (valueField === 1) valueName = valueReader.string();
+                else if (valueField === 2) number = toInt32(valueReader.varint());
+                else valueReader.skip();
+            });
+            values.push(valueName);
+            numbers[valueName] = number;
+        } else {
+            reader.skip();
+        }
+    });
+
+    file.enums[`${scope}.${name}`] = values;
+    file.enumValues[`${scope}.${name}`] = numbers;
+}
+
+function decodeService(bytes, scope) {
+    const service = { name: '', methods: [] };
+    const methods = [];
+
+    readMessage(bytes, (field, reader) => {
+        if (field === 1) service.name = `${scope}.${reader.string()}`.substring(1);
+        else if (field === 2) methods.push(reader.bytes());
+        else reader.skip();
+    });
+
+    service.methods = methods.map(methodBytes => {
+        const method = { name: '', inputType: '', outputType: '', clientStreaming: false, serverStreaming: false };
+        readMessage(methodBytes, (field, reader) => {
+            switch (field) {
+                case 1: method.name = reader.string(); break;
+                case 2: method.inputType = reader.string(); break;
+                case 3: method.outputType = reader.string(); break;
+                case 5: method.clientStreaming = Boolean(reader.varint()); break;
+                case 6: method.serverStreaming = Boolean(reader.varint()); break;
+                default: reader.skip();
+            }
+        });
+        method.fullMethod = `${service.name}/${method.name}`;
+        return method;
+    });
+
+    return service;
+}
+
+/**
+ * Walk the fields of a serialized protobuf message
+ * @private
+ * @param {Uint8Array} bytes - Serialized message
+ * @param {Function} onField - (fieldNumber, reader) - must consume the value
+ *   with reader.varint(), string(), bytes() or skip()
+ */
+function readMessage(bytes, onField) {
+    let pos = 0;
+    let wireType = 0;
+
+    const varint = () => {
+        let result = 0;
+        let multiplier = 1;
+        let byte;
+        do {
+            if (pos >= bytes.length) throw new Error('Truncated protobuf message');
+            byte = bytes[pos++];
+            result += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return result;
+    };
+
+    const reader = {
+        varint,
+        bytes: () => {
+            const length = varint();
+            const value = bytes.subarray(pos, pos + length);
+            pos += length;
+            return value;
+        },
+        string: () => decodeUtf8(reader.bytes()),
+        skip: () => {
+            switch (wireType) {
+                case 0: varint(); break;
+                case 1: pos += 8; break;
+                case 2: {
+                    const length = varint();
+                    pos += length;
+                    break;
+                }
+                case 5: pos += 4; break;
+                default: throw new Error(`Unsupported protobuf wire type ${wireType}`);
+            }
+        }
+    };
+
+    while (pos < bytes.length) {
+        const key = varint();
+        wireType = key % 8;
+        onField(Math.floor(key / 8), reader);
+    }
+}
+
+function decodeUtf8(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const byte = bytes[i];
+        let codePoint;
+        if (byte < 0x80) {
+            codePoint = byte;
+        } else if (byte < 0xe0) {
+            codePoint = ((byte & 0x1f) << 6) | (bytes[++i] & 0x3f);
+        } else if (byte < 0xf0) {
+            codePoint = ((byte & 0x0f) << 12) | ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+        } else {
+            codePoint = ((byte & 0x07) << 18) | ((bytes[++i] & 0x3f) << 12) |
+                ((bytes[++i] & 0x3f) << 6) | (bytes[++i] & 0x3f);
+        }
+        result += String.fromCodePoint(codePoint);
+    }
+    return result;
+}
+
+// Negative int32 values are 10-byte varints beyond double precision; only
+// their sign matters here (see gRPC/payload.js)
+function toInt32(value) {
+    return value > 0x7fffffff ? -1 : value;
+}
+
+// protoc's default json_name: snake_case to lowerCamelCase
+function toJsonName(name) {
+    return name.replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
@@ -0,0 +1,252 @@
+/**
+ * Tests for protobuf descriptor loading (parseProto, loadProtoFiles, loadProtoset,
+ * decodeFileDescriptor, addFileDescriptors).
+ */
+
+import {
+    parseProto,
+    loadProtoFiles,
+    loadProtoset,
+    decodeFileDescriptor,
+    addFileDescriptors,
+    createRegistry
+} from './descriptors.js';
+
+// Minimal protobuf writer for building descriptors: fields are [number, value] pairs,
+// numbers are varints; strings, bytes and nested field lists are length-delimited
+function encode(fields) {
+    const bytes = [];
+    const varint = (value) => {
+        let rest = value;
+        while (rest >= 0x80) {
+            bytes.push((rest % 0x80) | 0x80);
+            rest = Math.floor(rest / 0x80);
+        }
+        bytes.push(rest);
+    };
+
+    fields.forEach(([number, value]) => {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            varint(number * 8);
+            varint(Number(value));
+            return;
+        }
+        const payload = Array.from(typeof value === 'string' ? Buffer.from(value, 'utf8')
+            : value instanceof Uint8Array ? value : encode(value));
+        varint(number * 8 + 2);
+        varint(payload.length);
+        bytes.push(...payload);
+    });
+
+    return Uint8Array.from(bytes);
+}
+
+// FieldDescriptorProto: name, number, label (3 = repeated), type, type_name, oneof_index, json_name
+const field = (name, number, type, extra = []) => [2, [[1, name], [3, number], [4, 1], [5, type], ...extra]];
+
+const ordersFile = encode([
+    [1, 'shop/orders.proto'],
+    [2, 'shop.v1'],
+    [3, 'shop/common.proto'],
+    [4, [
+        [1, 'Order'],
+        field('order_id', 1, 9),
+        field('line_items', 2, 11, [[4, 3], [6, '.shop.v1.Order.Item']]),
+        field('status', 3, 14, [[6, '.shop.v1.Status']]),
+        field('labels', 4, 11, [[4, 3], [6, '.shop.v1.Order.LabelsEntry']]),
+        field('card', 5, 9, [[9, 0]]),
+        field('voucher', 6, 9, [[9, 0], [10, 'voucherCode']]),
+        field('note', 7, 9, [[9, 1], [17, 1]]),
+        [3, [[1, 'Item'], field('sku', 1, 9), field('unit_price', 2, 1)]],
+        [3, [[1, 'LabelsEntry'], field('key', 1, 9), field('value', 2, 5), [7, [[7, 1]]]]],
+        [8, [[1, 'payment']]],
+        [8, [[1, '_note']]]
+    ]],
+    [5, [[1, 'Status'], [2, [[1, 'PENDING'], [2, 0]]], [2, [[1, 'CANCELLED'], [2, 0xffffffff]]]]],
+    [6, [
+        [1, 'Orders'],
+        [2, [[1, 'GetOrder'], [2, '.shop.v1.GetOrderRequest'], [3, '.shop.v1.Order']]],
+        [2, [[1, 'Watch'], [2, '.shop.v1.GetOrderRequest'], [3, '.shop.v1.Order'], [6, 1]]]
+    ]]
+]);
+
+describe('parseProto', () => {
+    const source = `
+        syntax = "proto3";
+        package shop.v1;
+
+        import "google/protobuf/timestamp.proto";
+        import public "shop/common.proto";
+        option go_package = "example.com/shop";
+
+        // An order
+        message Order {
+            string order_id = 1;
+            repeated Item line_items = 2 [packed = true];
+            Status status = 3;
+            map<string, int32> labels = 4;
+            oneof payment {
+                option (validate.required) = true;
+                string card = 5;
+                string voucher = 6 [json_name = "voucherCode", (custom.opt) = { json_name: "ignored" }];
+            }
+            google.protobuf.Timestamp created_at = 7 [deprecated = true];
+            reserved 8, 9;
+
+            message Item {
+                string sku = 1;
+                double unit_price = 2;
+            }
+        }
+
+        enum Status {
+            option allow_alias = true;
+            PENDING = 0;
+            SHIPPED = 1 [(custom.label) = "out"];
+        }
+
+        service Orders {
+            rpc GetOrder (GetOrderRequest) returns (Order);
+            rpc Watch (GetOrderRequest) returns (stream Order) {
+                option deprecated = true;
+            }
+        }
+    `;
+
+    it('parses messages, nested types, maps and oneofs', () => {
+        const file = parseProto(source, 'shop/orders.proto');
+
+        expect(file).toMatchObject({ name: 'shop/orders.proto', package: 'shop.v1' });
+        expect(file.dependencies).toEqual(['google/protobuf/timestamp.proto', 'shop/common.proto']);
+        expect(Object.keys(file.messages)).toEqual(['.shop.v1.Order', '.shop.v1.Order.Item']);
+        expect(file.messages['.shop.v1.Order'].fields.map(({ name, jsonName, number, type, repeated, oneof }) =>
+            [name, jsonName, number, type, repeated, oneof])).toEqual([
+            ['order_id', 'orderId', 1, 'string', false, null],
+            ['line_items', 'lineItems', 2, 'Item', true, null],
+            ['status', 'status', 3, 'Status', false, null],
+            ['labels', 'labels', 4, 'map', false, null],
+            ['card', 'card', 5, 'string', false, 'payment'],
+            ['voucher', 'voucherCode', 6, 'string', false, 'payment'],
+            ['created_at', 'createdAt', 7, 'google.protobuf.Timestamp', false, null]
+        ]);
+        expect(file.messages['.shop.v1.Order'].fields[3].map).toEqual({ keyType: 'string', valueType: 'int32' });
+    });
+
+    it('parses enums and services', () => {
+        const file = parseProto(source, 'shop/orders.proto');
+
+        expect(file.enums['.shop.v1.Status']).toEqual(['PENDING', 'SHIPPED']);
+        expect(file.enumValues['.shop.v1.Status']).toEqual({ PENDING: 0, SHIPPED: 1 });
+        expect(file.services).toEqual([{
+            name: 'shop.v1.Orders',
+            methods: [
+                expect.objectContaining({ name: 'GetOrder', fullMethod: 'shop.v1.Orders/GetOrder', serverStreaming: false }),
+                expect.objectContaining({ name: 'Watch', inputType: 'GetOrderRequest', outputType: 'Order', serverStreaming: true })
+            ]
+        }]);
+    });
+
+    it('reports syntax errors with the file name', () => {
+        expect(() => parseProto('message A { string a = 1 }', 'bad.proto')).toThrow('Expected ";" but found "}" in bad.proto');
+        expect(() => parseProto('message A { string a = 1; ', 'bad.proto')).toThrow('Unexpected end of bad.proto');
+        expect(() => parseProto('message A { string a = 1; } $', 'bad.proto')).toThrow('Invalid proto syntax at line 1 of bad.proto');
+    });
+});
+
+describe('loadProtoFiles', () => {
+    afterEach(() => {
+        delete global.open;
+    });
+
+    it('follows imports through the import paths and resolves types by scope', () => {
+        const files = {
+            'protos/shop/orders.proto': 'package shop.v1; import "shop/common.proto"; import "google/protobuf/empty.proto";'
+                + ' message Order { Money total = 1; Item item = 2; message Item { Money price = 1; } }'
+                + ' service Orders { rpc Get (google.protobuf.Empty) returns (Order); }',
+            'protos/shop/common.proto': 'package shop.v1; message Money { int64 units = 1; Currency currency = 2; } enum Currency { EUR = 0; }'
+        };
+        global.open = jest.fn((path) => {
+            if (files[path] === undefined) throw new Error(`not found: ${path}`);
+            return files[path];
+        });
+
+        const registry = loadProtoFiles(['protos/'], ['shop/orders.proto']);
+
+        expect(Object.keys(registry.files)).toEqual(['shop/orders.proto', 'shop/common.proto']);
+        expect(registry.messages['.shop.v1.Order'].fields.map(({ type, typeName }) => [type, typeName])).toEqual([
+            ['message', '.shop.v1.Money'],
+            ['message', '.shop.v1.Order.Item']
+        ]);
+        expect(registry.messages['.shop.v1.Money'].fields[1]).toMatchObject({ type: 'enum', typeName: '.shop.v1.Currency' });
+        expect(registry.services[0].methods[0]).toMatchObject({ inputType: '.google.protobuf.Empty', outputType: '.shop.v1.Order' });
+    });
+
+    it('names the import paths when a file is missing', () => {
+        global.open = () => { throw new Error('not found'); };
+        expect(() => loadProtoFiles(['protos'], ['missing.proto']))
+            .toThrow('Proto file missing.proto not found in import paths: protos');
+    });
+});
+
+describe('decodeFileDescriptor', () => {
+    it('decodes messages, fields, enums and services', () => {
+        const file = decodeFileDescriptor(ordersFile);
+
+        expect(file).toMatchObject({ name: 'shop/orders.proto', package: 'shop.v1', dependencies: ['shop/common.proto'] });
+        expect(file.messages['.shop.v1.Order.Item'].fields.map(({ name, jsonName, type }) => [name, jsonName, type])).toEqual([
+            ['sku', 'sku', 'string'],
+            ['unit_price', 'unitPrice', 'double']
+        ]);
+        expect(file.enumValues['.shop.v1.Status']).toEqual({ PENDING: 0, CANCELLED: -1 });
+        expect(file.services).toEqual([{
+            name: 'shop.v1.Orders',
+            methods: [
+                { name: 'GetOrder', fullMethod: 'shop.v1.Orders/GetOrder', inputType: '.shop.v1.GetOrderRequest', outputType: '.shop.v1.Order', clientStreaming: false, serverStreaming: false },
+                { name: 'Watch', fullMethod: 'shop.v1.Orders/Watch', inputType: '.shop.v1.GetOrderRequest', outputType: '.shop.v1.Order', clientStreaming: false, serverStreaming: true }
+            ]
+        }]);
+    });
+
+    it('folds map entries, keeps oneofs and honors json_name', () => {
+        const fields = decodeFileDescriptor(ordersFile).messages['.shop.v1.Order'].fields;
+        const byName = Object.fromEntries(fields.map(item => [item.name, item]));
+
+        expect(byName.line_items).toMatchObject({ jsonName: 'lineItems', type: 'message', typeName: '.shop.v1.Order.Item', repeated: true });
+        expect(byName.status).toMatchObject({ type: 'enum', typeName: '.shop.v1.Status' });
+        expect(byName.labels).toMatchObject({ type: 'map', repeated: false, map: { keyType: 'string', valueType: 'int32' } });
+        expect(byName.card.oneof).toBe('payment');
+        expect(byName.voucher).toMatchObject({ jsonName: 'voucherCode', oneof: 'payment' });
+        // proto3 optional fields are not part of a real oneof
+        expect(byName.note.oneof).toBeNull();
+    });
+
+    it('rejects truncated input', () => {
+        expect(() => decodeFileDescriptor(ordersFile.subarray(0, 20))).toThrow('Truncated protobuf message');
+    });
+});
+
+describe('loadProtoset and addFileDescriptors', () => {
+    afterEach(() => {
+        delete global.open;
+    });
+
+    it('loads every file of a descriptor set', () => {
+        const common = encode([[1, 'shop/common.proto'], [2, 'shop.v1'], [4, [[1, 'GetOrderRequest'], field('order_id', 1, 9)]]]);
+        const set = encode([[1, common], [1, ordersFile]]);
+        global.open = jest.fn(() => set.buffer);
+
+        const registry = loadProtoset('shop.protoset');
+
+        expect(global.open).toHaveBeenCalledWith('shop.protoset', 'b');
+        expect(Object.keys(registry.files)).toEqual(['shop/common.proto', 'shop/orders.proto']);
+        expect(registry.messages['.shop.v1.GetOrderRequest'].fields[0].jsonName).toBe('orderId');
+    });
+
+    it('adds reflection descriptors once and returns missing dependencies', () => {
+        const registry = createRegistry();
+
+        expect(addFileDescriptors(registry, [ordersFile])).toEqual(['shop/common.proto']);
+        expect(addFileDescriptors(registry, [ordersFile])).toEqual([]);
+        expect(registry.services).toHaveLength(1);
+    });
+});
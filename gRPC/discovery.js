@@ -0,0 +1,226 @@
+import encoding from 'k6/encoding';
+import { createRegistry, loadProtoFiles, loadProtoset, addFileDescriptors } from './descriptors.js';
+
+const REFLECTION_METHOD = 'grpc.reflection.v1alpha.ServerReflection/ServerReflectionInfo';
+const IGNORED_SERVICES = /^grpc\.(reflection|health)\./;
+
+// JSON placeholders for well-known types, which protojson maps to scalars
+const WELL_KNOWN_TYPES = {
+    '.google.protobuf.Timestamp': () => new Date(0).toISOString(),
+    '.google.protobuf.Duration': () => '1s',
+    '.google.protobuf.FieldMask': () => '',
+    '.google.protobuf.Struct': () => ({}),
+    '.google.protobuf.Value': () => null,
+    '.google.protobuf.ListValue': () => [],
+    '.google.protobuf.Empty': () => ({}),
+    '.google.protobuf.Any': () => ({}),
+    '.google.protobuf.StringValue': () => '',
+    '.google.protobuf.BytesValue': () => '',
+    '.google.protobuf.BoolValue': () => false,
+    '.google.protobuf.DoubleValue': () => 0,
+    '.google.protobuf.FloatValue': () => 0,
+    '.google.protobuf.Int32Value': () => 0,
+    '.google.protobuf.UInt32Value': () => 0,
+    '.google.protobuf.Int64Value': () => '0',
+    '.google.protobuf.UInt64Value': () => '0'
+};
+
+const SCALAR_PLACEHOLDERS = {
+    string: '', bytes: '', bool: false,
+    double: 0, float: 0, int32: 0, uint32: 0, sint32: 0, fixed32: 0, sfixed32: 0,
+    // protojson writes 64-bit integers as strings
+    int64: '0', uint64: '0', sint64: '0', fixed64: '0', sfixed64: '0'
+};
+
+/**
+ * Load descriptors from the same options createGrpcClient takes; init context only
+ * @param {Object} options - { protoPaths, protoFiles } or { protosetPath }
+ * @returns {Object} Descriptor registry (see gRPC/descriptors.js)
+ */
+export function loadGrpcDescriptors(options = {}) {
+    const { protoPaths = [], protoFiles = [], protosetPath = null } = options;
+
+    if (protosetPath) return loadProtoset(protosetPath);
+    if (protoFiles.length > 0) return loadProtoFiles(protoPaths, protoFiles);
+    throw new Error('Proto files or a protoset must be specified to load gRPC descriptors');
+}
+
+/**
+ * Read a server's services and message types through server reflection
+ *
+ * Needs a client created with `reflect: true` against a server whose reflection
+ * service is listed, as grpc-go and most servers do. Runs as a stream, so call it
+ * from setup() or a VU and await the result.
+ * @param {Object} grpcClient - createGrpcClient instance
+ * @param {Object} [params] - Stream params (metadata, tags, timeout)
+ * @returns {Promise<Object>} Descriptor registry
+ */
+export function reflectGrpcDescriptors(grpcClient, params = {}) {
+    const registry = createRegistry();
+    const requested = {};
+    let pending = 0;
+
+    const stream = grpcClient.bidiStream(REFLECTION_METHOD, {
+        ...params,
+        tags: { ...params.tags, discovery: 'reflection' }
+    });
+
+    const request = (message) => {
+        pending++;
+        stream.write(message);
+    };
+
+    stream.on('data', (response) => {
+        if (response.listServicesResponse) {
+            response.listServicesResponse.service
+                .map(service => service.name)
+                .filter(name => !IGNORED_SERVICES.test(name))
+                .forEach(name => request({ fileContainingSymbol: name }));
+        } else if (response.fileDescriptorResponse) {
+            const files = response.fileDescriptorResponse.fileDescriptorProto
+                .map(file => new Uint8Array(encoding.b64decode(file, 'std')));
+
+            // Fetch imports the server did not send along
+            addFileDescriptors(registry, files)
+                .filter(dependency => !requested[dependency])
+                .forEach(dependency => {
+                    requested[dependency] = true;
+                    request({ fileByFilename: dependency });
+                });
+        }
+
+        pending--;
+        if (pending === 0) stream.end();
+    });
+
+    request({ listServices: '' });
+
+    return stream.done.then(result => {
+        if (result.status !== 0) {
+            throw new Error(`gRPC reflection failed (status ${result.status}): ${result.error}`);
+        }
+        return registry;
+    });
+}
+
+/**
+ * List the methods in a registry
+ * @param {Object} registry - Descriptor registry
+ * @returns {Array<Object>} [{ service, method, fullMethod, type, inputType, outputType }] -
+ *   type is unary, server, client or bidi
+ */
+export function listGrpcMethods(registry) {
+    return registry.services.flatMap(service => service.methods.map(method => ({
+        service: service.name,
+        method: method.name,
+        fullMethod: method.fullMethod,
+        type: streamingType(method),
+        inputType: method.inputType,
+        outputType: method.outputType
+    })));
+}
+
+/**
+ * Build a skeleton JSON message for a type: every field with a placeholder value,
+ * the first field of each oneof, one element per repeated field and map
+ * @param {Object} registry - Descriptor registry
+ * @param {string} typeName - Fully qualified type ('.pkg.Msg' or 'pkg.Msg')
+ * @returns {Object} Skeleton message
+ */
+export function createSkeletonMessage(registry, typeName) {
+    const name = typeName.startsWith('.') ? typeName : `.${typeName}`;
+    return skeletonValue(registry, 'message', name, []);
+}
+
+function skeletonValue(registry, type, typeName, ancestors) {
+    if (type === 'enum') {
+        const values = registry.enums[typeName];
+        return values && values.length > 0 ? values[0] : 0;
+    }
+    if (type !== 'message') return SCALAR_PLACEHOLDERS[type] ?? null;
+
+    if (WELL_KNOWN_TYPES[typeName]) return WELL_KNOWN_TYPES[typeName]();
+
+    // Stop recursive types at their first repetition
+    const message = registry.messages[typeName];
+    if (!message || ancestors.includes(typeName)) return {};
+
+    const path = [...ancestors, typeName];
+    const seenOneofs = {};
+    const skeleton = {};
+
+    message.fields.forEach(field => {
+        if (field.oneof) {
+            if (seenOneofs[field.oneof]) return;
+            seenOneofs[field.oneof] = true;
+        }
+
+        if (field.map) {
+            const valueType = fieldType(registry, field.map.valueType);
+            const key = field.map.keyType === 'string' ? 'key' : (field.map.keyType === 'bool' ? 'true' : '0');
+            skeleton[field.jsonName] = { [key]: skeletonValue(registry, valueType, field.map.valueType, path) };
+            return;
+        }
+
+        const value = skeletonValue(registry, field.type, field.typeName, path);
+        skeleton[field.jsonName] = field.repeated ? [value] : value;
+    });
+
+    return skeleton;
+}
+
+function fieldType(registry, typeName) {
+    if (!typeName.startsWith('.')) return typeName;
+    return registry.enums[typeName] ? 'enum' : 'message';
+}
+
+/**
+ * Create an endpoints map for the test templates from a registry
+ *
+ * Each unary method becomes `{ method: 'GRPC', path: 'pkg.Service/Method', body: skeleton }`,
+ * which a createGrpcClient instance runs through its template-compatible request().
+ * Streaming methods are left out; listGrpcMethods() includes them.
+ * @param {Object} registry - Descriptor registry
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.services] - Only these services (full or short names)
+ * @param {Array<string>} [options.methods] - Only these methods ('Method' or 'pkg.Service/Method')
+ * @param {Array<string>} [options.exclude] - Skip these methods
+ * @param {Object} [options.bodies] - Request messages by endpoint name, replacing the skeleton
+ * @param {number} [options.weight=1] - Endpoint weight
+ * @returns {Object} Endpoints keyed by Service_Method
+ */
+export function createGrpcEndpoints(registry, options = {}) {
+    const { services = null, methods = null, exclude = [], bodies = {}, weight = 1 } = options;
+    const endpoints = {};
+
+    const matchesMethod = (list, method) => list.includes(method.method) || list.includes(method.fullMethod);
+    const shortName = (service) => service.split('.').pop();
+
+    listGrpcMethods(registry)
+        .filter(method => method.type === 'unary')
+        .filter(method => !services || services.includes(method.service) || services.includes(shortName(method.service)))
+        .filter(method => !methods || matchesMethod(methods, method))
+        .filter(method => !matchesMethod(exclude, method))
+        .forEach(method => {
+            const name = `${shortName(method.service)}_${method.method}`;
+            endpoints[name] = {
+                method: 'GRPC',
+                path: method.fullMethod,
+                body: bodies[name] ?? createSkeletonMessage(registry, method.inputType),
+                validate: {
+                    [`${name} status is OK`]: (r) => r.status === 0
+                },
+                tags: { operation: name },
+                weight
+            };
+        });
+
+    return endpoints;
+}
+
+function streamingType(method) {
+    if (method.clientStreaming && method.serverStreaming) return 'bidi';
+    if (method.clientStreaming) return 'client';
+    if (method.serverStreaming) return 'server';
+    return 'unary';
+}
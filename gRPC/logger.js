@@ -2,114 +2,100 @@
  * gRPC request/response logging for k6 performance testing SDK
  */
 
-import { getEnvVar } from '../config/env.js';
+import { createLogger, setLogLevel as setModuleLogLevel, logLevels as LOG_LEVELS } from '../utils/logger.js';
 
-const LOG_LEVELS = {
-    NONE: 0, ERROR: 1, WARN: 2, INFO: 3, DEBUG: 4, TRACE: 5
-};
-
-const TRUNCATE_LENGTH = 1000;
-
-// Initialize log level
-const logLevelName = getEnvVar('LOG_LEVEL', 'INFO').toUpperCase();
-let currentLogLevel = LOG_LEVELS[logLevelName] ?? LOG_LEVELS.INFO;
-
-function formatMessage(message) {
-    if (!message) return null;
-    
-    const str = typeof message === 'string' ? message : JSON.stringify(message, null, 2);
-    return str.length > TRUNCATE_LENGTH ? str.substring(0, TRUNCATE_LENGTH) + '...' : str;
-}
+// Level from LOG_LEVEL_GRPC or LOG_LEVEL, format from LOG_FORMAT (see utils/logger.js)
+const logger = createLogger('grpc');
 
 /**
- * Log gRPC request details
+ * Log gRPC request details; context.method (the full method) selects endpoint log levels
  */
-export function logRequest(method, target, metadata, message) {
-    if (currentLogLevel < LOG_LEVELS.DEBUG) return;
+export function logRequest(method, target, metadata, message, context = {}) {
+    if (!logger.enabled('DEBUG', context)) return;
     
-    console.log(`➡️ ${method} ${target}`);
+    const verbose = logger.enabled('TRACE', context);
+    const hasMetadata = metadata && Object.keys(metadata).length > 0;
+    const hasMessage = message && Object.keys(message).length > 0;
     
-    if (currentLogLevel >= LOG_LEVELS.TRACE) {
-        if (metadata && Object.keys(metadata).length > 0) {
-            console.log('Request Metadata:', JSON.stringify(metadata, null, 2));
-        }
-        
-        if (message && Object.keys(message).length > 0) {
-            const formatted = formatMessage(message);
-            if (formatted) console.log('Request Message:', formatted);
-        }
-    }
+    logger.log('DEBUG', '➡️', `${method} ${target}`, { event: 'request', method, url: target, ...context }, verbose ? [
+        ['Request Metadata', 'metadata', hasMetadata ? metadata : null],
+        ['Request Message', 'message', hasMessage ? message : null]
+    ] : []);
 }
 
 /**
- * Log gRPC response details
+ * Log gRPC response details; statuses in expectedStatusCodes are not logged as errors.
+ * Failed calls are logged at the failure level when that is higher.
  */
-export function logResponse(response) {
-    const { status = 0, error, method = 'unknown', timings } = response;
-    const isError = status !== 0 || error;
+export function logResponse(response, expectedStatusCodes = [], context = {}) {
+    const { status = 0, error, timings } = response;
+    const method = context.method || response.method || 'unknown';
+    const isError = !expectedStatusCodes.includes(status) && (status !== 0 || error);
     const duration = timings?.duration ? ` (${timings.duration.toFixed(2)}ms)` : '';
     const symbol = isError ? '❌' : '✅';
+    const fields = {
+        event: 'response',
+        status,
+        duration: timings?.duration,
+        ...context,
+        method
+    };
     
     if (isError) {
-        console.error(`${symbol} gRPC status=${status} ${method}${duration}`);
-        
-        if (currentLogLevel >= LOG_LEVELS.ERROR) {
-            if (error) console.error('gRPC Error:', error);
-            
-            const formatted = formatMessage(response.message);
-            if (formatted) console.error('Response Message:', formatted);
-        }
+        logger.log('ERROR', symbol, `gRPC status=${status} ${method}${duration}`, fields, [
+            ...(logger.enabled('ERROR', fields, true) ? [
+                ['gRPC Error', 'error', error],
+                ['Response Message', 'message', response.message]
+            ] : []),
+            ...(logger.enabled('TRACE', fields, true) ? [
+                ['Response Headers', 'headers', response.headers],
+                ['Response Trailers', 'trailers', response.trailers]
+            ] : [])
+        ]);
         return;
     }
     
-    if (currentLogLevel >= LOG_LEVELS.DEBUG) {
-        console.log(`${symbol} gRPC status=${status} ${method}${duration}`);
-        
-        if (currentLogLevel >= LOG_LEVELS.TRACE) {
-            if (response.headers) {
-                console.log('Response Headers:', JSON.stringify(response.headers, null, 2));
-            }
-            
-            const formatted = formatMessage(response.message);
-            if (formatted) console.log('Response Message:', formatted);
-            
-            if (response.trailers) {
-                console.log('Response Trailers:', JSON.stringify(response.trailers, null, 2));
-            }
-            
-            if (response.metadata) {
-                console.log('Response Metadata:', JSON.stringify(response.metadata, null, 2));
-            }
-        }
+    if (logger.enabled('DEBUG', fields)) {
+        logger.log('DEBUG', symbol, `gRPC status=${status} ${method}${duration}`, fields, logger.enabled('TRACE', fields) ? [
+            ['Response Headers', 'headers', response.headers],
+            ['Response Message', 'message', response.message],
+            ['Response Trailers', 'trailers', response.trailers],
+            ['Response Metadata', 'metadata', response.metadata]
+        ] : []);
     }
 }
 
 /**
- * Set the current log level
+ * Log a sampled call that was slow or failed, with the trace ID to look it up by
  */
-export function setLogLevel(level) {
-    if (typeof level === 'string') {
-        const levelName = level.toUpperCase();
-        if (LOG_LEVELS[levelName] !== undefined) {
-            currentLogLevel = LOG_LEVELS[levelName];
-        }
-    } else if (typeof level === 'number') {
-        currentLogLevel = level;
+export function logTraceOutlier(method, outlier) {
+    if (logger.enabled('WARN', { method })) {
+        logger.log('WARN', '🔎', `${outlier.reason === 'slow' ? 'Slow' : 'Failed'} gRPC ${method} ` +
+            `(${outlier.duration.toFixed(2)}ms) trace_id=${outlier.traceId}`, {
+            event: 'trace_outlier', method, duration: outlier.duration, reason: outlier.reason, trace_id: outlier.traceId
+        });
     }
 }
 
+/**
+ * Set the log level of gRPC logging
+ */
+export function setLogLevel(level) {
+    setModuleLogLevel(level, 'grpc');
+}
+
 /**
  * Get the current log level
  */
 export function getCurrentLogLevel() {
-    return currentLogLevel;
+    return logger.level();
 }
 
 /**
  * Check if logging is enabled for a specific level
  */
 export function shouldLog(level) {
-    return currentLogLevel >= level;
+    return logger.level() >= level;
 }
 
-export const logLevels = LOG_LEVELS;
\ No newline at end of file
+export const logLevels = LOG_LEVELS;
@@ -1,4 +1,4 @@
-import { Trend, Rate, Counter } from 'k6/metrics';
+import { defineMetric, defineEndpointMetrics, endpointMetrics, declareEndpoints } from '../utils/metrics.js';
 
 // Constants
 const GRPC_STATUS_CODES = {
@@ -10,36 +10,74 @@ const GRPC_STATUS_CODES = {
 
 const DEFAULT_SERVICE_METHOD = 'unknown';
 
+const OWNER = { owner: 'grpc' };
+const TIME = { owner: 'grpc', isTime: true };
+
 // Core gRPC metrics
 const coreMetrics = {
-    grpcReqDuration: new Trend('grpc_req_duration', true),
-    grpcReqFailed: new Rate('grpc_req_failed', true),
-    grpcReqBlocked: new Trend('grpc_req_blocked', true),
-    grpcReqConnecting: new Trend('grpc_req_connecting', true),
-    grpcReqTLSHandshaking: new Trend('grpc_req_tls_handshaking', true),
-    grpcReqSending: new Trend('grpc_req_sending', true),
-    grpcReqWaiting: new Trend('grpc_req_waiting', true),
-    grpcReqReceiving: new Trend('grpc_req_receiving', true),
+    grpcReqDuration: defineMetric('grpc_req_duration', 'trend', TIME),
+    grpcReqFailed: defineMetric('grpc_req_failed', 'rate', OWNER),
+    grpcReqBlocked: defineMetric('grpc_req_blocked', 'trend', TIME),
+    grpcReqConnecting: defineMetric('grpc_req_connecting', 'trend', TIME),
+    grpcReqTLSHandshaking: defineMetric('grpc_req_tls_handshaking', 'trend', TIME),
+    grpcReqSending: defineMetric('grpc_req_sending', 'trend', TIME),
+    grpcReqWaiting: defineMetric('grpc_req_waiting', 'trend', TIME),
+    grpcReqReceiving: defineMetric('grpc_req_receiving', 'trend', TIME),
+    grpcRetries: defineMetric('grpc_retries', 'counter', OWNER),
+};
+
+// Stream metrics (client, server and bidirectional streams)
+const streamMetrics = {
+    grpcStreamDuration: defineMetric('grpc_stream_duration', 'trend', TIME),
+    grpcStreamMsgLatency: defineMetric('grpc_stream_msg_latency', 'trend', TIME),
+    grpcStreamMsgsSent: defineMetric('grpc_stream_msgs_sent', 'counter', OWNER),
+    grpcStreamMsgsReceived: defineMetric('grpc_stream_msgs_received', 'counter', OWNER)
+};
+
+// Payload metrics: serialized message sizes in bytes (see gRPC/payload.js)
+const payloadMetrics = {
+    grpcReqMessageSize: defineMetric('grpc_req_message_size', 'trend', OWNER),
+    grpcResMessageSize: defineMetric('grpc_res_message_size', 'trend', OWNER),
+    grpcDataSent: defineMetric('grpc_data_sent', 'counter', OWNER),
+    grpcDataReceived: defineMetric('grpc_data_received', 'counter', OWNER)
 };
 
 // gRPC status code counters
 const statusMetrics = {};
 Object.values(GRPC_STATUS_CODES).forEach(statusCode => {
-    statusMetrics[`grpcStatus${statusCode}`] = new Counter(`grpc_status_${statusCode}`);
+    statusMetrics[`grpcStatus${statusCode}`] = defineMetric(`grpc_status_${statusCode}`, 'counter', OWNER);
 });
 
-// Endpoint metrics (populated dynamically)
-const endpointMetrics = {};
+// Endpoint metrics (populated dynamically, capped by the registry)
+const endpointMetricSets = defineEndpointMetrics('grpc', {
+    duration: { type: 'trend', isTime: true },
+    success_rate: { type: 'rate' },
+    error_rate: { type: 'rate' },
+    requests: { type: 'counter' },
+    messages_sent: { type: 'counter' },
+    messages_received: { type: 'counter' },
+    request_size: { type: 'trend' },
+    response_size: { type: 'trend' },
+    data_sent: { type: 'counter' },
+    data_received: { type: 'counter' }
+});
 
 /**
  * Track metrics for a gRPC response
- * @param {Object} response - k6 gRPC response
+ * @param {Object} response - k6 gRPC response, or an ended stream's result with
+ *   `stream: { sent, received, latencies }` (see gRPC/stream.js)
  * @param {Object} tags - Tags to apply to metrics
+ * @param {Object} [options] - Options
+ * @param {Array<number>} [options.expectedStatusCodes] - Codes that count as success
+ *   besides OK, e.g. NOT_FOUND in a lookup test
+ * @param {Object} [options.sizes] - { sent: [bytes], received: [bytes] } - serialized
+ *   size of each message, when the client has the message descriptors
  */
-export function trackMetrics(response, tags = {}) {
+export function trackMetrics(response, tags = {}, options = {}) {
     const { status = 0, timings = {} } = response;
+    const { expectedStatusCodes = [], sizes = null } = options;
     const duration = timings.duration || 0;
-    const isSuccess = status === GRPC_STATUS_CODES.OK;
+    const isSuccess = status === GRPC_STATUS_CODES.OK || expectedStatusCodes.includes(status);
     
     const enrichedTags = {
         service: tags.service || DEFAULT_SERVICE_METHOD,
@@ -49,9 +87,19 @@ export function trackMetrics(response, tags = {}) {
         ...tags
     };
     
-    coreMetrics.grpcReqDuration.add(duration, enrichedTags);
+    // A stream's duration is how long it stayed open, not a request latency
+    if (response.stream) {
+        trackStream(response.stream, duration, enrichedTags);
+    } else {
+        coreMetrics.grpcReqDuration.add(duration, enrichedTags);
+    }
     coreMetrics.grpcReqFailed.add(!isSuccess, enrichedTags);
     
+    // Track retried attempts
+    if (tags.retry === 'true') {
+        coreMetrics.grpcRetries.add(1, enrichedTags);
+    }
+    
     const timingMap = [
         ['blocked', coreMetrics.grpcReqBlocked],
         ['connecting', coreMetrics.grpcReqConnecting],
@@ -73,25 +121,74 @@ export function trackMetrics(response, tags = {}) {
         statusMetric.add(1, enrichedTags);
     }
     
+    if (sizes) {
+        trackSizes(payloadMetrics.grpcReqMessageSize, payloadMetrics.grpcDataSent, sizes.sent, enrichedTags);
+        trackSizes(payloadMetrics.grpcResMessageSize, payloadMetrics.grpcDataReceived, sizes.received, enrichedTags);
+    }
+    
     // Track endpoint metrics
     const serviceMethod = extractServiceMethod(tags.fullMethod || tags.method);
     if (serviceMethod) {
-        const cleanMethodName = serviceMethod.replace(/[^a-zA-Z0-9_]/g, '_');
+        const endpoint = endpointMetrics('grpc', toEndpointName(serviceMethod));
+        endpoint.duration.add(duration, enrichedTags);
+        endpoint.success_rate.add(isSuccess, enrichedTags);
+        endpoint.error_rate.add(!isSuccess, enrichedTags);
         
-        if (!endpointMetrics[cleanMethodName]) {
-            endpointMetrics[cleanMethodName] = {
-                duration: new Trend(`endpoint_${cleanMethodName}_duration`, true),
-                successRate: new Rate(`endpoint_${cleanMethodName}_success_rate`, true),
-                errorRate: new Rate(`endpoint_${cleanMethodName}_error_rate`, true)
-            };
-        }
+        // Throughput: calls, and messages each way (a unary call sends one, and
+        // receives one unless it failed)
+        const messages = response.stream || { sent: 1, received: response.message ? 1 : 0 };
+        endpoint.requests.add(1, enrichedTags);
+        endpoint.messages_sent.add(messages.sent, enrichedTags);
+        endpoint.messages_received.add(messages.received, enrichedTags);
         
-        endpointMetrics[cleanMethodName].duration.add(duration, enrichedTags);
-        endpointMetrics[cleanMethodName].successRate.add(isSuccess, enrichedTags);
-        endpointMetrics[cleanMethodName].errorRate.add(!isSuccess, enrichedTags);
+        if (sizes) {
+            trackSizes(endpoint.request_size, endpoint.data_sent, sizes.sent, enrichedTags);
+            trackSizes(endpoint.response_size, endpoint.data_received, sizes.received, enrichedTags);
+        }
+    }
+}
+
+/**
+ * Add each message's size to a size trend, and their total to a data counter
+ */
+function trackSizes(sizeTrend, dataCounter, messageSizes, tags) {
+    let total = 0;
+    messageSizes.forEach(size => {
+        sizeTrend.add(size, tags);
+        total += size;
+    });
+    
+    if (messageSizes.length > 0) {
+        dataCounter.add(total, tags);
     }
 }
 
+/**
+ * Track stream duration, message counts and the latency of each received message
+ * (time since the previous message or write, whichever was later)
+ */
+function trackStream(stream, duration, tags) {
+    streamMetrics.grpcStreamDuration.add(duration, tags);
+    streamMetrics.grpcStreamMsgsSent.add(stream.sent, tags);
+    streamMetrics.grpcStreamMsgsReceived.add(stream.received, tags);
+    
+    stream.latencies.forEach(latency => streamMetrics.grpcStreamMsgLatency.add(latency, tags));
+}
+
+/**
+ * Give methods their own endpoint metrics before the test starts; methods first
+ * seen during an iteration share `endpoint_other_*` (see utils/metrics.js).
+ * Call in the init context.
+ * @param {Array<string>} methods - Full methods, e.g. 'package.Service/Method'
+ */
+export function declareMethodMetrics(methods) {
+    declareEndpoints('grpc', methods.map(method => toEndpointName(extractServiceMethod(method))));
+}
+
+function toEndpointName(serviceMethod) {
+    return serviceMethod.replace(/[^a-zA-Z0-9_]/g, '_');
+}
+
 /**
  * Extract service method name from gRPC method
  */
@@ -108,21 +205,37 @@ function extractServiceMethod(method) {
 }
 
 /**
- * Create a custom gRPC metric
+ * Build per-target thresholds, so the end-of-test summary reports each replica's
+ * latency and failure rate next to the totals
+ * @param {Array<string>} targets - Target addresses, as passed to createGrpcClient
+ * @param {Object} [thresholds] - Threshold expressions by metric name; the defaults
+ *   always pass and only make k6 report the sub-metrics
+ * @returns {Object} Thresholds keyed `metric{target:address}`, for `options.thresholds`
  */
-export function createMetric(name, type = 'trend') {
-    const types = {
-        trend: () => new Trend(name, true),
-        counter: () => new Counter(name),
-        rate: () => new Rate(name, true)
+export function targetThresholds(targets, thresholds = {}) {
+    const perTarget = {
+        grpc_req_duration: ['max>=0'],
+        grpc_req_failed: ['rate>=0'],
+        ...thresholds
     };
+    const result = {};
     
-    const factory = types[type.toLowerCase()];
-    if (!factory) throw new Error(`Unsupported metric type: ${type}`);
+    targets.forEach(target => {
+        Object.entries(perTarget).forEach(([metric, expressions]) => {
+            result[`${metric}{target:${target}}`] = expressions;
+        });
+    });
     
-    return factory();
+    return result;
+}
+
+/**
+ * Create a custom gRPC metric (trends are time trends)
+ */
+export function createMetric(name, type = 'trend') {
+    return defineMetric(name, type, { owner: 'grpc', isTime: type.toLowerCase() === 'trend' });
 }
 
 // Exports
-export const metrics = { ...coreMetrics, ...statusMetrics, endpoints: endpointMetrics };
+export const metrics = { ...coreMetrics, ...streamMetrics, ...payloadMetrics, ...statusMetrics, endpoints: endpointMetricSets };
 export { GRPC_STATUS_CODES as statusCodes };
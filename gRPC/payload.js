@@ -0,0 +1,256 @@
+/**
+ * Serialized size of gRPC messages for payload metrics
+ *
+ * k6 hands messages to scripts as protojson objects, so sizes are computed from
+ * those objects and the message descriptors (see gRPC/descriptors.js) by the
+ * protobuf encoding rules, without encoding anything. Sizes are of the protobuf
+ * message; each message adds a 5-byte gRPC frame header on the wire. 64-bit
+ * values are sized as doubles: exact up to 2^53 and within a byte above.
+ */
+
+const FIXED_SIZES = { double: 8, fixed64: 8, sfixed64: 8, float: 4, fixed32: 4, sfixed32: 4, bool: 1 };
+const LENGTH_DELIMITED = ['string', 'bytes', 'message', 'map'];
+
+// Well-known types that protojson writes as scalars, sized as their message form
+const WELL_KNOWN_TYPES = {
+    '.google.protobuf.Timestamp': (value) => secondsAndNanosSize(timestampParts(value)),
+    '.google.protobuf.Duration': (value) => secondsAndNanosSize(durationParts(value)),
+    '.google.protobuf.FieldMask': (value) => (value ? value.split(',') : [])
+        .reduce((total, path) => total + 1 + lengthDelimitedSize(utf8Length(path)), 0),
+    '.google.protobuf.Empty': () => 0,
+    '.google.protobuf.Struct': (value) => structSize(value),
+    '.google.protobuf.Value': (value) => jsonValueSize(value),
+    '.google.protobuf.ListValue': (value) => listSize(value),
+    '.google.protobuf.DoubleValue': (value) => wrapperSize('double', value),
+    '.google.protobuf.FloatValue': (value) => wrapperSize('float', value),
+    '.google.protobuf.Int64Value': (value) => wrapperSize('int64', value),
+    '.google.protobuf.UInt64Value': (value) => wrapperSize('uint64', value),
+    '.google.protobuf.Int32Value': (value) => wrapperSize('int32', value),
+    '.google.protobuf.UInt32Value': (value) => wrapperSize('uint32', value),
+    '.google.protobuf.BoolValue': (value) => wrapperSize('bool', value),
+    '.google.protobuf.StringValue': (value) => wrapperSize('string', value),
+    '.google.protobuf.BytesValue': (value) => wrapperSize('bytes', value)
+};
+
+/**
+ * Create a sizer for the request and response messages of a registry's methods
+ * @param {Object} registry - Descriptor registry
+ * @returns {Object} { request(methodUrl, message), response(methodUrl, message) } -
+ *   size in bytes, or null for a method or message type the registry does not describe
+ */
+export function createPayloadSizer(registry) {
+    const methods = {};
+    registry.services.forEach(service => service.methods.forEach(method => {
+        methods[method.fullMethod] = method;
+    }));
+
+    const sizeOf = (typeKey) => (methodUrl, message) => {
+        const method = methods[methodUrl.replace(/^\//, '')];
+        if (!method || message === null || message === undefined) return null;
+
+        // An unknown type (e.g. inside an Any) leaves the size out rather than failing the call
+        try {
+            return messageSize(registry, method[typeKey], message);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    return {
+        request: sizeOf('inputType'),
+        response: sizeOf('outputType')
+    };
+}
+
+/**
+ * Serialized size of a protojson message
+ * @param {Object} registry - Descriptor registry
+ * @param {string} typeName - Fully qualified type ('.pkg.Msg')
+ * @param {Object} message - Message as protojson (jsonName or proto field names)
+ * @returns {number} Size in bytes
+ */
+export function messageSize(registry, typeName, message) {
+    if (WELL_KNOWN_TYPES[typeName]) return WELL_KNOWN_TYPES[typeName](message);
+    if (typeName === '.google.protobuf.Any') return anySize(registry, message);
+
+    const descriptor = registry.messages[typeName];
+    if (!descriptor) throw new Error(`Unknown protobuf message type: ${typeName}`);
+
+    return descriptor.fields.reduce((total, field) => {
+        const value = message[field.jsonName] ?? message[field.name];
+        return total + fieldSize(registry, field, value);
+    }, 0);
+}
+
+function fieldSize(registry, field, value) {
+    if (value === null || value === undefined) return 0;
+
+    const tag = varintSize(field.number * 8);
+
+    // Map entries always carry their key and value
+    if (field.map) {
+        const keyField = { number: 1, type: field.map.keyType };
+        const valueField = { number: 2, ...typeOf(registry, field.map.valueType) };
+        return Object.entries(value).reduce((total, [key, entryValue]) => {
+            const entry = 1 + valueSize(registry, keyField, field.map.keyType === 'bool' ? key === 'true' : key) +
+                1 + valueSize(registry, valueField, entryValue);
+            return total + tag + lengthDelimitedSize(entry);
+        }, 0);
+    }
+
+    if (field.repeated) {
+        if (value.length === 0) return 0;
+        // proto3 packs repeated scalars into one length-delimited field
+        if (!LENGTH_DELIMITED.includes(field.type)) {
+            const packed = value.reduce((total, element) => total + valueSize(registry, field, element), 0);
+            return tag + lengthDelimitedSize(packed);
+        }
+        return value.reduce((total, element) => total + tag + valueSize(registry, field, element), 0);
+    }
+
+    // Oneof members are sent even at their default value
+    const scalar = field.type === 'enum' ? enumNumber(registry, field.typeName, value) : value;
+    if (!field.oneof && field.type !== 'message' && isDefault(field.type, scalar)) return 0;
+
+    return tag + valueSize(registry, field, value);
+}
+
+function valueSize(registry, field, value) {
+    switch (field.type) {
+        case 'string': return lengthDelimitedSize(utf8Length(value));
+        case 'bytes': return lengthDelimitedSize(base64Length(value));
+        case 'message': return lengthDelimitedSize(messageSize(registry, field.typeName, value));
+        case 'enum': return int32Size(enumNumber(registry, field.typeName, value));
+        default: return scalarSize(field.type, value);
+    }
+}
+
+function scalarSize(type, value) {
+    if (FIXED_SIZES[type]) return FIXED_SIZES[type];
+
+    switch (type) {
+        case 'int32': return int32Size(Number(value));
+        case 'uint32': return varintSize(Number(value));
+        case 'sint32':
+        case 'sint64': return varintSize(zigzag(Number(value)));
+        case 'int64': return int32Size(Number(value));
+        case 'uint64': return varintSize(Number(value));
+        default: throw new Error(`Unsupported protobuf field type: ${type}`);
+    }
+}
+
+function isDefault(type, value) {
+    switch (type) {
+        case 'string':
+        case 'bytes': return value === '';
+        case 'bool': return value === false;
+        case 'enum': return value === 0;
+        default: return Number(value) === 0;
+    }
+}
+
+function typeOf(registry, typeName) {
+    if (!typeName.startsWith('.')) return { type: typeName };
+    return { type: registry.enums[typeName] ? 'enum' : 'message', typeName };
+}
+
+function enumNumber(registry, typeName, value) {
+    if (typeof value === 'number') return value;
+    const numbers = (registry.enumValues || {})[typeName] || {};
+    return numbers[value] ?? 0;
+}
+
+function anySize(registry, value) {
+    const { '@type': typeUrl = '', ...fields } = value;
+    const typeName = `.${typeUrl.split('/').pop()}`;
+    // Well-known types inside Any keep their JSON form under `value`
+    const embedded = WELL_KNOWN_TYPES[typeName] ? fields.value : fields;
+
+    const typeUrlSize = typeUrl ? 1 + lengthDelimitedSize(utf8Length(typeUrl)) : 0;
+    const valueSize = messageSize(registry, typeName, embedded);
+    return typeUrlSize + (valueSize > 0 ? 1 + lengthDelimitedSize(valueSize) : 0);
+}
+
+function wrapperSize(type, value) {
+    if (isDefault(type, value)) return 0;
+    return 1 + valueSize(null, { type }, value);
+}
+
+function secondsAndNanosSize({ seconds, nanos }) {
+    return (seconds !== 0 ? 1 + int32Size(seconds) : 0) +
+        (nanos !== 0 ? 1 + int32Size(nanos) : 0);
+}
+
+function timestampParts(value) {
+    const match = /\.(\d+)/.exec(value);
+    const nanos = match ? Number(match[1].padEnd(9, '0').substring(0, 9)) : 0;
+    return { seconds: Math.floor(Date.parse(value) / 1000), nanos };
+}
+
+function durationParts(value) {
+    const match = /^(-?)(\d+)(?:\.(\d+))?s$/.exec(value);
+    if (!match) throw new Error(`Invalid protobuf Duration: ${value}`);
+    const sign = match[1] ? -1 : 1;
+    const nanos = match[3] ? Number(match[3].padEnd(9, '0').substring(0, 9)) : 0;
+    return { seconds: sign * Number(match[2]), nanos: sign * nanos };
+}
+
+// google.protobuf.Struct: map<string, Value> fields = 1
+function structSize(value) {
+    return Object.entries(value).reduce((total, [key, fieldValue]) => {
+        const entry = 1 + lengthDelimitedSize(utf8Length(key)) + 1 + lengthDelimitedSize(jsonValueSize(fieldValue));
+        return total + 1 + lengthDelimitedSize(entry);
+    }, 0);
+}
+
+// google.protobuf.ListValue: repeated Value values = 1
+function listSize(value) {
+    return value.reduce((total, element) => total + 1 + lengthDelimitedSize(jsonValueSize(element)), 0);
+}
+
+// google.protobuf.Value: a oneof, so even null and zero values are sent
+function jsonValueSize(value) {
+    if (value === null) return 2;
+    if (typeof value === 'number') return 1 + 8;
+    if (typeof value === 'boolean') return 2;
+    if (typeof value === 'string') return 1 + lengthDelimitedSize(utf8Length(value));
+    if (Array.isArray(value)) return 1 + lengthDelimitedSize(listSize(value));
+    return 1 + lengthDelimitedSize(structSize(value));
+}
+
+function lengthDelimitedSize(length) {
+    return varintSize(length) + length;
+}
+
+// Negative int32 and int64 values are sign-extended to 10 bytes
+function int32Size(value) {
+    return value < 0 ? 10 : varintSize(value);
+}
+
+function zigzag(value) {
+    return value < 0 ? -value * 2 - 1 : value * 2;
+}
+
+function varintSize(value) {
+    let remaining = value;
+    let size = 1;
+    while (remaining >= 128) {
+        remaining = Math.floor(remaining / 128);
+        size++;
+    }
+    return size;
+}
+
+function utf8Length(value) {
+    let length = 0;
+    for (const char of value) {
+        const codePoint = char.codePointAt(0);
+        length += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    }
+    return length;
+}
+
+function base64Length(value) {
+    const length = value.replace(/=+$/, '').length;
+    return Math.floor(length * 3 / 4);
+}
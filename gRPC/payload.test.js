@@ -0,0 +1,189 @@
+/**
+ * Tests for protobuf message sizes (messageSize, createPayloadSizer). Expected sizes
+ * are those of the protobuf encoding, worked out byte by byte in the comments.
+ */
+
+import { loadProtoFiles } from './descriptors.js';
+import { messageSize, createPayloadSizer } from './payload.js';
+
+const PROTO = `
+    syntax = "proto3";
+    package t;
+
+    import "google/protobuf/timestamp.proto";
+
+    message Test1 { int32 a = 1; }
+    message Test2 { string b = 2; }
+    message Test3 { Test1 c = 3; }
+    message Test4 { string d = 4; repeated int32 e = 6; }
+
+    enum Color { RED = 0; GREEN = 1; BLUE = 300; }
+
+    message Scalars {
+        sint32 s = 1;
+        int32 neg = 2;
+        fixed64 f = 3;
+        bool flag = 4;
+        bytes data = 5;
+        Color color = 6;
+        int64 big = 7;
+        double ratio = 8;
+        repeated string tags = 9;
+        repeated Color colors = 10;
+        repeated Test1 items = 11;
+        int32 retry_count = 12;
+        uint32 wide = 16;
+    }
+
+    message Maps {
+        map<string, int32> counts = 1;
+        map<int32, Test1> items = 2;
+        map<bool, string> flags = 3;
+    }
+
+    message Choice {
+        oneof choice {
+            int32 n = 1;
+            string s = 2;
+            Test1 m = 3;
+        }
+        int32 plain = 4;
+    }
+
+    message Known {
+        google.protobuf.Timestamp at = 1;
+        google.protobuf.Duration took = 2;
+        google.protobuf.Int32Value count = 3;
+        google.protobuf.Struct meta = 4;
+        google.protobuf.Empty none = 5;
+        google.protobuf.FieldMask mask = 6;
+        google.protobuf.Any any = 7;
+        google.protobuf.StringValue label = 8;
+    }
+
+    service S {
+        rpc Call (Test1) returns (Test3);
+    }
+`;
+
+let registry;
+
+beforeAll(() => {
+    global.open = () => PROTO;
+    registry = loadProtoFiles([], ['t.proto']);
+    delete global.open;
+});
+
+const size = (type, message) => messageSize(registry, `.t.${type}`, message);
+
+describe('messageSize', () => {
+    it('sizes varints by their 7-bit groups', () => {
+        expect(size('Test1', { a: 150 })).toBe(3);              // 08 96 01
+        expect(size('Test1', { a: 127 })).toBe(2);              // 08 7f
+        expect(size('Test1', { a: 0 })).toBe(0);                // proto3 defaults are not sent
+        expect(size('Test1', { a: -1 })).toBe(11);              // 08 + 10-byte sign extension
+        expect(size('Scalars', { s: -1 })).toBe(2);             // zigzag 1: 08 01
+        expect(size('Scalars', { s: 64 })).toBe(3);             // zigzag 128: 08 80 01
+        expect(size('Scalars', { big: '300' })).toBe(3);        // int64 as a JSON string: 38 ac 02
+        expect(size('Scalars', { wide: 1 })).toBe(3);           // field 16 needs a 2-byte tag: 80 01 01
+    });
+
+    it('sizes fixed-width, bool, bytes and enum fields', () => {
+        expect(size('Scalars', { f: '1', ratio: 0.5, flag: true })).toBe(9 + 9 + 2);
+        expect(size('Scalars', { data: 'AQID' })).toBe(5);      // 2a 03 01 02 03
+        expect(size('Scalars', { color: 'BLUE' })).toBe(3);     // 30 ac 02
+        expect(size('Scalars', { color: 1 })).toBe(2);          // numeric enum values too
+        expect(size('Scalars', { color: 'RED' })).toBe(0);
+    });
+
+    it('sizes strings by their UTF-8 length', () => {
+        expect(size('Test2', { b: 'testing' })).toBe(9);        // 12 07 74 65 73 74 69 6e 67
+        expect(size('Test2', { b: 'é€😀' })).toBe(2 + 2 + 3 + 4);
+        expect(size('Test2', { b: 'x'.repeat(128) })).toBe(1 + 2 + 128);
+    });
+
+    it('sizes embedded messages, present even when empty', () => {
+        expect(size('Test3', { c: { a: 150 } })).toBe(5);       // 1a 03 08 96 01
+        expect(size('Test3', { c: {} })).toBe(2);               // 1a 00
+        expect(size('Test3', {})).toBe(0);
+    });
+
+    it('packs repeated scalars and enums, but not strings and messages', () => {
+        expect(size('Test4', { d: 'hello', e: [3, 270, 86942] })).toBe(7 + 8);  // 32 06 03 8e 02 9e a7 05
+        expect(size('Test4', { e: [] })).toBe(0);
+        expect(size('Scalars', { colors: ['GREEN', 'BLUE'] })).toBe(5);         // 52 03 01 ac 02
+        expect(size('Scalars', { tags: ['a', 'bc'] })).toBe(3 + 4);             // 4a 01 61 4a 02 62 63
+        expect(size('Scalars', { items: [{ a: 1 }, {}] })).toBe(4 + 2);         // 5a 02 08 01 5a 00
+    });
+
+    it('sizes map entries with both key and value', () => {
+        expect(size('Maps', { counts: { a: 1 } })).toBe(7);                    // 0a 05 0a 01 61 10 01
+        expect(size('Maps', { counts: { a: 0, b: 2 } })).toBe(14);
+        expect(size('Maps', { items: { 7: { a: 150 } } })).toBe(9);            // 12 07 08 07 12 03 08 96 01
+        expect(size('Maps', { flags: { true: 'x' } })).toBe(7);                // 1a 05 08 01 12 01 78
+    });
+
+    it('sends oneof members at their default value', () => {
+        expect(size('Choice', { n: 0 })).toBe(2);               // 08 00
+        expect(size('Choice', { s: '' })).toBe(2);              // 12 00
+        expect(size('Choice', { m: {} })).toBe(2);              // 1a 00
+        expect(size('Choice', { plain: 0 })).toBe(0);
+    });
+
+    it('accepts proto field names as well as JSON names', () => {
+        expect(size('Scalars', { retryCount: 3 })).toBe(2);     // 60 03
+        expect(size('Scalars', { retry_count: 3 })).toBe(2);
+    });
+
+    it('sizes well-known types in their message form', () => {
+        // Timestamp { seconds: 1, nanos: 500000000 }: 08 01 10 80 ca b5 ee 01
+        expect(size('Known', { at: '1970-01-01T00:00:01.5Z' })).toBe(2 + 8);
+        expect(size('Known', { took: '1.5s' })).toBe(2 + 8);
+        expect(size('Known', { took: '-2s' })).toBe(2 + 11);
+        expect(size('Known', { took: '0s' })).toBe(2);
+        // Wrappers are messages: a zero value is an empty, present message
+        expect(size('Known', { count: 5 })).toBe(2 + 2);
+        expect(size('Known', { count: 0 })).toBe(2);
+        expect(size('Known', { label: 'hi' })).toBe(2 + 4);
+        // Struct { fields: { k: Value { string_value: "v" } } }: 0a 08 0a 01 6b 12 03 1a 01 76
+        expect(size('Known', { meta: { k: 'v' } })).toBe(2 + 10);
+        expect(messageSize(registry, '.google.protobuf.Value', null)).toBe(2);
+        expect(messageSize(registry, '.google.protobuf.ListValue', [1, true])).toBe(11 + 4);
+        expect(size('Known', { none: {} })).toBe(2);
+        expect(size('Known', { mask: 'a,bc' })).toBe(2 + 7);
+    });
+
+    it('sizes Any by its type URL and embedded message', () => {
+        const typeUrl = 'type.googleapis.com/t.Test1';
+        // type_url (1 + 1 + 27) and value (1 + 1 + 3)
+        expect(size('Known', { any: { '@type': typeUrl, a: 150 } })).toBe(2 + 29 + 5);
+        expect(messageSize(registry, '.google.protobuf.Any', {
+            '@type': 'type.googleapis.com/google.protobuf.Duration',
+            value: '1s'
+        })).toBe(1 + 1 + 44 + 1 + 1 + 2);
+    });
+
+    it('rejects unknown message types and invalid durations', () => {
+        expect(() => size('Missing', {})).toThrow('Unknown protobuf message type: .t.Missing');
+        expect(() => size('Known', { took: '1m' })).toThrow('Invalid protobuf Duration: 1m');
+    });
+});
+
+describe('createPayloadSizer', () => {
+    it('sizes the request and response of a method', () => {
+        const sizer = createPayloadSizer(registry);
+
+        expect(sizer.request('/t.S/Call', { a: 150 })).toBe(3);
+        expect(sizer.response('t.S/Call', { c: { a: 150 } })).toBe(5);
+    });
+
+    it('returns null for unknown methods, missing messages and unknown Any types', () => {
+        const sizer = createPayloadSizer(registry);
+
+        expect(sizer.request('t.S/Missing', { a: 1 })).toBeNull();
+        expect(sizer.response('t.S/Call', null)).toBeNull();
+        expect(sizer.response('t.S/Call', { c: { a: 1 } })).toBe(4);
+        expect(createPayloadSizer({ ...registry, services: [{ name: 't.S', methods: [{ fullMethod: 't.S/Call', inputType: '.google.protobuf.Any' }] }] })
+            .request('t.S/Call', { '@type': 'type.googleapis.com/t.Unknown' })).toBeNull();
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Retry and status policy for gRPC calls in k6 performance testing SDK
+ *
+ * Follows the gRPC service config retryPolicy: retryable status codes, capped
+ * exponential backoff with full jitter, and server pushback through the
+ * `grpc-retry-pushback-ms` trailer.
+ */
+
+import { statusCodes } from './metrics.js';
+
+// Default retry policy - a single attempt, i.e. retries are opt-in
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 1,
+    initialBackoff: 100,       // Milliseconds, or a service config duration such as '0.1s'
+    maxBackoff: 5000,
+    backoffMultiplier: 2,
+    retryableStatusCodes: ['UNAVAILABLE', 'RESOURCE_EXHAUSTED']
+};
+
+const PUSHBACK_TRAILER = 'grpc-retry-pushback-ms';
+
+// Attempts made when retries are turned on with `retry: true`
+const ENABLED_MAX_ATTEMPTS = 3;
+
+/**
+ * Resolve the effective retry policy for a call
+ * @param {Object|number|boolean} [clientPolicy] - Client-level policy
+ * @param {Object|number|boolean} [requestPolicy] - Call-level policy (overrides client)
+ * @returns {Object} Effective policy, with durations in ms and status codes as numbers
+ */
+export function resolveRetryPolicy(clientPolicy, requestPolicy) {
+    const policy = {
+        ...DEFAULT_RETRY_POLICY,
+        ...normalizePolicy(clientPolicy),
+        ...normalizePolicy(requestPolicy)
+    };
+
+    return {
+        ...policy,
+        initialBackoff: parseDuration(policy.initialBackoff),
+        maxBackoff: parseDuration(policy.maxBackoff),
+        retryableStatusCodes: toStatusCodes(policy.retryableStatusCodes)
+    };
+}
+
+function normalizePolicy(policy) {
+    if (policy === undefined || policy === null) return {};
+    if (policy === true) return { maxAttempts: ENABLED_MAX_ATTEMPTS };
+    if (policy === false) return { maxAttempts: 1 };
+    if (typeof policy === 'number') return { maxAttempts: policy };
+    return policy;
+}
+
+/**
+ * Check whether a policy allows more than one attempt
+ */
+export function isRetryEnabled(policy) {
+    return policy.maxAttempts > 1;
+}
+
+/**
+ * Decide whether a finished attempt should be retried
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - Attempt that just finished (1-based)
+ * @param {Object} response - k6 gRPC response
+ * @returns {boolean} True if another attempt should be made
+ */
+export function shouldRetry(policy, attempt, response) {
+    if (attempt >= policy.maxAttempts) return false;
+    if (!policy.retryableStatusCodes.includes(response.status)) return false;
+
+    // A negative or malformed pushback means the server asks not to retry
+    const pushback = readPushback(response);
+    return pushback === undefined || pushback !== null;
+}
+
+/**
+ * Compute the delay before the next attempt: the server's pushback if given,
+ * otherwise random(0, min(initialBackoff * multiplier^(attempt-1), maxBackoff))
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} attempt - Attempt that just finished (1-based)
+ * @param {Object} response - k6 gRPC response of that attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(policy, attempt, response) {
+    const pushback = readPushback(response);
+    if (pushback !== undefined && pushback !== null) return pushback;
+
+    const backoff = Math.min(policy.maxBackoff, policy.initialBackoff * Math.pow(policy.backoffMultiplier, attempt - 1));
+    return Math.random() * backoff;
+}
+
+/**
+ * Resolve status codes given as numbers or names ('NOT_FOUND', 'not_found')
+ * @param {Array<number|string>} codes - Status codes
+ * @returns {Array<number>} Numeric status codes
+ */
+export function toStatusCodes(codes = []) {
+    return codes.map(code => {
+        if (typeof code === 'number') return code;
+
+        const value = statusCodes[String(code).toUpperCase()];
+        if (value === undefined) throw new Error(`Unknown gRPC status code: ${code}`);
+        return value;
+    });
+}
+
+/**
+ * Read the pushback trailer
+ * @private
+ * @returns {number|null|undefined} Delay in ms, null when it forbids retrying,
+ *   undefined when absent
+ */
+function readPushback(response) {
+    const trailers = response.trailers || {};
+    const name = Object.keys(trailers).find(key => key.toLowerCase() === PUSHBACK_TRAILER);
+    if (!name) return undefined;
+
+    const raw = trailers[name];
+    const value = String(Array.isArray(raw) ? raw[0] : raw).trim();
+    return /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * Convert a duration to milliseconds: numbers are ms, strings may use
+ * the service config's seconds form ('0.1s') or ms ('100ms')
+ * @private
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') return value;
+
+    const match = /^(\d+(?:\.\d+)?)(ms|s)$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid gRPC backoff duration: ${value}`);
+    return match[2] === 's' ? Number(match[1]) * 1000 : Number(match[1]);
+}
+
+export { DEFAULT_RETRY_POLICY as defaultRetryPolicy };
@@ -0,0 +1,98 @@
+import grpc from 'k6/net/grpc';
+import { logRequest, logResponse } from './logger.js';
+import { trackMetrics, statusCodes } from './metrics.js';
+
+const STREAM_EVENTS = ['data', 'error', 'end'];
+
+/**
+ * Open a gRPC stream on a connected k6 grpc.Client
+ *
+ * k6 delivers stream events from the VU's event loop once the calling code has
+ * returned, so results are read through on('data'|'error'|'end') handlers or the
+ * `done` promise; the iteration only finishes after the stream has ended.
+ * @param {Object} client - Connected k6 grpc.Client
+ * @param {string} target - Address the client is connected to, for the log
+ * @param {string} methodUrl - Full method, e.g. 'package.Service/Method'
+ * @param {Object} invokeParams - { metadata, tags, timeout } for grpc.Stream
+ * @param {string} type - 'client', 'server' or 'bidi', added as the `streaming` tag
+ * @param {Object} [sizer] - Payload sizer (see gRPC/payload.js) to record message sizes
+ * @param {Object} [logContext] - Extra structured log fields, e.g. { trace_id }
+ * @returns {Object} Stream ({ write, end, on, stats, done })
+ */
+export function openStream(client, target, methodUrl, invokeParams, type, sizer = null, logContext = {}) {
+    const tags = { ...invokeParams.tags, streaming: type };
+    const stream = new grpc.Stream(client, methodUrl, { ...invokeParams, tags });
+
+    const listeners = { data: [], error: [], end: [] };
+    const received = [];
+    const latencies = [];
+    const sizes = { sent: [], received: [] };
+    const start = Date.now();
+    let lastActivity = start;
+    let sent = 0;
+    let finished = false;
+    let resolveDone;
+
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    logRequest('GRPC_STREAM', `${target}/${methodUrl}`, invokeParams.metadata, null,
+        { method: methodUrl, ...logContext });
+
+    stream.on('data', (message) => {
+        const now = Date.now();
+        latencies.push(now - lastActivity);
+        lastActivity = now;
+        received.push(message);
+        recordSize(sizes.received, sizer && sizer.response(methodUrl, message));
+        listeners.data.forEach(listener => listener(message));
+    });
+
+    stream.on('error', (error) => {
+        listeners.error.forEach(listener => listener(error));
+        finish(error);
+    });
+
+    stream.on('end', () => finish(null));
+
+    // Record the stream once, on its first error or its end
+    function finish(error) {
+        if (finished) return;
+        finished = true;
+
+        const response = {
+            status: error ? (error.code ?? statusCodes.UNKNOWN) : statusCodes.OK,
+            error: error ? error.details || error.message : undefined,
+            method: methodUrl,
+            message: received[received.length - 1] ?? null,
+            timings: { duration: Date.now() - start },
+            stream: { type, sent, received: received.length, latencies }
+        };
+
+        logResponse(response, [], { method: methodUrl, ...logContext });
+        trackMetrics(response, tags, { sizes: sizer ? sizes : null });
+
+        listeners.end.forEach(listener => listener(response));
+        resolveDone({ ...response, messages: received });
+    }
+
+    return {
+        write: (message) => {
+            stream.write(message);
+            sent++;
+            recordSize(sizes.sent, sizer && sizer.request(methodUrl, message));
+            lastActivity = Date.now();
+        },
+        // Half-close: no more messages from the client
+        end: () => stream.end(),
+        on: (event, listener) => {
+            if (!STREAM_EVENTS.includes(event)) throw new Error(`Unsupported gRPC stream event: ${event}`);
+            listeners[event].push(listener);
+        },
+        stats: () => ({ sent, received: received.length, duration: Date.now() - start, finished }),
+        done
+    };
+}
+
+function recordSize(list, size) {
+    if (size !== null) list.push(size);
+}
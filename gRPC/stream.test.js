@@ -0,0 +1,91 @@
+/**
+ * Tests for gRPC streams (openStream and the client's serverStream/clientStream),
+ * against a k6/net/grpc mock that records what reaches grpc.Stream.
+ */
+
+import grpc from 'k6/net/grpc';
+import { createGrpcClient } from './client.js';
+import { setLogLevel } from '../utils/logger.js';
+
+// k6/net/grpc with a Stream that records its arguments and the messages written
+jest.mock('k6/net/grpc', () => {
+    const streams = [];
+
+    class Client {
+        connect() {}
+        close() {}
+    }
+
+    class Stream {
+        constructor(client, method, params) {
+            this.client = client;
+            this.method = method;
+            this.params = params;
+            this.written = [];
+            this.handlers = {};
+            streams.push(this);
+        }
+
+        on(event, handler) {
+            this.handlers[event] = handler;
+        }
+
+        write(message) {
+            this.written.push(message);
+        }
+
+        end() {
+            this.handlers.end();
+        }
+    }
+
+    return { __esModule: true, default: { Client, Stream, streams } };
+}, { virtual: true });
+
+// Only used by reflection discovery, which these tests do not run
+jest.mock('k6/encoding', () => ({}), { virtual: true });
+
+let lines;
+
+beforeEach(() => {
+    grpc.streams.length = 0;
+    lines = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('gRPC streams', () => {
+    it('passes only the stream params k6 accepts to grpc.Stream', () => {
+        const client = createGrpcClient({ address: 'localhost:50051', reflect: true, token: 't', tags: { team: 'orders' } });
+
+        client.serverStream('orders.OrderService/Watch', { id: 7 }, {
+            metadata: { 'x-request-id': 'r-1' },
+            timeout: '10s',
+            authority: 'orders.test'
+        });
+
+        const [stream] = grpc.streams;
+        expect(stream.method).toBe('orders.OrderService/Watch');
+        expect(Object.keys(stream.params).sort()).toEqual(['metadata', 'tags', 'timeout']);
+        expect(stream.params.metadata).toEqual({ 'x-request-id': 'r-1', authorization: 'Bearer t' });
+        expect(stream.params.tags).toMatchObject({ team: 'orders', target: 'localhost:50051', streaming: 'server' });
+        expect(stream.params.timeout).toBe('10s');
+        expect(stream.written).toEqual([{ id: 7 }]);
+    });
+
+    it('logs the stream against the target it was opened on', () => {
+        setLogLevel('DEBUG', 'grpc');
+        const client = createGrpcClient({ address: ['a:50051', 'b:50051'], reflect: true });
+
+        client.clientStream('orders.OrderService/Upload', [{ id: 1 }, { id: 2 }]);
+        client.clientStream('orders.OrderService/Upload', []);
+
+        expect(grpc.streams.map(stream => stream.params.tags.target)).toEqual(['a:50051', 'b:50051']);
+        expect(lines).toContain('➡️ GRPC_STREAM a:50051/orders.OrderService/Upload');
+        expect(lines).toContain('➡️ GRPC_STREAM b:50051/orders.OrderService/Upload');
+        setLogLevel('INFO', 'grpc');
+    });
+});
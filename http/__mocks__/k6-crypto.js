@@ -0,0 +1,17 @@
+/**
+ * Mock for k6/crypto (sha256) - used when running HTTP client tests in Node.
+ */
+
+import { createHash } from 'node:crypto';
+
+/**
+ * Hash data with SHA-256.
+ * @param {string} data - Input
+ * @param {string} encoding - Output encoding ('hex' or 'base64')
+ * @returns {string}
+ */
+export function sha256(data, encoding) {
+  return createHash('sha256').update(data).digest(encoding);
+}
+
+export default { sha256 };
@@ -0,0 +1,10 @@
+/**
+ * Mock for k6/execution - used when running HTTP client tests in Node.
+ * Outside k6 there is no running scenario, as in the init context.
+ */
+
+export default {
+  get scenario() {
+    throw new Error('getting scenario information outside of the VU context is not supported');
+  }
+};
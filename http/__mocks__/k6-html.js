@@ -0,0 +1,23 @@
+/**
+ * Mock for k6/html (parseHTML) - used when running HTTP client tests in Node.
+ * Selections are always empty; HTML extraction itself is not exercised in Node.
+ */
+
+function emptySelection() {
+  return {
+    find: () => emptySelection(),
+    size: () => 0,
+    attr: () => undefined,
+    val: () => undefined,
+    text: () => ''
+  };
+}
+
+/**
+ * Parse an HTML document
+ * @param {string} html - HTML source
+ * @returns {Object} Selection
+ */
+export function parseHTML(html) {
+  return emptySelection();
+}
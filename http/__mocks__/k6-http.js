@@ -106,4 +106,12 @@ export function options(url, params) {
   return request('OPTIONS', url, null, params);
 }
 
-export default { get, post, put, patch, del, head, options };
+/**
+ * Batch requests - returns one pending k6-shaped response per request, in order.
+ * @param {Array<Object>} requests - { method, url, body, params } objects
+ */
+export function batch(requests) {
+  return requests.map(({ method, url, body, params }) => request(method, url, body, params));
+}
+
+export default { get, post, put, patch, del, head, options, batch };
@@ -1,5 +1,5 @@
 /**
- * Mock for k6/metrics (Trend, Rate, Counter) - used when running HTTP client tests in Node.
+ * Mock for k6/metrics (Trend, Rate, Counter, Gauge) - used when running HTTP client tests in Node.
  * No-op .add() so trackMetrics() and createHttpMetrics() do not throw.
  */
 
@@ -20,3 +20,7 @@ export function Rate() {
 export function Counter() {
   return createMetric();
 }
+
+export function Gauge() {
+  return createMetric();
+}
@@ -1,5 +1,5 @@
 /**
- * Mock for k6 runtime (check, fail) - used when running HTTP client tests in Node.
+ * Mock for k6 runtime (check, fail, group) - used when running HTTP client tests in Node.
  */
 
 /**
@@ -22,3 +22,19 @@ export function check(response, checks) {
 export function fail(message) {
   throw new Error(message);
 }
+
+/**
+ * Run a function inside a named group.
+ * @param {string} name - Group name
+ * @param {Function} fn - Group body
+ * @returns {*} Result of fn
+ */
+export function group(name, fn) {
+  return fn();
+}
+
+/**
+ * Pause the VU (no-op in Node, so retry backoffs do not slow the tests).
+ * @param {number} seconds - Pause in seconds
+ */
+export function sleep(seconds) {}
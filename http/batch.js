@@ -0,0 +1,51 @@
+/**
+ * Batch request helpers for k6 performance testing SDK
+ */
+
+const BODYLESS_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Normalize a batch item into a request descriptor
+ *
+ * Items take the same arguments as request(), either positionally or by name:
+ *   ['GET', '/users', null, { tags }]
+ *   { method: 'POST', path: '/users', body, params, validate }
+ *
+ * @param {Array|Object} item - Batch item
+ * @param {number} index - Position in the batch (used in error messages)
+ * @returns {Object} Descriptor ({ method, path, body, params, validate })
+ */
+export function normalizeBatchRequest(item, index) {
+  if (Array.isArray(item)) {
+    const [method, path, body = null, params = {}] = item;
+    return normalizeBatchRequest({ method, path, body, params }, index);
+  }
+
+  if (!item || typeof item !== 'object') {
+    throw new Error(`Batch request ${index} must be an array or an object`);
+  }
+
+  const path = item.path || item.url;
+  if (!path) {
+    throw new Error(`Batch request ${index} is missing a path`);
+  }
+
+  const method = (item.method || 'GET').toUpperCase();
+
+  return {
+    method,
+    path,
+    body: BODYLESS_METHODS.includes(method) ? null : (item.body ?? null),
+    params: item.params || {},
+    validate: item.validate || null
+  };
+}
+
+/**
+ * Default per-item validation: status is 2xx
+ * @param {Object} response - k6 HTTP response
+ * @returns {boolean} True if the status is 2xx
+ */
+export function isSuccessStatus(response) {
+  return response.status >= 200 && response.status < 300;
+}
@@ -0,0 +1,216 @@
+/**
+ * Per-endpoint circuit breaker for k6 performance testing SDK
+ *
+ * Stops VUs from hammering a downstream that is hard-down. Each endpoint moves
+ * between three states:
+ *   closed    - requests flow; results are recorded in a sliding window
+ *   open      - requests are short-circuited until openDuration has passed
+ *   half_open - a few probe requests decide whether to close or re-open
+ *
+ * State lives in VU memory, so every VU trips its own breakers.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Default circuit breaker options
+const DEFAULT_OPTIONS = {
+  windowSize: 20,              // Number of recent results considered
+  minimumRequests: 10,         // Results needed in the window before tripping
+  errorRateThreshold: 0.5,     // Trip when this share of results failed
+  slowCallDuration: null,      // Milliseconds above which a call counts as slow (null disables)
+  slowCallRateThreshold: 0.5,  // Trip when this share of results was slow
+  openDuration: 30000,         // Milliseconds to stay open before probing
+  halfOpenRequests: 3,         // Probe requests allowed while half-open
+  isFailure: (response) => response.status === 0 || response.status >= 500
+};
+
+/**
+ * Create a circuit breaker
+ * @param {Object} [options] - Circuit breaker options (see DEFAULT_OPTIONS)
+ * @returns {Object} Circuit breaker
+ */
+export function createCircuitBreaker(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const circuits = {};
+  const listeners = [];
+
+  /**
+   * Get or create the circuit for an endpoint
+   * @private
+   */
+  function getCircuit(endpoint) {
+    if (!circuits[endpoint]) {
+      circuits[endpoint] = {
+        state: STATES.CLOSED,
+        results: [],
+        openedAt: null,
+        probes: 0,
+        probeSuccesses: 0
+      };
+    }
+    return circuits[endpoint];
+  }
+
+  /**
+   * Move a circuit to a new state and notify listeners
+   * @private
+   */
+  function transition(endpoint, circuit, to, reason) {
+    const from = circuit.state;
+    if (from === to) return;
+
+    circuit.state = to;
+    circuit.probes = 0;
+    circuit.probeSuccesses = 0;
+
+    if (to === STATES.OPEN) {
+      circuit.openedAt = Date.now();
+    } else if (to === STATES.CLOSED) {
+      circuit.openedAt = null;
+      circuit.results = [];
+    }
+
+    const event = { endpoint, from, to, reason, timestamp: Date.now() };
+    listeners.slice().forEach(listener => listener(event));
+  }
+
+  /**
+   * Check the sliding window against the trip conditions
+   * @private
+   * @returns {string|null} Reason for tripping, or null
+   */
+  function tripReason(circuit) {
+    const total = circuit.results.length;
+    if (total < config.minimumRequests) return null;
+
+    const errorRate = circuit.results.filter(r => r.failed).length / total;
+    if (errorRate >= config.errorRateThreshold) {
+      return `error rate ${(errorRate * 100).toFixed(1)}%`;
+    }
+
+    if (config.slowCallDuration !== null) {
+      const slowRate = circuit.results.filter(r => r.slow).length / total;
+      if (slowRate >= config.slowCallRateThreshold) {
+        return `slow call rate ${(slowRate * 100).toFixed(1)}% above ${config.slowCallDuration}ms`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a request to an endpoint may be sent
+   * @param {string} endpoint - Endpoint key
+   * @returns {boolean} False if the request should be short-circuited
+   */
+  function allowRequest(endpoint) {
+    const circuit = getCircuit(endpoint);
+
+    if (circuit.state === STATES.OPEN) {
+      if (Date.now() - circuit.openedAt < config.openDuration) {
+        return false;
+      }
+      transition(endpoint, circuit, STATES.HALF_OPEN, `open for ${config.openDuration}ms`);
+    }
+
+    if (circuit.state === STATES.HALF_OPEN) {
+      if (circuit.probes >= config.halfOpenRequests) {
+        return false;
+      }
+      circuit.probes++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the outcome of a request
+   * @param {string} endpoint - Endpoint key
+   * @param {Object} [response] - k6 HTTP response (omit when the request threw)
+   */
+  function recordResult(endpoint, response) {
+    const circuit = getCircuit(endpoint);
+    const failed = !response || config.isFailure(response);
+    const slow = !!response && config.slowCallDuration !== null &&
+      response.timings.duration >= config.slowCallDuration;
+
+    if (circuit.state === STATES.HALF_OPEN) {
+      if (failed || slow) {
+        transition(endpoint, circuit, STATES.OPEN, failed ? 'probe failed' : 'probe slow');
+        return;
+      }
+
+      circuit.probeSuccesses++;
+      if (circuit.probeSuccesses >= config.halfOpenRequests) {
+        transition(endpoint, circuit, STATES.CLOSED, `${circuit.probeSuccesses} probes succeeded`);
+      }
+      return;
+    }
+
+    if (circuit.state !== STATES.CLOSED) return;
+
+    circuit.results.push({ failed, slow });
+    if (circuit.results.length > config.windowSize) {
+      circuit.results.shift();
+    }
+
+    const reason = tripReason(circuit);
+    if (reason) {
+      transition(endpoint, circuit, STATES.OPEN, reason);
+    }
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with { endpoint, from, to, reason, timestamp }
+   * @returns {Function} Function that removes the listener
+   */
+  function onStateChange(listener) {
+    listeners.push(listener);
+    return () => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  /**
+   * Get the state of an endpoint's circuit
+   * @param {string} endpoint - Endpoint key
+   * @returns {string} closed, open or half_open
+   */
+  function getState(endpoint) {
+    return circuits[endpoint] ? circuits[endpoint].state : STATES.CLOSED;
+  }
+
+  /**
+   * Reset one circuit, or all of them
+   * @param {string} [endpoint] - Endpoint key; omit to reset every circuit
+   */
+  function reset(endpoint) {
+    const keys = endpoint ? [endpoint] : Object.keys(circuits);
+    keys.forEach(key => {
+      if (circuits[key]) {
+        transition(key, circuits[key], STATES.CLOSED, 'reset');
+      }
+    });
+  }
+
+  return {
+    allowRequest,
+    recordResult,
+    onStateChange,
+    getState,
+    getStates: () => Object.fromEntries(Object.entries(circuits).map(([key, c]) => [key, c.state])),
+    reset
+  };
+}
+
+export const circuitStates = STATES;
+
+export default {
+  create: createCircuitBreaker
+};
@@ -3,9 +3,25 @@
  */
 
 import http from 'k6/http';
-import { check, fail } from 'k6';
-import { logRequest, logResponse } from './logger.js';
-import { trackMetrics } from './metrics.js';
+import { check, fail, sleep } from 'k6';
+import {
+  logRequest,
+  logResponse,
+  logCircuitStateChange,
+  logExtractionMiss,
+  logTraceOutlier,
+  logTlsCaIgnored
+} from './logger.js';
+import { trackMetrics, trackCircuitRejection, trackCircuitStateChange } from './metrics.js';
+import { createMiddlewarePipeline } from './middleware.js';
+import { resolveRetryPolicy, isRetryEnabled, shouldRetry, computeRetryDelay } from './retry.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { normalizeBatchRequest, isSuccessStatus } from './batch.js';
+import { resolveRoute } from './routes.js';
+import { createCorrelationContext, hasVariables, toPathTemplate } from './correlation.js';
+import { loadTlsConfig, toK6TlsOptions } from '../config/tls.js';
+import { resolveTracer, traceLogFields } from '../utils/trace.js';
+import { resolveFailureCapture } from '../utils/failures.js';
 
 /**
  * Create an HTTP client with the specified configuration
@@ -14,6 +30,21 @@ import { trackMetrics } from './metrics.js';
  * @param {Object} [options.defaultHeaders] - Default headers for all requests
  * @param {string} [options.token] - Authentication token
  * @param {Object} [options.tags] - Default tags for all requests
+ * @param {Object|number|boolean} [options.retry] - Retry policy (see http/retry.js), max attempts,
+ *   or true for the default retries
+ * @param {Object|boolean} [options.circuitBreaker] - Circuit breaker options (see http/circuit-breaker.js),
+ *   true for defaults, or an existing breaker to share between clients
+ * @param {boolean|Array} [options.normalizePaths=true] - Derive the `name` tag by replacing
+ *   ID/UUID path segments; an array adds [pattern, placeholder] rules (see http/routes.js)
+ * @param {Object} [options.correlation] - Correlation context to share (see http/correlation.js)
+ *   or initial {{variables}}
+ * @param {Object} [options.tls] - TLS/mTLS config (see config/tls.js); k6 only applies it
+ *   through script options, so merge client.tlsOptions() into `options`
+ * @param {Object|boolean} [options.tracing] - Trace context headers (see utils/trace.js):
+ *   tracer options, true for W3C defaults, or a tracer to share
+ * @param {Object|boolean} [options.captureFailures] - Keep sampled failing exchanges with
+ *   a curl command (see utils/failures.js): capture options, true for defaults, or a
+ *   capture to share
  * @returns {Object} HTTP client instance
  */
 export function createHttpClient(options = {}) {
@@ -21,85 +52,403 @@ export function createHttpClient(options = {}) {
     baseUrl = '',
     defaultHeaders = {},
     token = null,
-    tags = {}
+    tags = {},
+    retry = null,
+    circuitBreaker = null,
+    normalizePaths = true,
+    correlation = null,
+    tls = null,
+    tracing = null,
+    captureFailures = null
   } = options;
   
+  // TLS files are read here, in the init context
+  const tlsConfig = tls ? loadTlsConfig(tls) : null;
+  if (tlsConfig && tlsConfig.ca.length > 0) {
+    logTlsCaIgnored(tlsConfig.files.ca);
+  }
+  
+  const middleware = createMiddlewarePipeline();
+  const vars = correlation && typeof correlation.substitute === 'function'
+    ? correlation
+    : createCorrelationContext(correlation || {});
+  const breaker = resolveCircuitBreaker(circuitBreaker);
+  const tracer = resolveTracer(tracing);
+  const capture = resolveFailureCapture(captureFailures);
+  
+  if (breaker) {
+    breaker.onStateChange((event) => {
+      logCircuitStateChange(event);
+      trackCircuitStateChange(event, tags);
+    });
+  }
+  
   /**
-   * Make an HTTP request
+   * Build the request descriptor and k6 params for a request
+   * @private
    * @param {string} method - HTTP method
    * @param {string} path - Request path (appended to baseUrl)
-   * @param {Object|string} [data] - Request body
-   * @param {Object} [params] - Additional request parameters
-   * @returns {Object} k6 HTTP response
+   * @param {Object|string} data - Request body
+   * @param {Object} params - Additional request parameters
+   * @returns {Object} { ctx, requestParams, retryPolicy, extract, circuit, trace }
    */
-  function request(method, path, data = null, params = {}) {
+  function prepareRequest(method, path, data, params) {
+    // Expand path templates and derive a stable route name; {{variables}}
+    // in the path become route placeholders filled from the correlation context
+    const route = hasVariables(path)
+      ? resolveRoute(toPathTemplate(path), { ...vars.all(), ...params.pathParams }, normalizePaths)
+      : resolveRoute(path, params.pathParams, normalizePaths);
+    
     // Build full URL
-    const url = path.startsWith('http') ? path : `${baseUrl}${path}`;
+    const url = toUrl(route.path);
     
-    // Merge headers
-    const headers = {
+    // Merge headers, substituting {{variables}}
+    const headers = vars.substitute({
       ...defaultHeaders,
       ...params.headers
-    };
+    });
     
     // Add auth token if available
     if (token && !headers['Authorization']) {
       headers['Authorization'] = `Bearer ${token}`;
     }
     
-    // Merge tags
+    // Start a trace; retries of the request are new spans of it
+    const trace = tracer ? tracer.inject(headers) : null;
+    
+    // Merge tags; the url tag carries the route template to keep series bounded
     const requestTags = {
       ...tags,
+      ...(route.name && { name: route.name }),
       ...params.tags,
-      url,
+      url: route.name ? toUrl(route.name) : url,
       method
     };
     
-    // Prepare request params
-    const requestParams = {
+    // Let middleware adjust the request before it is sent
+    const ctx = middleware.runBeforeRequest({
+      method,
+      url,
+      body: vars.substitute(data),
       headers,
       tags: requestTags,
-      timeout: params.timeout || '30s',
-      ...params
+      params
+    });
+    
+    // Prepare request params (SDK-only options are not passed to k6)
+    const {
+      retry: requestRetry,
+      circuitBreaker: useBreaker,
+      pathParams,
+      extract,
+      ...k6Params
+    } = ctx.params;
+    const requestParams = {
+      timeout: '30s',
+      ...k6Params,
+      headers: ctx.headers,
+      tags: ctx.tags
     };
     
-    // Log request
-    logRequest(method, url, headers, data);
+    return {
+      ctx,
+      requestParams,
+      retryPolicy: resolveRetryPolicy(retry, requestRetry),
+      extract,
+      circuit: breaker && useBreaker !== false ? circuitKey(ctx, route.path) : null,
+      trace
+    };
+  }
+  
+  /**
+   * Resolve a path against baseUrl
+   * @private
+   * @param {string} path - Request path or absolute URL
+   * @returns {string} Full URL
+   */
+  function toUrl(path) {
+    return path.startsWith('http') ? path : `${baseUrl}${path}`;
+  }
+  
+  /**
+   * Make an HTTP request
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path or path template (appended to baseUrl)
+   * @param {Object|string} [data] - Request body
+   * @param {Object} [params] - Additional request parameters
+   * @param {Object|number|boolean} [params.retry] - Retry policy override for this request
+   * @param {boolean} [params.circuitBreaker] - Set to false to bypass the circuit breaker
+   * @param {Object} [params.pathParams] - Values for `{name}` placeholders in path
+   * @param {Object} [params.extract] - Extractors storing response values as {{variables}}
+   *   (see http/correlation.js)
+   * @returns {Object} k6 HTTP response
+   */
+  function request(method, path, data = null, params = {}) {
+    const { ctx, requestParams, retryPolicy, extract, circuit, trace: firstSpan } = prepareRequest(method, path, data, params);
+    let trace = firstSpan;
+    
+    // Short-circuit while the endpoint's circuit is open
+    if (circuit && !breaker.allowRequest(circuit)) {
+      trackCircuitRejection(circuit, ctx.tags);
+      return middleware.runAfterResponse(shortCircuitResponse(ctx, circuit), ctx);
+    }
     
-    // Make request
+    // Make request, retrying transient failures according to the policy
     let response;
-    try {
-      // Handle different HTTP methods
-      if (method === 'GET') {
-        response = http.get(url, requestParams);
-      } else if (method === 'POST') {
-        response = http.post(url, data, requestParams);
-      } else if (method === 'PUT') {
-        response = http.put(url, data, requestParams);
-      } else if (method === 'PATCH') {
-        response = http.patch(url, data, requestParams);
-      } else if (method === 'DELETE') {
-        response = http.del(url, data, requestParams);
-      } else if (method === 'HEAD') {
-        response = http.head(url, requestParams);
-      } else if (method === 'OPTIONS') {
-        response = http.options(url, requestParams);
-      } else {
-        throw new Error(`Unsupported HTTP method: ${method}`);
+    let error;
+    let attemptTags = ctx.tags;
+    
+    for (let attempt = 1; ; attempt++) {
+      // Each retry is a new span of the request's trace
+      if (attempt > 1 && trace) {
+        trace = tracer.nextSpan(trace, ctx.headers);
+      }
+      
+      if (isRetryEnabled(retryPolicy)) {
+        attemptTags = {
+          ...ctx.tags,
+          attempt: String(attempt),
+          retry: String(attempt > 1)
+        };
+      }
+      
+      // Log request
+      logRequest(ctx.method, ctx.url, ctx.headers, ctx.body, logContext(ctx, trace));
+      
+      response = undefined;
+      error = undefined;
+      try {
+        response = send(ctx.method, ctx.url, ctx.body, { ...requestParams, tags: attemptTags });
+      } catch (err) {
+        error = err;
+      }
+      
+      if (circuit) {
+        breaker.recordResult(circuit, error ? undefined : response);
+      }
+      
+      if (!shouldRetry(retryPolicy, ctx.method, attempt, response, error) ||
+          (circuit && !breaker.allowRequest(circuit))) {
+        break;
+      }
+      
+      // Record the failed attempt before backing off
+      if (response) {
+        logResponse(response, logContext(ctx, trace));
+        trackMetrics(response, attemptTags);
+      }
+      
+      sleep(computeRetryDelay(retryPolicy, attempt, response) / 1000);
+    }
+    
+    if (error) {
+      response = middleware.runOnError(error, ctx);
+      
+      if (response === undefined) {
+        fail(`Request failed: ${error.message}`);
+        throw error;
       }
-    } catch (error) {
-      fail(`Request failed: ${error.message}`);
-      throw error;
     }
     
     // Log response
-    logResponse(response);
+    logResponse(response, logContext(ctx, trace));
     
     // Track metrics
-    trackMetrics(response, requestTags);
+    trackMetrics(response, attemptTags);
+    recordTrace(ctx, trace, response);
+    recordFailure(ctx, response);
     
-    // Return response
-    return response;
+    // Store correlated values for later requests
+    if (extract) {
+      extractValues(response, extract, ctx);
+    }
+    
+    // Let middleware inspect or replace the response
+    return middleware.runAfterResponse(response, ctx);
+  }
+  
+  /**
+   * Send several requests in parallel with http.batch
+   *
+   * Each item is prepared like request() - headers, auth token, tags, middleware
+   * and circuit breaker - and its metrics are tracked individually. Batched
+   * requests are sent once; the retry policy does not apply.
+   *
+   * @param {Array<Array|Object>} requests - Request descriptors (see http/batch.js)
+   * @returns {Array<Object>} { response, passed } per item, in request order
+   */
+  function batch(requests) {
+    const prepared = requests.map((item, index) => {
+      const descriptor = normalizeBatchRequest(item, index);
+      const { ctx, requestParams, extract, circuit, trace } = prepareRequest(
+        descriptor.method,
+        descriptor.path,
+        descriptor.body,
+        descriptor.params
+      );
+      
+      const allowed = !circuit || breaker.allowRequest(circuit);
+      if (!allowed) {
+        trackCircuitRejection(circuit, ctx.tags);
+      }
+      
+      return { descriptor, ctx, requestParams, extract, circuit, trace, allowed };
+    });
+    
+    const pending = prepared.filter(item => item.allowed);
+    pending.forEach(({ ctx, trace }) => logRequest(ctx.method, ctx.url, ctx.headers, ctx.body, logContext(ctx, trace)));
+    
+    let responses = [];
+    if (pending.length > 0) {
+      try {
+        responses = http.batch(pending.map(({ ctx, requestParams }) => ({
+          method: ctx.method,
+          url: ctx.url,
+          body: ctx.body,
+          params: requestParams
+        })));
+      } catch (error) {
+        fail(`Batch request failed: ${error.message}`);
+        throw error;
+      }
+    }
+    
+    let next = 0;
+    return prepared.map(({ descriptor, ctx, extract, circuit, trace, allowed }) => {
+      let response;
+      
+      if (allowed) {
+        response = responses[next++];
+        
+        if (circuit) {
+          breaker.recordResult(circuit, response);
+        }
+        
+        logResponse(response, logContext(ctx, trace));
+        trackMetrics(response, ctx.tags);
+        recordTrace(ctx, trace, response);
+        recordFailure(ctx, response);
+        
+        if (extract) {
+          extractValues(response, extract, ctx);
+        }
+      } else {
+        response = shortCircuitResponse(ctx, circuit);
+      }
+      
+      response = middleware.runAfterResponse(response, ctx);
+      
+      const passed = descriptor.validate
+        ? check(response, descriptor.validate)
+        : isSuccessStatus(response);
+      
+      return { response, passed };
+    });
+  }
+  
+  /**
+   * Log and count a sampled request that was slow or failed
+   * @private
+   * @param {Object} ctx - Request descriptor
+   * @param {Object|null} trace - Trace context from prepareRequest
+   * @param {Object} response - k6 HTTP response
+   */
+  function recordTrace(ctx, trace, response) {
+    if (!trace) {
+      return;
+    }
+    
+    const outlier = tracer.record(trace, {
+      duration: response.timings ? response.timings.duration : 0,
+      failed: !(response.status > 0 && response.status < 400),
+      tags: ctx.tags
+    });
+    if (outlier) {
+      logTraceOutlier(ctx.method, ctx.url, outlier);
+    }
+  }
+  
+  /**
+   * Hand a response to the failure capture, which keeps a sample of the failing ones
+   * @private
+   * @param {Object} ctx - Request descriptor
+   * @param {Object} response - k6 HTTP response
+   */
+  function recordFailure(ctx, response) {
+    if (capture) {
+      capture.recordHttp({
+        method: ctx.method,
+        url: ctx.url,
+        headers: ctx.headers,
+        body: ctx.body,
+        name: ctx.tags.name
+      }, response, { tls: tlsConfig });
+    }
+  }
+  
+  /**
+   * Dispatch a request to the matching k6 http function
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {Object|string} data - Request body
+   * @param {Object} requestParams - k6 request parameters
+   * @returns {Object} k6 HTTP response
+   */
+  function send(method, url, data, requestParams) {
+    if (method === 'GET') {
+      return http.get(url, requestParams);
+    } else if (method === 'POST') {
+      return http.post(url, data, requestParams);
+    } else if (method === 'PUT') {
+      return http.put(url, data, requestParams);
+    } else if (method === 'PATCH') {
+      return http.patch(url, data, requestParams);
+    } else if (method === 'DELETE') {
+      return http.del(url, data, requestParams);
+    } else if (method === 'HEAD') {
+      return http.head(url, requestParams);
+    } else if (method === 'OPTIONS') {
+      return http.options(url, requestParams);
+    }
+    
+    throw new Error(`Unsupported HTTP method: ${method}`);
+  }
+  
+  /**
+   * Run extractors against a response and log the values not found
+   * @private
+   * @param {Object} response - k6 HTTP response
+   * @param {Object} extractors - Extractor definitions by variable name
+   * @param {Object} ctx - Request descriptor
+   */
+  function extractValues(response, extractors, ctx) {
+    const { missing } = vars.extract(response, extractors);
+    if (missing.length > 0) {
+      logExtractionMiss(ctx.url, missing);
+    }
+  }
+  
+  /**
+   * Build the circuit breaker key for a request
+   * @private
+   * @param {Object} ctx - Request descriptor
+   * @param {string} path - Request path
+   * @returns {string} Circuit key
+   */
+  function circuitKey(ctx, path) {
+    return `${ctx.method} ${ctx.tags.name || path.split('?')[0]}`;
+  }
+  
+  /**
+   * Structured log fields of a request; its name tag selects endpoint log levels
+   * @private
+   * @param {Object} ctx - Request descriptor
+   * @param {Object|null} trace - Trace context
+   * @returns {Object} { name, trace_id }
+   */
+  function logContext(ctx, trace) {
+    return { name: ctx.tags.name, ...traceLogFields(trace) };
   }
   
   // Return HTTP client interface
@@ -112,6 +461,13 @@ export function createHttpClient(options = {}) {
     delete: (path, params) => request('DELETE', path, null, params),
     head: (path, params) => request('HEAD', path, null, params),
     options: (path, params) => request('OPTIONS', path, null, params),
+    batch,
+    
+    // Register request/response middleware; returns a function that removes it
+    use: (mw) => middleware.use(mw),
+    
+    // Remove a previously registered middleware
+    eject: (mw) => middleware.eject(mw),
     
     // Set authentication token
     setToken: (newToken) => {
@@ -123,16 +479,94 @@ export function createHttpClient(options = {}) {
       Object.assign(defaultHeaders, headers);
     },
     
+    // Correlation context holding extracted {{variables}} for this VU
+    correlation: vars,
+    setVar: (name, value) => vars.set(name, value),
+    getVar: (name) => vars.get(name),
+    
+    // Subscribe to circuit breaker state changes; returns a function that unsubscribes
+    onCircuitStateChange: (listener) => (breaker ? breaker.onStateChange(listener) : () => {}),
+    
+    // Get circuit breaker states by endpoint key
+    getCircuitStates: () => (breaker ? breaker.getStates() : {}),
+    
+    // Tracer sending trace context headers, or null
+    tracer,
+    
+    // Failing exchanges kept by this VU (see utils/failures.js)
+    getCapturedFailures: () => (capture ? capture.captured() : []),
+    
+    // k6 options presenting the client certificate to the baseUrl host
+    tlsOptions: () => (tlsConfig ? toK6TlsOptions(tlsConfig, tlsDomains(baseUrl)) : {}),
+    
     // Get current configuration
     getConfig: () => ({
       baseUrl,
       defaultHeaders: { ...defaultHeaders },
       token,
-      tags: { ...tags }
+      tags: { ...tags },
+      retry: resolveRetryPolicy(retry),
+      tls: tlsConfig ? tlsConfig.files : null,
+      tracing: tracer ? { propagation: tracer.propagation, sampleRate: tracer.sampleRate } : null
     })
   };
 }
 
+/**
+ * Host of the base URL, as the domain list for `tlsAuth`
+ * @private
+ * @param {string} baseUrl - Base URL
+ * @returns {Array<string>} [host], or [] without a base URL
+ */
+function tlsDomains(baseUrl) {
+  const match = /^https?:\/\/([^/:?#]+)/i.exec(baseUrl);
+  return match ? [match[1]] : [];
+}
+
+/**
+ * Resolve the circuitBreaker option into a breaker instance
+ * @private
+ * @param {Object|boolean|null} option - Breaker options, true, or an existing breaker
+ * @returns {Object|null} Circuit breaker, or null when disabled
+ */
+function resolveCircuitBreaker(option) {
+  if (!option) {
+    return null;
+  }
+  if (typeof option.allowRequest === 'function') {
+    return option;
+  }
+  return createCircuitBreaker(option === true ? {} : option);
+}
+
+/**
+ * Build the response returned for a short-circuited request
+ * @private
+ * @param {Object} ctx - Request descriptor
+ * @param {string} circuit - Circuit key
+ * @returns {Object} k6-shaped response with status 0
+ */
+function shortCircuitResponse(ctx, circuit) {
+  return {
+    status: 0,
+    error: `Circuit open for ${circuit}`,
+    circuitOpen: true,
+    url: ctx.url,
+    body: '',
+    headers: {},
+    request: { method: ctx.method, url: ctx.url, headers: ctx.headers, body: ctx.body },
+    timings: {
+      duration: 0,
+      blocked: 0,
+      connecting: 0,
+      tls_handshaking: 0,
+      sending: 0,
+      waiting: 0,
+      receiving: 0
+    }
+  };
+}
+
 // Export a factory function
 export default {
   create: createHttpClient
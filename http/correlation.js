@@ -0,0 +1,264 @@
+/**
+ * Response value extraction and correlation for k6 performance testing SDK
+ *
+ * Extractors attached to a request pull values (IDs, CSRF tokens, cursors)
+ * out of its response into a per-VU context; later requests reference them
+ * as {{name}} in their path, headers and body.
+ */
+
+import { parseHTML } from 'k6/html';
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const SINGLE_VARIABLE_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// JSONPath wildcard token (distinct from a property literally named '*')
+const WILDCARD = {};
+
+/**
+ * Create a correlation context
+ * @param {Object} [initial={}] - Initial variables
+ * @returns {Object} Correlation context
+ */
+export function createCorrelationContext(initial = {}) {
+  const vars = { ...initial };
+
+  /**
+   * Replace {{name}} references with stored values. A string that is exactly
+   * one reference keeps the stored value's type; unknown names are left as-is.
+   * @param {*} value - String, array or plain object (recursively)
+   * @returns {*} Value with references substituted
+   */
+  function substitute(value) {
+    if (typeof value === 'string') {
+      const single = SINGLE_VARIABLE_PATTERN.exec(value);
+      if (single && vars[single[1]] !== undefined) {
+        return vars[single[1]];
+      }
+
+      return value.replace(VARIABLE_PATTERN, (reference, name) => (
+        vars[name] !== undefined ? String(vars[name]) : reference
+      ));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(substitute);
+    }
+
+    if (isPlainObject(value)) {
+      const result = {};
+      Object.keys(value).forEach(key => {
+        result[key] = substitute(value[key]);
+      });
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Run extractors against a response and store the values found
+   * @param {Object} response - k6 HTTP response
+   * @param {Object} extractors - Extractor definitions by variable name
+   * @returns {Object} { extracted, missing } - values stored, names not found
+   */
+  function extract(response, extractors) {
+    const extracted = {};
+    const missing = [];
+
+    Object.keys(extractors).forEach(name => {
+      const extractor = normalizeExtractor(extractors[name]);
+      let value = extractValue(response, extractor);
+
+      if (value === undefined || value === null) {
+        value = extractor.default;
+      }
+
+      if (value === undefined || value === null) {
+        missing.push(name);
+        return;
+      }
+
+      vars[name] = value;
+      extracted[name] = value;
+    });
+
+    return { extracted, missing };
+  }
+
+  return {
+    substitute,
+    extract,
+    get: (name) => vars[name],
+    set: (name, value) => { vars[name] = value; },
+    has: (name) => vars[name] !== undefined,
+    all: () => ({ ...vars }),
+    clear: () => Object.keys(vars).forEach(name => delete vars[name])
+  };
+}
+
+/**
+ * Check whether a string contains {{name}} references
+ * @param {string} value - Value to check
+ * @returns {boolean} True if it references variables
+ */
+export function hasVariables(value) {
+  return typeof value === 'string' && value.search(VARIABLE_PATTERN) !== -1;
+}
+
+/**
+ * Turn {{name}} references in a path into {name} route placeholders, so the
+ * route name stays stable while the values are URL-encoded on expansion
+ * @param {string} path - Request path
+ * @returns {string} Path template
+ */
+export function toPathTemplate(path) {
+  return path.replace(VARIABLE_PATTERN, (reference, name) => `{${name}}`);
+}
+
+/**
+ * Normalize extractor shorthand
+ * @private
+ * @param {string|Object} extractor - JSONPath string or extractor object
+ * @returns {Object} Extractor object
+ */
+function normalizeExtractor(extractor) {
+  return typeof extractor === 'string' ? { json: extractor } : extractor;
+}
+
+/**
+ * Extract a single value from a response
+ *
+ * Supported extractors:
+ *   { json: '$.data.items[0].id' }                    JSONPath (subset)
+ *   { regex: 'token=(\\w+)', group: 1, flags: 'i' }   Regular expression on the body
+ *   { header: 'X-Request-Id' }                        Response header (case-insensitive)
+ *   { cookie: 'SESSIONID' }                           Response cookie
+ *   { html: 'input[name=_csrf]', attribute: 'value' } CSS selector via k6/html (text if no attribute)
+ * Any extractor may set a `default`.
+ *
+ * @param {Object} response - k6 HTTP response
+ * @param {Object} extractor - Extractor definition
+ * @returns {*} Extracted value, or undefined if not found
+ */
+export function extractValue(response, extractor) {
+  if (extractor.json !== undefined) {
+    let body;
+    try {
+      body = JSON.parse(response.body);
+    } catch (e) {
+      return undefined;
+    }
+    return queryJsonPath(body, extractor.json);
+  }
+
+  if (extractor.regex !== undefined) {
+    const pattern = new RegExp(extractor.regex, extractor.flags || '');
+    const match = pattern.exec(response.body || '');
+    if (!match) return undefined;
+
+    const group = extractor.group !== undefined ? extractor.group : (match.length > 1 ? 1 : 0);
+    return match[group];
+  }
+
+  if (extractor.header !== undefined) {
+    const headers = response.headers || {};
+    const name = Object.keys(headers).find(key => key.toLowerCase() === extractor.header.toLowerCase());
+    return name ? headers[name] : undefined;
+  }
+
+  if (extractor.cookie !== undefined) {
+    const cookies = (response.cookies || {})[extractor.cookie];
+    return cookies && cookies.length > 0 ? cookies[0].value : undefined;
+  }
+
+  if (extractor.html !== undefined) {
+    const selection = parseHTML(response.body || '').find(extractor.html);
+    if (selection.size() === 0) return undefined;
+
+    return extractor.attribute ? selection.attr(extractor.attribute) : selection.text();
+  }
+
+  throw new Error(`Unsupported extractor: ${JSON.stringify(extractor)}`);
+}
+
+/**
+ * Evaluate a JSONPath expression
+ *
+ * Supports `$`, `.name`, `['name']`, `[index]` (negative counts from the end)
+ * and the `*` / `[*]` wildcard. A path with a wildcard returns an array of
+ * matches; otherwise the single match is returned. The leading `$.` is optional.
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSONPath expression
+ * @returns {*} Matched value(s), or undefined
+ */
+export function queryJsonPath(data, path) {
+  const tokens = tokenizeJsonPath(path);
+  let matches = [data];
+  let wildcard = false;
+
+  tokens.forEach(token => {
+    const next = [];
+
+    matches.forEach(value => {
+      if (value === null || typeof value !== 'object') return;
+
+      if (token === WILDCARD) {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (typeof token === 'number') {
+        const index = token < 0 && Array.isArray(value) ? value.length + token : token;
+        if (value[index] !== undefined) next.push(value[index]);
+      } else if (value[token] !== undefined) {
+        next.push(value[token]);
+      }
+    });
+
+    if (token === WILDCARD) wildcard = true;
+    matches = next;
+  });
+
+  return wildcard ? matches : matches[0];
+}
+
+/**
+ * Split a JSONPath expression into property names, indexes and wildcards
+ * @private
+ */
+function tokenizeJsonPath(path) {
+  let rest = path.startsWith('$') ? path.slice(1) : `.${path}`;
+  const tokens = [];
+  const pattern = /^(?:\.([A-Za-z_$][\w$-]*)|\.\*|\[(-?\d+|\*)\]|\[['"]([^'"]+)['"]\])/;
+
+  while (rest.length > 0) {
+    const match = pattern.exec(rest);
+    if (!match) {
+      throw new Error(`Unsupported JSONPath expression: ${path}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push(match[1]);
+    } else if (match[3] !== undefined) {
+      tokens.push(match[3]);
+    } else if (match[2] !== undefined && match[2] !== '*') {
+      tokens.push(Number(match[2]));
+    } else {
+      tokens.push(WILDCARD);
+    }
+
+    rest = rest.slice(match[0].length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Check whether a value is a plain object (not a k6 file, buffer, etc.)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+export default {
+  create: createCorrelationContext
+};
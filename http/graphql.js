@@ -0,0 +1,238 @@
+/**
+ * GraphQL client for k6 performance testing SDK
+ *
+ * Sends operations through createHttpClient so they get its headers, auth,
+ * middleware, retries and correlation, but tags each request by operation
+ * name instead of the shared `POST /graphql` endpoint, and counts a response
+ * with a non-empty `errors` array as failed (see trackMetrics).
+ */
+
+import crypto from 'k6/crypto';
+import { createHttpClient } from './client.js';
+
+const OPERATION_PATTERN = /^\s*(query|mutation|subscription)\b\s*([_A-Za-z][_0-9A-Za-z]*)?/;
+const PERSISTED_QUERY_NOT_FOUND = 'PERSISTED_QUERY_NOT_FOUND';
+
+/**
+ * Create a GraphQL client
+ * @param {Object} options - GraphQL client options
+ * @param {Object} [options.http] - Existing createHttpClient instance to send through
+ * @param {string} [options.path='/graphql'] - GraphQL endpoint path or URL
+ * @param {string} [options.method='POST'] - POST, or GET to send operations as query parameters
+ * @param {boolean} [options.persistedQueries=false] - Send automatic persisted query
+ *   hashes first, and the full query only when the server does not know the hash
+ * @param {Object} [options.params] - Default request params (headers, tags, retry, ...)
+ * @returns {Object} GraphQL client instance
+ *
+ * Any other options (baseUrl, token, retry, ...) create the underlying HTTP client.
+ */
+export function createGraphqlClient(options = {}) {
+  const {
+    http: existingClient = null,
+    path = '/graphql',
+    method = 'POST',
+    persistedQueries = false,
+    params: defaultParams = {},
+    ...httpOptions
+  } = options;
+
+  const http = existingClient || createHttpClient(httpOptions);
+  const hashes = {};
+
+  /**
+   * Execute a GraphQL operation
+   * @param {Object} operation - Operation
+   * @param {string} [operation.query] - Query document (optional when hash is given)
+   * @param {Object} [operation.variables] - Variables
+   * @param {string} [operation.operationName] - Operation name (parsed from the query if omitted)
+   * @param {string} [operation.hash] - Persisted query SHA-256 hash, for servers with
+   *   registered queries; sent without the query text
+   * @param {Object} [operation.extensions] - Extra request extensions
+   * @param {Object} [params] - Request params (headers, tags, extract, retry, ...)
+   * @returns {Object} { response, data, errors, ok, operationName }
+   */
+  function execute(operation, params = {}) {
+    const { query, variables, hash, extensions = {} } = operation;
+    if (!query && !hash) {
+      throw new Error('GraphQL operation needs a query or a persisted query hash');
+    }
+
+    const parsed = parseOperation(query || '');
+    const operationName = operation.operationName || parsed.name;
+    const requestParams = withOperationTags({ ...defaultParams, ...params }, operationName, parsed.type);
+
+    const usePersisted = Boolean(hash) || persistedQueries;
+    const sha256Hash = hash || (usePersisted ? queryHash(query) : null);
+
+    const payload = {
+      operationName: operation.operationName || parsed.operationName,
+      variables,
+      extensions: usePersisted
+        ? { ...extensions, persistedQuery: { version: 1, sha256Hash } }
+        : extensions
+    };
+
+    // Automatic persisted queries: try the hash alone, register the query on a miss
+    let response = send(usePersisted ? payload : { ...payload, query }, requestParams);
+    let result = parseResult(response);
+
+    if (usePersisted && query && isPersistedQueryMiss(result.errors)) {
+      response = send({ ...payload, query }, requestParams);
+      result = parseResult(response);
+    }
+
+    return {
+      response,
+      data: result.data,
+      errors: result.errors,
+      ok: response.status >= 200 && response.status < 300 && result.errors.length === 0,
+      operationName
+    };
+  }
+
+  /**
+   * Send one operation payload; persisted query requests are tagged
+   * graphql_persisted=hash (hash only) or register (hash plus query)
+   * @private
+   */
+  function send(payload, params) {
+    const body = compact(payload);
+    const tags = body.extensions && body.extensions.persistedQuery
+      ? { ...params.tags, graphql_persisted: body.query ? 'register' : 'hash' }
+      : params.tags;
+
+    if (method.toUpperCase() === 'GET') {
+      return http.get(`${path}${path.includes('?') ? '&' : '?'}${toQueryString(body)}`, { ...params, tags });
+    }
+
+    return http.post(path, JSON.stringify(body), {
+      ...params,
+      headers: { 'Content-Type': 'application/json', ...params.headers },
+      tags
+    });
+  }
+
+  /**
+   * Hash a query for automatic persisted queries (cached per VU)
+   * @private
+   */
+  function queryHash(query) {
+    if (!hashes[query]) {
+      hashes[query] = crypto.sha256(query, 'hex');
+    }
+    return hashes[query];
+  }
+
+  // Return GraphQL client interface
+  return {
+    execute,
+    query: (query, variables, params) => execute({ query, variables }, params),
+    mutate: (mutation, variables, params) => execute({ query: mutation, variables }, params),
+    persisted: (hash, operationName, variables, params) => execute({ hash, operationName, variables }, params),
+
+    // Underlying HTTP client (middleware, tokens, correlation variables)
+    http
+  };
+}
+
+/**
+ * Read the operation type and name from a query document
+ * @param {string} query - GraphQL query document
+ * @returns {Object} { type, name, operationName } - name is 'anonymous' when
+ *   unnamed; operationName is only set for named operations
+ */
+export function parseOperation(query) {
+  const source = query.replace(/#[^\n]*/g, '');
+  const match = OPERATION_PATTERN.exec(source);
+
+  if (!match) {
+    // Shorthand `{ ... }` is an anonymous query
+    return { type: 'query', name: 'anonymous', operationName: undefined };
+  }
+
+  return {
+    type: match[1],
+    name: match[2] || 'anonymous',
+    operationName: match[2]
+  };
+}
+
+/**
+ * Add the operation tags: `graphql_operation` and `graphql_type`, an `endpoint`
+ * per operation for trackMetrics, and a `name` so each operation is its own series
+ * @private
+ */
+function withOperationTags(params, operationName, type) {
+  return {
+    ...params,
+    tags: {
+      name: `graphql ${operationName}`,
+      endpoint: `graphql_${operationName}`,
+      ...params.tags,
+      graphql_operation: operationName,
+      graphql_type: type
+    }
+  };
+}
+
+/**
+ * Parse a GraphQL response body
+ * @private
+ * @returns {Object} { data, errors } - errors is always an array
+ */
+function parseResult(response) {
+  let body;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    return { data: null, errors: [] };
+  }
+
+  return {
+    data: body && body.data !== undefined ? body.data : null,
+    errors: body && Array.isArray(body.errors) ? body.errors : []
+  };
+}
+
+/**
+ * @private
+ */
+function isPersistedQueryMiss(errors) {
+  return errors.some(error => (
+    (error.extensions && error.extensions.code === PERSISTED_QUERY_NOT_FOUND) ||
+    error.message === 'PersistedQueryNotFound'
+  ));
+}
+
+/**
+ * Drop undefined fields and empty extensions from a payload
+ * @private
+ */
+function compact(payload) {
+  const body = {};
+  Object.keys(payload).forEach(key => {
+    const value = payload[key];
+    if (value === undefined) return;
+    if (key === 'extensions' && Object.keys(value).length === 0) return;
+    body[key] = value;
+  });
+  return body;
+}
+
+/**
+ * Encode a payload for GET requests (objects as JSON)
+ * @private
+ */
+function toQueryString(body) {
+  return Object.keys(body)
+    .map(key => {
+      const value = typeof body[key] === 'string' ? body[key] : JSON.stringify(body[key]);
+      return `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+    })
+    .join('&');
+}
+
+// Export a factory function
+export default {
+  create: createGraphqlClient
+};
@@ -4,11 +4,28 @@
  */
 
 import http from 'node:http';
+import { createHash } from 'node:crypto';
 import { check } from 'k6';
+import k6http from 'k6/http';
 import { createHttpClient } from './client.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { resolveRetryPolicy } from './retry.js';
+import { createCorrelationContext } from './correlation.js';
+import { createGraphqlClient, parseOperation } from './graphql.js';
+import { createSseParser, createSseClient } from './sse.js';
+import { trackSseStream } from './metrics.js';
+import { parseTraceparent } from '../utils/trace.js';
+import { setLogFormat } from '../utils/logger.js';
+import { setLogLevel as setHttpLogLevel } from './logger.js';
 
-// Avoid loading real metrics.js (it has a duplicate import); we only need the client under test
-jest.mock('./metrics.js', () => ({ trackMetrics: () => {} }));
+// Avoid registering real metrics; we only need the client under test
+jest.mock('./metrics.js', () => ({
+  trackMetrics: () => {},
+  trackCircuitRejection: () => {},
+  trackCircuitStateChange: () => {},
+  trackSseStream: jest.fn(),
+  trackSseReconnect: () => {}
+}));
 
 /** @type {http.Server} */
 let server;
@@ -224,6 +241,15 @@ describe('HTTP client (integration)', () => {
       }
       expect(requestCount).toBe(1);
     });
+
+    it('turns on the default retry policy with retry: true', () => {
+      expect(resolveRetryPolicy(true).maxAttempts).toBe(3);
+      expect(resolveRetryPolicy(true, false).maxAttempts).toBe(1);
+      expect(createHttpClient({ baseUrl, retry: true }).getConfig().retry).toMatchObject({
+        maxAttempts: 3,
+        retryOnStatus: [408, 429, 500, 502, 503, 504]
+      });
+    });
   });
 
   describe('header management', () => {
@@ -263,6 +289,412 @@ describe('HTTP client (integration)', () => {
     });
   });
 
+  describe('tracing', () => {
+    it('sends a traceparent and B3 header for the same trace', async () => {
+      const client = createHttpClient({ baseUrl, tracing: { propagation: ['w3c', 'b3'], tracestate: 'k6=test' } });
+      await client.get('/ok');
+      const trace = parseTraceparent(lastRequest.headers['traceparent']);
+      expect(trace).toMatchObject({ sampled: true });
+      expect(trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(lastRequest.headers['tracestate']).toBe('k6=test');
+      expect(lastRequest.headers['b3']).toBe(`${trace.traceId}-${trace.spanId}-1`);
+    });
+
+    it('keeps a traceparent set by the caller', async () => {
+      const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+      const client = createHttpClient({ baseUrl, tracing: true });
+      await client.get('/ok', { headers: { Traceparent: traceparent } });
+      expect(lastRequest.headers['traceparent']).toBe(traceparent);
+    });
+
+    it('sends each retry as a new span of the same trace', () => {
+      const sent = [];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(k6http, 'get').mockImplementation((url, params) => {
+        sent.push(parseTraceparent(params.headers.traceparent));
+        return { status: 503, url, body: '', headers: {}, request: { method: 'GET' }, timings: { duration: 1 } };
+      });
+      const client = createHttpClient({ baseUrl, tracing: true, retry: { maxAttempts: 3, baseDelay: 0 } });
+
+      client.get('/unavailable');
+      jest.restoreAllMocks();
+
+      expect(sent).toHaveLength(3);
+      expect(new Set(sent.map(trace => trace.traceId)).size).toBe(1);
+      expect(new Set(sent.map(trace => trace.spanId)).size).toBe(3);
+    });
+  });
+
+  describe('TLS', () => {
+    afterEach(() => {
+      setLogFormat('text');
+      jest.restoreAllMocks();
+    });
+
+    it('warns through the HTTP logger that TLS CA files are not applied', () => {
+      const lines = [];
+      jest.spyOn(console, 'warn').mockImplementation((line) => lines.push(line));
+      global.open = () => '-----BEGIN CERTIFICATE-----\nMAA=\n-----END CERTIFICATE-----\n';
+      setLogFormat('json');
+      createHttpClient({ baseUrl, tls: { caFile: 'certs/ca.pem' } });
+      delete global.open;
+      expect(JSON.parse(lines[0])).toMatchObject({ level: 'warn', module: 'http', event: 'tls_ca_ignored', files: ['certs/ca.pem'] });
+
+      lines.length = 0;
+      setHttpLogLevel('ERROR');
+      global.open = () => '-----BEGIN CERTIFICATE-----\nMAA=\n-----END CERTIFICATE-----\n';
+      createHttpClient({ baseUrl, tls: { caFile: 'certs/ca.pem' } });
+      delete global.open;
+      setHttpLogLevel('INFO');
+      expect(lines).toEqual([]);
+    });
+  });
+
+  describe('middleware', () => {
+    it('applies beforeRequest hooks to outgoing headers', async () => {
+      const client = createHttpClient({ baseUrl });
+      client.use((request) => {
+        request.headers['X-Injected'] = 'yes';
+        return request;
+      });
+      await client.get('/ok');
+      expect(lastRequest.headers['x-injected']).toBe('yes');
+    });
+
+    it('keeps default headers when params.headers is provided', async () => {
+      const client = createHttpClient({ baseUrl, defaultHeaders: { 'X-Default': 'kept' } });
+      await client.get('/ok', { headers: { 'X-Extra': 'added' } });
+      expect(lastRequest.headers['x-default']).toBe('kept');
+      expect(lastRequest.headers['x-extra']).toBe('added');
+    });
+
+    it('runs beforeRequest hooks in registration order', async () => {
+      const client = createHttpClient({ baseUrl });
+      client.use({ beforeRequest: (request) => { request.headers['X-Order'] = 'first'; } });
+      client.use({ beforeRequest: (request) => { request.headers['X-Order'] += ',second'; } });
+      await client.get('/ok');
+      expect(lastRequest.headers['x-order']).toBe('first,second');
+    });
+
+    it('removes middleware with the function returned by use()', async () => {
+      const client = createHttpClient({ baseUrl });
+      const remove = client.use((request) => {
+        request.headers['X-Injected'] = 'yes';
+        return request;
+      });
+      remove();
+      await client.get('/ok');
+      expect(lastRequest.headers['x-injected']).toBeUndefined();
+    });
+
+    it('lets afterResponse hooks replace the response', async () => {
+      const client = createHttpClient({ baseUrl });
+      client.use({ afterResponse: () => ({ status: 299 }) });
+      const response = await client.get('/ok');
+      expect(response.status).toBe(299);
+    });
+
+    it('rejects asynchronous beforeRequest hooks', () => {
+      const client = createHttpClient({ baseUrl });
+      client.use(async (request) => request);
+      expect(() => client.get('/ok')).toThrow(/synchronous/);
+    });
+  });
+
+  describe('circuit breaker', () => {
+    const failure = { status: 503, timings: { duration: 5 } };
+
+    it('short-circuits requests while the endpoint circuit is open', () => {
+      const breaker = createCircuitBreaker({ minimumRequests: 2, errorRateThreshold: 0.5 });
+      const events = [];
+      breaker.onStateChange((event) => events.push(event));
+      breaker.recordResult('GET /ok', failure);
+      breaker.recordResult('GET /ok', failure);
+
+      const client = createHttpClient({ baseUrl, circuitBreaker: breaker });
+      const response = client.get('/ok');
+
+      expect(response.status).toBe(0);
+      expect(response.circuitOpen).toBe(true);
+      expect(lastRequest).toBeNull();
+      expect(events.map((e) => e.to)).toEqual(['open']);
+      expect(client.getCircuitStates()).toEqual({ 'GET /ok': 'open' });
+    });
+
+    it('probes in half-open state and closes after successful probes', () => {
+      const breaker = createCircuitBreaker({ minimumRequests: 1, openDuration: 0, halfOpenRequests: 1 });
+      breaker.recordResult('GET /ok', failure);
+      expect(breaker.getState('GET /ok')).toBe('open');
+
+      expect(breaker.allowRequest('GET /ok')).toBe(true);
+      expect(breaker.getState('GET /ok')).toBe('half_open');
+      expect(breaker.allowRequest('GET /ok')).toBe(false);
+
+      breaker.recordResult('GET /ok', { status: 200, timings: { duration: 5 } });
+      expect(breaker.getState('GET /ok')).toBe('closed');
+    });
+
+    it('bypasses the breaker when params.circuitBreaker is false', async () => {
+      const breaker = createCircuitBreaker({ minimumRequests: 1 });
+      breaker.recordResult('GET /ok', failure);
+
+      const client = createHttpClient({ baseUrl, circuitBreaker: breaker });
+      const response = await client.get('/ok', { circuitBreaker: false });
+      expect(response.status).toBe(200);
+    });
+
+    it('summarizes transitions of all VUs from the circuit_state_changes counter', () => {
+      const { circuitStateThresholds, summarizeCircuitStates } = jest.requireActual('./metrics.js');
+      expect(circuitStateThresholds()).toMatchObject({
+        'circuit_state_changes{from:closed}': ['count>=0'],
+        'circuit_state_changes{to:closed}': ['count>=0']
+      });
+
+      const count = (value) => ({ values: { count: value } });
+      expect(summarizeCircuitStates({
+        metrics: {
+          'circuit_state_changes{from:closed}': count(3),
+          'circuit_state_changes{to:half_open}': count(4),
+          'circuit_state_changes{from:half_open,to:open}': count(2),
+          'circuit_state_changes{to:closed}': count(2)
+        }
+      })).toEqual({ trips: 3, probes: 4, reopens: 2, closes: 2, open: 1 });
+    });
+  });
+
+  describe('route templating', () => {
+    function captureTags(client) {
+      const captured = {};
+      client.use((request) => {
+        Object.assign(captured, request.tags);
+        return request;
+      });
+      return captured;
+    }
+
+    it('expands pathParams and tags the request with the template', async () => {
+      const client = createHttpClient({ baseUrl });
+      const tags = captureTags(client);
+      await client.get('/resource/{id}', { pathParams: { id: 42 } });
+      expect(lastRequest.pathname).toBe('/resource/42');
+      expect(tags.name).toBe('/resource/{id}');
+      expect(tags.url).toBe(`${baseUrl}/resource/{id}`);
+    });
+
+    it('normalizes numeric and UUID segments into the name tag', async () => {
+      const client = createHttpClient({ baseUrl });
+      const tags = captureTags(client);
+      await client.get('/resource/123/items/550e8400-e29b-41d4-a716-446655440000?page=2');
+      expect(tags.name).toBe('/resource/{id}/items/{uuid}');
+    });
+
+    it('keeps an explicit name tag', async () => {
+      const client = createHttpClient({ baseUrl });
+      const tags = captureTags(client);
+      await client.get('/resource/123', { tags: { name: 'GetResource' } });
+      expect(tags.name).toBe('GetResource');
+    });
+
+    it('throws when a path parameter is missing', () => {
+      const client = createHttpClient({ baseUrl });
+      expect(() => client.get('/resource/{id}', { pathParams: {} })).toThrow(/Missing path parameter "id"/);
+    });
+  });
+
+  describe('correlation', () => {
+    const response = {
+      status: 200,
+      body: JSON.stringify({ data: { items: [{ id: 7 }, { id: 8 }] }, cursor: 'abc' }),
+      headers: { 'X-Request-Id': 'req-1' },
+      cookies: { SESSIONID: [{ value: 's-1' }] }
+    };
+
+    it('extracts JSONPath, regex, header and cookie values', () => {
+      const vars = createCorrelationContext();
+      const { extracted, missing } = vars.extract(response, {
+        firstId: '$.data.items[0].id',
+        lastId: { json: '$.data.items[-1].id' },
+        allIds: { json: '$.data.items[*].id' },
+        cursor: { regex: '"cursor":"(\\w+)"' },
+        requestId: { header: 'x-request-id' },
+        session: { cookie: 'SESSIONID' },
+        absent: { json: '$.nope', default: 'fallback' },
+        missingValue: { json: '$.nope' }
+      });
+      expect(extracted).toEqual({
+        firstId: 7,
+        lastId: 8,
+        allIds: [7, 8],
+        cursor: 'abc',
+        requestId: 'req-1',
+        session: 's-1',
+        absent: 'fallback'
+      });
+      expect(missing).toEqual(['missingValue']);
+    });
+
+    it('substitutes {{variables}} in path, headers and body', async () => {
+      const client = createHttpClient({ baseUrl, defaultHeaders: { 'X-Session': '{{session}}' } });
+      client.setVar('session', 's-1');
+      client.setVar('name', 'widget');
+      await client.post('/echo', { name: '{{name}}', label: 'item {{name}}' });
+      expect(lastRequest.headers['x-session']).toBe('s-1');
+      expect(JSON.parse(lastRequest.body)).toEqual({ name: 'widget', label: 'item widget' });
+
+      client.setVar('id', 9);
+      await client.delete('/resource/{{id}}');
+      expect(lastRequest.pathname).toBe('/resource/9');
+    });
+
+    it('keeps the variable type for whole-value references', () => {
+      const vars = createCorrelationContext({ count: 3 });
+      expect(vars.substitute({ count: '{{count}}', missing: '{{other}}' })).toEqual({ count: 3, missing: '{{other}}' });
+    });
+  });
+
+  describe('batch', () => {
+    it('returns responses in request order', async () => {
+      const client = createHttpClient({ baseUrl });
+      const results = client.batch([
+        ['GET', '/ok'],
+        { method: 'GET', path: '/not-found' },
+        { method: 'POST', path: '/echo', body: { foo: 'bar' } }
+      ]);
+      const responses = await Promise.all(results.map((r) => r.response));
+      expect(responses.map((r) => r.status)).toEqual([200, 404, 200]);
+      expect(JSON.parse(responses[2].body)).toEqual({ foo: 'bar' });
+    });
+
+    it('applies default headers, token and middleware to each request', async () => {
+      const client = createHttpClient({ baseUrl, token: 'secret', defaultHeaders: { 'X-Custom': 'default' } });
+      client.use((request) => {
+        request.headers['X-Injected'] = 'yes';
+        return request;
+      });
+      const [result] = client.batch([['GET', '/ok']]);
+      await result.response;
+      expect(lastRequest.headers['authorization']).toBe('Bearer secret');
+      expect(lastRequest.headers['x-custom']).toBe('default');
+      expect(lastRequest.headers['x-injected']).toBe('yes');
+    });
+
+    it('rejects items without a path', () => {
+      const client = createHttpClient({ baseUrl });
+      expect(() => client.batch([{ method: 'GET' }])).toThrow(/missing a path/);
+    });
+  });
+
+  describe('graphql', () => {
+    const GET_USER = 'query GetUser($id: ID!) { user(id: $id) { name } }';
+
+    it('reads the operation type and name from the query', () => {
+      expect(parseOperation(GET_USER)).toEqual({ type: 'query', name: 'GetUser', operationName: 'GetUser' });
+      expect(parseOperation('# comment\nmutation { reset }')).toEqual({ type: 'mutation', name: 'anonymous', operationName: undefined });
+      expect(parseOperation('{ me { id } }').type).toBe('query');
+    });
+
+    it('posts query, variables and operationName tagged by operation', async () => {
+      const http = createHttpClient({ baseUrl });
+      let tags;
+      http.use((request) => {
+        tags = request.tags;
+        return request;
+      });
+      const gql = createGraphqlClient({ http, path: '/echo' });
+
+      await gql.query(GET_USER, { id: '1' }).response;
+      expect(JSON.parse(lastRequest.body)).toEqual({ operationName: 'GetUser', variables: { id: '1' }, query: GET_USER });
+      expect(lastRequest.headers['content-type']).toBe('application/json');
+      expect(tags).toMatchObject({ name: 'graphql GetUser', endpoint: 'graphql_GetUser', graphql_operation: 'GetUser', graphql_type: 'query' });
+    });
+
+    it('sends a persisted query hash without the query text', async () => {
+      const gql = createGraphqlClient({ baseUrl, path: '/echo', persistedQueries: true });
+      await gql.query(GET_USER).response;
+      const body = JSON.parse(lastRequest.body);
+      expect(body.query).toBeUndefined();
+      expect(body.extensions.persistedQuery).toEqual({
+        version: 1,
+        sha256Hash: createHash('sha256').update(GET_USER).digest('hex')
+      });
+    });
+
+    it('requires a query or a hash', () => {
+      const gql = createGraphqlClient({ baseUrl });
+      expect(() => gql.execute({ variables: {} })).toThrow(/query or a persisted query hash/);
+    });
+  });
+
+  describe('sse parser', () => {
+    it('parses events split across chunks and line endings', () => {
+      const parser = createSseParser();
+      const events = [
+        ...parser.feed('\uFEFF: comment\r\nevent: price\r'),
+        ...parser.feed('\ndata: {"sku":'),
+        ...parser.feed('"A-1"}\ndata:line two\nid: 7\n\n'),
+        ...parser.feed('retry: 2500\ndata: plain\n\ndata: unterminated'),
+        ...parser.end()
+      ];
+
+      expect(events).toEqual([
+        { type: 'price', data: '{"sku":"A-1"}\nline two', id: '7' },
+        { type: 'message', data: 'plain', id: '7' }
+      ]);
+      expect(parser.lastEventId).toBe('7');
+      expect(parser.retry).toBe(2500);
+    });
+
+    // Minimal synchronous stand-in for createHttpClient
+    const bufferedHttp = (body) => ({
+      get: () => ({ status: 200, body, timings: { sending: 1, waiting: 40 } }),
+      getConfig: () => ({ baseUrl: 'http://sse.test', defaultHeaders: {}, token: null, tags: {} })
+    });
+
+    beforeEach(() => {
+      trackSseStream.mockClear();
+    });
+
+    it('records no event timings for buffered streams', () => {
+      const events = createSseClient({ http: bufferedHttp('data: a\n\ndata: b\n\n') });
+      const result = events.stream('/feed');
+
+      expect(result.events).toEqual([
+        { type: 'message', data: 'a', id: '', time: null },
+        { type: 'message', data: 'b', id: '', time: null }
+      ]);
+      expect(trackSseStream).toHaveBeenCalledWith(
+        expect.objectContaining({ events: 2, timeToFirstEvent: null, gaps: [] }),
+        expect.objectContaining({ name: '/feed' })
+      );
+    });
+
+    it('records time to first event and gaps when streaming through xk6-sse', () => {
+      let now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const sse = {
+        open: (url, params, setup) => {
+          const handlers = {};
+          setup({ on: (event, handler) => { handlers[event] = handler; }, close: () => {} });
+          [[30, 'a'], [50, 'b'], [90, 'c']].forEach(([at, data]) => {
+            now = 1000 + at;
+            handlers.event({ name: '', data, id: '' });
+          });
+          return { status: 200 };
+        }
+      };
+
+      const result = createSseClient({ http: bufferedHttp(''), sse }).stream('/feed');
+      jest.restoreAllMocks();
+
+      expect(result.events.map(event => event.time)).toEqual([30, 50, 90]);
+      expect(trackSseStream).toHaveBeenCalledWith(
+        expect.objectContaining({ events: 3, timeToFirstEvent: 30, gaps: [20, 40] }),
+        expect.any(Object)
+      );
+    });
+  });
+
   describe('response validation', () => {
     it('returns k6-shaped response with status, body, headers, url, timings', async () => {
       const client = createHttpClient({ baseUrl });
@@ -2,21 +2,10 @@
  * HTTP request/response logging for k6 performance testing SDK
  */
 
-import { getEnvVar } from '../config/env.js';
-
-// Log levels
-const LOG_LEVELS = {
-  NONE: 0,
-  ERROR: 1,
-  WARN: 2,
-  INFO: 3,
-  DEBUG: 4,
-  TRACE: 5
-};
-
-// Get log level from environment
-const logLevelName = getEnvVar('LOG_LEVEL', 'INFO').toUpperCase();
-const LOG_LEVEL = LOG_LEVELS[logLevelName] || LOG_LEVELS.INFO;
+import { createLogger, setLogLevel as setModuleLogLevel, logLevels as LOG_LEVELS } from '../utils/logger.js';
+
+// Level from LOG_LEVEL_HTTP or LOG_LEVEL, format from LOG_FORMAT (see utils/logger.js)
+const logger = createLogger('http');
 
 /**
  * Log HTTP request details
@@ -24,65 +13,200 @@ const LOG_LEVEL = LOG_LEVELS[logLevelName] || LOG_LEVELS.INFO;
  * @param {string} url - Request URL
  * @param {Object} headers - Request headers
  * @param {*} body - Request body
+ * @param {Object} [context] - Extra structured fields, e.g. { name, trace_id }; `name`
+ *   selects endpoint log levels
  */
-export function logRequest(method, url, headers, body) {
-  if (LOG_LEVEL >= LOG_LEVELS.DEBUG) {
-    console.log(`➡️ ${method} ${url}`);
+export function logRequest(method, url, headers, body, context = {}) {
+  if (logger.enabled('DEBUG', context)) {
+    const verbose = logger.enabled('TRACE', context);
     
-    if (LOG_LEVEL >= LOG_LEVELS.TRACE) {
-      console.log('Request Headers:', JSON.stringify(headers, null, 2));
-      
-      if (body) {
-        const bodyStr = typeof body === 'string' ? body : JSON.stringify(body, null, 2);
-        console.log('Request Body:', bodyStr.length > 1000 ? bodyStr.substring(0, 1000) + '...' : bodyStr);
-      }
-    }
+    logger.log('DEBUG', '➡️', `${method} ${url}`, { event: 'request', method, url, ...context }, verbose ? [
+      ['Request Headers', 'headers', headers],
+      ['Request Body', 'body', body || null]
+    ] : []);
   }
 }
 
 /**
- * Log HTTP response details
+ * Log HTTP response details. Failed responses are logged at the failure level when
+ * that is higher, so TRACE adds the request sent and the response headers.
  * @param {Object} response - k6 HTTP response object
+ * @param {Object} [context] - Extra structured fields, e.g. { name, trace_id }
  */
-export function logResponse(response) {
+export function logResponse(response, context = {}) {
   const { status, url, timings } = response;
   
   // Always log errors
   if (status >= 400) {
-    console.error(`❌ ${status} ${url} (${timings.duration.toFixed(2)}ms)`);
+    const request = response.request || {};
+    const verbose = logger.enabled('TRACE', context, true);
     
-    if (LOG_LEVEL >= LOG_LEVELS.ERROR) {
-      console.error('Response Body:', response.body.length > 1000 ? response.body.substring(0, 1000) + '...' : response.body);
-    }
+    logger.log('ERROR', '❌', `${status} ${url} (${timings.duration.toFixed(2)}ms)`, responseFields(response, context), [
+      ...(verbose ? [
+        ['Request Headers', 'request_headers', request.headers],
+        ['Request Body', 'request_body', request.body || null],
+        ['Response Headers', 'headers', response.headers]
+      ] : []),
+      ...(logger.enabled('ERROR', context, true) ? [['Response Body', 'body', response.body]] : [])
+    ]);
     return;
   }
   
   // Log successful responses based on log level
-  if (LOG_LEVEL >= LOG_LEVELS.DEBUG) {
-    console.log(`✅ ${status} ${url} (${timings.duration.toFixed(2)}ms)`);
+  if (logger.enabled('DEBUG', context)) {
+    const verbose = logger.enabled('TRACE', context);
     
-    if (LOG_LEVEL >= LOG_LEVELS.TRACE) {
-      console.log('Response Headers:', JSON.stringify(response.headers, null, 2));
-      console.log('Response Body:', response.body.length > 1000 ? response.body.substring(0, 1000) + '...' : response.body);
+    logger.log('DEBUG', '✅', `${status} ${url} (${timings.duration.toFixed(2)}ms)`, responseFields(response, context), verbose ? [
+      ['Response Headers', 'headers', response.headers],
+      ['Response Body', 'body', response.body]
+    ] : []);
+  }
+}
+
+/**
+ * Log a request that failed without a response, e.g. one k6 refused to send
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Error} error - Error thrown
+ * @param {Object} [context] - Extra structured fields, e.g. { name }
+ */
+export function logRequestError(method, url, error, context = {}) {
+  if (logger.enabled('ERROR', context)) {
+    logger.log('ERROR', '❌', `${method} ${url} failed: ${error.message}`, {
+      event: 'request_error', method, url, error: error.message, ...context
+    });
+  }
+}
+
+/**
+ * Structured fields of a response log entry
+ * @private
+ * @param {Object} response - k6 HTTP response object
+ * @param {Object} context - Extra structured fields
+ * @returns {Object} Log fields
+ */
+function responseFields(response, context) {
+  return {
+    event: 'response',
+    method: response.request ? response.request.method : null,
+    url: response.url,
+    status: response.status,
+    duration: response.timings.duration,
+    ...context
+  };
+}
+
+/**
+ * Log correlation values that could not be extracted from a response
+ * @param {string} url - Request URL
+ * @param {Array<string>} names - Variable names that were not found
+ */
+export function logExtractionMiss(url, names) {
+  if (logger.enabled('WARN')) {
+    logger.log('WARN', '⚠️', `Could not extract ${names.join(', ')} from ${url}`, {
+      event: 'extraction_miss', url, variables: names
+    });
+  }
+}
+
+/**
+ * Log JSON Schema violations found in a response body
+ * @param {string} endpoint - Endpoint name or URL
+ * @param {Array<Object>} errors - Violations to report ({ path, message })
+ * @param {number} total - Total number of violations found
+ */
+export function logSchemaViolations(endpoint, errors, total) {
+  if (logger.enabled('ERROR')) {
+    const more = total > errors.length ? ` (+${total - errors.length} more)` : '';
+    logger.log('ERROR', '❌', `Schema violation in ${endpoint}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}${more}`, {
+      event: 'schema_violation', endpoint, violations: total
+    });
+  }
+}
+
+/**
+ * Log an SSE reconnection
+ * @param {string} url - Stream path or URL
+ * @param {string} lastEventId - Last-Event-ID sent on reconnect ('' if none)
+ * @param {number} delay - Delay before reconnecting in ms
+ */
+export function logSseReconnect(url, lastEventId, delay) {
+  if (logger.enabled('DEBUG')) {
+    logger.log('DEBUG', '🔁', `SSE reconnect to ${url} in ${delay}ms${lastEventId ? ` (Last-Event-ID: ${lastEventId})` : ''}`, {
+      event: 'sse_reconnect', url, delay, last_event_id: lastEventId || null
+    });
+  }
+}
+
+/**
+ * Log a circuit breaker state change
+ * @param {Object} event - State change event ({ endpoint, from, to, reason })
+ */
+export function logCircuitStateChange(event) {
+  const { endpoint, from, to, reason } = event;
+  const fields = { event: 'circuit_state_change', endpoint, from, to, reason };
+  
+  if (to === 'open') {
+    if (logger.enabled('WARN')) {
+      logger.log('WARN', '⚡', `Circuit open: ${endpoint} (${reason})`, fields);
     }
+    return;
+  }
+  
+  if (logger.enabled('INFO')) {
+    logger.log('INFO', '🔌', `Circuit ${from} → ${to}: ${endpoint} (${reason})`, fields);
+  }
+}
+
+/**
+ * Log a sampled request that was slow or failed, with the trace ID to look it up by
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} outlier - Outlier ({ traceId, reason, duration })
+ */
+export function logTraceOutlier(method, url, outlier) {
+  if (logger.enabled('WARN')) {
+    logger.log('WARN', '🔎', `${outlier.reason === 'slow' ? 'Slow' : 'Failed'} ${method} ${url} ` +
+      `(${outlier.duration.toFixed(2)}ms) trace_id=${outlier.traceId}`, {
+      event: 'trace_outlier', method, url, duration: outlier.duration, reason: outlier.reason, trace_id: outlier.traceId
+    });
+  }
+}
+
+/**
+ * Log CA files that a TLS config sets but k6 cannot apply to HTTP requests
+ * @param {Array<string>} files - CA file paths
+ */
+export function logTlsCaIgnored(files) {
+  if (logger.enabled('WARN')) {
+    logger.log('WARN', '⚠️', 'TLS CA files are not applied to k6 HTTP requests; set SSL_CERT_FILE to trust a private CA', {
+      event: 'tls_ca_ignored', files
+    });
   }
 }
 
 /**
- * Set the current log level
+ * Set the log level of HTTP logging
  * @param {string|number} level - Log level name or number
  */
 export function setLogLevel(level) {
-  if (typeof level === 'string') {
-    const levelName = level.toUpperCase();
-    if (LOG_LEVELS[levelName] !== undefined) {
-      LOG_LEVEL = LOG_LEVELS[levelName];
-    }
-  } else if (typeof level === 'number') {
-    LOG_LEVEL = level;
-  }
+  setModuleLogLevel(level, 'http');
+  currentLogLevel = logger.level();
+}
+
+/**
+ * Get the current log level of HTTP logging, including levels set through
+ * configureLogging() (see utils/logger.js)
+ * @returns {number} Log level
+ */
+export function getCurrentLogLevel() {
+  return logger.level();
 }
 
 // Export log levels and current level
 export const logLevels = LOG_LEVELS;
-export const currentLogLevel = LOG_LEVEL;
+
+/**
+ * @deprecated Follows setLogLevel() of this module only; use getCurrentLogLevel()
+ */
+export let currentLogLevel = logger.level();
@@ -1,33 +1,48 @@
 // http/metrics.js
 // HTTP metrics tracking for k6 performance testing SDK
 
-import { Trend, Rate, Counter } from 'k6/metrics';
+import { defineMetric, defineEndpointMetrics, endpointMetrics, declareEndpoints } from '../utils/metrics.js';
+import { routeToEndpointName } from './routes.js';
+
+const OWNER = { owner: 'http' };
+const TIME = { owner: 'http', isTime: true };
+
+// Sub-metrics of circuit_state_changes: a circuit trips from closed and, once probes
+// (half-open) succeed, closes again; failed probes re-open it
+const CIRCUIT_TRANSITIONS = {
+  trips: 'circuit_state_changes{from:closed}',
+  probes: 'circuit_state_changes{to:half_open}',
+  reopens: 'circuit_state_changes{from:half_open,to:open}',
+  closes: 'circuit_state_changes{to:closed}'
+};
 
 /**
- * Creates and initializes HTTP metrics for tracking performance
+ * Creates and initializes HTTP metrics for tracking performance. createHttpClient
+ * records its own metrics (see trackMetrics); these are for scripts calling k6/http
+ * directly, through recordHttpMetrics().
  */
 export function createHttpMetrics(namespace = '') {
   const prefix = namespace ? `${namespace}_` : '';
   
   return {
     // Response time trends for different response codes
-    responseTime: new Trend(`${prefix}http_response_time`),
-    responseTime2xx: new Trend(`${prefix}http_response_time_2xx`),
-    responseTime4xx: new Trend(`${prefix}http_response_time_4xx`),
-    responseTime5xx: new Trend(`${prefix}http_response_time_5xx`),
+    responseTime: defineMetric(`${prefix}http_response_time`, 'trend', OWNER),
+    responseTime2xx: defineMetric(`${prefix}http_response_time_2xx`, 'trend', OWNER),
+    responseTime4xx: defineMetric(`${prefix}http_response_time_4xx`, 'trend', OWNER),
+    responseTime5xx: defineMetric(`${prefix}http_response_time_5xx`, 'trend', OWNER),
     
     // Error rates
-    errorRate: new Rate(`${prefix}http_errors`),
-    clientErrorRate: new Rate(`${prefix}http_client_errors`),
-    serverErrorRate: new Rate(`${prefix}http_server_errors`),
+    errorRate: defineMetric(`${prefix}http_errors`, 'rate', OWNER),
+    clientErrorRate: defineMetric(`${prefix}http_client_errors`, 'rate', OWNER),
+    serverErrorRate: defineMetric(`${prefix}http_server_errors`, 'rate', OWNER),
     
     // Counters for different response types
-    requests: new Counter(`${prefix}http_requests`),
+    requests: defineMetric(`${prefix}http_requests`, 'counter', OWNER),
     responses: {
-      total: new Counter(`${prefix}http_responses`),
-      ok: new Counter(`${prefix}http_responses_2xx`),
-      clientErrors: new Counter(`${prefix}http_responses_4xx`),
-      serverErrors: new Counter(`${prefix}http_responses_5xx`)
+      total: defineMetric(`${prefix}http_responses`, 'counter', OWNER),
+      ok: defineMetric(`${prefix}http_responses_2xx`, 'counter', OWNER),
+      clientErrors: defineMetric(`${prefix}http_responses_4xx`, 'counter', OWNER),
+      serverErrors: defineMetric(`${prefix}http_responses_5xx`, 'counter', OWNER)
     }
   };
 }
@@ -71,14 +86,14 @@ export function recordHttpMetrics(metrics, response, name = '') {
 }
 
 /**
- * Creates a custom metric for tracking specific API endpoints
+ * Creates a custom metric for tracking specific API endpoints; call in the init context
  * @param {string} name - Name of the endpoint to track
  * @returns {Object} Object containing trend and rate metrics
  */
 export function createEndpointMetric(name) {
   return {
-    responseTime: new Trend(`endpoint_${name}_response_time`),
-    errorRate: new Rate(`endpoint_${name}_error_rate`)
+    responseTime: defineMetric(`endpoint_${name}_response_time`, 'trend', { ...OWNER, endpoint: name }),
+    errorRate: defineMetric(`endpoint_${name}_error_rate`, 'rate', { ...OWNER, endpoint: name })
   };
 }
 
@@ -101,30 +116,50 @@ export function recordEndpointMetric(metric, response) {
  * Custom metrics tracking for k6 performance testing SDK
  */
 
-import { Trend, Counter, Rate } from 'k6/metrics';
-
 // Define custom metrics
 const metrics = {
   // Response time metrics
-  httpReqDuration: new Trend('http_req_duration_custom', true),
-  httpReqBlocked: new Trend('http_req_blocked_custom', true),
-  httpReqConnecting: new Trend('http_req_connecting_custom', true),
-  httpReqTLSHandshaking: new Trend('http_req_tls_handshaking_custom', true),
-  httpReqSending: new Trend('http_req_sending_custom', true),
-  httpReqWaiting: new Trend('http_req_waiting_custom', true),
-  httpReqReceiving: new Trend('http_req_receiving_custom', true),
+  httpReqDuration: defineMetric('http_req_duration_custom', 'trend', TIME),
+  httpReqBlocked: defineMetric('http_req_blocked_custom', 'trend', TIME),
+  httpReqConnecting: defineMetric('http_req_connecting_custom', 'trend', TIME),
+  httpReqTLSHandshaking: defineMetric('http_req_tls_handshaking_custom', 'trend', TIME),
+  httpReqSending: defineMetric('http_req_sending_custom', 'trend', TIME),
+  httpReqWaiting: defineMetric('http_req_waiting_custom', 'trend', TIME),
+  httpReqReceiving: defineMetric('http_req_receiving_custom', 'trend', TIME),
   
   // Response status metrics
-  http2xx: new Counter('http_reqs_2xx'),
-  http3xx: new Counter('http_reqs_3xx'),
-  http4xx: new Counter('http_reqs_4xx'),
-  http5xx: new Counter('http_reqs_5xx'),
+  http2xx: defineMetric('http_reqs_2xx', 'counter', OWNER),
+  http3xx: defineMetric('http_reqs_3xx', 'counter', OWNER),
+  http4xx: defineMetric('http_reqs_4xx', 'counter', OWNER),
+  http5xx: defineMetric('http_reqs_5xx', 'counter', OWNER),
   
   // Error rate
-  httpReqFailed: new Rate('http_req_failed_custom', true),
+  httpReqFailed: defineMetric('http_req_failed_custom', 'rate', OWNER),
+  
+  // Retried attempts (tagged attempt/retry by the client's retry policy)
+  httpRetries: defineMetric('http_retries', 'counter', OWNER),
+  
+  // GraphQL responses whose `errors` array is not empty
+  graphqlErrors: defineMetric('graphql_errors', 'counter', OWNER),
+  
+  // Circuit breaker rejections and state changes
+  circuitOpen: defineMetric('circuit_open', 'counter', OWNER),
+  circuitStateChanges: defineMetric('circuit_state_changes', 'counter', OWNER),
+  
+  // JSON Schema violations found in response bodies
+  schemaViolations: defineMetric('schema_violations', 'counter', OWNER),
   
-  // Endpoint-specific metrics (populated dynamically)
-  endpoints: {}
+  // Server-Sent Events streams
+  sseTimeToFirstEvent: defineMetric('sse_time_to_first_event', 'trend', TIME),
+  sseEventGap: defineMetric('sse_event_gap', 'trend', TIME),
+  sseEvents: defineMetric('sse_events', 'counter', OWNER),
+  sseReconnects: defineMetric('sse_reconnects', 'counter', OWNER),
+  
+  // Endpoint-specific metrics (populated dynamically, capped by the registry)
+  endpoints: defineEndpointMetrics('http', {
+    duration: { type: 'trend', isTime: true },
+    success_rate: { type: 'rate' }
+  })
 };
 
 /**
@@ -134,7 +169,7 @@ const metrics = {
  */
 export function trackMetrics(response, tags = {}) {
   const { status, timings, url } = response;
-  const endpoint = tags.endpoint || extractEndpoint(url);
+  const route = tags.endpoint || tags.name || url;
   
   // Track response time metrics
   metrics.httpReqDuration.add(timings.duration, tags);
@@ -156,62 +191,151 @@ export function trackMetrics(response, tags = {}) {
     metrics.http5xx.add(1, tags);
   }
   
-  // Track failure rate
-  metrics.httpReqFailed.add(status >= 400, tags);
+  // Track failure rate; GraphQL reports errors in the body of a 200 response
+  const graphqlFailed = tags.graphql_operation !== undefined && hasGraphqlErrors(response);
+  const failed = status >= 400 || graphqlFailed;
+  metrics.httpReqFailed.add(failed, tags);
+  
+  if (graphqlFailed) {
+    metrics.graphqlErrors.add(1, tags);
+  }
+  
+  // Track retried attempts
+  if (tags.retry === 'true') {
+    metrics.httpRetries.add(1, tags);
+  }
   
   // Track endpoint-specific metrics
-  if (endpoint) {
-    // Create endpoint-specific metrics if they don't exist
-    if (!metrics.endpoints[endpoint]) {
-      metrics.endpoints[endpoint] = {
-        duration: new Trend(`endpoint_${endpoint}_duration`, true),
-        rate: new Rate(`endpoint_${endpoint}_success_rate`, true)
-      };
-    }
-    
-    // Add metrics for this endpoint
-    metrics.endpoints[endpoint].duration.add(timings.duration, tags);
-    metrics.endpoints[endpoint].rate.add(status < 400, tags);
+  if (route) {
+    const endpoint = endpointMetrics('http', routeToEndpointName(route));
+    endpoint.duration.add(timings.duration, tags);
+    endpoint.success_rate.add(!failed, tags);
+  }
+}
+
+/**
+ * Give endpoints their own metrics before the test starts; endpoints first seen
+ * during an iteration share `endpoint_other_*` (see utils/metrics.js).
+ * Call in the init context.
+ * @param {Array<string>} routes - Paths or route templates, as passed to the client
+ */
+export function declareEndpointMetrics(routes) {
+  declareEndpoints('http', routes.map(routeToEndpointName));
+}
+
+/**
+ * Track a request short-circuited by an open circuit breaker
+ * @param {string} circuit - Circuit (endpoint) key
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackCircuitRejection(circuit, tags = {}) {
+  metrics.circuitOpen.add(1, { ...tags, circuit });
+}
+
+/**
+ * Track a circuit breaker state change
+ * @param {Object} event - State change event ({ endpoint, from, to })
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackCircuitStateChange(event, tags = {}) {
+  metrics.circuitStateChanges.add(1, {
+    ...tags,
+    circuit: event.endpoint,
+    from: event.from,
+    to: event.to
+  });
+}
+
+/**
+ * Thresholds that never fail but put the circuit breaker transitions, counted by
+ * every VU, in the handleSummary data
+ * @returns {Object} Thresholds by sub-metric of circuit_state_changes
+ */
+export function circuitStateThresholds() {
+  return Object.fromEntries(Object.values(CIRCUIT_TRANSITIONS).map(name => [name, ['count>=0']]));
+}
+
+/**
+ * Circuit breaker transitions of all VUs, from handleSummary data; needs
+ * circuitStateThresholds() in the options
+ * @param {Object} data - handleSummary data
+ * @returns {Object} { trips, probes, reopens, closes, open } - open is the number of
+ *   circuits still open at the end
+ */
+export function summarizeCircuitStates(data) {
+  const values = (name) => (((data && data.metrics) || {})[name] || {}).values || {};
+  const counts = Object.fromEntries(Object.entries(CIRCUIT_TRANSITIONS).map(([key, name]) => [
+    key, values(name).count || 0
+  ]));
+  
+  return { ...counts, open: counts.trips - counts.closes };
+}
+
+/**
+ * Track JSON Schema violations found in a response body
+ * @param {number} count - Number of violations
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackSchemaViolations(count, tags = {}) {
+  metrics.schemaViolations.add(count, tags);
+}
+
+/**
+ * Track one connection of an SSE stream
+ * @param {Object} stream - { events, timeToFirstEvent, gaps } - times in ms,
+ *   timeToFirstEvent null when no event arrived or the stream was buffered
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackSseStream(stream, tags = {}) {
+  metrics.sseEvents.add(stream.events, tags);
+  
+  if (stream.timeToFirstEvent !== null) {
+    metrics.sseTimeToFirstEvent.add(stream.timeToFirstEvent, tags);
   }
+  
+  stream.gaps.forEach(gap => metrics.sseEventGap.add(gap, tags));
 }
 
 /**
- * Extract endpoint name from URL
+ * Track an SSE reconnection
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackSseReconnect(tags = {}) {
+  metrics.sseReconnects.add(1, tags);
+}
+
+/**
+ * Check a GraphQL response for errors. A persisted query miss is part of the
+ * protocol (the client resends the full query), not a failure.
  * @private
- * @param {string} url - Full URL
- * @returns {string} Endpoint name
+ * @param {Object} response - k6 HTTP response
+ * @returns {boolean} True if the body has a non-empty `errors` array
  */
-function extractEndpoint(url) {
+function hasGraphqlErrors(response) {
+  let body;
   try {
-    const parsedUrl = new URL(url);
-    const pathParts = parsedUrl.pathname.split('/').filter(Boolean);
-    
-    // Return the first path segment as the endpoint
-    return pathParts.length > 0 ? pathParts[0] : 'root';
+    body = JSON.parse(response.body);
   } catch (e) {
-    // If URL parsing fails, return the original URL
-    return url;
+    return false;
   }
+  
+  const errors = body && Array.isArray(body.errors) ? body.errors : [];
+  return errors.some(error => {
+    const code = error && error.extensions && error.extensions.code;
+    return code !== 'PERSISTED_QUERY_NOT_FOUND' && !(error && error.message === 'PersistedQueryNotFound');
+  });
 }
 
 /**
- * Create a custom metric
+ * Create a custom metric (trends are time trends)
  * @param {string} name - Metric name
  * @param {string} type - Metric type (trend, counter, gauge, rate)
  * @returns {Object} k6 metric object
  */
 export function createMetric(name, type = 'trend') {
-  switch (type.toLowerCase()) {
-    case 'trend':
-      return new Trend(name, true);
-    case 'counter':
-      return new Counter(name);
-    case 'rate':
-      return new Rate(name, true);
-    default:
-      throw new Error(`Unsupported metric type: ${type}`);
-  }
+  return defineMetric(name, type, { isTime: type.toLowerCase() === 'trend' });
 }
 
 // Export metrics
 export { metrics };
+export { setMaxEndpoints } from '../utils/metrics.js';
@@ -0,0 +1,149 @@
+/**
+ * Request/response middleware pipeline for k6 performance testing SDK
+ *
+ * Middleware lets auth, header injection, correlation and custom checks be
+ * layered onto an HTTP client without forking it. Hooks run synchronously
+ * because k6 HTTP calls are synchronous.
+ */
+
+/**
+ * Normalize a middleware registration into a hook object
+ * @private
+ * @param {Function|Object} middleware - Middleware function or hook object
+ * @returns {Object} Hook object
+ */
+function normalizeMiddleware(middleware) {
+  // A bare function is a before-request hook (request) => request
+  if (typeof middleware === 'function') {
+    return { beforeRequest: middleware };
+  }
+
+  if (middleware && typeof middleware === 'object') {
+    const { beforeRequest, afterResponse, onError } = middleware;
+
+    if (!beforeRequest && !afterResponse && !onError) {
+      throw new Error('Middleware must define at least one of beforeRequest, afterResponse or onError');
+    }
+
+    return middleware;
+  }
+
+  throw new Error('Middleware must be a function or an object with beforeRequest/afterResponse/onError hooks');
+}
+
+/**
+ * Create a middleware pipeline
+ *
+ * Before-request hooks run in registration order; after-response and on-error
+ * hooks run in reverse order, so the first middleware registered wraps all the
+ * others.
+ *
+ * @returns {Object} Middleware pipeline
+ */
+export function createMiddlewarePipeline() {
+  const entries = [];
+
+  /**
+   * Register a middleware
+   * @param {Function|Object} middleware - Function (before-request hook) or object with hooks
+   * @param {Function} [middleware.beforeRequest] - (request) => request; may mutate or replace the request
+   * @param {Function} [middleware.afterResponse] - (response, request) => response; may replace the response
+   * @param {Function} [middleware.onError] - (error, request) => response|undefined; return a response to recover
+   * @returns {Function} Function that removes the middleware
+   */
+  function use(middleware) {
+    entries.push({ middleware, hooks: normalizeMiddleware(middleware) });
+    return () => eject(middleware);
+  }
+
+  /**
+   * Remove a previously registered middleware
+   * @param {Function|Object} middleware - Middleware passed to use()
+   * @returns {boolean} True if the middleware was registered
+   */
+  function eject(middleware) {
+    const index = entries.findIndex(entry => entry.middleware === middleware);
+    if (index === -1) {
+      return false;
+    }
+
+    entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Run before-request hooks
+   * @param {Object} request - Request descriptor ({ method, url, body, headers, tags, params })
+   * @returns {Object} Request descriptor after all hooks
+   */
+  function runBeforeRequest(request) {
+    let current = request;
+
+    for (const { hooks } of entries.slice()) {
+      if (!hooks.beforeRequest) continue;
+
+      const result = hooks.beforeRequest(current);
+      if (result && typeof result.then === 'function') {
+        throw new Error('Middleware beforeRequest hooks must be synchronous; k6 HTTP requests cannot wait for a Promise');
+      }
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run after-response hooks
+   * @param {Object} response - k6 HTTP response
+   * @param {Object} request - Request descriptor
+   * @returns {Object} Response after all hooks
+   */
+  function runAfterResponse(response, request) {
+    let current = response;
+
+    for (const { hooks } of entries.slice().reverse()) {
+      if (!hooks.afterResponse) continue;
+
+      const result = hooks.afterResponse(current, request);
+      if (result !== undefined) {
+        current = result;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Run on-error hooks until one recovers with a response
+   * @param {Error} error - Error raised by the request
+   * @param {Object} request - Request descriptor
+   * @returns {Object|undefined} Recovered response, or undefined if unhandled
+   */
+  function runOnError(error, request) {
+    for (const { hooks } of entries.slice().reverse()) {
+      if (!hooks.onError) continue;
+
+      const result = hooks.onError(error, request);
+      if (result !== undefined) {
+        return result;
+      }
+    }
+
+    return undefined;
+  }
+
+  return {
+    use,
+    eject,
+    runBeforeRequest,
+    runAfterResponse,
+    runOnError,
+    size: () => entries.length
+  };
+}
+
+export default {
+  create: createMiddlewarePipeline
+};
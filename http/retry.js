@@ -0,0 +1,156 @@
+/**
+ * Retry policy for HTTP requests in k6 performance testing SDK
+ *
+ * Retries use exponential backoff with jitter and honor Retry-After. Every
+ * attempt is tagged so retried and first-try latency can be told apart.
+ */
+
+// Default retry policy - a single attempt, i.e. retries are opt-in
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  retryOnStatus: [408, 429, 500, 502, 503, 504],
+  retryOnMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  retryOnNetworkError: true,
+  baseDelay: 100,        // First backoff delay in milliseconds
+  maxDelay: 5000,        // Upper bound for a computed backoff delay
+  factor: 2,             // Exponential growth per attempt
+  jitter: 'full',        // 'full', 'equal' or 'none'
+  respectRetryAfter: true,
+  maxRetryAfter: 30000   // Ignore Retry-After values longer than this
+};
+
+// Attempts made when retries are turned on with `retry: true`
+const ENABLED_MAX_ATTEMPTS = 3;
+
+/**
+ * Resolve the effective retry policy for a request
+ * @param {Object|number|boolean} [clientPolicy] - Client-level policy
+ * @param {Object|number|boolean} [requestPolicy] - Request-level policy (overrides client)
+ * @returns {Object} Effective retry policy
+ */
+export function resolveRetryPolicy(clientPolicy, requestPolicy) {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...normalizePolicy(clientPolicy),
+    ...normalizePolicy(requestPolicy)
+  };
+}
+
+/**
+ * Normalize shorthand policy values
+ * @private
+ * @param {Object|number|boolean} [policy] - Policy, attempt count, true for the default
+ *   retries or false to disable
+ * @returns {Object} Policy object
+ */
+function normalizePolicy(policy) {
+  if (policy === undefined || policy === null) {
+    return {};
+  }
+  if (policy === true) {
+    return { maxAttempts: ENABLED_MAX_ATTEMPTS };
+  }
+  if (policy === false) {
+    return { maxAttempts: 1 };
+  }
+  if (typeof policy === 'number') {
+    return { maxAttempts: policy };
+  }
+  return policy;
+}
+
+/**
+ * Check whether a policy allows more than one attempt
+ * @param {Object} policy - Retry policy
+ * @returns {boolean} True if retries are enabled
+ */
+export function isRetryEnabled(policy) {
+  return policy.maxAttempts > 1;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * @param {Object} policy - Retry policy
+ * @param {string} method - HTTP method
+ * @param {number} attempt - Attempt that just finished (1-based)
+ * @param {Object} [response] - k6 HTTP response, if one was received
+ * @param {Error} [error] - Error thrown by the attempt, if any
+ * @returns {boolean} True if another attempt should be made
+ */
+export function shouldRetry(policy, method, attempt, response, error) {
+  if (attempt >= policy.maxAttempts) {
+    return false;
+  }
+
+  if (!policy.retryOnMethods.includes(method.toUpperCase())) {
+    return false;
+  }
+
+  // k6 reports connection errors as status 0 rather than throwing
+  if (error || (response && response.status === 0)) {
+    return policy.retryOnNetworkError;
+  }
+
+  return !!response && policy.retryOnStatus.includes(response.status);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just finished (1-based)
+ * @param {Object} [response] - k6 HTTP response of that attempt
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(policy, attempt, response) {
+  if (policy.respectRetryAfter && response) {
+    const retryAfter = parseRetryAfter(response.headers);
+    if (retryAfter !== null && retryAfter <= policy.maxRetryAfter) {
+      return retryAfter;
+    }
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+
+  switch (policy.jitter) {
+    case 'full':
+      return Math.random() * delay;
+    case 'equal':
+      return delay / 2 + Math.random() * (delay / 2);
+    default:
+      return delay;
+  }
+}
+
+/**
+ * Parse a Retry-After header into milliseconds
+ * @private
+ * @param {Object} [headers] - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const name = Object.keys(headers).find(key => key.toLowerCase() === 'retry-after');
+  if (!name) {
+    return null;
+  }
+
+  const value = String(headers[name]).trim();
+
+  // Delay in seconds
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+
+  // HTTP date
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+export { DEFAULT_RETRY_POLICY as defaultRetryPolicy };
@@ -0,0 +1,122 @@
+/**
+ * URL route templating for k6 performance testing SDK
+ *
+ * Gives every request a stable `name` tag so `/users/123` and `/users/456`
+ * share one series: either from an explicit template
+ * (`client.get('/users/{id}', { pathParams: { id } })`) or by normalizing
+ * ID-like path segments.
+ */
+
+// ID-like path segments replaced during normalization, checked in order
+const DEFAULT_NORMALIZERS = [
+  [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, '{uuid}'],
+  [/^\d+$/, '{id}'],
+  [/^[0-9a-f]{16,}$/i, '{id}']   // Object IDs and hashes
+];
+
+const PLACEHOLDER_PATTERN = /\{([^}]+)\}/g;
+
+/**
+ * Split a URL or path into origin, pathname and query string
+ * @private
+ * @param {string} path - Path or absolute URL
+ * @returns {Object} { origin, pathname, query }
+ */
+function splitUrl(path) {
+  const match = /^(https?:\/\/[^/?#]*)?([^?#]*)([?#].*)?$/.exec(path);
+  return {
+    origin: match[1] || '',
+    pathname: match[2] || '',
+    query: match[3] || ''
+  };
+}
+
+/**
+ * Substitute `{name}` placeholders in a path template
+ * @param {string} template - Path template, e.g. /users/{id}/orders
+ * @param {Object} pathParams - Values by placeholder name
+ * @returns {string} Expanded path
+ * @throws {Error} If a placeholder has no value
+ */
+export function expandPath(template, pathParams = {}) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (pathParams[name] === undefined || pathParams[name] === null) {
+      throw new Error(`Missing path parameter "${name}" for ${template}`);
+    }
+    return encodeURIComponent(String(pathParams[name]));
+  });
+}
+
+/**
+ * Replace ID-like path segments with placeholders
+ * @param {string} path - Path or absolute URL (query string is dropped)
+ * @param {Array} [normalizers] - Extra [pattern, placeholder] pairs checked before the defaults
+ * @returns {string} Normalized path, e.g. /users/{id}/orders
+ */
+export function normalizePath(path, normalizers = []) {
+  const { origin, pathname } = splitUrl(path);
+  const rules = [...normalizers, ...DEFAULT_NORMALIZERS];
+
+  const normalized = pathname
+    .split('/')
+    .map(segment => {
+      const rule = rules.find(([pattern]) => pattern.test(segment));
+      return rule ? rule[1] : segment;
+    })
+    .join('/');
+
+  return `${origin}${normalized}`;
+}
+
+/**
+ * Resolve the path to request and the route name to tag it with
+ * @param {string} path - Path, path template or absolute URL
+ * @param {Object} [pathParams] - Values for `{name}` placeholders
+ * @param {boolean|Array} [normalize=true] - Normalize ID-like segments when no
+ *   pathParams are given; an array adds [pattern, placeholder] rules
+ * @returns {Object} { path, name } - name is null when normalization is off
+ */
+export function resolveRoute(path, pathParams, normalize = true) {
+  if (pathParams) {
+    return {
+      path: expandPath(path, pathParams),
+      name: stripQuery(path)
+    };
+  }
+
+  if (!normalize) {
+    return { path, name: null };
+  }
+
+  return {
+    path,
+    name: normalizePath(path, Array.isArray(normalize) ? normalize : [])
+  };
+}
+
+/**
+ * Build a metric-safe endpoint name from a route name or URL
+ * @param {string} route - Route name, path or URL
+ * @returns {string} Endpoint name, e.g. users_id_orders
+ */
+export function routeToEndpointName(route) {
+  const { pathname } = splitUrl(normalizePath(route));
+  const name = pathname
+    .split('/')
+    .filter(Boolean)
+    .join('_')
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+
+  return name || 'root';
+}
+
+/**
+ * Drop the query string and fragment from a path
+ * @private
+ */
+function stripQuery(path) {
+  const { origin, pathname } = splitUrl(path);
+  return `${origin}${pathname}`;
+}
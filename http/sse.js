@@ -0,0 +1,352 @@
+/**
+ * Server-Sent Events client for k6 performance testing SDK
+ *
+ * k6/http buffers the whole response, so by default a stream is read when the
+ * server ends it, then parsed; when each event arrived is unknown, so neither time
+ * to first event nor the gaps between events are recorded. Pass the xk6-sse module
+ * as `sse` to receive events as they arrive and record both.
+ */
+
+import { check, sleep } from 'k6';
+import { createHttpClient } from './client.js';
+import { normalizePath } from './routes.js';
+import { trackSseStream, trackSseReconnect } from './metrics.js';
+import { logSseReconnect } from './logger.js';
+
+const DEFAULT_RECONNECT_DELAY = 1000;
+const BOM = '\uFEFF';
+
+/**
+ * Create an incremental event stream parser (WHATWG "event stream interpretation")
+ *
+ * Chunks may split lines, fields and CRLF pairs anywhere; an event is only
+ * returned once its terminating blank line has been fed.
+ * @returns {Object} Parser ({ feed(chunk), end(), lastEventId, retry })
+ */
+export function createSseParser() {
+  let buffer = '';
+  let started = false;
+  let pendingCR = false;
+  let eventType = '';
+  let data = [];
+
+  const parser = {
+    lastEventId: '',
+    retry: null,
+
+    /**
+     * Feed a chunk of the stream
+     * @param {string} chunk - Stream text
+     * @returns {Array<Object>} Events completed by this chunk ({ type, data, id })
+     */
+    feed(chunk) {
+      let text = chunk || '';
+      if (!started && text.length > 0) {
+        started = true;
+        if (text.startsWith(BOM)) text = text.substring(1);
+      }
+
+      // A CR ending the previous chunk already ended its line
+      if (pendingCR && text.startsWith('\n')) text = text.substring(1);
+      pendingCR = false;
+
+      buffer += text;
+      const events = [];
+      const lineEnd = /\r\n|\r|\n/g;
+      let consumed = 0;
+      let match;
+
+      while ((match = lineEnd.exec(buffer)) !== null) {
+        // A trailing CR may be the first half of CRLF
+        if (match[0] === '\r' && match.index === buffer.length - 1) pendingCR = true;
+
+        const event = processLine(buffer.substring(consumed, match.index));
+        if (event) events.push(event);
+        consumed = match.index + match[0].length;
+      }
+
+      buffer = buffer.substring(consumed);
+      return events;
+    },
+
+    /**
+     * End the stream; an event without its terminating blank line is discarded
+     * @returns {Array<Object>} Always empty, for symmetry with feed()
+     */
+    end() {
+      buffer = '';
+      eventType = '';
+      data = [];
+      return [];
+    }
+  };
+
+  function processLine(line) {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return null;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.substring(0, colon);
+    let value = colon === -1 ? '' : line.substring(colon + 1);
+    if (value.startsWith(' ')) value = value.substring(1);
+
+    switch (field) {
+      case 'event':
+        eventType = value;
+        break;
+      case 'data':
+        data.push(value);
+        break;
+      case 'id':
+        if (!value.includes('\0')) parser.lastEventId = value;
+        break;
+      case 'retry':
+        if (/^\d+$/.test(value)) parser.retry = parseInt(value, 10);
+        break;
+      default:
+        // Unknown fields are ignored
+    }
+    return null;
+  }
+
+  function dispatch() {
+    const event = data.length > 0
+      ? { type: eventType || 'message', data: data.join('\n'), id: parser.lastEventId }
+      : null;
+    eventType = '';
+    data = [];
+    return event;
+  }
+
+  return parser;
+}
+
+/**
+ * Create an SSE client
+ * @param {Object} options - SSE client options
+ * @param {Object} [options.http] - Existing createHttpClient instance to send through
+ * @param {Object} [options.sse] - The xk6-sse module (`import sse from 'k6/x/sse'`), to
+ *   stream events as they arrive; requests then bypass the HTTP client's middleware
+ * @param {number} [options.reconnect=0] - Reconnections after the server ends a stream
+ * @param {number} [options.reconnectDelay=1000] - Delay before reconnecting in ms,
+ *   unless the stream sets one with a `retry:` field
+ * @param {Object} [options.params] - Default request params (headers, tags, timeout, ...)
+ * @returns {Object} SSE client instance
+ *
+ * Any other options (baseUrl, token, tags, ...) create the underlying HTTP client.
+ */
+export function createSseClient(options = {}) {
+  const {
+    http: existingClient = null,
+    sse = null,
+    reconnect = 0,
+    reconnectDelay = DEFAULT_RECONNECT_DELAY,
+    params: defaultParams = {},
+    ...httpOptions
+  } = options;
+
+  const http = existingClient || createHttpClient(httpOptions);
+
+  /**
+   * Read an event stream, reconnecting with Last-Event-ID while allowed
+   * @param {string} path - Stream path or URL
+   * @param {Object} [params] - Request params, plus:
+   * @param {Function|Object|string} [params.until] - Stop at the first matching event
+   * @param {number} [params.maxEvents] - Stop after this many events
+   * @param {number} [params.reconnect] - Reconnections for this stream
+   * @param {string} [params.lastEventId] - Resume from this event ID
+   * @param {Object} [params.expect] - Checks: name to match; passes if a matching event arrived
+   * @returns {Object} { events, responses, response, lastEventId, reconnects, ok, find, filter }
+   */
+  function stream(path, params = {}) {
+    const {
+      until = null,
+      maxEvents = Infinity,
+      reconnect: maxReconnects = reconnect,
+      lastEventId: initialId = '',
+      expect: expectations = null,
+      ...requestParams
+    } = { ...defaultParams, ...params };
+
+    const tags = {
+      ...http.getConfig().tags,
+      name: normalizePath(path),
+      ...requestParams.tags
+    };
+    const events = [];
+    const responses = [];
+    let lastEventId = initialId;
+    let retry = null;
+    let done = false;
+
+    const accept = (event) => {
+      events.push(event);
+      if ((until && matches(until, event)) || events.length >= maxEvents) done = true;
+      return done;
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const headers = {
+        Accept: 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        ...requestParams.headers,
+        ...(lastEventId && { 'Last-Event-ID': lastEventId })
+      };
+      const connection = sse
+        ? openStreaming(path, { ...requestParams, headers }, accept)
+        : openBuffered(path, { ...requestParams, headers }, accept);
+
+      responses.push(connection.response);
+      trackSseStream(connection, tags);
+      if (connection.lastEventId !== null) lastEventId = connection.lastEventId;
+      if (connection.retry !== null) retry = connection.retry;
+
+      // 204 tells the client to stop; other failures are not reconnected either
+      if (done || attempt >= maxReconnects || !isStreamResponse(connection.response)) break;
+
+      const delay = retry !== null ? retry : reconnectDelay;
+      logSseReconnect(path, lastEventId, delay);
+      trackSseReconnect(tags);
+      sleep(delay / 1000);
+    }
+
+    const result = {
+      events,
+      responses,
+      response: responses[responses.length - 1],
+      lastEventId,
+      reconnects: responses.length - 1,
+      ok: responses.every(isStreamResponse),
+      find: (match) => events.find(event => matches(match, event)),
+      filter: (match) => events.filter(event => matches(match, event))
+    };
+
+    if (expectations) {
+      const checks = {};
+      Object.keys(expectations).forEach(name => {
+        checks[name] = () => result.find(expectations[name]) !== undefined;
+      });
+      check(result, checks, tags);
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a stream through k6/http; events only exist once the body is complete
+   * @private
+   */
+  function openBuffered(path, params, accept) {
+    const response = http.get(path, params);
+    const parser = createSseParser();
+    const parsed = [...parser.feed(typeof response.body === 'string' ? response.body : ''), ...parser.end()];
+
+    let count = 0;
+    while (count < parsed.length) {
+      const stop = accept({ ...parsed[count], time: null });
+      count++;
+      if (stop) break;
+    }
+
+    // The first byte may precede the first event by any amount, so no timings are reported
+    return {
+      response,
+      events: count,
+      timeToFirstEvent: null,
+      gaps: [],
+      lastEventId: count > 0 ? parsed[count - 1].id : null,
+      retry: parser.retry
+    };
+  }
+
+  /**
+   * Read a stream through xk6-sse, timing each event as it arrives
+   * @private
+   */
+  function openStreaming(path, params, accept) {
+    const { baseUrl, defaultHeaders, token } = http.getConfig();
+    const url = path.startsWith('http') ? path : `${baseUrl}${path}`;
+    const headers = { ...defaultHeaders, ...params.headers };
+    if (token && !headers.Authorization) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const times = [];
+    let lastEventId = null;
+    const start = Date.now();
+
+    const response = sse.open(url, { ...params, method: params.method || 'GET', headers }, (client) => {
+      client.on('event', (event) => {
+        const time = Date.now() - start;
+        times.push(time);
+        if (event.id) lastEventId = event.id;
+
+        const stop = accept({
+          type: event.name || 'message',
+          data: event.data,
+          id: lastEventId || '',
+          time
+        });
+        if (stop) client.close();
+      });
+    });
+
+    return {
+      response,
+      events: times.length,
+      timeToFirstEvent: times.length > 0 ? times[0] : null,
+      gaps: times.slice(1).map((time, i) => time - times[i]),
+      lastEventId,
+      retry: null
+    };
+  }
+
+  return {
+    stream,
+
+    // Underlying HTTP client (middleware, tokens, correlation variables)
+    http
+  };
+}
+
+/**
+ * @private
+ */
+function isStreamResponse(response) {
+  return Boolean(response) && response.status === 200;
+}
+
+/**
+ * Match an event against a predicate, an event type, or an object whose fields
+ * must all equal the event's (`data` is compared with the parsed JSON when it is JSON)
+ * @private
+ */
+function matches(match, event) {
+  if (typeof match === 'function') return Boolean(match(event));
+  if (typeof match === 'string') return event.type === match;
+
+  return Object.keys(match).every(key => {
+    if (key !== 'data' || typeof match.data !== 'object') return match[key] === event[key];
+    return isSubset(match.data, parseData(event.data));
+  });
+}
+
+function parseData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data;
+  }
+}
+
+function isSubset(expected, actual) {
+  if (expected === actual) return true;
+  if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object') return false;
+
+  return Object.keys(expected).every(key => isSubset(expected[key], actual[key]));
+}
+
+// Export a factory function
+export default {
+  create: createSseClient
+};
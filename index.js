@@ -14,6 +14,18 @@ import createSoakTest from './templates/soak.js';
 // Import utilities
 import { HttpClient } from './utils/http.js';
 import { createGrpcClient } from './gRPC/client.js';
+import { targetThresholds as grpcTargetThresholds, declareMethodMetrics as declareGrpcMethodMetrics } from './gRPC/metrics.js';
+import { declareEndpointMetrics } from './http/metrics.js';
+import { defineMetric, describeMetrics, setMaxEndpoints } from './utils/metrics.js';
+import { createSlos, formatSloSummary } from './utils/slo.js';
+import { createTracer, parseTraceparent } from './utils/trace.js';
+import { createLogger, setLogLevel, getLogLevel, setLogFormat, configureLogging } from './utils/logger.js';
+import { configureRedaction, resetRedaction, redactValue } from './utils/redact.js';
+import { createFailureCapture } from './utils/failures.js';
+import { loadGrpcDescriptors, reflectGrpcDescriptors, createGrpcEndpoints, listGrpcMethods } from './gRPC/discovery.js';
+import { createGraphqlClient } from './http/graphql.js';
+import { createSseClient } from './http/sse.js';
+import { createWsClient } from './ws/client.js';
 import { BasicAuthManager, BearerTokenManager, ApiKeyManager, OAuth2Manager } from './utils/auth.js';
 import {
   generateComprehensiveReports,
@@ -22,6 +34,10 @@ import {
   generatePerformanceMetrics,
 } from './utils/reporting.js';
 import * as helpers from './utils/helpers.js';
+import { validateSchema, matchesSchema, checkSchema } from './utils/schema.js';
+import { loadOpenApiEndpoints, createEndpointsFromSpec } from './config/openapi-loader.js';
+import { importHar } from './utils/har.js';
+import { loadTlsConfig, toK6TlsOptions, toGrpcTlsParams } from './config/tls.js';
 /**
  * Create a k6 test configuration
  * @param {Object} config - Test configuration
@@ -85,8 +101,22 @@ export {
   // HTTP utilities
   HttpClient,
   
+  // GraphQL utilities
+  createGraphqlClient,
+  
+  // Server-Sent Events utilities
+  createSseClient,
+  
   // gRPC utilities
   createGrpcClient,
+  grpcTargetThresholds,
+  loadGrpcDescriptors,
+  reflectGrpcDescriptors,
+  createGrpcEndpoints,
+  listGrpcMethods,
+  
+  // WebSocket utilities
+  createWsClient,
   
   // Authentication utilities
   BasicAuthManager,
@@ -100,6 +130,49 @@ export {
   generateReportPortalReports,
   generatePerformanceMetrics,
 
+  // Endpoint loaders
+  loadOpenApiEndpoints,
+  createEndpointsFromSpec,
+  importHar,
+
+  // Metrics registry
+  defineMetric,
+  describeMetrics,
+  setMaxEndpoints,
+  declareEndpointMetrics,
+  declareGrpcMethodMetrics,
+
+  // Service level objectives
+  createSlos,
+  formatSloSummary,
+
+  // Trace context propagation
+  createTracer,
+  parseTraceparent,
+
+  // Failure capture
+  createFailureCapture,
+
+  // Logging
+  createLogger,
+  setLogLevel,
+  getLogLevel,
+  setLogFormat,
+  configureLogging,
+  configureRedaction,
+  resetRedaction,
+  redactValue,
+
+  // TLS configuration
+  loadTlsConfig,
+  toK6TlsOptions,
+  toGrpcTlsParams,
+
+  // Response validation utilities
+  validateSchema,
+  matchesSchema,
+  checkSchema,
+
   // Helper utilities
   helpers,
 };
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// `k6w collect-failures`: gather the failing exchanges captured during a run.
+//
+//   k6w collect-failures <k6.log>... [-o reports/failures.json]
+//
+// Failure captures (utils/failures.js) log each kept exchange, since VUs cannot hand
+// data to handleSummary(). Give this the k6 log of the run, e.g. the file of
+// `k6 run --console-output=k6.log` or its stderr, or `-` to read stdin. The lines are
+// found by utils/failure-log.js and written in time order, by default to
+// reports/failures.json.
+//
+// An .mjs file run with scripts/esm-loader.mjs, for the same reason as import-har.mjs:
+// utils/failure-log.js is an ES module in a package without "type": "module".
+
+import fs from 'fs';
+import path from 'path';
+import { collectFailures, formatFailures, DEFAULT_FAILURES_FILE } from '../utils/failure-log.js';
+
+const USAGE = 'Usage: k6w collect-failures <k6.log|->... [-o reports/failures.json]';
+
+function log(message) {
+  console.error(`[k6w] ${message}`);
+}
+
+function fail(message) {
+  log(`Error: ${message}`);
+  log(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { files: [], out: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-o':
+      case '--out':
+        if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) fail(`${arg} needs a value`);
+        args.out = argv[++i];
+        break;
+      case '-h':
+      case '--help':
+        console.error(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('-') && arg !== '-') fail(`unexpected argument ${arg}`);
+        args.files.push(arg);
+    }
+  }
+
+  if (args.files.length === 0) fail('no k6 log given');
+  return args;
+}
+
+function main() {
+  const { files, out } = parseArgs(process.argv.slice(2));
+
+  const text = files.map(file => {
+    try {
+      return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    } catch (err) {
+      return fail(`could not read ${file} (${err.message})`);
+    }
+  }).join('\n');
+
+  const failures = collectFailures(text);
+  const target = out || DEFAULT_FAILURES_FILE;
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, formatFailures(failures));
+
+  log(`Collected ${failures.length} failing exchange(s) into ${target}`);
+}
+
+main();
@@ -0,0 +1,23 @@
+// Node loader for the k6w scripts: load the SDK's .js files as ES modules.
+//
+// The package has no "type": "module": k6 does not read package.json, and test runners
+// would then expect native ES modules. Without it Node takes utils/*.js for CommonJS
+// unless it detects module syntax, which only 20.19 and 22.7 and later do. bin/k6w
+// passes this file to `node --experimental-loader`, so the scripts load the SDK on any
+// Node with ES modules, detection or not.
+
+const SDK_ROOT = new URL('../', import.meta.url).href;
+
+function isSdkModule(url) {
+  return url.startsWith(SDK_ROOT) && url.endsWith('.js') && !url.includes('/node_modules/');
+}
+
+// Node 16.12 and later
+export async function load(url, context, nextLoad) {
+  return nextLoad(url, isSdkModule(url) ? { ...context, format: 'module' } : context);
+}
+
+// Node 12.17 to 16.11, before load() replaced it
+export async function getFormat(url, context, defaultGetFormat) {
+  return isSdkModule(url) ? { format: 'module' } : defaultGetFormat(url, context, defaultGetFormat);
+}
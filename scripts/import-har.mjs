@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+// `k6w import-har`: turn a browser recording into a replayable journey module.
+//
+//   k6w import-har session.har [-o journey.js] [--base-url URL] [--host HOST]...
+//                  [--include-static] [--keep-header NAME]... [--drop-header NAME]...
+//                  [--max-think-time SECONDS] [--no-correlate]
+//
+// Writes a module exporting `baseUrl` and an ordered `endpoints` map (stdout unless -o
+// is given) and reports what was skipped and correlated on stderr, so the module can
+// be piped straight into a file. The work itself is utils/har.js, which test scripts
+// can also import directly; this file only deals with arguments and files.
+//
+// An .mjs file because the package has no "type": "module" and utils/har.js is an ES
+// module like the rest of the SDK. bin/k6w runs it with scripts/esm-loader.mjs, which
+// loads the SDK's .js files as ES modules on Node versions that do not detect them.
+
+import fs from 'fs';
+import path from 'path';
+import { importHar, renderHarModule } from '../utils/har.js';
+
+const USAGE = 'Usage: k6w import-har <file.har> [-o out.js] [--base-url URL] [--host HOST]... '
+  + '[--include-static] [--keep-header NAME]... [--drop-header NAME]... '
+  + '[--max-think-time SECONDS] [--no-correlate]';
+
+function log(message) {
+  console.error(`[k6w] ${message}`);
+}
+
+function fail(message) {
+  log(`Error: ${message}`);
+  log(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { file: null, out: null, options: { hosts: [], keepHeaders: [], dropHeaders: [] } };
+  const value = (i, flag) => {
+    if (i >= argv.length || argv[i].startsWith('-')) fail(`${flag} needs a value`);
+    return argv[i];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    switch (arg) {
+      case '-o':
+      case '--out':
+        args.out = value(++i, arg);
+        break;
+      case '--base-url':
+        args.options.baseUrl = value(++i, arg);
+        break;
+      case '--host':
+        args.options.hosts.push(value(++i, arg));
+        break;
+      case '--include-static':
+        args.options.includeStatic = true;
+        break;
+      case '--keep-header':
+        args.options.keepHeaders.push(value(++i, arg));
+        break;
+      case '--drop-header':
+        args.options.dropHeaders.push(value(++i, arg));
+        break;
+      case '--max-think-time': {
+        const seconds = Number(value(++i, arg));
+        if (!Number.isFinite(seconds) || seconds < 0) fail('--max-think-time must be a number of seconds');
+        args.options.maxThinkTime = seconds;
+        break;
+      }
+      case '--no-correlate':
+        args.options.correlate = false;
+        break;
+      case '-h':
+      case '--help':
+        console.error(USAGE);
+        process.exit(0);
+        break;
+      default:
+        if (arg.startsWith('-') || args.file) fail(`unexpected argument ${arg}`);
+        args.file = arg;
+    }
+  }
+
+  if (!args.file) fail('no HAR file given');
+  return args;
+}
+
+function main() {
+  const { file, out, options } = parseArgs(process.argv.slice(2));
+
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(`could not read ${file} as JSON (${err.message})`);
+  }
+
+  let result;
+  try {
+    result = importHar(har, options);
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const source = renderHarModule(result, path.basename(file));
+  if (out) {
+    fs.writeFileSync(out, source);
+  } else {
+    process.stdout.write(source);
+  }
+
+  const count = Object.keys(result.endpoints).length;
+  const { skipped } = result;
+  log(`Imported ${count} request(s) against ${result.baseUrl || '(no base URL)'}${out ? ` into ${out}` : ''}`);
+  log(`Skipped ${skipped.static} static asset(s), ${skipped.otherHost} request(s) to other hosts, `
+    + `${skipped.redirect} followed redirect(s)`);
+  result.correlations.forEach(correlation => {
+    log(`Correlated {{${correlation.name}}} from ${correlation.from} into ${correlation.usedBy.length} later request(s)`);
+  });
+}
+
+main();
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default baseline test options
@@ -186,7 +187,7 @@ export default function createBaselineTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Baseline: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight
         if (Math.random() > weight) {
@@ -217,6 +218,9 @@ export default function createBaselineTest(params) {
           errorCount++;
         }
         
+        // Validate response body against the endpoint's JSON Schema
+        if (!checkSchema(response, schema, name)) errorCount++;
+        
         // Validate response
         if (validate) {
           const checkResult = check(response, validate);
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default capacity test options
@@ -234,7 +235,7 @@ export default function createCapacityTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Capacity Test: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight
         if (Math.random() > weight) {
@@ -266,6 +267,9 @@ export default function createCapacityTest(params) {
           errorCount++;
         }
         
+        // Validate response body against the endpoint's JSON Schema
+        if (!checkSchema(response, schema, name)) errorCount++;
+        
         // Validate response
         if (validate) {
           const checkResult = check(response, validate);
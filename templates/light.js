@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default light test options
@@ -161,7 +162,7 @@ export default function createLightTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Light: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight
         if (Math.random() > weight) {
@@ -181,6 +182,9 @@ export default function createLightTest(params) {
         
         let allChecksPassed = true;
         
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
+        
         // Validate response
         if (validate) {
           const checkResult = check(response, validate);
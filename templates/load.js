@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default load test options - up to 600 VUs
@@ -90,7 +91,7 @@ export default function createLoadTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Endpoint: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, params = {}, validate, schema, tags = {}, weight = 1, thinkTime } = endpoint;
         
         // Skip this endpoint based on weight (for traffic distribution)
         if (Math.random() > weight) {
@@ -98,7 +99,10 @@ export default function createLoadTest(params) {
         }
         
         // Make request
-        const response = http.request(method, path, body, { tags });
+        const response = http.request(method, path, body, { ...params, tags });
+        
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
         
         // Validate response
         if (validate) {
@@ -110,8 +114,8 @@ export default function createLoadTest(params) {
           });
         }
         
-        // Add sleep between requests (with randomization)
-        sleep(1);
+        // Pause between requests (recorded think time for imported journeys)
+        sleep(thinkTime !== undefined ? thinkTime : 1);
       });
     }
   };
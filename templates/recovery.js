@@ -7,6 +7,8 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
+import { circuitStateThresholds, summarizeCircuitStates } from '../http/metrics.js';
 
 /**
  * Default recovery test options
@@ -41,7 +43,9 @@ const defaultOptions = {
     // Recovery-specific thresholds
     http_req_connecting: ['p(95)<500'], // Connection establishment during issues
     http_req_waiting: ['p(95)<1500'],  // Server processing during recovery
-    checks: ['rate>=0.80']             // 80% success rate acceptable during recovery
+    checks: ['rate>=0.80'],            // 80% success rate acceptable during recovery
+    // Circuit breaker transitions for recoverySummary() (never fail)
+    ...circuitStateThresholds()
   },
   // Extended timeouts for failure scenarios
   setupTimeout: '90s',
@@ -62,8 +66,10 @@ class RecoveryAnalyzer {
       fullRecovery: null
     };
     this.failureDetected = false;
+    this.failureDetectedAt = null;
     this.recoveryStartTime = null;
     this.recoveryCompletionTime = null;
+    this.circuitStates = null;
   }
   
   startPhase(phaseName, expectedDuration) {
@@ -124,6 +130,7 @@ class RecoveryAnalyzer {
     
     if (isFailure && !this.failureDetected) {
       this.failureDetected = true;
+      this.failureDetectedAt = metric.timestamp;
       this.logRecoveryEvent('failure_detected', `High error rate: ${(metric.errorRate * 100).toFixed(1)}% or slow response: ${metric.responseTime}ms`);
     }
     
@@ -152,6 +159,41 @@ class RecoveryAnalyzer {
     }
   }
   
+  /**
+   * Consume the circuit breaker transitions of all VUs (see summarizeCircuitStates).
+   * A trip is a failure signal; half-open probes mark the start of recovery, and
+   * recovery completes once every tripped circuit has closed again. The counts carry
+   * no times, so they do not feed the recovery timing.
+   * @param {Object} circuits - { trips, probes, reopens, closes, open }
+   */
+  recordCircuitStates(circuits) {
+    this.circuitStates = circuits;
+    if (circuits.trips === 0) return;
+    
+    if (!this.failureDetected) {
+      this.failureDetected = true;
+      this.logRecoveryEvent('circuit_open', `${circuits.trips} circuit breaker trips`);
+    }
+    if (circuits.probes > 0) {
+      this.logRecoveryEvent('recovery_started', `${circuits.probes} half-open probes after circuits opened`);
+    }
+    if (circuits.open === 0) {
+      this.logRecoveryEvent('recovery_completed', 'Every tripped circuit closed again');
+    }
+  }
+  
+  analyzeCircuitBreakers() {
+    if (!this.circuitStates) return null;
+    
+    const { trips, probes, open } = this.circuitStates;
+    return {
+      ...this.circuitStates,
+      failureDetected: trips > 0,
+      recoveryStarted: probes > 0,
+      recovered: trips > 0 ? open === 0 : null
+    };
+  }
+  
   logRecoveryEvent(eventType, description) {
     const event = {
       timestamp: Date.now(),
@@ -188,6 +230,7 @@ class RecoveryAnalyzer {
       recoveryTime: this.calculateRecoveryTime(),
       resilience: this.calculateResilienceScore(),
       failoverEffectiveness: this.analyzeFailoverEffectiveness(),
+      circuitBreakers: this.analyzeCircuitBreakers(),
       recommendations: this.generateRecoveryRecommendations()
     };
     
@@ -200,9 +243,9 @@ class RecoveryAnalyzer {
     }
     
     return {
-      timeToRecoveryStart: this.recoveryStartTime - this.failureDetected,
+      timeToRecoveryStart: this.recoveryStartTime - this.failureDetectedAt,
       fullRecoveryTime: this.recoveryCompletionTime - this.recoveryStartTime,
-      totalRecoveryTime: this.recoveryCompletionTime - this.failureDetected
+      totalRecoveryTime: this.recoveryCompletionTime - this.failureDetectedAt
     };
   }
   
@@ -290,6 +333,14 @@ class RecoveryAnalyzer {
       recommendations.push('High error rates during failure - implement circuit breakers and retry logic');
     }
     
+    const circuits = this.circuitStates;
+    if (circuits && circuits.open > 0) {
+      recommendations.push(`${circuits.open} circuits still open at the end - the system did not fully recover`);
+    }
+    if (circuits && circuits.reopens > 0) {
+      recommendations.push(`${circuits.reopens} circuits re-opened after probing - recovery relapsed before it held`);
+    }
+    
     return recommendations;
   }
   
@@ -421,7 +472,7 @@ export default function createRecoveryTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Recovery: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight
         if (Math.random() > weight) {
@@ -454,6 +505,9 @@ export default function createRecoveryTest(params) {
             errorCount++;
           }
           
+          // Validate response body against the endpoint's JSON Schema
+          if (!checkSchema(response, schema, name)) errorCount++;
+          
           // Validate response
           if (validate) {
             const checkResult = check(response, validate);
@@ -524,11 +578,39 @@ export default function createRecoveryTest(params) {
     return 'verification';
   };
   
+  /**
+   * Recovery assessment for handleSummary(). Breakers live in VU memory, so their
+   * transitions are read from the circuit_state_changes counter every VU adds to and
+   * given to the analyzer as failure and recovery signals.
+   * Use as `customHandler` of createHandleSummary, or merge into your own results.
+   * @param {Object} data - handleSummary data
+   * @param {Object} [summaryOptions] - { file } - output path
+   * @returns {Object} { [file]: JSON } - the recovery analysis
+   */
+  const recoverySummary = (data, summaryOptions = {}) => {
+    const recoveryAnalyzer = new RecoveryAnalyzer();
+    recoveryAnalyzer.recordCircuitStates(summarizeCircuitStates(data));
+    const analysis = recoveryAnalyzer.analyzeRecoveryPattern();
+    const circuits = analysis.circuitBreakers;
+    
+    console.log('=== RECOVERY ASSESSMENT ===');
+    console.log(`Circuit breakers - trips: ${circuits.trips}, probes: ${circuits.probes}, re-opened: ${circuits.reopens}, closed: ${circuits.closes}`);
+    if (circuits.trips > 0) {
+      console.log(circuits.recovered
+        ? '✅ Recovered: every tripped circuit closed again'
+        : `⚠️ Not recovered: ${circuits.open} circuits still open at the end`);
+    }
+    analysis.recommendations.forEach(rec => console.log(`• ${rec}`));
+    
+    return { [summaryOptions.file || 'reports/recovery-analysis.json']: JSON.stringify(analysis, null, 2) };
+  };
+  
   // Return k6 test script
   return {
     options: testOptions,
     setup,
     default: defaultFunction,
-    teardown
+    teardown,
+    recoverySummary
   };
 }
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default smoke test options
@@ -88,11 +89,14 @@ export default function createSmokeTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Endpoint: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {} } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {} } = endpoint;
         
         // Make request
         const response = http.request(method, path, body, { tags });
         
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
+        
         // Validate response
         if (validate) {
           check(response, validate);
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default soak test options - up to 100 VUs
@@ -92,7 +93,7 @@ export default function createSoakTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Endpoint: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight (for traffic distribution)
         if (Math.random() > weight) {
@@ -102,6 +103,9 @@ export default function createSoakTest(params) {
         // Make request
         const response = http.request(method, path, body, { tags });
         
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
+        
         // Validate response
         if (validate) {
           check(response, validate);
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default stress test options - up to 1000 VUs
@@ -93,7 +94,7 @@ export default function createStressTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Endpoint: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1 } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1 } = endpoint;
         
         // Skip this endpoint based on weight (for traffic distribution)
         if (Math.random() > weight) {
@@ -103,6 +104,9 @@ export default function createStressTest(params) {
         // Make request
         const response = http.request(method, path, body, { tags });
         
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
+        
         // Validate response
         if (validate) {
           check(response, validate);
@@ -7,6 +7,7 @@
 
 import { sleep } from 'k6';
 import { check, group } from 'k6';
+import { checkSchema } from '../utils/schema.js';
 
 /**
  * Default volume test options
@@ -148,7 +149,7 @@ export default function createVolumeTest(params) {
     for (const [name, endpoint] of Object.entries(endpoints)) {
       group(`Volume Test: ${name}`, () => {
         // Get endpoint details
-        const { method = 'GET', path, body, validate, tags = {}, weight = 1, volumeType = 'payload' } = endpoint;
+        const { method = 'GET', path, body, validate, schema, tags = {}, weight = 1, volumeType = 'payload' } = endpoint;
         
         // Skip this endpoint based on weight
         if (Math.random() > weight) {
@@ -205,6 +206,9 @@ export default function createVolumeTest(params) {
           }
         });
         
+        // Validate response body against the endpoint's JSON Schema
+        checkSchema(response, schema, name);
+        
         // Validate response
         if (validate) {
           check(response, validate);
@@ -0,0 +1,96 @@
+/**
+ * Collection of captured failures from k6 logs
+ *
+ * Failure captures (utils/failures.js) log each kept exchange through the shared
+ * logger: with LOG_FORMAT=json as the `failure` field of an entry whose event is
+ * `captured_failure`, in text format as a `captured_failure {…}` line. k6 passes
+ * console output through its own logger, so collectFailures() finds them in any of
+ * the forms k6 writes: its text format (`level=info msg="…" source=console`),
+ * `--log-format=json`, or the bare line.
+ *
+ * No k6 imports: `k6w collect-failures` (scripts/collect-failures.mjs) runs this in
+ * Node after the test.
+ */
+
+export const FAILURE_EVENT = 'captured_failure';
+export const DEFAULT_FAILURES_FILE = 'reports/failures.json';
+
+/**
+ * The text-format log message of a captured exchange
+ * @param {Object} entry - Captured exchange
+ * @returns {string} `captured_failure {…}`
+ */
+export function failureMessage(entry) {
+  return `${FAILURE_EVENT} ${JSON.stringify(entry)}`;
+}
+
+/**
+ * Read the captured exchanges out of k6 log output
+ * @param {string} text - k6 log output, e.g. the --console-output file or stderr
+ * @returns {Array<Object>} Exchanges of all VUs, by time
+ */
+export function collectFailures(text) {
+  const failures = [];
+
+  String(text).split(/\r?\n/).forEach(line => {
+    if (!line.includes(FAILURE_EVENT)) return;
+
+    const entry = failureOf(messageOf(line.trim()));
+    if (entry) failures.push(entry);
+  });
+
+  return failures.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+}
+
+/**
+ * Render the failures file
+ * @param {Array<Object>} failures - Result of collectFailures()
+ * @returns {string} JSON document ({ count, failures })
+ */
+export function formatFailures(failures) {
+  return JSON.stringify({ count: failures.length, failures }, null, 2);
+}
+
+// The exchange in a logger entry: a JSON entry with its `failure` field, or a text line
+function failureOf(message) {
+  const record = message.startsWith('{') ? parseJson(message) : null;
+  if (record) {
+    return record.event === FAILURE_EVENT && record.failure && typeof record.failure === 'object'
+      ? record.failure
+      : null;
+  }
+
+  const start = message.indexOf(`${FAILURE_EVENT} {`);
+  const entry = start === -1 ? null : parseJson(message.substring(start + FAILURE_EVENT.length + 1));
+  return entry && typeof entry === 'object' ? entry : null;
+}
+
+// The message a k6 log line carries, or the line itself when it is the bare message
+function messageOf(line) {
+  const quoted = line.match(/(?:^|\s)msg=("(?:[^"\\]|\\.)*")/);
+  if (quoted) return unquoteGo(quoted[1]);
+
+  // A k6 JSON log line; a logger entry has a msg of its own
+  const record = line.startsWith('{') ? parseJson(line) : null;
+  return record && typeof record.msg === 'string' && record.event !== FAILURE_EVENT ? record.msg : line;
+}
+
+// k6's text format quotes messages like Go's %q: JSON escapes, plus \x for invalid
+// UTF-8 and \U for non-printable characters beyond the BMP
+function unquoteGo(quoted) {
+  const json = quoted.replace(/\\(x[0-9a-fA-F]{2}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+    if (escape[0] === 'x') return `\\u00${escape.substring(1)}`;
+    if (escape[0] === 'U') return JSON.stringify(String.fromCodePoint(parseInt(escape.substring(1), 16))).slice(1, -1);
+    return match;
+  });
+  const value = parseJson(json);
+  return typeof value === 'string' ? value : '';
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Sampled capture of failing requests for k6 performance testing SDK
+ *
+ * The HTTP and gRPC clients hand their failing exchanges to a capture, which keeps
+ * the first `first` of each VU, then a random share (`sampleRate`) of the rest up to
+ * `maxSamples`. A kept exchange holds the request, response, timings, VU, iteration
+ * and scenario, with secrets redacted (see utils/redact.js), and a `curl` or
+ * `grpcurl` command that replays it. In the commands, redacted values are shell
+ * variables named after their header, field or parameter ($AUTHORIZATION,
+ * $ACCESS_TOKEN, ...), to be set before running them.
+ *
+ * Each kept exchange is logged at INFO by the `failures` logger, so it follows
+ * LOG_LEVEL, LOG_LEVEL_FAILURES and LOG_FAILURE_LEVEL (see utils/logger.js). VUs share
+ * no memory with handleSummary(), and metric tags cannot carry whole exchanges, so
+ * the test does not write them to a file: after the run, `k6w collect-failures` reads
+ * them out of the k6 log (see utils/failure-log.js) into reports/failures.json.
+ */
+
+import { createLogger, getLogFormat, executionContext } from './logger.js';
+import { redactHeaders, redactValue, redactText } from './redact.js';
+import { FAILURE_EVENT, failureMessage } from './failure-log.js';
+
+const logger = createLogger('failures');
+
+// Marks the name of a redacted value in a command until it is quoted for the shell
+const PLACEHOLDER_MARK = '\uE000';
+const PLACEHOLDERS = new RegExp(`${PLACEHOLDER_MARK}(\\w+)${PLACEHOLDER_MARK}`);
+
+/**
+ * Create a failure capture
+ * @param {Object} [options] - Capture options
+ * @param {number} [options.first=10] - Failures kept first, per VU
+ * @param {number} [options.sampleRate=0.1] - Share of later failures kept, 0 to 1
+ * @param {number} [options.maxSamples=10] - Later failures kept at most, per VU
+ * @param {number} [options.maxBodyLength=2000] - Characters of each body or message kept
+ * @returns {Object} Capture ({ recordHttp, recordGrpc, captured, stats })
+ */
+export function createFailureCapture(options = {}) {
+  const {
+    first = 10,
+    sampleRate = 0.1,
+    maxSamples = 10,
+    maxBodyLength = 2000
+  } = options;
+
+  if (!(sampleRate >= 0 && sampleRate <= 1)) {
+    throw new Error(`Failure sample rate must be between 0 and 1, got ${sampleRate}`);
+  }
+
+  const entries = [];
+  let failures = 0;
+  let firstKept = 0;
+  let samplesKept = 0;
+
+  // Decide whether to keep the failure just seen: 'first', 'sample' or null
+  function keepReason() {
+    failures++;
+    if (firstKept < first) {
+      firstKept++;
+      return 'first';
+    }
+    if (samplesKept < maxSamples && Math.random() < sampleRate) {
+      samplesKept++;
+      return 'sample';
+    }
+    return null;
+  }
+
+  function keep(entry) {
+    entries.push(entry);
+    if (logger.enabled('INFO', { name: entry.name, method: entry.request.method }, true)) {
+      const json = getLogFormat() === 'json';
+      logger.log('INFO', '📋', json ? `Captured failing ${entry.protocol} exchange` : failureMessage(entry),
+        json ? { event: FAILURE_EVENT, failure: entry } : {});
+    }
+    return entry;
+  }
+
+  const truncate = (value) => {
+    if (value === undefined || value === null) return null;
+    const str = typeof value === 'string' ? value : JSON.stringify(value);
+    return str.length > maxBodyLength ? `${str.substring(0, maxBodyLength)}...` : str;
+  };
+
+  return {
+    /**
+     * Record an HTTP exchange; kept when it failed (status 0 or 400 and above) and
+     * the sampling allows
+     * @param {Object} request - Request sent ({ method, url, headers, body, name })
+     * @param {Object} response - k6 HTTP response
+     * @param {Object} [connection] - { tls } - TLS config of the client, for curl flags
+     * @returns {Object|null} Captured entry, or null
+     */
+    recordHttp: (request, response, connection = {}) => {
+      if (response.status > 0 && response.status < 400) return null;
+
+      const reason = keepReason();
+      if (!reason) return null;
+
+      const url = redactText(request.url);
+      const headers = redactHeaders(request.headers || {});
+      const body = redactValue(request.body);
+      const curl = toCurl(request.method, redactText(request.url, placeholder),
+        redactHeaders(request.headers || {}, placeholder), redactValue(request.body, placeholder), connection.tls);
+      return keep({
+        protocol: 'http',
+        reason,
+        timestamp: new Date().toISOString(),
+        ...executionContext(),
+        name: request.name || null,
+        request: { method: request.method, url, headers, body: truncate(body) },
+        response: {
+          status: response.status,
+          error: response.error || null,
+          error_code: response.error_code || null,
+          headers: redactHeaders(response.headers || {}),
+          body: truncate(redactValue(response.body))
+        },
+        timings: response.timings || null,
+        curl
+      });
+    },
+
+    /**
+     * Record a gRPC call; kept when it failed and the sampling allows
+     * @param {Object} call - Call sent ({ method, address, metadata, message, duration })
+     * @param {Object} response - k6 gRPC response
+     * @param {Object} [connection] - { plaintext, authority, reflect, protoPaths,
+     *   protoFiles, protosetPath, tls } - client settings, for grpcurl flags
+     * @param {Array<number>} [expectedStatusCodes] - Statuses that are not failures
+     * @returns {Object|null} Captured entry, or null
+     */
+    recordGrpc: (call, response, connection = {}, expectedStatusCodes = []) => {
+      if (response.status === 0 || expectedStatusCodes.includes(response.status)) return null;
+
+      const reason = keepReason();
+      if (!reason) return null;
+
+      const metadata = redactHeaders(call.metadata || {});
+      const message = redactValue(call.message);
+      const grpcurl = toGrpcurl(call.method, call.address, redactHeaders(call.metadata || {}, placeholder),
+        redactValue(call.message, placeholder), connection);
+      return keep({
+        protocol: 'grpc',
+        reason,
+        timestamp: new Date().toISOString(),
+        ...executionContext(),
+        request: { method: call.method, address: call.address, metadata, message: truncate(message) },
+        response: {
+          status: response.status,
+          error: response.error ? truncate(response.error) : null,
+          message: truncate(redactValue(response.message))
+        },
+        timings: { duration: call.duration },
+        grpcurl
+      });
+    },
+
+    // Exchanges kept by this VU
+    captured: () => [...entries],
+
+    // Failures seen and kept by this VU
+    stats: () => ({ failures, kept: entries.length, first: firstKept, samples: samplesKept })
+  };
+}
+
+/**
+ * Resolve a client's `captureFailures` option into a capture
+ * @param {Object|boolean|null} option - Capture options, true for defaults, or a capture to share
+ * @returns {Object|null} Capture, or null when off
+ */
+export function resolveFailureCapture(option) {
+  if (!option) return null;
+  if (typeof option.recordHttp === 'function') return option;
+  return createFailureCapture(option === true ? {} : option);
+}
+
+/**
+ * Render a curl command
+ * @param {string} method - HTTP method
+ * @param {string} url - Full URL
+ * @param {Object} headers - Headers
+ * @param {*} body - Body (strings as is, objects as JSON)
+ * @param {Object} [tls] - TLS config (see config/tls.js)
+ * @returns {string} Shell command
+ */
+export function toCurl(method, url, headers = {}, body = null, tls = null) {
+  const parts = ['curl'];
+  if (method !== 'GET' || body) parts.push('-X', method);
+  parts.push(shellQuote(url));
+
+  Object.entries(headers).forEach(([name, value]) => {
+    toList(value).forEach(item => parts.push('-H', shellQuote(`${name}: ${item}`)));
+  });
+  if (body !== null && body !== undefined && body !== '') {
+    parts.push('--data-raw', shellQuote(typeof body === 'string' ? body : JSON.stringify(body)));
+  }
+
+  return [...parts, ...tlsFlags(tls, { ca: '--cacert', cert: '--cert', key: '--key', insecure: '-k' })].join(' ');
+}
+
+/**
+ * Render a grpcurl command
+ * @param {string} method - Full method, e.g. 'package.Service/Method'
+ * @param {string} address - Target address
+ * @param {Object} metadata - Metadata
+ * @param {Object} message - Request message (protojson)
+ * @param {Object} [connection] - Client settings ({ plaintext, authority, reflect,
+ *   protoPaths, protoFiles, protosetPath, tls })
+ * @returns {string} Shell command
+ */
+export function toGrpcurl(method, address, metadata = {}, message = {}, connection = {}) {
+  const parts = ['grpcurl'];
+  if (connection.plaintext) parts.push('-plaintext');
+  if (connection.authority) parts.push('-authority', shellQuote(connection.authority));
+  parts.push(...tlsFlags(connection.tls, { ca: '-cacert', cert: '-cert', key: '-key', insecure: '-insecure' }));
+
+  if (connection.protosetPath) {
+    parts.push('-protoset', shellQuote(connection.protosetPath));
+  } else if (!connection.reflect) {
+    (connection.protoPaths || []).forEach(path => parts.push('-import-path', shellQuote(path)));
+    (connection.protoFiles || []).forEach(file => parts.push('-proto', shellQuote(file)));
+  }
+
+  Object.entries(metadata).forEach(([name, value]) => {
+    toList(value).forEach(item => parts.push('-H', shellQuote(`${name}: ${item}`)));
+  });
+  parts.push('-d', shellQuote(typeof message === 'string' ? message : JSON.stringify(message || {})));
+  parts.push(shellQuote(address), method.replace(/^\//, ''));
+
+  return parts.join(' ');
+}
+
+function tlsFlags(tls, flags) {
+  if (!tls) return [];
+
+  const parts = [];
+  (tls.files.ca || []).forEach(file => parts.push(flags.ca, shellQuote(file)));
+  if (tls.files.cert) parts.push(flags.cert, shellQuote(tls.files.cert));
+  if (tls.files.key) parts.push(flags.key, shellQuote(tls.files.key));
+  if (tls.insecureSkipVerify) parts.push(flags.insecure);
+  return parts;
+}
+
+// Stand-in for a redacted value, named after its header, field or parameter
+function placeholder(name) {
+  const variable = String(name || 'secret').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${PLACEHOLDER_MARK}${/^[A-Z]/.test(variable) ? variable : `SECRET_${variable}`}${PLACEHOLDER_MARK}`;
+}
+
+// Single-quote for POSIX shells; double quotes around placeholders, so the shell
+// substitutes their variables
+function shellQuote(value) {
+  const str = String(value);
+  if (str.includes(PLACEHOLDER_MARK)) {
+    const parts = str.split(PLACEHOLDERS);
+    return `"${parts.map((part, index) => {
+      if (index % 2 === 0) return part.replace(/[\\"$`]/g, '\\$&');
+      return /^\w/.test(parts[index + 1]) ? `\${${part}}` : `$${part}`;
+    }).join('')}"`;
+  }
+  return /^[\w@%+=:,./-]+$/.test(str) ? str : `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,159 @@
+/**
+ * Tests for failure capture (createFailureCapture, toCurl, toGrpcurl), its log entries,
+ * and the collection of captured exchanges from k6 logs (collectFailures, formatFailures).
+ */
+
+import { createFailureCapture, resolveFailureCapture, toGrpcurl } from './failures.js';
+import { collectFailures, formatFailures } from './failure-log.js';
+import { configureLogging, setLogLevel } from './logger.js';
+
+const failed = (status) => ({ status, body: 'boom', headers: {}, timings: { duration: 5 } });
+
+// A console line as k6 writes it in its default text format
+const k6TextLine = (message) => `time="2026-10-19T09:12:03Z" level=info msg=${JSON.stringify(message)} source=console`;
+
+let lines;
+
+beforeEach(() => {
+  lines = [];
+  jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+});
+
+afterEach(() => {
+  configureLogging({ format: 'text', failureLevel: 'NONE' });
+  setLogLevel('INFO');
+  jest.restoreAllMocks();
+});
+
+describe('createFailureCapture', () => {
+  it('keeps the first failures and renders curl with secrets as shell variables', () => {
+    const capture = createFailureCapture({ first: 1, sampleRate: 0 });
+    const request = {
+      method: 'POST',
+      url: 'http://api.test/orders?ref=a::b',
+      headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json' },
+      body: '{"item":"it\'s"}'
+    };
+    expect(capture.recordHttp(request, failed(200))).toBeNull();
+    const entry = capture.recordHttp(request, failed(500));
+    expect(capture.recordHttp(request, failed(503))).toBeNull();
+
+    expect(entry).toMatchObject({ protocol: 'http', reason: 'first', vu: 0, response: { status: 500, body: 'boom' } });
+    expect(entry.request.headers.Authorization).toBe('[REDACTED]');
+    expect(entry.curl).toBe("curl -X POST 'http://api.test/orders?ref=a::b' -H \"Authorization: $AUTHORIZATION\" " +
+      "-H 'Content-Type: application/json' --data-raw '{\"item\":\"it'\\''s\"}'");
+    expect(capture.stats()).toEqual({ failures: 2, kept: 1, first: 1, samples: 0 });
+    expect(capture.captured()).toEqual([entry]);
+  });
+
+  it('redacts tokens in the URL of the entry and of the curl command', () => {
+    const capture = createFailureCapture();
+    const entry = capture.recordHttp({
+      method: 'POST',
+      url: 'http://api.test/me?access_token=abc123&page=2',
+      body: '{"password":"hunter2","note":"costs $5"}'
+    }, failed(401));
+
+    expect(entry.request.url).toBe('http://api.test/me?access_token=[REDACTED]&page=2');
+    expect(entry.curl).toBe('curl -X POST "http://api.test/me?access_token=$ACCESS_TOKEN&page=2" ' +
+      '--data-raw "{\\"password\\":\\"$PASSWORD\\",\\"note\\":\\"costs \\$5\\"}"');
+    expect(lines[0]).not.toContain('abc123');
+    expect(lines[0]).not.toContain('hunter2');
+    expect(collectFailures(lines[0])[0].curl).toBe(entry.curl);
+  });
+
+  it('samples later failures up to maxSamples', () => {
+    const capture = createFailureCapture({ first: 0, sampleRate: 0.5, maxSamples: 1 });
+    jest.spyOn(Math, 'random').mockReturnValueOnce(0.7).mockReturnValue(0.2);
+    const request = { method: 'GET', url: 'http://api.test/' };
+
+    expect(capture.recordHttp(request, failed(0))).toBeNull();
+    expect(capture.recordHttp(request, failed(0))).toMatchObject({ reason: 'sample' });
+    expect(capture.recordHttp(request, failed(0))).toBeNull();
+    expect(capture.stats()).toEqual({ failures: 3, kept: 1, first: 0, samples: 1 });
+  });
+
+  it('logs each kept exchange through the failures logger, in the log format', () => {
+    const capture = createFailureCapture();
+    const call = { method: '/user.UserService/GetUser', address: 'localhost:50051', metadata: { authorization: 't' }, message: { id: 1 }, duration: 3 };
+    const entry = capture.recordGrpc(call, { status: 5, error: 'not found' }, { plaintext: true, reflect: true });
+
+    expect(lines).toEqual([`📋 captured_failure ${JSON.stringify(entry)}`]);
+    expect(entry.request.metadata).toEqual({ authorization: '[REDACTED]' });
+    expect(entry.grpcurl).toBe('grpcurl -plaintext -H "authorization: $AUTHORIZATION" -d \'{"id":1}\' ' +
+      'localhost:50051 user.UserService/GetUser');
+    expect(capture.recordGrpc({ method: '/a.B/C' }, { status: 5 }, {}, [5])).toBeNull();
+
+    configureLogging({ format: 'json' });
+    const second = capture.recordGrpc(call, { status: 5 });
+    expect(JSON.parse(lines[1])).toMatchObject({
+      level: 'info', module: 'failures', event: 'captured_failure', failure: second
+    });
+  });
+
+  it('logs nothing below INFO unless the failure level allows it', () => {
+    const capture = createFailureCapture();
+    setLogLevel('WARN');
+
+    expect(capture.recordHttp({ method: 'GET', url: 'http://api.test/' }, failed(500))).not.toBeNull();
+    expect(lines).toEqual([]);
+
+    configureLogging({ failureLevel: 'INFO' });
+    capture.recordHttp({ method: 'GET', url: 'http://api.test/' }, failed(500));
+    expect(lines).toHaveLength(1);
+    expect(capture.stats()).toMatchObject({ kept: 2 });
+  });
+
+  it('resolves the captureFailures option of a client', () => {
+    const capture = createFailureCapture();
+
+    expect(resolveFailureCapture(false)).toBeNull();
+    expect(resolveFailureCapture(capture)).toBe(capture);
+    expect(typeof resolveFailureCapture(true).recordHttp).toBe('function');
+    expect(() => createFailureCapture({ sampleRate: 2 })).toThrow('Failure sample rate must be between 0 and 1, got 2');
+  });
+
+  it('renders grpcurl with proto flags', () => {
+    expect(toGrpcurl('/user.UserService/GetUser', 'localhost:50051', { 'x-id': '1' }, { id: 1 }, {
+      plaintext: true, protoPaths: ['protos'], protoFiles: ['user.proto']
+    })).toBe("grpcurl -plaintext -import-path protos -proto user.proto -H 'x-id: 1' -d '{\"id\":1}' " +
+      'localhost:50051 user.UserService/GetUser');
+  });
+});
+
+describe('collectFailures', () => {
+  it('reads captured exchanges back from the k6 log in time order', () => {
+    const capture = createFailureCapture();
+    const request = { method: 'POST', url: 'http://a::b/', body: '{"note":"say \\"hi\\"\\n"}' };
+    jest.spyOn(Date.prototype, 'toISOString')
+      .mockReturnValueOnce('2026-10-19T09:12:04.000Z')
+      .mockReturnValueOnce('2026-10-19T09:12:03.000Z')
+      .mockReturnValue('2026-10-19T09:12:02.000Z');
+    const later = capture.recordHttp(request, failed(500));
+    const earlier = capture.recordHttp(request, failed(502));
+    configureLogging({ format: 'json' });
+    const first = capture.recordHttp(request, failed(503));
+
+    const log = [
+      k6TextLine(lines[0]),
+      k6TextLine('{"level":"info","event":"response"}'),
+      JSON.stringify({ level: 'info', msg: lines[1], source: 'console', time: '2026-10-19T09:12:03Z' }),
+      k6TextLine(lines[2]),
+      'captured_failure in a line that is not JSON'
+    ].join('\n');
+
+    expect(collectFailures(log)).toEqual([first, earlier, later]);
+    expect(collectFailures(lines.join('\r\n'))).toEqual([first, earlier, later]);
+    expect(collectFailures('')).toEqual([]);
+  });
+
+  it('reads the Go escapes of the k6 text format', () => {
+    const line = 'level=info msg="📋 captured_failure {\\"timestamp\\":\\"t\\",\\"s\\":\\"\\U000e0001\\xff\\"}"';
+
+    expect(collectFailures(line)).toEqual([{ timestamp: 't', s: '\u{e0001}\u00ff' }]);
+  });
+
+  it('formats the failures file', () => {
+    expect(JSON.parse(formatFailures([{ protocol: 'http' }]))).toEqual({ count: 1, failures: [{ protocol: 'http' }] });
+  });
+});
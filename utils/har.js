@@ -0,0 +1,502 @@
+/**
+ * HAR import for k6 performance testing SDK
+ *
+ * Turns a browser recording (HAR 1.2) into an ordered `endpoints` map that
+ * createLoadTest replays as a user journey: static assets and third-party
+ * hosts are dropped, browser-only headers are cleaned up, the pauses between
+ * requests become think times, and values that flow from one response into a
+ * later request are replaced by {{name}} references with matching extractors.
+ *
+ * Plain JavaScript with no k6 imports, so `k6w import-har` can run it under Node.
+ */
+
+import { routeToEndpointName } from '../http/routes.js';
+
+const STATIC_EXTENSIONS = /\.(js|mjs|css|map|png|jpe?g|gif|svg|ico|webp|avif|bmp|woff2?|ttf|otf|eot|mp4|webm|mp3|wav)$/i;
+const STATIC_MIME_TYPES = /^(image\/|font\/|audio\/|video\/|text\/css|(application|text)\/(x-)?javascript)/i;
+const STATIC_RESOURCE_TYPES = ['stylesheet', 'image', 'font', 'script', 'media', 'manifest'];
+
+// Headers the browser, the HTTP stack or k6 itself takes care of
+const DROPPED_HEADERS = [
+  'host', 'connection', 'content-length', 'accept-encoding', 'cookie', 'user-agent',
+  'referer', 'pragma', 'cache-control', 'if-none-match', 'if-modified-since', 'priority',
+  'dnt', 'te', 'upgrade-insecure-requests', 'keep-alive', 'proxy-connection'
+];
+
+// Response headers whose values are worth correlating
+const CORRELATED_RESPONSE_HEADERS = /token|csrf|xsrf|session|request-id/i;
+
+// Response values shorter than this, or without a digit, are too likely to match by accident
+const MIN_CORRELATION_LENGTH = 4;
+
+/**
+ * Import a HAR recording as an ordered endpoints map
+ * @param {Object|string} har - Parsed HAR object or HAR JSON text
+ * @param {Object} [options] - Options
+ * @param {string} [options.baseUrl] - Origin to replay against (defaults to the first page request's)
+ * @param {Array<string>} [options.hosts] - Extra hosts to keep, requested by absolute URL
+ * @param {boolean} [options.includeStatic=false] - Keep images, scripts, stylesheets and fonts
+ * @param {Array<string>} [options.keepHeaders] - Headers to keep despite the cleanup list
+ * @param {Array<string>} [options.dropHeaders] - Further headers to drop
+ * @param {number} [options.maxThinkTime=30] - Longest think time kept, in seconds
+ * @param {number} [options.minThinkTime=0.1] - Shorter pauses become 0
+ * @param {boolean} [options.correlate=true] - Detect and parameterize correlated values
+ * @returns {Object} { baseUrl, endpoints, correlations, skipped }
+ */
+export function importHar(har, options = {}) {
+  const {
+    hosts = [],
+    includeStatic = false,
+    keepHeaders = [],
+    dropHeaders = [],
+    maxThinkTime = 30,
+    minThinkTime = 0.1,
+    correlate = true
+  } = options;
+
+  const log = (typeof har === 'string' ? JSON.parse(har) : har).log;
+  if (!log || !Array.isArray(log.entries)) {
+    throw new Error('Not a HAR file: missing log.entries');
+  }
+
+  const entries = [...log.entries].sort((a, b) => startTime(a) - startTime(b));
+  const skipped = { static: 0, otherHost: 0, redirect: 0 };
+
+  const candidates = entries.filter(entry => {
+    if (!includeStatic && isStaticAsset(entry)) {
+      skipped.static++;
+      return false;
+    }
+    return true;
+  });
+
+  const baseUrl = (options.baseUrl || originOf(firstPageUrl(candidates, log)) || '').replace(/\/$/, '');
+  const allowedOrigins = [originOf(baseUrl), ...hosts.map(host => originOf(host.includes('://') ? host : `https://${host}`))];
+  const allowedHosts = allowedOrigins.map(hostOf);
+
+  const kept = [];
+  candidates.forEach(entry => {
+    if (!allowedHosts.includes(hostOf(entry.request.url))) {
+      skipped.otherHost++;
+      return;
+    }
+
+    // k6 follows redirects itself, so the request a redirect led to is not replayed
+    const previous = kept[kept.length - 1];
+    if (previous && isRedirect(previous) && sameUrl(redirectTarget(previous), entry.request.url)) {
+      skipped.redirect++;
+      return;
+    }
+
+    kept.push(entry);
+  });
+
+  const headerFilter = createHeaderFilter(keepHeaders, dropHeaders);
+  const steps = kept.map((entry, index) => toStep(entry, index, baseUrl, headerFilter));
+
+  steps.forEach((step, index) => {
+    const next = kept[index + 1];
+    step.thinkTime = next ? thinkTime(kept[index], next, minThinkTime, maxThinkTime) : 0;
+  });
+
+  const correlations = correlate ? detectCorrelations(kept, steps) : [];
+
+  const endpoints = {};
+  steps.forEach(step => {
+    const params = {};
+    if (Object.keys(step.headers).length > 0) params.headers = step.headers;
+    if (Object.keys(step.extract).length > 0) params.extract = step.extract;
+
+    endpoints[step.name] = {
+      method: step.method,
+      path: step.path,
+      body: step.body,
+      params,
+      tags: { journey_step: String(step.index + 1) },
+      thinkTime: step.thinkTime
+    };
+  });
+
+  return { baseUrl, endpoints, correlations, skipped };
+}
+
+/**
+ * Render an import result as a JavaScript module exporting baseUrl and endpoints
+ * @param {Object} result - importHar result
+ * @param {string} [source] - Name of the HAR file, for the header comment
+ * @returns {string} Module source
+ */
+export function renderHarModule(result, source = 'a HAR recording') {
+  const lines = [
+    '/**',
+    ` * User journey imported from ${source} by \`k6w import-har\`.`,
+    ' *',
+    ' * Replay it with createLoadTest({ http, endpoints }) against an HTTP client',
+    ' * created with baseUrl. Correlated values are extracted into {{name}} references:'
+  ];
+
+  if (result.correlations.length === 0) {
+    lines.push(' *   (none detected)');
+  }
+  result.correlations.forEach(correlation => {
+    lines.push(` *   {{${correlation.name}}} from ${correlation.from} (${describeExtractor(correlation.extractor)}), used by ${correlation.usedBy.join(', ')}`);
+  });
+
+  lines.push(' */', '');
+  lines.push(`export const baseUrl = ${JSON.stringify(result.baseUrl)};`, '');
+  lines.push(`export const endpoints = ${JSON.stringify(result.endpoints, null, 2)};`, '');
+  lines.push('export default endpoints;', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Check whether a HAR entry is a static asset
+ * @param {Object} entry - HAR entry
+ * @returns {boolean} True for images, scripts, stylesheets, fonts and media
+ */
+export function isStaticAsset(entry) {
+  if (entry._resourceType && STATIC_RESOURCE_TYPES.includes(entry._resourceType)) {
+    return true;
+  }
+
+  const mimeType = entry.response && entry.response.content && entry.response.content.mimeType;
+  if (mimeType && STATIC_MIME_TYPES.test(mimeType)) {
+    return true;
+  }
+
+  return STATIC_EXTENSIONS.test(splitUrl(entry.request.url).pathname);
+}
+
+/**
+ * Build a journey step from a HAR entry
+ * @private
+ */
+function toStep(entry, index, baseUrl, headerFilter) {
+  const { request } = entry;
+  const method = request.method.toUpperCase();
+  const { origin, pathname, query } = splitUrl(request.url);
+  const path = origin.toLowerCase() === originOf(baseUrl) && `${origin.toLowerCase()}${pathname}`.startsWith(baseUrl)
+    ? `${pathname.slice(baseUrl.length - origin.length) || '/'}${query}`
+    : request.url;
+
+  const headers = {};
+  (request.headers || []).forEach(({ name, value }) => {
+    if (headerFilter(name)) {
+      headers[canonicalHeaderName(name)] = value;
+    }
+  });
+
+  const postData = request.postData;
+  let body = null;
+  if (postData) {
+    if (postData.text !== undefined) {
+      body = postData.text;
+    } else if (postData.params) {
+      body = postData.params.map(({ name, value = '' }) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`).join('&');
+    }
+    if (postData.mimeType && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = postData.mimeType;
+    }
+  }
+
+  const number = String(index + 1).padStart(2, '0');
+
+  return {
+    index,
+    name: `${number}_${method.toLowerCase()}_${routeToEndpointName(path)}`,
+    method,
+    path,
+    body,
+    headers,
+    extract: {}
+  };
+}
+
+/**
+ * Find values from earlier responses that later requests send back, and
+ * replace them with {{name}} references plus extractors on the source step
+ * @private
+ */
+function detectCorrelations(entries, steps) {
+  const sources = [];   // { value, stepIndex, extractor, key, name }
+  const correlations = {};
+  const usedNames = {};
+
+  entries.forEach((entry, index) => {
+    const step = steps[index];
+
+    // Substitute values seen in earlier responses
+    sources.forEach(source => {
+      if (!sendsValue(step, source.value)) return;
+
+      if (!source.name) {
+        source.name = uniqueName(source.key, usedNames);
+        steps[source.stepIndex].extract[source.name] = source.extractor;
+        correlations[source.name] = {
+          name: source.name,
+          from: steps[source.stepIndex].name,
+          extractor: source.extractor,
+          usedBy: []
+        };
+      }
+
+      replaceValue(step, source.value, `{{${source.name}}}`);
+      correlations[source.name].usedBy.push(step.name);
+    });
+
+    // A value the client already sent is not a server-generated one
+    responseValues(entry).forEach(candidate => {
+      const alreadySent = steps.slice(0, index + 1).some(earlier => sendsValue(earlier, candidate.value));
+      if (!alreadySent && !sources.some(source => source.value === candidate.value)) {
+        sources.push({ ...candidate, stepIndex: index });
+      }
+    });
+  });
+
+  return Object.values(correlations);
+}
+
+/**
+ * Collect correlation candidates from a response: JSON leaves and selected headers
+ * @private
+ */
+function responseValues(entry) {
+  const values = [];
+  const { response } = entry;
+  if (!response) return values;
+
+  (response.headers || []).forEach(({ name, value }) => {
+    if (CORRELATED_RESPONSE_HEADERS.test(name) && isCorrelatable(value)) {
+      values.push({ value: String(value), key: name, extractor: { header: name } });
+    }
+  });
+
+  const content = response.content || {};
+  if (content.text && content.encoding !== 'base64' && /json/i.test(content.mimeType || '')) {
+    let data;
+    try {
+      data = JSON.parse(content.text);
+    } catch (e) {
+      return values;
+    }
+
+    walkJson(data, '$', null, (value, path, key) => {
+      if (isCorrelatable(value)) {
+        values.push({ value: String(value), key: key || 'value', extractor: path });
+      }
+    });
+  }
+
+  return values;
+}
+
+/**
+ * Visit JSON leaves with their JSONPath and nearest property name
+ * @private
+ */
+function walkJson(value, path, key, visit) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => walkJson(item, `${path}[${index}]`, key, visit));
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(name => {
+      const childPath = /^[A-Za-z_$][\w$-]*$/.test(name) ? `${path}.${name}` : `${path}['${name}']`;
+      walkJson(value[name], childPath, name, visit);
+    });
+  } else {
+    visit(value, path, key);
+  }
+}
+
+/**
+ * Only IDs and tokens are correlated: long enough and containing a digit,
+ * or long enough to be an opaque token
+ * @private
+ */
+function isCorrelatable(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && String(value).length >= MIN_CORRELATION_LENGTH;
+  }
+  if (typeof value !== 'string' || /\s/.test(value)) {
+    return false;
+  }
+  return (value.length >= MIN_CORRELATION_LENGTH && /\d/.test(value)) || value.length >= 16;
+}
+
+/**
+ * @private
+ */
+function valuePattern(value) {
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w-])${escaped}(?=$|[^\\w-])`, 'g');
+}
+
+/**
+ * Check whether a step sends a value in its path, headers or body
+ * @private
+ */
+function sendsValue(step, value) {
+  const pattern = valuePattern(value);
+  const found = (text) => {
+    pattern.lastIndex = 0;
+    return typeof text === 'string' && pattern.test(text);
+  };
+
+  return found(step.path)
+    || found(decodeSafely(step.path))
+    || Object.values(step.headers).some(found)
+    || found(step.body);
+}
+
+/**
+ * Replace a value with a reference in a step's path, headers and body
+ * @private
+ */
+function replaceValue(step, value, reference) {
+  const pattern = valuePattern(value);
+  const replace = (text) => (typeof text === 'string' ? text.replace(pattern, `$1${reference}`) : text);
+
+  step.path = replace(step.path);
+  if (!step.path.includes(reference)) {
+    step.path = replace(decodeSafely(step.path));
+  }
+  Object.keys(step.headers).forEach(name => {
+    step.headers[name] = replace(step.headers[name]);
+  });
+  step.body = replace(step.body);
+}
+
+/**
+ * Turn a response key into a unique variable name
+ * @private
+ */
+function uniqueName(key, usedNames) {
+  const base = key.replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '') || 'value';
+  usedNames[base] = (usedNames[base] || 0) + 1;
+  return usedNames[base] === 1 ? base : `${base}_${usedNames[base]}`;
+}
+
+/**
+ * Seconds between the end of one request and the start of the next
+ * @private
+ */
+function thinkTime(entry, next, min, max) {
+  const gap = (startTime(next) - startTime(entry) - (entry.time || 0)) / 1000;
+  if (gap < min) return 0;
+  return Math.round(Math.min(gap, max) * 10) / 10;
+}
+
+/**
+ * @private
+ */
+function createHeaderFilter(keepHeaders, dropHeaders) {
+  const keep = keepHeaders.map(name => name.toLowerCase());
+  const drop = [...DROPPED_HEADERS, ...dropHeaders.map(name => name.toLowerCase())];
+
+  return (name) => {
+    const lower = name.toLowerCase();
+    if (keep.includes(lower)) return true;
+    return !lower.startsWith(':') && !lower.startsWith('sec-') && !drop.includes(lower);
+  };
+}
+
+/**
+ * @private
+ */
+function canonicalHeaderName(name) {
+  return name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+}
+
+/**
+ * URL of the first page (document) request, else of the first request
+ * @private
+ */
+function firstPageUrl(entries, log) {
+  const page = entries.find(entry => entry._resourceType === 'document')
+    || entries.find(entry => /html/i.test((entry.response && entry.response.content && entry.response.content.mimeType) || ''))
+    || entries[0];
+
+  if (page) return page.request.url;
+  return log.entries.length > 0 ? log.entries[0].request.url : '';
+}
+
+/**
+ * @private
+ */
+function isRedirect(entry) {
+  return entry.response && entry.response.status >= 300 && entry.response.status < 400;
+}
+
+/**
+ * @private
+ */
+function redirectTarget(entry) {
+  if (entry.response.redirectURL) {
+    return resolveUrl(entry.response.redirectURL, entry.request.url);
+  }
+  const location = (entry.response.headers || []).find(({ name }) => name.toLowerCase() === 'location');
+  return location ? resolveUrl(location.value, entry.request.url) : '';
+}
+
+/**
+ * @private
+ */
+function resolveUrl(target, base) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) return target;
+  if (target.startsWith('/')) return `${originOf(base)}${target}`;
+  return `${base.replace(/[?#].*$/, '').replace(/[^/]*$/, '')}${target}`;
+}
+
+/**
+ * @private
+ */
+function sameUrl(a, b) {
+  return a.replace(/#.*$/, '') === b.replace(/#.*$/, '');
+}
+
+/**
+ * @private
+ */
+function startTime(entry) {
+  return new Date(entry.startedDateTime).getTime();
+}
+
+/**
+ * @private
+ */
+function splitUrl(url) {
+  const match = /^([a-z][a-z0-9+.-]*:\/\/[^/?#]*)?([^?#]*)([?#].*)?$/i.exec(url);
+  return { origin: match[1] || '', pathname: match[2] || '', query: match[3] || '' };
+}
+
+/**
+ * @private
+ */
+function originOf(url) {
+  return url ? splitUrl(url).origin.toLowerCase() : '';
+}
+
+/**
+ * @private
+ */
+function hostOf(url) {
+  return originOf(url).replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+}
+
+/**
+ * @private
+ */
+function decodeSafely(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * @private
+ */
+function describeExtractor(extractor) {
+  return typeof extractor === 'string' ? extractor : `header ${extractor.header}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * Tests for the HAR importer (importHar, renderHarModule, isStaticAsset).
+ */
+
+import { importHar, renderHarModule, isStaticAsset } from './har.js';
+
+const T0 = Date.parse('2026-10-19T10:00:00.000Z');
+
+/**
+ * Build a HAR entry
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {Object} [options] - { at, time, status, mimeType, text, headers, responseHeaders,
+ *   requestBody, resourceType, redirectURL } - at and time in ms
+ */
+function entry(method, url, options = {}) {
+  const {
+    at = 0, time = 100, status = 200, mimeType = 'application/json', text = '',
+    headers = [], responseHeaders = [], requestBody, resourceType, redirectURL = ''
+  } = options;
+
+  return {
+    startedDateTime: new Date(T0 + at).toISOString(),
+    time,
+    ...(resourceType && { _resourceType: resourceType }),
+    request: {
+      method,
+      url,
+      headers,
+      ...(requestBody && { postData: { mimeType: 'application/json', text: requestBody } })
+    },
+    response: { status, headers: responseHeaders, redirectURL, content: { mimeType, text } }
+  };
+}
+
+const har = (...entries) => ({ log: { version: '1.2', entries } });
+
+describe('importHar', () => {
+  it('keeps API requests in order and skips static assets, other hosts and followed redirects', () => {
+    const result = importHar(har(
+      entry('GET', 'https://shop.test/', { mimeType: 'text/html', resourceType: 'document' }),
+      entry('GET', 'https://shop.test/app.js', { at: 50, mimeType: 'application/javascript' }),
+      entry('GET', 'https://shop.test/logo', { at: 60, mimeType: 'image/png' }),
+      entry('GET', 'https://fonts.cdn.test/inter.css', { at: 70, mimeType: 'text/css' }),
+      entry('GET', 'https://analytics.test/collect?id=1', { at: 80 }),
+      entry('POST', 'https://shop.test/login', { at: 1000, status: 302, redirectURL: '/account' }),
+      entry('GET', 'https://shop.test/account', { at: 1200, mimeType: 'text/html' }),
+      entry('GET', 'https://shop.test/api/cart?currency=EUR', { at: 1500 })
+    ));
+
+    expect(result.baseUrl).toBe('https://shop.test');
+    expect(result.skipped).toEqual({ static: 3, otherHost: 1, redirect: 1 });
+    expect(Object.values(result.endpoints).map(({ method, path }) => `${method} ${path}`)).toEqual([
+      'GET /',
+      'POST /login',
+      'GET /api/cart?currency=EUR'
+    ]);
+    expect(Object.keys(result.endpoints)[0]).toMatch(/^01_get_/);
+    expect(Object.values(result.endpoints)[2].tags).toEqual({ journey_step: '3' });
+  });
+
+  it('keeps static assets and extra hosts when asked', () => {
+    const result = importHar(har(
+      entry('GET', 'https://shop.test/', { mimeType: 'text/html' }),
+      entry('GET', 'https://shop.test/app.js', { at: 10, mimeType: 'application/javascript' }),
+      entry('GET', 'https://api.shop.test/v1/me', { at: 20 })
+    ), { includeStatic: true, hosts: ['api.shop.test'] });
+
+    expect(result.skipped).toEqual({ static: 0, otherHost: 0, redirect: 0 });
+    expect(Object.values(result.endpoints).map(endpoint => endpoint.path)).toEqual([
+      '/', '/app.js', 'https://api.shop.test/v1/me'
+    ]);
+  });
+
+  it('derives think times from the gap after each response, capped and rounded', () => {
+    const result = importHar(har(
+      entry('GET', 'https://shop.test/a', { at: 0, time: 200 }),
+      entry('GET', 'https://shop.test/b', { at: 2650, time: 100 }),
+      entry('GET', 'https://shop.test/c', { at: 2800, time: 100 }),
+      entry('GET', 'https://shop.test/d', { at: 120000 })
+    ), { maxThinkTime: 10 });
+
+    expect(Object.values(result.endpoints).map(endpoint => endpoint.thinkTime)).toEqual([2.5, 0, 10, 0]);
+  });
+
+  it('orders entries by start time', () => {
+    const result = importHar(har(
+      entry('GET', 'https://shop.test/second', { at: 500 }),
+      entry('GET', 'https://shop.test/first', { at: 0 })
+    ));
+
+    expect(Object.values(result.endpoints).map(endpoint => endpoint.path)).toEqual(['/first', '/second']);
+  });
+
+  it('correlates IDs and tokens from responses into later requests', () => {
+    const result = importHar(har(
+      entry('POST', 'https://shop.test/api/login', {
+        requestBody: '{"user":"ann"}',
+        text: JSON.stringify({ accessToken: 'eyJhbGciOiJIUzI1NiJ9abc', user: { id: 4711, name: 'Ann' } }),
+        responseHeaders: [{ name: 'X-Csrf-Token', value: 'csrf-9f8e7d' }]
+      }),
+      entry('GET', 'https://shop.test/api/users/4711/orders', {
+        at: 500,
+        headers: [
+          { name: 'Authorization', value: 'Bearer eyJhbGciOiJIUzI1NiJ9abc' },
+          { name: 'X-CSRF-Token', value: 'csrf-9f8e7d' },
+          { name: 'Cookie', value: 'sid=1' },
+          { name: 'sec-ch-ua', value: '"Chromium"' }
+        ]
+      }),
+      entry('POST', 'https://shop.test/api/orders', {
+        at: 900,
+        requestBody: '{"userId":4711,"note":"Ann"}'
+      })
+    ));
+
+    const [login, orders, create] = Object.values(result.endpoints);
+    expect(login.params.extract).toEqual({
+      accessToken: '$.accessToken',
+      id: '$.user.id',
+      X_Csrf_Token: { header: 'X-Csrf-Token' }
+    });
+    expect(orders.path).toBe('/api/users/{{id}}/orders');
+    expect(orders.params.headers).toEqual({
+      Authorization: 'Bearer {{accessToken}}',
+      'X-CSRF-Token': '{{X_Csrf_Token}}'
+    });
+    expect(create.body).toBe('{"userId":{{id}},"note":"Ann"}');
+    expect(create.params.headers).toEqual({ 'Content-Type': 'application/json' });
+
+    expect(result.correlations.map(({ name, usedBy }) => [name, usedBy.length])).toEqual([
+      ['X_Csrf_Token', 1], ['accessToken', 1], ['id', 2]
+    ]);
+  });
+
+  it('does not correlate values the client sent first, or short values', () => {
+    const result = importHar(har(
+      entry('POST', 'https://shop.test/api/search', {
+        requestBody: '{"query":"sku-12345"}',
+        text: JSON.stringify({ echo: 'sku-12345', page: 2 })
+      }),
+      entry('GET', 'https://shop.test/api/items/sku-12345?page=2', { at: 100 })
+    ));
+
+    expect(result.correlations).toEqual([]);
+    expect(Object.values(result.endpoints)[1].path).toBe('/api/items/sku-12345?page=2');
+    expect(importHar(har(
+      entry('GET', 'https://shop.test/api/me', { text: '{"id":"abc-123456"}' }),
+      entry('GET', 'https://shop.test/api/users/abc-123456', { at: 100 })
+    ), { correlate: false }).correlations).toEqual([]);
+  });
+
+  it('rejects input that is not a HAR file', () => {
+    expect(() => importHar({ entries: [] })).toThrow('Not a HAR file: missing log.entries');
+  });
+});
+
+describe('isStaticAsset', () => {
+  it('detects assets by resource type, MIME type or extension', () => {
+    expect(isStaticAsset(entry('GET', 'https://shop.test/api/data', { resourceType: 'font' }))).toBe(true);
+    expect(isStaticAsset(entry('GET', 'https://shop.test/img', { mimeType: 'image/webp' }))).toBe(true);
+    expect(isStaticAsset(entry('GET', 'https://shop.test/main.css?v=3', { mimeType: '' }))).toBe(true);
+    expect(isStaticAsset(entry('GET', 'https://shop.test/api/config.json'))).toBe(false);
+  });
+});
+
+describe('renderHarModule', () => {
+  it('renders a module listing the correlations', () => {
+    const result = importHar(har(
+      entry('GET', 'https://shop.test/api/me', { text: '{"id":"abc-123456"}' }),
+      entry('GET', 'https://shop.test/api/users/abc-123456', { at: 100 })
+    ));
+    const source = renderHarModule(result, 'session.har');
+
+    expect(source).toContain('imported from session.har by `k6w import-har`');
+    expect(source).toContain('{{id}} from 01_get_');
+    expect(source).toContain('export const baseUrl = "https://shop.test";');
+    expect(source).toContain('"path": "/api/users/{{id}}"');
+  });
+});
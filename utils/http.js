@@ -3,7 +3,14 @@
  */
 
 import http from 'k6/http';
-import { check, fail } from 'k6';
+import { check, fail, sleep } from 'k6';
+import { createMiddlewarePipeline } from '../http/middleware.js';
+import { resolveRetryPolicy, isRetryEnabled, shouldRetry, computeRetryDelay } from '../http/retry.js';
+import { normalizeBatchRequest } from '../http/batch.js';
+import { resolveRoute } from '../http/routes.js';
+import { createCorrelationContext, hasVariables, toPathTemplate } from '../http/correlation.js';
+import { trackMetrics } from '../http/metrics.js';
+import { logRequest, logResponse, logRequestError } from '../http/logger.js';
 
 /**
  * Enhanced HTTP client with additional features
@@ -17,6 +24,11 @@ export class HttpClient {
    * @param {Object} [config.auth=null] - Authentication manager
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {boolean} [config.validateStatus=true] - Validate response status
+   * @param {Object|number} [config.retry=null] - Retry policy (see http/retry.js) or max attempts
+   * @param {boolean|Array} [config.normalizePaths=true] - Derive the `name` tag by replacing
+   *   ID/UUID path segments (see http/routes.js)
+   * @param {Object} [config.correlation] - Correlation context to share (see http/correlation.js)
+   *   or initial {{variables}}
    */
   constructor(config) {
     this.baseUrl = config.baseUrl;
@@ -24,6 +36,31 @@ export class HttpClient {
     this.auth = config.auth || null;
     this.timeout = config.timeout || 30000;
     this.validateStatus = config.validateStatus !== false;
+    this.retry = config.retry || null;
+    this.normalizePaths = config.normalizePaths !== undefined ? config.normalizePaths : true;
+    this.middleware = createMiddlewarePipeline();
+    this.correlation = config.correlation && typeof config.correlation.substitute === 'function'
+      ? config.correlation
+      : createCorrelationContext(config.correlation || {});
+  }
+  
+  /**
+   * Register request/response middleware
+   * @param {Function|Object} middleware - Function (before-request hook) or object with
+   *   beforeRequest/afterResponse/onError hooks
+   * @returns {Function} Function that removes the middleware
+   */
+  use(middleware) {
+    return this.middleware.use(middleware);
+  }
+  
+  /**
+   * Remove a previously registered middleware
+   * @param {Function|Object} middleware - Middleware passed to use()
+   * @returns {boolean} True if the middleware was registered
+   */
+  eject(middleware) {
+    return this.middleware.eject(middleware);
   }
   
   /**
@@ -63,6 +100,27 @@ export class HttpClient {
     return result;
   }
   
+  /**
+   * Resolve the URL and parameters for a request, expanding path templates and
+   * {{variables}} and tagging the request with its route name
+   * @param {string} path - Path or path template
+   * @param {Object} [params={}] - Request parameters
+   * @returns {Object} { url, requestParams }
+   */
+  resolveRequest(path, params = {}) {
+    const route = hasVariables(path)
+      ? resolveRoute(toPathTemplate(path), { ...this.correlation.all(), ...params.pathParams }, this.normalizePaths)
+      : resolveRoute(path, params.pathParams, this.normalizePaths);
+    const requestParams = this.buildParams(params);
+    requestParams.headers = this.correlation.substitute(requestParams.headers);
+    
+    if (route.name) {
+      requestParams.tags = { name: route.name, ...requestParams.tags };
+    }
+    
+    return { url: this.buildUrl(route.path), requestParams };
+  }
+  
   /**
    * Validate response
    * @param {Object} response - HTTP response
@@ -93,28 +151,160 @@ export class HttpClient {
   /**
    * Make HTTP request
    * @param {string} method - HTTP method
-   * @param {string} path - Request path
+   * @param {string} path - Request path or path template
    * @param {Object|string} [body=null] - Request body
    * @param {Object} [params={}] - Request parameters
+   * @param {Object|number|boolean} [params.retry] - Retry policy override for this request
+   * @param {Object} [params.pathParams] - Values for `{name}` placeholders in path
+   * @param {Object} [params.extract] - Extractors storing response values as {{variables}}
    * @returns {Object} HTTP response
    */
   request(method, path, body = null, params = {}) {
-    const url = this.buildUrl(path);
-    const requestParams = this.buildParams(params);
+    const { url, requestParams } = this.resolveRequest(path, params);
+    
+    const ctx = this.middleware.runBeforeRequest({
+      method,
+      url,
+      body: method === 'GET' || method === 'HEAD' ? null : this.correlation.substitute(body),
+      headers: requestParams.headers,
+      tags: requestParams.tags,
+      params: requestParams
+    });
+    
+    const retryPolicy = resolveRetryPolicy(this.retry, params.retry);
     
     let response;
+    let error;
     
-    if (method === 'GET' || method === 'HEAD') {
-      response = http.request(method, url, null, requestParams);
-    } else {
-      response = http.request(method, url, body, requestParams);
+    for (let attempt = 1; ; attempt++) {
+      const tags = isRetryEnabled(retryPolicy)
+        ? { ...ctx.tags, attempt: String(attempt), retry: String(attempt > 1) }
+        : ctx.tags;
+      
+      response = undefined;
+      error = undefined;
+      try {
+        response = http.request(ctx.method, ctx.url, ctx.body, {
+          ...ctx.params,
+          headers: ctx.headers,
+          tags
+        });
+      } catch (err) {
+        error = err;
+      }
+      
+      if (!shouldRetry(retryPolicy, ctx.method, attempt, response, error)) {
+        break;
+      }
+      
+      sleep(computeRetryDelay(retryPolicy, attempt, response) / 1000);
     }
     
-    this.validateResponse(response, method, url, params);
+    if (error) {
+      response = this.middleware.runOnError(error, ctx);
+      
+      if (response === undefined) {
+        throw error;
+      }
+    }
+    
+    if (params.extract) {
+      this.correlation.extract(response, params.extract);
+    }
+    
+    response = this.middleware.runAfterResponse(response, ctx);
+    
+    this.validateResponse(response, ctx.method, ctx.url, params);
     
     return response;
   }
   
+  /**
+   * Send several requests in parallel with http.batch
+   *
+   * Each item gets the same URL resolution, headers, auth, tags and middleware as
+   * request(), and is logged and tracked in the HTTP metrics on its own, like the
+   * items of createHttpClient().batch. Batched requests are sent once; the retry
+   * policy does not apply.
+   *
+   * k6 rejects the whole batch when one request cannot be sent; the items are then
+   * sent one by one, so only that item fails. Its error goes to the onError
+   * middleware, and when no hook recovers it the item has no response.
+   *
+   * @param {Array<Array|Object>} requests - Request descriptors, either
+   *   [method, path, body, params] or { method, path, body, params, validate }
+   * @returns {Array<Object>} { response, passed, error } per item, in request order;
+   *   response is null and error set for an item that failed unrecovered
+   */
+  batch(requests) {
+    const prepared = requests.map((item, index) => {
+      const descriptor = normalizeBatchRequest(item, index);
+      const { url, requestParams } = this.resolveRequest(descriptor.path, descriptor.params);
+      
+      const ctx = this.middleware.runBeforeRequest({
+        method: descriptor.method,
+        url,
+        body: this.correlation.substitute(descriptor.body),
+        headers: requestParams.headers,
+        tags: requestParams.tags,
+        params: requestParams
+      });
+      
+      logRequest(ctx.method, ctx.url, ctx.headers, ctx.body, { name: ctx.tags.name });
+      
+      return { descriptor, ctx };
+    });
+    
+    const batchRequests = prepared.map(({ ctx }) => ({
+      method: ctx.method,
+      url: ctx.url,
+      body: ctx.body,
+      params: { ...ctx.params, headers: ctx.headers, tags: ctx.tags }
+    }));
+    
+    let outcomes;
+    try {
+      outcomes = http.batch(batchRequests).map(response => ({ response }));
+    } catch (batchError) {
+      outcomes = batchRequests.map(({ method, url, body, params }) => {
+        try {
+          return { response: http.request(method, url, body, params) };
+        } catch (error) {
+          return { error };
+        }
+      });
+    }
+    
+    return prepared.map(({ descriptor, ctx }, index) => {
+      const { error } = outcomes[index];
+      let { response } = outcomes[index];
+      
+      if (error) {
+        logRequestError(ctx.method, ctx.url, error, { name: ctx.tags.name });
+        response = this.middleware.runOnError(error, ctx);
+        
+        if (response === undefined) {
+          return { response: null, passed: false, error };
+        }
+      } else {
+        logResponse(response, { name: ctx.tags.name });
+        trackMetrics(response, ctx.tags);
+      }
+      
+      if (descriptor.params.extract) {
+        this.correlation.extract(response, descriptor.params.extract);
+      }
+      
+      response = this.middleware.runAfterResponse(response, ctx);
+      
+      const passed = descriptor.validate
+        ? check(response, descriptor.validate)
+        : this.validateResponse(response, ctx.method, ctx.url, descriptor.params);
+      
+      return { response, passed, error: error || null };
+    });
+  }
+  
   /**
    * Make GET request
    * @param {string} path - Request path
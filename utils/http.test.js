@@ -0,0 +1,70 @@
+/**
+ * Tests for the class-based HTTP client (HttpClient), against a k6/http mock that
+ * answers synchronously like k6.
+ */
+
+import http from 'k6/http';
+import { HttpClient } from './http.js';
+import { trackMetrics } from '../http/metrics.js';
+
+// k6/http answering by path; '/invalid' is a request k6 refuses to send
+jest.mock('k6/http', () => {
+  const respond = (method, url) => {
+    if (url.endsWith('/invalid')) throw new Error(`invalid URL ${url}`);
+    const status = url.endsWith('/missing') ? 404 : 200;
+    return { status, url, body: '{"id":7}', headers: {}, request: { method }, timings: { duration: 5 } };
+  };
+  return {
+    request: jest.fn(respond),
+    batch: jest.fn((requests) => requests.map(({ method, url }) => respond(method, url)))
+  };
+});
+
+jest.mock('../http/metrics.js', () => ({ trackMetrics: jest.fn() }));
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+describe('batch', () => {
+  it('tracks metrics and logs failed responses for each item', () => {
+    const errors = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => errors.push(line));
+    const client = new HttpClient({ baseUrl: 'http://api.test', validateStatus: false });
+
+    const results = client.batch([['GET', '/orders/7'], ['GET', '/missing', null, { tags: { name: 'missing' } }]]);
+
+    expect(results.map(({ response, passed }) => [response.status, passed])).toEqual([[200, true], [404, true]]);
+    expect(http.batch).toHaveBeenCalledTimes(1);
+    expect(trackMetrics.mock.calls.map(([response, tags]) => [response.status, tags.name]))
+      .toEqual([[200, '/orders/{id}'], [404, 'missing']]);
+    expect(errors).toEqual(['❌ 404 http://api.test/missing (5.00ms)', 'Response Body:']);
+  });
+
+  it('sends the items one by one when k6 rejects the batch, failing only the bad one', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    http.batch.mockImplementationOnce(() => { throw new Error('invalid URL http://api.test/invalid'); });
+    const client = new HttpClient({ baseUrl: 'http://api.test', validateStatus: false });
+
+    const [ok, bad] = client.batch([['GET', '/ok'], ['GET', '/invalid']]);
+
+    expect(ok).toMatchObject({ response: { status: 200 }, passed: true, error: null });
+    expect(bad).toMatchObject({ response: null, passed: false, error: { message: 'invalid URL http://api.test/invalid' } });
+    expect(http.request).toHaveBeenCalledTimes(2);
+    expect(trackMetrics).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('❌ GET http://api.test/invalid failed: invalid URL http://api.test/invalid');
+  });
+
+  it('lets onError middleware recover a failed item', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    http.batch.mockImplementationOnce(() => { throw new Error('rejected'); });
+    const client = new HttpClient({ baseUrl: 'http://api.test', validateStatus: false });
+    client.use({ onError: (error, request) => ({ status: 503, url: request.url, body: '', timings: { duration: 0 } }) });
+
+    const [result] = client.batch([['GET', '/invalid']]);
+
+    expect(result.response).toMatchObject({ status: 503, url: 'http://api.test/invalid' });
+    expect(result.error.message).toBe('invalid URL http://api.test/invalid');
+  });
+});
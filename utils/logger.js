@@ -0,0 +1,330 @@
+/**
+ * Shared logging core for the HTTP, gRPC and WebSocket loggers
+ *
+ * LOG_FORMAT selects the output: `text` (default) prints the emoji-prefixed lines
+ * meant for people, `json` prints one JSON object per line for log pipelines, with
+ * timestamp, level, module, VU, iteration and scenario, plus the request fields
+ * (method, url, status, duration, trace_id) the protocol loggers pass along.
+ *
+ * LOG_LEVEL sets the level of every module; LOG_LEVEL_HTTP, LOG_LEVEL_GRPC and
+ * LOG_LEVEL_WS override it for one module. configureLogging() also sets levels per
+ * scenario and per endpoint; the most specific one applies (endpoint, then
+ * scenario, then module). LOG_FAILURE_LEVEL raises the level for failing requests
+ * only, and LOG_RATE_LIMIT caps the entries each VU writes per second.
+ *
+ * Secrets in messages, fields and details are redacted before anything is written
+ * (see utils/redact.js).
+ */
+
+import exec from 'k6/execution';
+import { getEnvVar } from '../config/env.js';
+import { redactHeaders, redactValue, redactText } from './redact.js';
+import { defineMetric } from './metrics.js';
+
+const LOG_LEVELS = {
+  NONE: 0,
+  ERROR: 1,
+  WARN: 2,
+  INFO: 3,
+  DEBUG: 4,
+  TRACE: 5
+};
+
+const LOG_FORMATS = ['text', 'json'];
+const TRUNCATE_LENGTH = 1000;
+
+// Details holding header-like name/value pairs
+const HEADER_DETAILS = ['headers', 'request_headers', 'metadata', 'trailers'];
+
+const CONSOLE_METHODS = {
+  ERROR: 'error',
+  WARN: 'warn'
+};
+
+let defaultLevel = toLevel(getEnvVar('LOG_LEVEL', 'INFO'), LOG_LEVELS.INFO);
+let format = toFormat(getEnvVar('LOG_FORMAT', 'text'));
+
+// Per-module levels, from LOG_LEVEL_<MODULE> or setLogLevel(level, module)
+const moduleLevels = {};
+
+// Levels by scenario name and by endpoint (name tag or gRPC method)
+let scenarioLevels = {};
+let endpointLevels = {};
+
+// Level applied to failing requests when above their usual level
+let failureLevel = toLevel(getEnvVar('LOG_FAILURE_LEVEL', 'NONE'), LOG_LEVELS.NONE);
+
+// Entries per second and VU; 0 for no limit. Each VU runs its own copy of this module.
+let rateLimit = Number(getEnvVar('LOG_RATE_LIMIT', '0')) || 0;
+const rateWindow = { second: 0, count: 0, suppressed: 0 };
+
+// Entries dropped by the rate limit, across VUs
+const suppressedCounter = defineMetric('log_entries_suppressed', 'counter', { owner: 'logger' });
+
+/**
+ * Create the logger of one module
+ * @param {string} module - Module name (http, grpc, ws, ...)
+ * @returns {Object} Logger ({ enabled, level, log })
+ */
+export function createLogger(module) {
+  const envLevel = getEnvVar(`LOG_LEVEL_${module.toUpperCase()}`, '');
+  if (envLevel && moduleLevels[module] === undefined) {
+    moduleLevels[module] = toLevel(envLevel, defaultLevel);
+  }
+
+  return {
+    /**
+     * Whether entries of this level are logged
+     * @param {string} level - ERROR, WARN, INFO, DEBUG or TRACE
+     * @param {Object} [context] - Request fields matched against endpoint levels ({ name, method })
+     * @param {boolean} [failed=false] - The request failed, so the failure level applies too
+     */
+    enabled: (level, context = {}, failed = false) => {
+      const current = getLogLevel(module, context);
+      return Math.max(current, failed ? failureLevel : LOG_LEVELS.NONE) >= LOG_LEVELS[level];
+    },
+
+    level: (context = {}) => getLogLevel(module, context),
+
+    /**
+     * Write one log entry, whatever the level; callers check enabled() first.
+     * Past the rate limit the entry is dropped and counted instead.
+     * @param {string} level - ERROR, WARN, INFO, DEBUG or TRACE
+     * @param {string} icon - Prefix of the text line
+     * @param {string} message - Message
+     * @param {Object} [fields] - Structured fields (method, url, status, duration, trace_id, ...)
+     * @param {Array<Array>} [details] - [label, key, value] entries; text mode prints each on
+     *   its own line, JSON mode adds them as fields
+     */
+    log: (level, icon, message, fields = {}, details = []) => {
+      if (!withinRateLimit()) return;
+
+      const method = CONSOLE_METHODS[level] || 'log';
+      const text = redactText(message);
+      const present = details
+        .filter(([, , value]) => value !== undefined && value !== null)
+        .map(([label, key, value]) => [label, key, HEADER_DETAILS.includes(key) ? redactHeaders(value) : redactValue(value)]);
+
+      if (format === 'json') {
+        const entry = {
+          timestamp: new Date().toISOString(),
+          level: level.toLowerCase(),
+          module,
+          ...executionContext(),
+          msg: text,
+          ...toLogFields(fields)
+        };
+        present.forEach(([, key, value]) => {
+          entry[key] = toJsonValue(value);
+        });
+        console[method](JSON.stringify(entry));
+        return;
+      }
+
+      console[method](`${icon} ${text}`);
+      present.forEach(([label, , value]) => console[method](`${label}:`, formatValue(value)));
+    }
+  };
+}
+
+/**
+ * Configure logging at runtime; options left out keep their current value
+ * @param {Object} options - Logging options
+ * @param {string|number} [options.level] - Default level of all modules
+ * @param {string} [options.format] - text or json
+ * @param {Object} [options.modules] - Levels by module, e.g. { grpc: 'DEBUG' }
+ * @param {Object} [options.scenarios] - Levels by k6 scenario name, e.g. { checkout: 'DEBUG' }
+ * @param {Object} [options.endpoints] - Levels by request `name` tag (HTTP route template)
+ *   or gRPC method, e.g. { '/orders/{id}': 'TRACE' }
+ * @param {string|number} [options.failureLevel] - Level for failing requests, when above
+ *   their usual one; 'NONE' to turn off
+ * @param {number} [options.rateLimit] - Entries per second and VU; 0 for no limit
+ */
+export function configureLogging(options = {}) {
+  if (options.level !== undefined) setLogLevel(options.level);
+  if (options.format !== undefined) setLogFormat(options.format);
+
+  Object.entries(options.modules || {}).forEach(([module, level]) => setLogLevel(level, module));
+
+  if (options.scenarios) scenarioLevels = toLevels(options.scenarios);
+  if (options.endpoints) endpointLevels = toLevels(options.endpoints);
+
+  if (options.failureLevel !== undefined) {
+    failureLevel = requireLevel(options.failureLevel);
+  }
+  if (options.rateLimit !== undefined) {
+    if (!(options.rateLimit >= 0)) {
+      throw new Error(`Log rate limit must be 0 or more entries per second, got ${options.rateLimit}`);
+    }
+    rateLimit = options.rateLimit;
+  }
+}
+
+/**
+ * Set the log level of one module, or the default of all modules without their own
+ * @param {string|number} level - Log level name or number
+ * @param {string} [module] - Module name; omit for the default
+ * @throws {Error} When the level name is unknown
+ */
+export function setLogLevel(level, module) {
+  const resolved = requireLevel(level);
+
+  if (module) {
+    moduleLevels[module] = resolved;
+  } else {
+    defaultLevel = resolved;
+  }
+}
+
+/**
+ * Get the log level that applies to a module, in the running scenario
+ * @param {string} [module] - Module name; omit for the default
+ * @param {Object} [context] - Request fields ({ name, method }) matched against endpoint levels
+ * @returns {number} Log level
+ */
+export function getLogLevel(module, context = {}) {
+  const endpoint = [context.name, context.method].find(key => key && endpointLevels[key] !== undefined);
+  if (endpoint) return endpointLevels[endpoint];
+
+  const scenario = Object.keys(scenarioLevels).length > 0 ? executionContext().scenario : null;
+  if (scenario && scenarioLevels[scenario] !== undefined) return scenarioLevels[scenario];
+
+  return module && moduleLevels[module] !== undefined ? moduleLevels[module] : defaultLevel;
+}
+
+/**
+ * Set the output format
+ * @param {string} newFormat - text or json
+ */
+export function setLogFormat(newFormat) {
+  format = toFormat(newFormat);
+}
+
+/**
+ * Get the output format
+ * @returns {string} text or json
+ */
+export function getLogFormat() {
+  return format;
+}
+
+/**
+ * Truncate a message or body for logging
+ * @param {*} value - String or JSON value
+ * @returns {string|null} Text, cut at 1000 characters, or null for no value
+ */
+export function formatValue(value) {
+  if (value === undefined || value === null) return null;
+
+  const str = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return str.length > TRUNCATE_LENGTH ? str.substring(0, TRUNCATE_LENGTH) + '...' : str;
+}
+
+/**
+ * Count an entry against this second's budget, first reporting what the previous
+ * seconds dropped
+ * @private
+ * @returns {boolean} True if the entry may be written
+ */
+function withinRateLimit() {
+  if (rateLimit <= 0) return true;
+
+  const second = Math.floor(Date.now() / 1000);
+  if (second !== rateWindow.second) {
+    if (rateWindow.suppressed > 0) {
+      console.warn(format === 'json'
+        ? JSON.stringify({
+          timestamp: new Date().toISOString(),
+          level: 'warn',
+          module: 'logger',
+          ...executionContext(),
+          msg: `${rateWindow.suppressed} log entries suppressed`,
+          event: 'log_suppressed',
+          suppressed: rateWindow.suppressed,
+          rate_limit: rateLimit
+        })
+        : `⏸️ ${rateWindow.suppressed} log entries suppressed (limit ${rateLimit}/s per VU)`);
+    }
+    rateWindow.second = second;
+    rateWindow.count = 0;
+    rateWindow.suppressed = 0;
+  }
+
+  if (rateWindow.count < rateLimit) {
+    rateWindow.count++;
+    return true;
+  }
+
+  rateWindow.suppressed++;
+  // k6 rejects metric samples from the init context, which has no VU
+  if (typeof __VU === 'number' && __VU > 0) suppressedCounter.add(1);
+  return false;
+}
+
+/**
+ * VU, iteration and scenario of the running code; VU 0 outside a VU
+ * @returns {Object} { vu, iteration, scenario }
+ */
+export function executionContext() {
+  const context = {
+    vu: typeof __VU === 'number' ? __VU : 0,
+    iteration: typeof __ITER === 'number' ? __ITER : null
+  };
+
+  // exec.scenario throws in the init context
+  try {
+    context.scenario = exec.scenario.name;
+  } catch (error) {
+    context.scenario = null;
+  }
+  return context;
+}
+
+// Small values stay JSON; large ones are cut like in text mode
+function toJsonValue(value) {
+  if (typeof value === 'string') return formatValue(value);
+
+  const str = JSON.stringify(value);
+  return str.length > TRUNCATE_LENGTH ? formatValue(str) : value;
+}
+
+// Fields with a value, redacted
+function toLogFields(fields) {
+  const result = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) result[key] = redactValue(value);
+  });
+  return result;
+}
+
+function toLevel(level, fallback) {
+  if (typeof level === 'number') return level;
+  const value = LOG_LEVELS[String(level).toUpperCase()];
+  return value !== undefined ? value : fallback;
+}
+
+function requireLevel(level) {
+  const value = toLevel(level, null);
+  if (value === null) {
+    throw new Error(`Unknown log level: ${level} (use ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  return value;
+}
+
+function toLevels(levels) {
+  const result = {};
+  Object.entries(levels).forEach(([key, level]) => {
+    result[key] = requireLevel(level);
+  });
+  return result;
+}
+
+function toFormat(value) {
+  const name = String(value).toLowerCase();
+  if (!LOG_FORMATS.includes(name)) {
+    throw new Error(`Unsupported LOG_FORMAT: ${value} (use ${LOG_FORMATS.join(' or ')})`);
+  }
+  return name;
+}
+
+export { LOG_LEVELS as logLevels };
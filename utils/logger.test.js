@@ -0,0 +1,231 @@
+/**
+ * Tests for the shared logging core (createLogger, setLogLevel, setLogFormat,
+ * formatValue, executionContext) and the protocol loggers built on it.
+ */
+
+import {
+  createLogger,
+  setLogFormat,
+  getLogFormat,
+  setLogLevel,
+  getLogLevel,
+  formatValue,
+  executionContext,
+  configureLogging
+} from './logger.js';
+import {
+  logRequest,
+  logResponse,
+  setLogLevel as setHttpLogLevel,
+  getCurrentLogLevel as getHttpLogLevel
+} from '../http/logger.js';
+
+// Record every metric sample; like k6, refuse samples outside a VU
+jest.mock('k6/metrics', () => {
+  const samples = [];
+  const metric = function (name) {
+    return {
+      add: (value, tags) => {
+        if (!(global.__VU > 0)) throw new Error('Using metrics in the init context is not supported');
+        samples.push({ name, value, tags });
+      }
+    };
+  };
+  return { samples, Trend: metric, Rate: metric, Counter: metric, Gauge: metric };
+});
+
+const { samples } = jest.requireMock('k6/metrics');
+
+describe('structured logging', () => {
+  afterEach(() => {
+    setLogFormat('text');
+    delete global.__VU;
+    delete global.__ITER;
+    jest.restoreAllMocks();
+  });
+
+  it('writes failed responses as JSON lines with request fields', () => {
+    const lines = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    setLogFormat('json');
+    logResponse({
+      status: 404,
+      url: 'http://api.test/not-found',
+      body: 'Not Found',
+      request: { method: 'GET' },
+      timings: { duration: 12.5 }
+    }, { trace_id: '4bf92f3577b34da6a3ce929d0e0e4736' });
+    const entry = JSON.parse(lines[0]);
+    expect(entry).toMatchObject({
+      level: 'error',
+      module: 'http',
+      vu: 0,
+      scenario: null,
+      event: 'response',
+      method: 'GET',
+      url: 'http://api.test/not-found',
+      status: 404,
+      duration: 12.5,
+      trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+      body: 'Not Found'
+    });
+    expect(entry.timestamp).toBeDefined();
+  });
+
+  it('adds the VU and iteration, drops empty fields and keeps small details as JSON', () => {
+    const lines = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+    global.__VU = 3;
+    global.__ITER = 7;
+    setLogFormat('json');
+
+    createLogger('test').log('INFO', '📦', 'stored', { id: 1, missing: null }, [
+      ['Item', 'item', { sku: 'A-1' }],
+      ['Note', 'note', undefined],
+      ['Big', 'big', { text: 'x'.repeat(1200) }]
+    ]);
+
+    const entry = JSON.parse(lines[0]);
+    expect(entry).toMatchObject({ level: 'info', module: 'test', vu: 3, iteration: 7, msg: 'stored', id: 1, item: { sku: 'A-1' } });
+    expect(entry).not.toHaveProperty('missing');
+    expect(entry).not.toHaveProperty('note');
+    expect(entry.big).toHaveLength(1003);
+    expect(entry.big.endsWith('...')).toBe(true);
+  });
+
+  it('writes text lines with one line per detail, on the console method of the level', () => {
+    const logs = [];
+    const warnings = [];
+    jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args));
+    jest.spyOn(console, 'warn').mockImplementation((...args) => warnings.push(args));
+    const logger = createLogger('test');
+
+    logger.log('DEBUG', '➡️', 'GET /orders', { method: 'GET' }, [['Request Headers', 'headers', { Accept: 'text/plain' }]]);
+    logger.log('WARN', '⚠️', 'slow');
+
+    expect(logs).toEqual([['➡️ GET /orders'], ['Request Headers:', '{\n  "Accept": "text/plain"\n}']]);
+    expect(warnings).toEqual([['⚠️ slow']]);
+  });
+
+  it('sets levels per module over the default', () => {
+    const initial = getLogLevel();
+    setLogLevel('DEBUG', 'grpc');
+    setLogLevel('ERROR');
+    expect(getLogLevel('grpc')).toBe(4);
+    expect(getLogLevel('http')).toBe(1);
+    expect(createLogger('grpc').enabled('DEBUG')).toBe(true);
+    expect(createLogger('http').enabled('WARN')).toBe(false);
+    setLogLevel(initial);
+  });
+
+  it('rejects unknown levels and keeps the current one', () => {
+    setLogLevel('WARN', 'grpc');
+    expect(() => setLogLevel('VERBOSE', 'grpc')).toThrow('Unknown log level: VERBOSE');
+    expect(() => setLogLevel('LOUD')).toThrow('Unknown log level: LOUD');
+    expect(getLogLevel('grpc')).toBe(2);
+    setLogLevel('INFO', 'grpc');
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => setLogFormat('xml')).toThrow('Unsupported LOG_FORMAT: xml');
+    expect(getLogFormat()).toBe('text');
+  });
+});
+
+describe('formatValue and executionContext', () => {
+  it('truncates long values and pretty-prints objects', () => {
+    expect(formatValue(null)).toBeNull();
+    expect(formatValue('short')).toBe('short');
+    expect(formatValue('x'.repeat(1001))).toBe(`${'x'.repeat(1000)}...`);
+    expect(formatValue({ a: 1 })).toBe('{\n  "a": 1\n}');
+  });
+
+  it('reports VU 0 and no scenario outside a VU', () => {
+    expect(executionContext()).toEqual({ vu: 0, iteration: null, scenario: null });
+  });
+});
+
+describe('runtime log configuration', () => {
+  const failed = (headers = {}) => ({
+    status: 500,
+    url: 'http://api.test/orders/7',
+    body: 'boom',
+    headers: { 'Content-Type': 'text/plain' },
+    request: { method: 'POST', headers, body: '{"id":7}' },
+    timings: { duration: 5 }
+  });
+
+  afterEach(() => {
+    configureLogging({ format: 'text', endpoints: {}, scenarios: {}, failureLevel: 'NONE', rateLimit: 0 });
+    setHttpLogLevel('INFO');
+    delete global.__VU;
+    samples.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  it('sets the HTTP level through http/logger setLogLevel', () => {
+    expect(() => setHttpLogLevel('DEBUG')).not.toThrow();
+    expect(getHttpLogLevel()).toBe(4);
+    expect(getLogLevel('http')).toBe(4);
+  });
+
+  it('applies endpoint levels by name tag over the module level', () => {
+    const lines = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+    configureLogging({ endpoints: { '/orders/{id}': 'DEBUG' } });
+    logRequest('GET', 'http://api.test/orders/7', {}, null, { name: '/orders/{id}' });
+    logRequest('GET', 'http://api.test/users/7', {}, null, { name: '/users/{id}' });
+    expect(lines).toEqual(['➡️ GET http://api.test/orders/7']);
+  });
+
+  it('adds the request sent to failed responses at failure level TRACE', () => {
+    const lines = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    configureLogging({ format: 'json', failureLevel: 'TRACE' });
+    logResponse(failed({ Authorization: 'Bearer abc', 'X-Request-Id': 'r-1' }), { name: '/orders/{id}' });
+    expect(JSON.parse(lines[0])).toMatchObject({
+      name: '/orders/{id}',
+      request_headers: { Authorization: '[REDACTED]', 'X-Request-Id': 'r-1' },
+      request_body: '{"id":7}',
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'boom'
+    });
+  });
+
+  it('drops entries over the rate limit and reports them the next second', () => {
+    const lines = [];
+    const warnings = [];
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    jest.spyOn(console, 'warn').mockImplementation((line) => warnings.push(line));
+    configureLogging({ format: 'json', rateLimit: 2 });
+
+    for (let i = 0; i < 5; i++) logResponse(failed());
+    expect(lines).toHaveLength(2);
+
+    now += 1000;
+    logResponse(failed());
+    expect(lines).toHaveLength(3);
+    expect(JSON.parse(warnings[0])).toMatchObject({ event: 'log_suppressed', suppressed: 3, rate_limit: 2 });
+  });
+
+  it('counts suppressed entries only inside a VU, as k6 has no metrics in the init context', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    configureLogging({ rateLimit: 1 });
+
+    logResponse(failed());
+    expect(() => logResponse(failed())).not.toThrow();
+    expect(samples).toEqual([]);
+
+    global.__VU = 2;
+    logResponse(failed());
+    expect(samples).toEqual([{ name: 'log_entries_suppressed', value: 1, tags: undefined }]);
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => configureLogging({ endpoints: { '/orders/{id}': 'VERBOSE' } })).toThrow('Unknown log level: VERBOSE');
+    expect(() => configureLogging({ rateLimit: -1 })).toThrow('Log rate limit must be 0 or more');
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Shared metrics registry for k6 performance testing SDK
+ *
+ * The HTTP, gRPC and WebSocket modules create their metrics here, so each name is
+ * registered once whichever module asks first, and per-endpoint metrics stay bounded:
+ * past MAX_ENDPOINT_METRICS endpoints (100 by default, across all protocols) new
+ * endpoints share the `other` bucket.
+ *
+ * k6 only creates metrics in the init context. An endpoint first seen during an
+ * iteration therefore also lands in `other`, unless declareEndpoints() registered
+ * it up front.
+ */
+
+import { Trend, Rate, Counter, Gauge } from 'k6/metrics';
+import { getEnvVar } from '../config/env.js';
+
+const METRIC_TYPES = {
+  trend: (name, isTime) => new Trend(name, isTime),
+  counter: (name) => new Counter(name),
+  rate: (name) => new Rate(name),
+  gauge: (name, isTime) => new Gauge(name, isTime)
+};
+
+// Endpoints beyond the cap share this endpoint's metrics
+const OVERFLOW_ENDPOINT = 'other';
+
+// Registered metrics by name: { name, type, isTime, owner, endpoint, metric }
+const registry = {};
+
+// Endpoint metric families by owner: { definitions, endpoints: { name: { suffix: metric } }, overflow }
+const families = {};
+
+let maxEndpoints = Number(getEnvVar('MAX_ENDPOINT_METRICS', '100')) || 100;
+let endpointCount = 0;
+
+// Samples recorded under `other`, tagged with the owner; unlike describeMetrics(),
+// this adds up across VUs
+const overflowCounter = defineMetric('endpoint_metrics_overflow', 'counter', { owner: 'metrics' });
+
+/**
+ * Get or create a metric. Asking again for a registered name returns the same
+ * metric; asking for it with another type is an error.
+ * @param {string} name - Metric name
+ * @param {string} [type='trend'] - trend, counter, rate or gauge
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.isTime=false] - Values are durations (trends and gauges)
+ * @param {string} [options.owner='custom'] - Module that uses the metric (http, grpc, ws, ...)
+ * @returns {Object} k6 metric
+ */
+export function defineMetric(name, type = 'trend', options = {}) {
+  const { owner = 'custom', endpoint = null } = options;
+  const metricType = type.toLowerCase();
+  const isTime = Boolean(options.isTime) && (metricType === 'trend' || metricType === 'gauge');
+
+  const existing = registry[name];
+  if (existing) {
+    if (existing.type !== metricType || existing.isTime !== isTime) {
+      throw new Error(`Metric ${name} is already registered as a ${existing.isTime ? 'time ' : ''}${existing.type}`);
+    }
+    return existing.metric;
+  }
+
+  const factory = METRIC_TYPES[metricType];
+  if (!factory) {
+    throw new Error(`Unsupported metric type: ${type}`);
+  }
+
+  registry[name] = { name, type: metricType, isTime, owner, endpoint, metric: factory(name, isTime) };
+  return registry[name].metric;
+}
+
+/**
+ * Define a module's family of per-endpoint metrics, named `endpoint_<name>_<suffix>`,
+ * and create its `other` bucket. Call at module load, in the init context.
+ * @param {string} owner - Module (http, grpc, ...)
+ * @param {Object} definitions - { suffix: { type, isTime } }, e.g. { duration: { type: 'trend', isTime: true } }
+ * @returns {Object} The family's endpoint metrics by endpoint name, kept up to date
+ */
+export function defineEndpointMetrics(owner, definitions) {
+  if (!families[owner]) {
+    families[owner] = { definitions, endpoints: {}, overflow: {} };
+    families[owner].endpoints[OVERFLOW_ENDPOINT] = createEndpointMetrics(owner, OVERFLOW_ENDPOINT);
+  }
+  return families[owner].endpoints;
+}
+
+/**
+ * Get an endpoint's metrics, creating them while the endpoint cap allows
+ * @param {string} owner - Module that defined the family
+ * @param {string} endpoint - Endpoint name (letters, digits and underscores)
+ * @returns {Object} { suffix: metric } for the endpoint, or for `other`
+ */
+export function endpointMetrics(owner, endpoint) {
+  const family = families[owner];
+  if (!family) {
+    throw new Error(`No endpoint metrics defined for ${owner}`);
+  }
+
+  if (family.endpoints[endpoint]) {
+    return family.endpoints[endpoint];
+  }
+
+  if (endpointCount < maxEndpoints) {
+    try {
+      family.endpoints[endpoint] = createEndpointMetrics(owner, endpoint);
+      endpointCount++;
+      return family.endpoints[endpoint];
+    } catch (error) {
+      // Outside the init context: fall through to the shared bucket
+    }
+  }
+
+  family.overflow[endpoint] = (family.overflow[endpoint] || 0) + 1;
+  overflowCounter.add(1, { owner });
+  return family.endpoints[OVERFLOW_ENDPOINT];
+}
+
+/**
+ * Register endpoints before the test starts, so they get their own metrics even
+ * when first called during an iteration. Call in the init context.
+ * @param {string} owner - Module that defined the family
+ * @param {Array<string>} endpoints - Endpoint names
+ */
+export function declareEndpoints(owner, endpoints) {
+  endpoints.forEach(endpoint => endpointMetrics(owner, endpoint));
+}
+
+/**
+ * Set the maximum number of endpoints with their own metrics, across all modules
+ * (defaults to MAX_ENDPOINT_METRICS or 100); later endpoints share `other`
+ * @param {number} limit - Maximum endpoint count
+ */
+export function setMaxEndpoints(limit) {
+  maxEndpoints = limit;
+}
+
+/**
+ * Describe the registered metrics, for reports and handleSummary()
+ * @returns {Object} {
+ *   metrics: [{ name, type, isTime, owner, endpoint }],
+ *   endpoints: { owner: [endpoint names] },
+ *   overflow: { owner: { endpoint: samples recorded under `other` } },
+ *   maxEndpoints
+ * } - as seen by this VU. handleSummary() only sees what the init context registered;
+ *   `endpoint_metrics_overflow` in its data counts the overflow of all VUs.
+ */
+export function describeMetrics() {
+  const endpoints = {};
+  const overflow = {};
+
+  Object.entries(families).forEach(([owner, family]) => {
+    endpoints[owner] = Object.keys(family.endpoints).filter(name => name !== OVERFLOW_ENDPOINT);
+    overflow[owner] = { ...family.overflow };
+  });
+
+  return {
+    metrics: Object.values(registry).map(({ name, type, isTime, owner, endpoint }) => ({
+      name, type, isTime, owner, endpoint
+    })),
+    endpoints,
+    overflow,
+    maxEndpoints
+  };
+}
+
+/**
+ * Create the metrics of one endpoint
+ * @private
+ */
+function createEndpointMetrics(owner, endpoint) {
+  const metrics = {};
+  Object.entries(families[owner].definitions).forEach(([suffix, { type, isTime = false }]) => {
+    metrics[suffix] = defineMetric(`endpoint_${endpoint}_${suffix}`, type, { isTime, owner, endpoint });
+  });
+  return metrics;
+}
+
+export { OVERFLOW_ENDPOINT as overflowEndpoint };
@@ -0,0 +1,85 @@
+/**
+ * Tests for the shared metrics registry (defineMetric, defineEndpointMetrics,
+ * endpointMetrics, declareEndpoints, describeMetrics).
+ */
+
+import {
+  defineMetric,
+  defineEndpointMetrics,
+  endpointMetrics,
+  declareEndpoints,
+  setMaxEndpoints,
+  describeMetrics
+} from './metrics.js';
+
+// k6/metrics whose constructors fail outside the init context, like k6's
+jest.mock('k6/metrics', () => {
+  const state = { init: true, samples: [] };
+  const metric = function (name) {
+    if (!state.init) throw new Error('metrics must be declared in the init context');
+    return { add: (value, tags) => state.samples.push({ name, value, tags }) };
+  };
+  return { state, Trend: metric, Rate: metric, Counter: metric, Gauge: metric };
+});
+
+const { state } = jest.requireMock('k6/metrics');
+
+afterEach(() => {
+  state.init = true;
+  state.samples.length = 0;
+  setMaxEndpoints(100);
+});
+
+describe('defineMetric', () => {
+  it('reuses metrics by name and rejects another type', () => {
+    const counter = defineMetric('registry_test_total', 'counter');
+    expect(defineMetric('registry_test_total', 'counter')).toBe(counter);
+    expect(() => defineMetric('registry_test_total', 'trend')).toThrow('Metric registry_test_total is already registered as a counter');
+
+    defineMetric('registry_test_duration', 'trend', { isTime: true });
+    expect(() => defineMetric('registry_test_duration', 'trend'))
+      .toThrow('Metric registry_test_duration is already registered as a time trend');
+    expect(() => defineMetric('registry_test_histogram', 'histogram')).toThrow('Unsupported metric type: histogram');
+  });
+
+  it('only keeps isTime for trends and gauges', () => {
+    defineMetric('registry_test_rate', 'Rate', { isTime: true, owner: 'test' });
+    expect(describeMetrics().metrics).toContainEqual({
+      name: 'registry_test_rate', type: 'rate', isTime: false, owner: 'test', endpoint: null
+    });
+  });
+});
+
+describe('endpoint metrics', () => {
+  it('caps endpoints into the other bucket and counts the overflow', () => {
+    defineEndpointMetrics('test', { duration: { type: 'trend', isTime: true } });
+    setMaxEndpoints(1);
+
+    const first = endpointMetrics('test', 'first');
+    expect(endpointMetrics('test', 'first')).toBe(first);
+    expect(endpointMetrics('test', 'second')).toBe(endpointMetrics('test', 'other'));
+
+    const described = describeMetrics();
+    expect(described.endpoints.test).toEqual(['first']);
+    expect(described.overflow.test).toEqual({ second: 1 });
+    expect(described.maxEndpoints).toBe(1);
+    expect(described.metrics).toContainEqual({
+      name: 'endpoint_first_duration', type: 'trend', isTime: true, owner: 'test', endpoint: 'first'
+    });
+    expect(state.samples).toEqual([{ name: 'endpoint_metrics_overflow', value: 1, tags: { owner: 'test' } }]);
+  });
+
+  it('sends endpoints first seen after the init context to other, unless declared', () => {
+    const family = defineEndpointMetrics('late', { calls: { type: 'counter' } });
+    declareEndpoints('late', ['checkout']);
+    state.init = false;
+
+    expect(endpointMetrics('late', 'checkout')).toBe(family.checkout);
+    expect(endpointMetrics('late', 'search')).toBe(family.other);
+    expect(describeMetrics().overflow.late).toEqual({ search: 1 });
+  });
+
+  it('requires the family to be defined', () => {
+    expect(() => endpointMetrics('nobody', 'x')).toThrow('No endpoint metrics defined for nobody');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Secret redaction for logs
+ *
+ * The shared logger (utils/logger.js) passes every header set, body, message and
+ * text through these rules before writing it, so tokens, API keys and passwords
+ * stay out of CI logs at any level and in both output formats. By default it hides
+ * the Authorization, Proxy-Authorization, Cookie, Set-Cookie and X-API-Key headers,
+ * JSON fields whose name contains password, secret or token, and the same names
+ * in query strings and form bodies. configureRedaction() adds header names, field
+ * names, JSON paths and regexes.
+ */
+
+const REPLACEMENT = '[REDACTED]';
+
+const DEFAULT_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'];
+const SENSITIVE_FIELD = /password|secret|token/i;
+
+// name=value pairs in query strings and form bodies
+const SENSITIVE_PARAM = /([?&;]|^)([^=&;\s?]*(?:password|secret|token|api[_-]?key)[^=&;\s]*)=([^&;\s#"]*)/gi;
+
+// A shell variable put in place of a secret, e.g. in the curl commands of utils/failures.js,
+// possibly followed by the backslash of an escaped quote when the command is in JSON
+const PLACEHOLDER = /^\$\{?[A-Z_][A-Z0-9_]*\}?\\?$/;
+
+let rules = defaultRules();
+
+/**
+ * Add redaction rules to the defaults
+ * @param {Object} options - Rules
+ * @param {Array<string>} [options.headers] - Header or gRPC metadata names, any case
+ * @param {Array<string>} [options.fields] - JSON field names, any case, at any depth
+ * @param {Array<string>} [options.paths] - JSON paths from the body root, e.g. 'user.ssn',
+ *   'cards[*].number' or '$.data.*.iban'
+ * @param {Array<RegExp|string>} [options.patterns] - Regexes whose matches are hidden
+ *   in any logged text
+ * @param {string} [options.replacement='[REDACTED]'] - Text put in place of a secret
+ * @param {boolean} [options.enabled=true] - Set to false to log secrets as they are
+ */
+export function configureRedaction(options = {}) {
+  const { headers = [], fields = [], paths = [], patterns = [] } = options;
+
+  rules = {
+    ...rules,
+    headers: [...rules.headers, ...headers.map(name => name.toLowerCase())],
+    fields: [...rules.fields, ...fields.map(name => name.toLowerCase())],
+    paths: [...rules.paths, ...paths.map(toPathSegments)],
+    patterns: [...rules.patterns, ...patterns.map(toGlobalRegExp)],
+    ...(options.replacement !== undefined && { replacement: options.replacement }),
+    ...(options.enabled !== undefined && { enabled: Boolean(options.enabled) })
+  };
+}
+
+/**
+ * Restore the default rules
+ */
+export function resetRedaction() {
+  rules = defaultRules();
+}
+
+/**
+ * Redact a header set or gRPC metadata
+ * @param {Object} headers - Headers by name; values may be strings or lists
+ * @param {Function} [replace] - (name) => text put in place of the secret of that header,
+ *   field or parameter (null for pattern matches); the replacement text by default
+ * @returns {Object} A copy with secret values replaced
+ */
+export function redactHeaders(headers, replace) {
+  if (!rules.enabled || !headers || typeof headers !== 'object') return headers;
+
+  const result = {};
+  Object.entries(headers).forEach(([name, value]) => {
+    result[name] = rules.headers.includes(name.toLowerCase())
+      ? replacement(replace, name)
+      : redactValue(value, replace);
+  });
+  return result;
+}
+
+/**
+ * Redact a body or message: JSON (as object or string), form data or plain text
+ * @param {*} value - Value to log
+ * @param {Function} [replace] - Replacement by name, as for redactHeaders()
+ * @returns {*} A copy with secrets replaced; JSON strings come back compact
+ */
+export function redactValue(value, replace) {
+  if (!rules.enabled || value === null || value === undefined) return value;
+
+  if (typeof value === 'string') {
+    const json = parseJson(value);
+    return json === undefined
+      ? redactText(value, replace)
+      : redactText(JSON.stringify(redactJson(json, [], replace)), replace);
+  }
+  return typeof value === 'object' ? redactJson(value, [], replace) : value;
+}
+
+/**
+ * Redact free text: URLs, form bodies and log messages. Parameters whose value is
+ * already a shell variable such as `$ACCESS_TOKEN` are left as they are.
+ * @param {string} text - Text to log
+ * @param {Function} [replace] - Replacement by name, as for redactHeaders()
+ * @returns {string} Text with sensitive parameters and pattern matches replaced
+ */
+export function redactText(text, replace) {
+  if (!rules.enabled || typeof text !== 'string') return text;
+
+  const withoutParams = text.replace(SENSITIVE_PARAM, (match, prefix, name, value) => (
+    PLACEHOLDER.test(value) ? match : `${prefix}${name}=${replacement(replace, name)}`
+  ));
+  return rules.patterns.reduce((result, pattern) => result.replace(pattern, () => replacement(replace, null)), withoutParams);
+}
+
+/**
+ * Copy a JSON value, replacing sensitive fields and configured paths
+ * @private
+ * @param {*} value - JSON value
+ * @param {Array<string>} path - Path of value from the root
+ * @param {Function} [replace] - Replacement by name
+ */
+function redactJson(value, path, replace) {
+  if (Array.isArray(value)) {
+    return value.map((element, index) => redactJson(element, [...path, String(index)], replace));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = [...path, key];
+      result[key] = isSensitiveField(key) || matchesPath(childPath)
+        ? replacement(replace, key)
+        : redactJson(child, childPath, replace);
+    });
+    return result;
+  }
+  return typeof value === 'string' ? redactText(value, replace) : value;
+}
+
+function replacement(replace, name) {
+  return replace ? replace(name) : rules.replacement;
+}
+
+function isSensitiveField(name) {
+  return SENSITIVE_FIELD.test(name) || rules.fields.includes(name.toLowerCase());
+}
+
+function matchesPath(path) {
+  return rules.paths.some(segments => segments.length === path.length &&
+    segments.every((segment, index) => segment === '*' || segment === path[index]));
+}
+
+// 'cards[*].number' and '$.cards.*.number' -> ['cards', '*', 'number']
+function toPathSegments(path) {
+  return path
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\*|\d+)\]/g, '.$1')
+    .replace(/\[['"]([^'"]+)['"]\]/g, '.$1')
+    .split('.')
+    .filter(Boolean);
+}
+
+function toGlobalRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+  }
+  return new RegExp(pattern, 'g');
+}
+
+function parseJson(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) return undefined;
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function defaultRules() {
+  return {
+    enabled: true,
+    replacement: REPLACEMENT,
+    headers: [...DEFAULT_HEADERS],
+    fields: [],
+    paths: [],
+    patterns: []
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Tests for secret redaction (configureRedaction, redactHeaders, redactValue, redactText)
+ * and its use by the loggers.
+ */
+
+import { configureRedaction, resetRedaction, redactHeaders, redactValue, redactText } from './redact.js';
+import { setLogFormat } from './logger.js';
+import { logRequest, setLogLevel as setHttpLogLevel } from '../http/logger.js';
+
+afterEach(() => {
+  resetRedaction();
+  setLogFormat('text');
+  jest.restoreAllMocks();
+});
+
+describe('default rules', () => {
+  it('hides default headers, secret fields and query parameters in TRACE logs', () => {
+    const lines = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+    setLogFormat('json');
+    setHttpLogLevel('TRACE');
+    logRequest('POST', 'http://api.test/login?access_token=abc&page=2', {
+      Authorization: 'Bearer secret',
+      'X-Api-Key': 'key',
+      Accept: 'application/json'
+    }, JSON.stringify({ username: 'jane', password: 'hunter2', client_secret: 's3' }));
+    setHttpLogLevel('INFO');
+
+    const entry = JSON.parse(lines[0]);
+    expect(entry.url).toBe('http://api.test/login?access_token=[REDACTED]&page=2');
+    expect(entry.headers).toEqual({
+      Authorization: '[REDACTED]',
+      'X-Api-Key': '[REDACTED]',
+      Accept: 'application/json'
+    });
+    expect(JSON.parse(entry.body)).toEqual({ username: 'jane', password: '[REDACTED]', client_secret: '[REDACTED]' });
+    expect(lines[0]).not.toMatch(/hunter2|Bearer secret|abc/);
+  });
+
+  it('redacts header names in any case and secrets inside other header values', () => {
+    expect(redactHeaders({
+      cookie: 'session=1',
+      'set-cookie': ['a=1', 'b=2'],
+      'X-Forwarded-For': '10.0.0.1',
+      Referer: 'http://app.test/?token=t1'
+    })).toEqual({
+      cookie: '[REDACTED]',
+      'set-cookie': '[REDACTED]',
+      'X-Forwarded-For': '10.0.0.1',
+      Referer: 'http://app.test/?token=[REDACTED]'
+    });
+    expect(redactHeaders(null)).toBeNull();
+  });
+
+  it('redacts nested JSON, JSON strings and form bodies', () => {
+    expect(redactValue({ user: { name: 'jane', refreshToken: 'r' }, items: [{ secret: 1 }] }))
+      .toEqual({ user: { name: 'jane', refreshToken: '[REDACTED]' }, items: [{ secret: '[REDACTED]' }] });
+    expect(redactValue(' {"password": "p", "n": 1} ')).toBe('{"password":"[REDACTED]","n":1}');
+    expect(redactValue('{not json')).toBe('{not json');
+    expect(redactValue('grant_type=password&password=hunter2')).toBe('grant_type=password&password=[REDACTED]');
+    expect(redactValue(42)).toBe(42);
+  });
+
+  it('redacts sensitive parameters in free text', () => {
+    expect(redactText('GET /cb?code=1&api_key=k1;session_token=s2#top'))
+      .toBe('GET /cb?code=1&api_key=[REDACTED];session_token=[REDACTED]#top');
+    expect(redactText(undefined)).toBeUndefined();
+  });
+});
+
+describe('configureRedaction', () => {
+  it('applies user-defined fields, JSON paths and patterns', () => {
+    configureRedaction({ fields: ['SSN'], paths: ['cards[*].number'], patterns: [/\d{4}-\d{4}/] });
+    expect(redactValue({
+      ssn: '123',
+      cards: [{ number: '4111', holder: 'Jane' }],
+      note: 'call 5555-1234'
+    })).toEqual({
+      ssn: '[REDACTED]',
+      cards: [{ number: '[REDACTED]', holder: 'Jane' }],
+      note: 'call [REDACTED]'
+    });
+    expect(redactValue('grant_type=password&password=hunter2')).toBe('grant_type=password&password=[REDACTED]');
+  });
+
+  it('adds headers, $-rooted paths and string patterns to the defaults', () => {
+    configureRedaction({ headers: ['X-Session'], paths: ['$.data.*.iban'], patterns: ['sk_live_\\w+'] });
+    configureRedaction({ replacement: '***' });
+
+    expect(redactHeaders({ 'x-session': 's', Authorization: 'a' })).toEqual({ 'x-session': '***', Authorization: '***' });
+    expect(redactValue({ data: { a: { iban: 'DE1' }, iban: 'DE2' } })).toEqual({ data: { a: { iban: '***' }, iban: 'DE2' } });
+    expect(redactText('key sk_live_abc and sk_live_def')).toBe('key *** and ***');
+  });
+
+  it('replaces secrets with a text of their name and leaves shell variables alone', () => {
+    const replace = (name) => `$${String(name).toUpperCase()}`;
+
+    expect(redactHeaders({ Cookie: 'c', Accept: '*/*' }, replace)).toEqual({ Cookie: '$COOKIE', Accept: '*/*' });
+    expect(redactValue({ user: { password: 'p' } }, replace)).toEqual({ user: { password: '$PASSWORD' } });
+    expect(redactText('/login?token=abc&page=1', replace)).toBe('/login?token=$TOKEN&page=1');
+    expect(redactText('curl "/login?token=$TOKEN"')).toBe('curl "/login?token=$TOKEN"');
+    expect(redactText('/login?token=$token')).toBe('/login?token=[REDACTED]');
+  });
+
+  it('can be disabled and reset to the defaults', () => {
+    configureRedaction({ fields: ['ssn'], enabled: false });
+    expect(redactValue({ password: 'p', ssn: '1' })).toEqual({ password: 'p', ssn: '1' });
+    expect(redactHeaders({ Authorization: 'a' })).toEqual({ Authorization: 'a' });
+
+    resetRedaction();
+    expect(redactValue({ password: 'p', ssn: '1' })).toEqual({ password: '[REDACTED]', ssn: '1' });
+  });
+});
@@ -0,0 +1,424 @@
+/**
+ * JSON Schema response validation for k6 performance testing SDK
+ *
+ * A pure-JS validator for a subset of JSON Schema draft 2020-12, usable as a
+ * k6 check predicate so response contracts can be asserted under load.
+ *
+ * Supported keywords: type, enum, const, $ref (local), $defs, allOf, anyOf,
+ * oneOf, not, if/then/else, properties, required, additionalProperties,
+ * patternProperties, propertyNames, minProperties, maxProperties,
+ * dependentRequired, prefixItems, items, contains, minContains, maxContains,
+ * minItems, maxItems, uniqueItems, minLength, maxLength, pattern, format,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf.
+ */
+
+import { check } from 'k6';
+import { trackSchemaViolations } from '../http/metrics.js';
+import { logSchemaViolations } from '../http/logger.js';
+
+// Number of violation paths reported in the failure log by default
+const DEFAULT_MAX_REPORTED = 5;
+
+// Formats checked by `format`; unknown formats are ignored, as the spec allows
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  uri: /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/,
+  ipv4: /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} data - Value to validate
+ * @param {Object|boolean} schema - JSON Schema
+ * @returns {Object} { valid, errors } - errors are { path, message }, path in $.a[0].b form
+ */
+export function validateSchema(data, schema) {
+  const errors = [];
+  validateNode(data, schema, '$', schema, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Create a k6 check predicate that validates a response body against a schema.
+ * Failing responses add to `schema_violations` and log their first violations.
+ * @param {Object|boolean} schema - JSON Schema
+ * @param {Object} [options] - Options
+ * @param {string} [options.endpoint] - Endpoint name for the log and metric tags
+ * @param {number} [options.maxReported=5] - Violation paths reported per failing response
+ * @returns {Function} (response) => boolean
+ */
+export function matchesSchema(schema, options = {}) {
+  const { endpoint, maxReported = DEFAULT_MAX_REPORTED } = options;
+
+  return (response) => {
+    if (!response || typeof response.body !== 'string') {
+      reportViolations(response, [{ path: '$', message: 'response has no body' }]);
+      return false;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(response.body);
+    } catch (e) {
+      reportViolations(response, [{ path: '$', message: 'response body is not valid JSON' }]);
+      return false;
+    }
+
+    const { valid, errors } = validateSchema(data, schema);
+    if (!valid) {
+      reportViolations(response, errors);
+    }
+    return valid;
+  };
+
+  function reportViolations(response, errors) {
+    const name = endpoint || (response && response.url) || 'response';
+    trackSchemaViolations(errors.length, endpoint ? { endpoint } : {});
+    logSchemaViolations(name, errors.slice(0, maxReported), errors.length);
+  }
+}
+
+/**
+ * Run the `<name> matches schema` check the templates add for `endpoint.schema`
+ * @param {Object} response - k6 HTTP response
+ * @param {Object|boolean} [schema] - JSON Schema; without one nothing is checked
+ * @param {string} name - Endpoint name for the check, log and metric tags
+ * @returns {boolean} False when the response does not match the schema
+ */
+export function checkSchema(response, schema, name) {
+  if (!schema) return true;
+  return check(response, {
+    [`${name} matches schema`]: matchesSchema(schema, { endpoint: name })
+  });
+}
+
+/**
+ * Validate a value against a schema node, collecting errors
+ * @private
+ */
+function validateNode(value, schema, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'no value is allowed here' });
+    return;
+  }
+
+  if (schema.$ref !== undefined) {
+    validateNode(value, resolveRef(root, schema.$ref), path, root, errors);
+  }
+
+  validateType(value, schema, path, errors);
+  validateGeneric(value, schema, path, errors);
+  validateCombinators(value, schema, path, root, errors);
+
+  if (typeof value === 'number') {
+    validateNumber(value, schema, path, errors);
+  } else if (typeof value === 'string') {
+    validateString(value, schema, path, errors);
+  } else if (Array.isArray(value)) {
+    validateArray(value, schema, path, root, errors);
+  } else if (value !== null && typeof value === 'object') {
+    validateObject(value, schema, path, root, errors);
+  }
+}
+
+/**
+ * @private
+ */
+function validateType(value, schema, path, errors) {
+  if (schema.type === undefined) return;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.some(type => isType(value, type))) {
+    errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+  }
+}
+
+/**
+ * @private
+ */
+function validateGeneric(value, schema, path, errors) {
+  if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push({ path, message: `must be one of ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+}
+
+/**
+ * @private
+ */
+function validateCombinators(value, schema, path, root, errors) {
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => validateNode(value, subschema, path, root, errors));
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subschema => isValid(value, subschema, root))) {
+    errors.push({ path, message: 'must match at least one schema in anyOf' });
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(subschema => isValid(value, subschema, root)).length;
+    if (matches !== 1) {
+      errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches})` });
+    }
+  }
+
+  if (schema.not !== undefined && isValid(value, schema.not, root)) {
+    errors.push({ path, message: 'must not match the schema in not' });
+  }
+
+  if (schema.if !== undefined) {
+    if (isValid(value, schema.if, root)) {
+      validateNode(value, schema.then, path, root, errors);
+    } else {
+      validateNode(value, schema.else, path, root, errors);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateNumber(value, schema, path, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, message: `must be >= ${schema.minimum}` });
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+  }
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+    errors.push({ path, message: `must be < ${schema.exclusiveMaximum}` });
+  }
+  if (schema.multipleOf !== undefined) {
+    const quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push({ path, message: `must be a multiple of ${schema.multipleOf}` });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateString(value, schema, path, errors) {
+  // Length is counted in code points, not UTF-16 units
+  const length = Array.from(value).length;
+
+  if (schema.minLength !== undefined && length < schema.minLength) {
+    errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+  }
+  if (schema.maxLength !== undefined && length > schema.maxLength) {
+    errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+  }
+  if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path, message: `must match pattern ${schema.pattern}` });
+  }
+  if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+    errors.push({ path, message: `must be a valid ${schema.format}` });
+  }
+}
+
+/**
+ * @private
+ */
+function validateArray(value, schema, path, root, errors) {
+  const prefixItems = schema.prefixItems || [];
+
+  prefixItems.forEach((subschema, index) => {
+    if (index < value.length) {
+      validateNode(value[index], subschema, `${path}[${index}]`, root, errors);
+    }
+  });
+
+  if (schema.items !== undefined) {
+    for (let index = prefixItems.length; index < value.length; index++) {
+      validateNode(value[index], schema.items, `${path}[${index}]`, root, errors);
+    }
+  }
+
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ path, message: `must have at least ${schema.minItems} items` });
+  }
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+  }
+
+  if (schema.uniqueItems) {
+    const duplicate = value.findIndex((item, index) => value.slice(0, index).some(other => deepEqual(other, item)));
+    if (duplicate !== -1) {
+      errors.push({ path: `${path}[${duplicate}]`, message: 'duplicates an earlier item' });
+    }
+  }
+
+  if (schema.contains !== undefined) {
+    const matches = value.filter(item => isValid(item, schema.contains, root)).length;
+    const min = schema.minContains !== undefined ? schema.minContains : 1;
+
+    if (matches < min) {
+      errors.push({ path, message: `must contain at least ${min} matching item(s)` });
+    }
+    if (schema.maxContains !== undefined && matches > schema.maxContains) {
+      errors.push({ path, message: `must contain at most ${schema.maxContains} matching item(s)` });
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function validateObject(value, schema, path, root, errors) {
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const patterns = Object.keys(schema.patternProperties || {}).map(pattern => [new RegExp(pattern, 'u'), pattern]);
+
+  (schema.required || []).forEach(key => {
+    if (!(key in value)) {
+      errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+  });
+
+  keys.forEach(key => {
+    const keyPath = childPath(path, key);
+    let evaluated = false;
+
+    if (properties[key] !== undefined) {
+      validateNode(value[key], properties[key], keyPath, root, errors);
+      evaluated = true;
+    }
+
+    patterns.forEach(([regex, pattern]) => {
+      if (regex.test(key)) {
+        validateNode(value[key], schema.patternProperties[pattern], keyPath, root, errors);
+        evaluated = true;
+      }
+    });
+
+    if (!evaluated && schema.additionalProperties !== undefined) {
+      if (schema.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'is not an allowed property' });
+      } else {
+        validateNode(value[key], schema.additionalProperties, keyPath, root, errors);
+      }
+    }
+
+    if (schema.propertyNames !== undefined && !isValid(key, schema.propertyNames, root)) {
+      errors.push({ path: keyPath, message: 'property name does not match propertyNames' });
+    }
+  });
+
+  if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    errors.push({ path, message: `must have at least ${schema.minProperties} properties` });
+  }
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+  }
+
+  Object.keys(schema.dependentRequired || {}).forEach(key => {
+    if (key in value) {
+      schema.dependentRequired[key].forEach(dependency => {
+        if (!(dependency in value)) {
+          errors.push({ path: childPath(path, dependency), message: `is required when ${key} is present` });
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Check a value against a subschema without collecting errors
+ * @private
+ */
+function isValid(value, schema, root) {
+  const errors = [];
+  validateNode(value, schema, '$', root, errors);
+  return errors.length === 0;
+}
+
+/**
+ * Resolve a local $ref ('#', '#/$defs/name', any JSON Pointer into the root schema)
+ * @private
+ */
+function resolveRef(root, ref) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Only local $ref values are supported: ${ref}`);
+  }
+
+  return ref.slice(2).split('/').reduce((node, token) => {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === undefined || node[key] === undefined) {
+      throw new Error(`Cannot resolve $ref ${ref}`);
+    }
+    return node[key];
+  }, root);
+}
+
+/**
+ * @private
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @private
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * @private
+ */
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+export default {
+  validateSchema,
+  matchesSchema,
+  checkSchema
+};
@@ -0,0 +1,162 @@
+/**
+ * Tests for the JSON Schema validator (validateSchema, matchesSchema, checkSchema).
+ * Uses Jest with the k6 mocks in http/__mocks__.
+ */
+
+import { validateSchema, matchesSchema, checkSchema } from './schema.js';
+
+const userSchema = {
+  type: 'object',
+  required: ['id', 'email', 'roles'],
+  properties: {
+    id: { type: 'integer', minimum: 1 },
+    email: { type: 'string', format: 'email' },
+    roles: { type: 'array', items: { enum: ['admin', 'user'] }, minItems: 1 },
+    address: { $ref: '#/$defs/address' }
+  },
+  additionalProperties: false,
+  $defs: {
+    address: {
+      type: 'object',
+      required: ['city'],
+      properties: { city: { type: 'string', minLength: 1 }, zip: { type: 'string', pattern: '^\\d{5}$' } }
+    }
+  }
+};
+
+describe('validateSchema', () => {
+  it('accepts a value matching the schema', () => {
+    const user = { id: 1, email: 'a@example.com', roles: ['admin'], address: { city: 'Paris', zip: '75001' } };
+    expect(validateSchema(user, userSchema)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports type mismatches with the expected and actual types', () => {
+    expect(validateSchema('7', { type: 'integer' }).errors).toEqual([
+      { path: '$', message: 'expected integer, got string' }
+    ]);
+    expect(validateSchema(1.5, { type: ['integer', 'null'] }).errors).toEqual([
+      { path: '$', message: 'expected integer or null, got number' }
+    ]);
+    expect(validateSchema(null, { type: ['integer', 'null'] }).valid).toBe(true);
+  });
+
+  it('reports missing required properties by their path', () => {
+    expect(validateSchema({ id: 1 }, userSchema).errors).toEqual([
+      { path: '$.email', message: 'is required' },
+      { path: '$.roles', message: 'is required' }
+    ]);
+  });
+
+  it('reports enum and const violations', () => {
+    expect(validateSchema('guest', { enum: ['admin', 'user'] }).errors).toEqual([
+      { path: '$', message: 'must be one of ["admin","user"]' }
+    ]);
+    expect(validateSchema(2, { const: 1 }).errors).toEqual([{ path: '$', message: 'must equal 1' }]);
+  });
+
+  it('reports errors inside nested objects and arrays', () => {
+    const user = { id: 0, email: 'not-an-email', roles: ['admin', 'guest'], extra: true };
+    expect(validateSchema(user, userSchema).errors).toEqual([
+      { path: '$.id', message: 'must be >= 1' },
+      { path: '$.email', message: 'must be a valid email' },
+      { path: '$.roles[1]', message: 'must be one of ["admin","user"]' },
+      { path: '$.extra', message: 'is not an allowed property' }
+    ]);
+  });
+
+  it('quotes property names that are not identifiers', () => {
+    const schema = { type: 'object', required: ['content-type'] };
+    expect(validateSchema({}, schema).errors).toEqual([{ path: '$["content-type"]', message: 'is required' }]);
+  });
+
+  it('follows local $refs', () => {
+    const user = { id: 1, email: 'a@example.com', roles: ['user'], address: { zip: '123' } };
+    expect(validateSchema(user, userSchema).errors).toEqual([
+      { path: '$.address.city', message: 'is required' },
+      { path: '$.address.zip', message: 'must match pattern ^\\d{5}$' }
+    ]);
+  });
+
+  it('follows recursive $refs to the root', () => {
+    const tree = {
+      type: 'object',
+      properties: { value: { type: 'number' }, children: { type: 'array', items: { $ref: '#' } } }
+    };
+    expect(validateSchema({ value: 1, children: [{ value: 2, children: [{ value: 'x' }] }] }, tree).errors).toEqual([
+      { path: '$.children[0].children[0].value', message: 'expected number, got string' }
+    ]);
+  });
+
+  it('rejects remote and unresolvable $refs', () => {
+    expect(() => validateSchema({}, { $ref: 'https://example.com/user.json' }))
+      .toThrow('Only local $ref values are supported');
+    expect(() => validateSchema({}, { $ref: '#/$defs/missing' })).toThrow('Cannot resolve $ref #/$defs/missing');
+  });
+
+  it('checks array length, uniqueness and tuple items', () => {
+    const schema = { type: 'array', prefixItems: [{ type: 'string' }], maxItems: 3, uniqueItems: true };
+    expect(validateSchema([1, 2, 2, 4], schema).errors).toEqual([
+      { path: '$[0]', message: 'expected string, got integer' },
+      { path: '$', message: 'must have at most 3 items' },
+      { path: '$[2]', message: 'duplicates an earlier item' }
+    ]);
+  });
+
+  it('checks combinators', () => {
+    const schema = { oneOf: [{ type: 'integer' }, { type: 'number' }] };
+    expect(validateSchema(1, schema).errors).toEqual([
+      { path: '$', message: 'must match exactly one schema in oneOf (matched 2)' }
+    ]);
+    expect(validateSchema(1.5, schema).valid).toBe(true);
+    expect(validateSchema('a', { anyOf: [{ type: 'integer' }, { type: 'null' }] }).errors).toEqual([
+      { path: '$', message: 'must match at least one schema in anyOf' }
+    ]);
+  });
+});
+
+describe('matchesSchema', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('parses the response body and logs the first violations', () => {
+    const lines = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    const predicate = matchesSchema(userSchema, { endpoint: 'getUser', maxReported: 1 });
+
+    expect(predicate({ body: JSON.stringify({ id: 1, email: 'a@example.com', roles: ['user'] }) })).toBe(true);
+    expect(predicate({ body: JSON.stringify({ id: 1 }) })).toBe(false);
+    expect(lines.join('\n')).toContain('getUser');
+    expect(lines.join('\n')).toContain('$.email is required');
+    expect(lines.join('\n')).not.toContain('$.roles');
+  });
+
+  it('fails responses whose body is not JSON', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(matchesSchema({ type: 'object' })({ url: 'http://api.test/users', body: '<html>' })).toBe(false);
+  });
+
+  it('fails responses without a body instead of validating the response object', () => {
+    const lines = [];
+    jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+    const predicate = matchesSchema({ type: 'object' }, { endpoint: 'getUser' });
+
+    expect(predicate({ status: 200, body: null })).toBe(false);
+    expect(predicate({ status: 200, body: new ArrayBuffer(2) })).toBe(false);
+    expect(lines.join('\n')).toContain('response has no body');
+  });
+});
+
+describe('checkSchema', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('checks the response only when the endpoint has a schema', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(checkSchema({ body: null })).toBe(true);
+    expect(checkSchema({ body: '{"id":1}' }, { type: 'object' }, 'getUser')).toBe(true);
+    expect(checkSchema({ body: '[]' }, { type: 'object' }, 'getUser')).toBe(false);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Service level objectives and Apdex for k6 performance testing SDK
+ *
+ * Objectives such as "99% of requests under 300ms" are recorded per request as
+ * good/bad events in a k6 Rate (`slo_<name>`), and Apdex scores as 1, 0.5 or 0 in a
+ * Trend (`apdex_<name>`) whose average is the score. handleSummary() turns them
+ * into attainment, error budget and burn rate. Create the SLOs in the init context.
+ */
+
+import { defineMetric } from './metrics.js';
+
+const DEFAULT_SUMMARY_FILE = 'reports/slo-summary.json';
+
+/**
+ * Create a set of objectives
+ * @param {Object} options - SLO options
+ * @param {Array<Object>} [options.objectives] - Objectives: { name, target, latency, endpoint, success }
+ *   - target: share of good requests, e.g. 0.99
+ *   - latency: ms a request may take to count as good (omit for availability-only)
+ *   - endpoint: tag value (name, endpoint or gRPC method), RegExp or (tags) => boolean;
+ *     omit for a global objective
+ *   - success: (response) => boolean, replacing the default status check
+ * @param {Array<Object>|Object} [options.apdex] - Apdex definitions: { name, threshold, endpoint, minScore }
+ *   - threshold: T in ms; satisfied up to T, tolerating up to 4T
+ * @returns {Object} SLOs ({ record, middleware, thresholds, summarize, handleSummary })
+ */
+export function createSlos(options = {}) {
+  const objectives = (options.objectives || []).map(objective => {
+    validateObjective(objective);
+    return {
+      ...objective,
+      metricName: `slo_${toMetricName(objective.name)}`,
+      metric: defineMetric(`slo_${toMetricName(objective.name)}`, 'rate', { owner: 'slo' })
+    };
+  });
+
+  const apdexes = toList(options.apdex).map(apdex => {
+    if (!(apdex.threshold > 0)) {
+      throw new Error(`Apdex ${apdex.name || ''} needs a positive threshold (T) in ms`);
+    }
+    const name = toMetricName(apdex.name || 'global');
+    return {
+      ...apdex,
+      name: apdex.name || 'global',
+      metricName: `apdex_${name}`,
+      metric: defineMetric(`apdex_${name}`, 'trend', { owner: 'slo' })
+    };
+  });
+
+  /**
+   * Record a response against every matching objective and Apdex
+   * @param {Object} response - k6 HTTP or gRPC response
+   * @param {Object} [tags] - Request tags, matched against `endpoint`
+   * @param {number} [duration] - Latency in ms (defaults to response.timings.duration)
+   */
+  function record(response, tags = {}, duration = response.timings ? response.timings.duration : 0) {
+    const metricTags = pickTags(tags);
+
+    objectives
+      .filter(objective => matchesEndpoint(objective.endpoint, tags))
+      .forEach(objective => {
+        const succeeded = objective.success ? objective.success(response) : isSuccess(response);
+        const fastEnough = objective.latency === undefined || duration <= objective.latency;
+        objective.metric.add(succeeded && fastEnough, metricTags);
+      });
+
+    apdexes
+      .filter(apdex => matchesEndpoint(apdex.endpoint, tags))
+      .forEach(apdex => {
+        apdex.metric.add(apdexScore(apdex.threshold, duration, isSuccess(response)), metricTags);
+      });
+  }
+
+  return {
+    record,
+
+    // HTTP client middleware recording every response: http.use(slos.middleware())
+    middleware: () => ({
+      afterResponse: (response, request) => {
+        record(response, request.tags);
+        return response;
+      }
+    }),
+
+    /**
+     * Thresholds matching the objectives, for `options.thresholds`
+     * @param {Object} [thresholdOptions] - { abortOnFail } to stop the test when one is missed
+     * @returns {Object} Thresholds by metric name
+     */
+    thresholds: (thresholdOptions = {}) => {
+      const toThreshold = (expression) => (thresholdOptions.abortOnFail
+        ? { threshold: expression, abortOnFail: true }
+        : expression);
+      const result = {};
+
+      objectives.forEach(objective => {
+        result[objective.metricName] = [toThreshold(`rate>=${objective.target}`)];
+      });
+      apdexes.filter(apdex => apdex.minScore !== undefined).forEach(apdex => {
+        result[apdex.metricName] = [toThreshold(`avg>=${apdex.minScore}`)];
+      });
+
+      return result;
+    },
+
+    summarize: (data) => summarize(objectives, apdexes, data),
+
+    /**
+     * handleSummary() output: the SLO summary as JSON, with a table on the console.
+     * Use as `customHandler` of createHandleSummary, or merge into your own results.
+     * @param {Object} data - handleSummary data
+     * @param {Object} [summaryOptions] - { file } - output path
+     * @returns {Object} { [file]: JSON }
+     */
+    handleSummary: (data, summaryOptions = {}) => {
+      const summary = summarize(objectives, apdexes, data);
+      console.log(formatSloSummary(summary));
+      return { [summaryOptions.file || DEFAULT_SUMMARY_FILE]: JSON.stringify(summary, null, 2) };
+    }
+  };
+}
+
+/**
+ * Compute attainment, error budget and Apdex scores from handleSummary data
+ * @private
+ * @returns {Object} { objectives: [...], apdex: [...] }
+ */
+function summarize(objectives, apdexes, data) {
+  const metrics = (data && data.metrics) || {};
+
+  return {
+    objectives: objectives.map(({ name, target, latency, metricName }) => {
+      const values = (metrics[metricName] || {}).values || {};
+      const good = values.passes || 0;
+      const bad = values.fails || 0;
+      const total = good + bad;
+      const allowed = (1 - target) * total;
+
+      return {
+        name,
+        target,
+        ...(latency !== undefined && { latency }),
+        total,
+        good,
+        bad,
+        attained: total > 0 ? good / total : null,
+        met: total > 0 ? good / total >= target : null,
+        errorBudget: {
+          allowed: round(allowed),
+          consumed: allowed > 0 ? round(bad / allowed) : null,
+          remaining: round(allowed - bad),
+          // 1 spends the budget exactly over the run; above 1 the objective is missed
+          burnRate: total > 0 && target < 1 ? round((bad / total) / (1 - target)) : null
+        }
+      };
+    }),
+    apdex: apdexes.map(({ name, threshold, minScore, metricName }) => {
+      const values = (metrics[metricName] || {}).values || {};
+      // count is only there when summaryTrendStats includes it
+      const total = values.count ?? null;
+      const score = values.avg ?? null;
+
+      return {
+        name,
+        threshold,
+        total,
+        score,
+        rating: score === null ? null : apdexRating(score),
+        ...(minScore !== undefined && { minScore, met: score === null ? null : score >= minScore })
+      };
+    })
+  };
+}
+
+/**
+ * Format an SLO summary as a console table
+ * @param {Object} summary - Result of summarize()
+ * @returns {string} Text summary
+ */
+export function formatSloSummary(summary) {
+  const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+  const lines = ['🎯 Service level objectives'];
+
+  summary.objectives.forEach(objective => {
+    const status = objective.met === null ? '–' : (objective.met ? '✅' : '❌');
+    const latency = objective.latency !== undefined ? ` under ${objective.latency}ms` : '';
+    const burn = objective.errorBudget.burnRate === null ? 'n/a' : objective.errorBudget.burnRate.toFixed(2);
+    lines.push(`  ${status} ${objective.name}: ${percent(objective.attained)} of ${objective.total}${latency} ` +
+      `(target ${percent(objective.target)}, budget used ${percent(objective.errorBudget.consumed)}, burn rate ${burn})`);
+  });
+
+  summary.apdex.forEach(apdex => {
+    const score = apdex.score === null ? 'n/a' : `${apdex.score.toFixed(2)} (${apdex.rating})`;
+    const requests = apdex.total !== null ? ` over ${apdex.total} requests` : '';
+    lines.push(`  Apdex ${apdex.name} [T=${apdex.threshold}ms]: ${score}${requests}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Apdex contribution of one request: 1 satisfied, 0.5 tolerating, 0 frustrated;
+ * failed requests are frustrated whatever their latency
+ * @private
+ */
+function apdexScore(threshold, duration, succeeded) {
+  if (!succeeded) return 0;
+  if (duration <= threshold) return 1;
+  return duration <= threshold * 4 ? 0.5 : 0;
+}
+
+// Rating bands from the Apdex specification
+function apdexRating(score) {
+  if (score >= 0.94) return 'excellent';
+  if (score >= 0.85) return 'good';
+  if (score >= 0.7) return 'fair';
+  if (score >= 0.5) return 'poor';
+  return 'unacceptable';
+}
+
+/**
+ * Default success check: HTTP status below 400 (0 is a network error),
+ * gRPC status OK. HTTP responses are told apart by their `url`.
+ * @private
+ */
+function isSuccess(response) {
+  if (!response) return false;
+  if (response.url !== undefined) {
+    return response.status > 0 && response.status < 400;
+  }
+  return response.status === 0;
+}
+
+function matchesEndpoint(endpoint, tags) {
+  if (endpoint === undefined || endpoint === null) return true;
+  if (typeof endpoint === 'function') return Boolean(endpoint(tags));
+
+  const values = [tags.endpoint, tags.name, tags.fullMethod, tags.method].filter(Boolean);
+  if (endpoint instanceof RegExp) return values.some(value => endpoint.test(value));
+  return values.includes(endpoint);
+}
+
+// Keep per-request tags out of the SLO series; the name tag is bounded by routes
+function pickTags(tags) {
+  return tags.name ? { name: tags.name } : {};
+}
+
+function validateObjective(objective) {
+  if (!objective.name) {
+    throw new Error('SLO objectives need a name');
+  }
+  if (!(objective.target > 0 && objective.target <= 1)) {
+    throw new Error(`SLO ${objective.name} needs a target between 0 and 1, e.g. 0.99`);
+  }
+  if (objective.latency !== undefined && !(objective.latency > 0)) {
+    throw new Error(`SLO ${objective.name} needs a positive latency in ms`);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function toMetricName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+}
+
+function toList(value) {
+  if (!value) return [];
+  return Array.isArray(value) ? value : [value];
+}
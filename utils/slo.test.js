@@ -0,0 +1,186 @@
+/**
+ * Tests for SLOs and Apdex (createSlos, formatSloSummary).
+ */
+
+import { createSlos, formatSloSummary } from './slo.js';
+
+// Record every metric sample as { name, value, tags }
+jest.mock('k6/metrics', () => {
+  const samples = [];
+  const metric = function (name) {
+    return { add: (value, tags) => samples.push({ name, value, tags }) };
+  };
+  return { samples, Trend: metric, Rate: metric, Counter: metric, Gauge: metric };
+});
+
+const { samples } = jest.requireMock('k6/metrics');
+const recorded = (name) => samples.filter(sample => sample.name === name).map(sample => sample.value);
+
+const httpResponse = (status, duration) => ({ url: 'http://api.test/orders', status, timings: { duration } });
+
+// handleSummary data for a Rate and an Apdex Trend
+const summaryData = (metrics) => ({
+  metrics: Object.fromEntries(Object.entries(metrics).map(([name, values]) => [name, { values }]))
+});
+
+afterEach(() => {
+  samples.length = 0;
+  jest.restoreAllMocks();
+});
+
+describe('record', () => {
+  it('counts a request as good when it succeeds within the latency', () => {
+    const slos = createSlos({ objectives: [{ name: 'Checkout p99', target: 0.99, latency: 300 }] });
+
+    slos.record(httpResponse(200, 300), { name: '/checkout', trace_id: 'abc' });
+    slos.record(httpResponse(200, 301));
+    slos.record(httpResponse(503, 10));
+    slos.record(httpResponse(0, 10));
+
+    expect(recorded('slo_checkout_p99')).toEqual([true, false, false, false]);
+    expect(samples[0].tags).toEqual({ name: '/checkout' });
+  });
+
+  it('matches objectives by endpoint name, pattern or predicate', () => {
+    const slos = createSlos({
+      objectives: [
+        { name: 'orders', target: 0.9, endpoint: '/orders/{id}' },
+        { name: 'grpc', target: 0.9, endpoint: /^orders\.v1\./ },
+        { name: 'tagged', target: 0.9, endpoint: tags => tags.tier === 'gold' }
+      ]
+    });
+
+    slos.record(httpResponse(200, 5), { name: '/orders/{id}' });
+    slos.record({ status: 0 }, { fullMethod: 'orders.v1.Orders/Get' }, 5);
+    slos.record({ status: 14 }, { fullMethod: 'orders.v1.Orders/Get', tier: 'gold' }, 5);
+
+    expect(recorded('slo_orders')).toEqual([true]);
+    expect(recorded('slo_grpc')).toEqual([true, false]);
+    expect(recorded('slo_tagged')).toEqual([false]);
+  });
+
+  it('uses a custom success check', () => {
+    const slos = createSlos({ objectives: [{ name: 'found', target: 0.5, success: response => response.status === 404 }] });
+
+    slos.record(httpResponse(404, 5));
+    slos.record(httpResponse(200, 5));
+
+    expect(recorded('slo_found')).toEqual([true, false]);
+  });
+
+  it('scores Apdex as satisfied up to T, tolerating up to 4T and frustrated beyond or on failure', () => {
+    const slos = createSlos({ apdex: { threshold: 100 } });
+
+    [[200, 100], [200, 101], [200, 400], [200, 401], [500, 10]]
+      .forEach(([status, duration]) => slos.record(httpResponse(status, duration)));
+
+    expect(recorded('apdex_global')).toEqual([1, 0.5, 0.5, 0, 0]);
+  });
+
+  it('records responses passing through the HTTP middleware', () => {
+    const slos = createSlos({ objectives: [{ name: 'all', target: 0.99 }] });
+    const response = httpResponse(200, 5);
+
+    expect(slos.middleware().afterResponse(response, { tags: { name: '/ok' } })).toBe(response);
+    expect(samples).toEqual([{ name: 'slo_all', value: true, tags: { name: '/ok' } }]);
+  });
+
+  it('rejects incomplete objectives and Apdex definitions', () => {
+    expect(() => createSlos({ objectives: [{ target: 0.9 }] })).toThrow('SLO objectives need a name');
+    expect(() => createSlos({ objectives: [{ name: 'x', target: 99 }] })).toThrow('SLO x needs a target between 0 and 1, e.g. 0.99');
+    expect(() => createSlos({ objectives: [{ name: 'x', target: 0.9, latency: 0 }] })).toThrow('SLO x needs a positive latency in ms');
+    expect(() => createSlos({ apdex: { name: 'api' } })).toThrow('Apdex api needs a positive threshold (T) in ms');
+  });
+});
+
+describe('summarize', () => {
+  const slos = createSlos({
+    objectives: [
+      { name: 'exact', target: 0.99, latency: 300 },
+      { name: 'missed', target: 0.99 },
+      { name: 'perfect', target: 1 },
+      { name: 'idle', target: 0.9 }
+    ],
+    apdex: [
+      { name: 'excellent', threshold: 100, minScore: 0.9 },
+      { name: 'good', threshold: 100, minScore: 0.9 },
+      { name: 'fair', threshold: 100 },
+      { name: 'poor', threshold: 100 },
+      { name: 'unacceptable', threshold: 100 },
+      { name: 'idle', threshold: 100, minScore: 0.5 }
+    ]
+  });
+
+  const data = summaryData({
+    slo_exact: { rate: 0.99, passes: 990, fails: 10 },
+    slo_missed: { rate: 0.95, passes: 95, fails: 5 },
+    slo_perfect: { rate: 1, passes: 50, fails: 0 },
+    apdex_excellent: { avg: 0.94, count: 20 },
+    apdex_good: { avg: 0.85, count: 20 },
+    apdex_fair: { avg: 0.7 },
+    apdex_poor: { avg: 0.5 },
+    apdex_unacceptable: { avg: 0.49 }
+  });
+
+  it('computes attainment, error budget and burn rate', () => {
+    const [exact, missed, perfect, idle] = slos.summarize(data).objectives;
+
+    // 1% of 1000 requests may fail: 10 failures spend the budget exactly
+    expect(exact).toEqual({
+      name: 'exact', target: 0.99, latency: 300, total: 1000, good: 990, bad: 10,
+      attained: 0.99, met: true,
+      errorBudget: { allowed: 10, consumed: 1, remaining: 0, burnRate: 1 }
+    });
+    // 5 failures against a budget of 1: five times over, burning 5x faster than allowed
+    expect(missed).toMatchObject({ attained: 0.95, met: false, errorBudget: { allowed: 1, consumed: 5, remaining: -4, burnRate: 5 } });
+    expect(perfect).toMatchObject({ met: true, errorBudget: { allowed: 0, consumed: null, remaining: 0, burnRate: null } });
+    expect(idle).toMatchObject({ total: 0, attained: null, met: null, errorBudget: { consumed: null, burnRate: null } });
+  });
+
+  it('rates Apdex scores by the specification bands', () => {
+    expect(slos.summarize(data).apdex).toEqual([
+      { name: 'excellent', threshold: 100, total: 20, score: 0.94, rating: 'excellent', minScore: 0.9, met: true },
+      { name: 'good', threshold: 100, total: 20, score: 0.85, rating: 'good', minScore: 0.9, met: false },
+      { name: 'fair', threshold: 100, total: null, score: 0.7, rating: 'fair' },
+      { name: 'poor', threshold: 100, total: null, score: 0.5, rating: 'poor' },
+      { name: 'unacceptable', threshold: 100, total: null, score: 0.49, rating: 'unacceptable' },
+      { name: 'idle', threshold: 100, total: null, score: null, rating: null, minScore: 0.5, met: null }
+    ]);
+  });
+
+  it('writes the summary file and prints a table', () => {
+    const lines = [];
+    jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+
+    const output = slos.handleSummary(data, { file: 'out/slo.json' });
+
+    expect(JSON.parse(output['out/slo.json'])).toEqual(slos.summarize(data));
+    expect(lines[0]).toBe(formatSloSummary(slos.summarize(data)));
+    expect(lines[0]).toContain('✅ exact: 99.00% of 1000 under 300ms (target 99.00%, budget used 100.00%, burn rate 1.00)');
+    expect(lines[0]).toContain('❌ missed: 95.00% of 100 (target 99.00%, budget used 500.00%, burn rate 5.00)');
+    expect(lines[0]).toContain('– idle: n/a of 0 (target 90.00%, budget used n/a, burn rate n/a)');
+    expect(lines[0]).toContain('Apdex good [T=100ms]: 0.85 (good) over 20 requests');
+    expect(Object.keys(createSlos().handleSummary({}))).toEqual(['reports/slo-summary.json']);
+  });
+});
+
+describe('thresholds', () => {
+  const slos = createSlos({
+    objectives: [{ name: 'checkout', target: 0.995, latency: 500 }],
+    apdex: [{ name: 'api', threshold: 200, minScore: 0.85 }, { name: 'reporting', threshold: 1000 }]
+  });
+
+  it('builds one threshold per objective and per Apdex with a minimum score', () => {
+    expect(slos.thresholds()).toEqual({
+      slo_checkout: ['rate>=0.995'],
+      apdex_api: ['avg>=0.85']
+    });
+  });
+
+  it('can abort the test when an objective is missed', () => {
+    expect(slos.thresholds({ abortOnFail: true })).toEqual({
+      slo_checkout: [{ threshold: 'rate>=0.995', abortOnFail: true }],
+      apdex_api: [{ threshold: 'avg>=0.85', abortOnFail: true }]
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Trace context propagation for k6 performance testing SDK
+ *
+ * The HTTP and gRPC clients send W3C Trace Context (`traceparent`, `tracestate`)
+ * and/or B3 headers, so the requests of a test show up in the tracing backend.
+ * Each request starts a new trace, sampled with probability `sampleRate`, and each
+ * attempt of the request a new span of it. Sampled requests that are slow or fail
+ * are outliers: their trace IDs are logged and counted in `trace_outliers`, so they
+ * can be looked up in the backend.
+ *
+ * handleSummary() only gets aggregated metrics, so the summary reports outlier
+ * counts; the IDs themselves are in the logs. They are not metric tags, where each
+ * ID would be a series of its own.
+ */
+
+import { defineMetric } from './metrics.js';
+
+const PROPAGATIONS = ['w3c', 'b3', 'b3-multi'];
+const OUTLIER_REASONS = ['slow', 'failed'];
+
+// Outlier requests by reason
+const outlierCounter = defineMetric('trace_outliers', 'counter', { owner: 'trace' });
+
+/**
+ * Create a tracer
+ * @param {Object} [options] - Tracer options
+ * @param {string|Array<string>} [options.propagation='w3c'] - w3c, b3 (single header),
+ *   b3-multi (X-B3-* headers), or a list to send several formats
+ * @param {number} [options.sampleRate=1] - Share of traces flagged as sampled, 0 to 1
+ * @param {string} [options.tracestate] - Vendor `tracestate` sent with W3C headers
+ * @param {number} [options.slowThreshold] - Duration in ms above which a request is an outlier;
+ *   without it only failed requests are
+ * @returns {Object} Tracer ({ inject, nextSpan, record, thresholds, summarize })
+ */
+export function createTracer(options = {}) {
+  const {
+    propagation = 'w3c',
+    sampleRate = 1,
+    tracestate = null,
+    slowThreshold = null
+  } = options;
+  const formats = Array.isArray(propagation) ? propagation : [propagation];
+
+  formats.forEach(format => {
+    if (!PROPAGATIONS.includes(format)) {
+      throw new Error(`Unsupported trace propagation: ${format} (use ${PROPAGATIONS.join(', ')})`);
+    }
+  });
+  if (!(sampleRate >= 0 && sampleRate <= 1)) {
+    throw new Error(`Trace sample rate must be between 0 and 1, got ${sampleRate}`);
+  }
+
+  /**
+   * Start a trace and add its headers; headers the caller already set are kept,
+   * and an existing `traceparent` is reused rather than replaced
+   * @param {Object} headers - HTTP headers or gRPC metadata, modified in place
+   * @returns {Object} Trace context { traceId, spanId, sampled }
+   */
+  function inject(headers) {
+    const existing = parseTraceparent(findHeader(headers, 'traceparent'));
+    if (existing) return existing;
+
+    const trace = {
+      traceId: randomHex(32),
+      spanId: randomHex(16),
+      sampled: Math.random() < sampleRate
+    };
+
+    const values = traceHeaders(trace, formats);
+    if (tracestate && formats.includes('w3c')) values.tracestate = tracestate;
+    Object.keys(values).forEach(name => {
+      if (findHeader(headers, name) === undefined) headers[name] = values[name];
+    });
+
+    return trace;
+  }
+
+  /**
+   * Start the span of a retry: same trace, a new span ID in the trace headers sent,
+   * whether inject() or the caller set them
+   * @param {Object} trace - Trace context of the previous attempt
+   * @param {Object} headers - Headers sent with the previous attempt, modified in place
+   * @returns {Object} Trace context of the new attempt
+   */
+  function nextSpan(trace, headers) {
+    const next = { ...trace, spanId: randomHex(16) };
+    const values = traceHeaders(next, PROPAGATIONS);
+    Object.keys(headers).forEach(key => {
+      const name = key.toLowerCase();
+      if (values[name] !== undefined) headers[key] = values[name];
+    });
+    return next;
+  }
+
+  /**
+   * Check a finished request for a slow or failed outcome and count sampled outliers
+   * @param {Object} trace - Trace context returned by inject()
+   * @param {Object} outcome - { duration, failed, tags }
+   * @returns {Object|null} Outlier { traceId, spanId, reason, duration } to log, or null
+   */
+  function record(trace, outcome) {
+    if (!trace || !trace.sampled) return null;
+
+    const { duration = 0, failed = false, tags = {} } = outcome;
+    const slow = slowThreshold !== null && duration > slowThreshold;
+    if (!failed && !slow) return null;
+
+    const reason = failed ? 'failed' : 'slow';
+    outlierCounter.add(1, { reason, ...(tags.name && { name: tags.name }) });
+
+    return { traceId: trace.traceId, spanId: trace.spanId, reason, duration };
+  }
+
+  return {
+    propagation: formats,
+    sampleRate,
+    slowThreshold,
+    inject,
+    nextSpan,
+    record,
+
+    // Thresholds that never fail but make the per-reason counts part of the summary
+    thresholds: () => Object.fromEntries(OUTLIER_REASONS.map(reason => [
+      `trace_outliers{reason:${reason}}`, ['count>=0']
+    ])),
+
+    /**
+     * Outlier counts for handleSummary(); per-reason counts need thresholds()
+     * @param {Object} data - handleSummary data
+     * @returns {Object} { total, slow, failed, slowThreshold, sampleRate }
+     */
+    summarize: (data) => {
+      const metrics = (data && data.metrics) || {};
+      const count = (name) => ((metrics[name] || {}).values || {}).count || 0;
+
+      return {
+        total: count('trace_outliers'),
+        slow: count('trace_outliers{reason:slow}'),
+        failed: count('trace_outliers{reason:failed}'),
+        slowThreshold,
+        sampleRate
+      };
+    }
+  };
+}
+
+/**
+ * Resolve a client's `tracing` option into a tracer
+ * @param {Object|boolean|null} option - Tracer options, true for defaults, or a tracer to share
+ * @returns {Object|null} Tracer, or null when tracing is off
+ */
+export function resolveTracer(option) {
+  if (!option) return null;
+  if (typeof option.inject === 'function') return option;
+  return createTracer(option === true ? {} : option);
+}
+
+/**
+ * Log fields of a trace (see utils/logger.js)
+ * @param {Object|null} trace - Trace context
+ * @returns {Object} { trace_id }, or {} without a trace
+ */
+export function traceLogFields(trace) {
+  return trace ? { trace_id: trace.traceId } : {};
+}
+
+/**
+ * Parse a `traceparent` header
+ * @param {string} [header] - Header value
+ * @returns {Object|null} { traceId, spanId, sampled }, or null when absent or malformed
+ */
+export function parseTraceparent(header) {
+  const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(header || '').trim());
+  if (!match) return null;
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+}
+
+// Trace headers of the given formats, by lowercase name
+function traceHeaders(trace, formats) {
+  const flag = trace.sampled ? '1' : '0';
+  const values = {};
+
+  formats.forEach(format => {
+    if (format === 'w3c') {
+      values.traceparent = `00-${trace.traceId}-${trace.spanId}-0${flag}`;
+    } else if (format === 'b3') {
+      values.b3 = `${trace.traceId}-${trace.spanId}-${flag}`;
+    } else {
+      values['x-b3-traceid'] = trace.traceId;
+      values['x-b3-spanid'] = trace.spanId;
+      values['x-b3-sampled'] = flag;
+    }
+  });
+
+  return values;
+}
+
+// Header names are case-insensitive
+function findHeader(headers, name) {
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+// Random lowercase hex; all-zero IDs are invalid, so those are drawn again
+function randomHex(length) {
+  let id = '';
+  for (let i = 0; i < length; i++) {
+    id += Math.floor(Math.random() * 16).toString(16);
+  }
+  return /^0+$/.test(id) ? randomHex(length) : id;
+}
+
+export { PROPAGATIONS as tracePropagations };
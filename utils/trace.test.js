@@ -0,0 +1,190 @@
+/**
+ * Tests for trace context propagation (createTracer, resolveTracer, parseTraceparent),
+ * including the new span of each retry (nextSpan).
+ */
+
+import { createTracer, resolveTracer, parseTraceparent, traceLogFields } from './trace.js';
+
+// Record every metric sample as { name, value, tags }
+jest.mock('k6/metrics', () => {
+  const samples = [];
+  const metric = function (name) {
+    return { add: (value, tags) => samples.push({ name, value, tags }) };
+  };
+  return { samples, Trend: metric, Rate: metric, Counter: metric, Gauge: metric };
+});
+
+const { samples } = jest.requireMock('k6/metrics');
+
+afterEach(() => {
+  samples.length = 0;
+  jest.restoreAllMocks();
+});
+
+describe('inject', () => {
+  it('adds W3C headers with the vendor tracestate', () => {
+    const headers = {};
+    const trace = createTracer({ tracestate: 'k6=test' }).inject(headers);
+
+    expect(trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(trace.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(headers).toEqual({ traceparent: `00-${trace.traceId}-${trace.spanId}-01`, tracestate: 'k6=test' });
+    expect(parseTraceparent(headers.traceparent)).toEqual(trace);
+  });
+
+  it('adds single and multi-header B3 for the same trace', () => {
+    const headers = {};
+    const trace = createTracer({ propagation: ['b3', 'b3-multi'] }).inject(headers);
+
+    expect(headers).toEqual({
+      b3: `${trace.traceId}-${trace.spanId}-1`,
+      'x-b3-traceid': trace.traceId,
+      'x-b3-spanid': trace.spanId,
+      'x-b3-sampled': '1'
+    });
+  });
+
+  it('flags traces as sampled with the sample rate', () => {
+    const tracer = createTracer({ sampleRate: 0.25, propagation: 'b3' });
+    const headers = {};
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+    expect(tracer.inject(headers).sampled).toBe(false);
+    expect(headers.b3).toMatch(/-0$/);
+  });
+
+  it('reuses a traceparent the caller set and keeps their other headers', () => {
+    const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00';
+    const headers = { Traceparent: traceparent };
+
+    expect(createTracer().inject(headers)).toEqual({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: false
+    });
+    expect(headers).toEqual({ Traceparent: traceparent });
+
+    const b3Headers = { B3: 'custom' };
+    createTracer({ propagation: 'b3' }).inject(b3Headers);
+    expect(b3Headers).toEqual({ B3: 'custom' });
+  });
+});
+
+describe('nextSpan', () => {
+  it('gives a retry a new span ID in the headers of the same trace', () => {
+    const tracer = createTracer({ propagation: ['w3c', 'b3', 'b3-multi'], tracestate: 'k6=test' });
+    const headers = { Accept: 'application/json' };
+    const trace = tracer.inject(headers);
+
+    const retry = tracer.nextSpan(trace, headers);
+
+    expect(retry).toEqual({ ...trace, spanId: expect.not.stringMatching(trace.spanId) });
+    expect(retry.spanId).toMatch(/^[0-9a-f]{16}$/);
+    expect(headers).toEqual({
+      Accept: 'application/json',
+      traceparent: `00-${trace.traceId}-${retry.spanId}-01`,
+      tracestate: 'k6=test',
+      b3: `${trace.traceId}-${retry.spanId}-1`,
+      'x-b3-traceid': trace.traceId,
+      'x-b3-spanid': retry.spanId,
+      'x-b3-sampled': '1'
+    });
+  });
+
+  it('updates a traceparent the caller set, under their header name', () => {
+    const headers = { Traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' };
+    const tracer = createTracer({ propagation: 'b3' });
+
+    const retry = tracer.nextSpan(tracer.inject(headers), headers);
+
+    expect(headers).toEqual({ Traceparent: `00-4bf92f3577b34da6a3ce929d0e0e4736-${retry.spanId}-01` });
+    expect(retry.spanId).not.toBe('00f067aa0ba902b7');
+  });
+});
+
+describe('record', () => {
+  it('reports sampled slow or failed requests as outliers', () => {
+    const tracer = createTracer({ propagation: 'b3-multi', slowThreshold: 100 });
+    const headers = {};
+    const trace = tracer.inject(headers);
+
+    expect(headers['x-b3-traceid']).toBe(trace.traceId);
+    expect(tracer.record(trace, { duration: 50 })).toBeNull();
+    expect(tracer.record(trace, { duration: 150 })).toMatchObject({ reason: 'slow', traceId: trace.traceId });
+    expect(tracer.record(trace, { duration: 0, failed: true })).toMatchObject({ reason: 'failed' });
+    expect(tracer.record({ ...trace, sampled: false }, { failed: true })).toBeNull();
+    expect(tracer.record(null, { failed: true })).toBeNull();
+  });
+
+  it('only treats failures as outliers without a slow threshold', () => {
+    const tracer = createTracer();
+    const trace = tracer.inject({});
+
+    expect(tracer.record(trace, { duration: 60000 })).toBeNull();
+    expect(tracer.record(trace, { duration: 5, failed: true })).toEqual({
+      traceId: trace.traceId, spanId: trace.spanId, reason: 'failed', duration: 5
+    });
+  });
+
+  it('counts outliers by reason and name, without their trace ID', () => {
+    const tracer = createTracer();
+    const trace = tracer.inject({});
+
+    tracer.record(trace, { failed: true, tags: { name: '/orders/{id}', trace_id: 'ignored' } });
+    tracer.record(trace, { failed: true });
+
+    expect(samples).toEqual([
+      { name: 'trace_outliers', value: 1, tags: { reason: 'failed', name: '/orders/{id}' } },
+      { name: 'trace_outliers', value: 1, tags: { reason: 'failed' } }
+    ]);
+  });
+});
+
+describe('summary', () => {
+  it('defines per-reason thresholds and reads their counts back', () => {
+    const tracer = createTracer({ slowThreshold: 500, sampleRate: 0.1 });
+
+    expect(tracer.thresholds()).toEqual({
+      'trace_outliers{reason:slow}': ['count>=0'],
+      'trace_outliers{reason:failed}': ['count>=0']
+    });
+    expect(tracer.summarize({
+      metrics: {
+        trace_outliers: { values: { count: 7 } },
+        'trace_outliers{reason:slow}': { values: { count: 4 } },
+        'trace_outliers{reason:failed}': { values: { count: 3 } }
+      }
+    })).toEqual({ total: 7, slow: 4, failed: 3, slowThreshold: 500, sampleRate: 0.1 });
+    expect(tracer.summarize({})).toMatchObject({ total: 0, slow: 0, failed: 0 });
+  });
+});
+
+describe('helpers', () => {
+  it('resolves the tracing option of a client', () => {
+    const tracer = createTracer();
+
+    expect(resolveTracer(null)).toBeNull();
+    expect(resolveTracer(false)).toBeNull();
+    expect(resolveTracer(tracer)).toBe(tracer);
+    expect(resolveTracer(true).propagation).toEqual(['w3c']);
+    expect(resolveTracer({ propagation: 'b3' }).propagation).toEqual(['b3']);
+  });
+
+  it('rejects unknown propagation formats and sample rates', () => {
+    expect(() => createTracer({ propagation: 'jaeger' }))
+      .toThrow('Unsupported trace propagation: jaeger (use w3c, b3, b3-multi)');
+    expect(() => createTracer({ sampleRate: 2 })).toThrow('Trace sample rate must be between 0 and 1, got 2');
+  });
+
+  it('parses traceparent headers and rejects malformed ones', () => {
+    expect(parseTraceparent(' 00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-03 ')).toEqual({
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: true
+    });
+    expect(parseTraceparent('00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('00-4bf92f35-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent(undefined)).toBeNull();
+  });
+
+  it('builds log fields from a trace', () => {
+    expect(traceLogFields({ traceId: 'abc' })).toEqual({ trace_id: 'abc' });
+    expect(traceLogFields(null)).toEqual({});
+  });
+});
@@ -0,0 +1,249 @@
+import ws from 'k6/ws';
+import { check, fail } from 'k6';
+import { logConnect, logConnectResult, logMessage, logExpectTimeout, logClose, logError } from './logger.js';
+import { trackConnect, trackMessage, trackExpectation, trackClose, trackError, normalCloseCodes } from './metrics.js';
+import { normalizePath } from '../http/routes.js';
+
+const DEFAULT_URL = 'ws://localhost:8080';
+const DEFAULT_EXPECT_TIMEOUT = 5000;
+// Check name and `message` tag of expectations without options.name; matchers are not
+// used, as object and string matchers would make one tag value per distinct message
+const ANONYMOUS_EXPECTATION = 'anonymous';
+
+/**
+ * Create a WebSocket client
+ *
+ * Sessions run inside k6/ws's event loop: connect() returns once the socket is
+ * closed, by the handler, a close frame or the `duration` limit.
+ */
+export function createWsClient(options = {}) {
+    const {
+        url = DEFAULT_URL,
+        defaultHeaders = {},
+        token = null,
+        tags = {},
+        connectParams = {},
+        expectTimeout = DEFAULT_EXPECT_TIMEOUT,
+        normalCodes = normalCloseCodes
+    } = options;
+
+    let authToken = token;
+
+    /**
+     * Open a session and run handler(session) once the socket is open
+     * @param {string} path - Path appended to url, or an absolute ws(s):// URL
+     * @param {Function} handler - Receives the session (send, request, expect, on, close, ...)
+     * @param {Object} [params] - headers, tags, duration (ms before the session is closed)
+     * @returns {Object} k6/ws response, with `session` stats ({ sent, received, duration, code })
+     */
+    function connect(path, handler, params = {}) {
+        const target = /^wss?:\/\//.test(path) ? path : `${url}${path}`;
+        const headers = { ...defaultHeaders, ...params.headers };
+        if (authToken && !headers.Authorization) {
+            headers.Authorization = `Bearer ${authToken}`;
+        }
+
+        const requestTags = {
+            ...tags,
+            ...params.tags,
+            name: normalizePath(target),
+            target: url
+        };
+
+        const stats = { sent: 0, received: 0, duration: 0, code: undefined };
+        const start = Date.now();
+        let openedAt = null;
+
+        logConnect(target, headers);
+
+        let response;
+        try {
+            response = ws.connect(target, { ...connectParams, headers, tags: requestTags }, (socket) => {
+                socket.on('open', () => {
+                    openedAt = Date.now();
+                    const session = createSession(socket, target, requestTags, stats, expectTimeout);
+
+                    if (params.duration) {
+                        socket.setTimeout(() => socket.close(), params.duration);
+                    }
+
+                    handler(session);
+                });
+
+                socket.on('close', (code) => {
+                    stats.code = code;
+                });
+
+                socket.on('error', (error) => {
+                    logError(target, error);
+                    trackError(requestTags);
+                });
+            });
+        } catch (error) {
+            fail(`WebSocket connect failed: ${error.message}`);
+            throw error;
+        }
+
+        const connectTime = openedAt !== null ? openedAt - start : null;
+        logConnectResult(target, response, connectTime);
+        trackConnect(response, connectTime, requestTags);
+
+        if (openedAt !== null) {
+            stats.duration = Date.now() - openedAt;
+            const abnormal = stats.code !== undefined && stats.code !== null && !normalCodes.includes(stats.code);
+            logClose(target, stats.code, abnormal);
+            trackClose(stats, requestTags, normalCodes);
+        }
+
+        response.session = stats;
+        return response;
+    }
+
+    return {
+        connect,
+        setToken: (newToken) => { authToken = newToken; },
+        addDefaultHeaders: (headers) => Object.assign(defaultHeaders, headers),
+        getConfig: () => ({
+            url,
+            defaultHeaders: { ...defaultHeaders },
+            token: authToken, tags: { ...tags },
+            expectTimeout
+        })
+    };
+}
+
+/**
+ * Wrap an open k6/ws socket with message helpers
+ * @private
+ */
+function createSession(socket, target, tags, stats, defaultTimeout) {
+    const listeners = { message: [], close: [], error: [], ping: [], pong: [] };
+    const pending = [];
+
+    socket.on('message', (raw) => {
+        stats.received++;
+        trackMessage('received', tags);
+        logMessage('received', target, raw);
+
+        const message = parseMessage(raw);
+
+        // The oldest waiting expectation that matches takes the message
+        const expectation = pending.find(item => !item.done && matches(item.match, message));
+        if (expectation) {
+            settle(expectation, true, message);
+        }
+
+        listeners.message.forEach(listener => listener(message, raw));
+    });
+
+    ['close', 'error', 'ping', 'pong'].forEach(event => {
+        socket.on(event, (...args) => listeners[event].forEach(listener => listener(...args)));
+    });
+
+    function send(message) {
+        const data = typeof message === 'string' ? message : JSON.stringify(message);
+        socket.send(data);
+        stats.sent++;
+        trackMessage('sent', tags);
+        logMessage('sent', target, data);
+    }
+
+    /**
+     * Wait for a message; onMessage(message) runs when it arrives, options.onTimeout() if it does not.
+     * options.name, a short fixed label, names the check and tags the metrics.
+     */
+    function expect(match, onMessage, options = {}, sentAt = null) {
+        const timeout = options.timeout ?? defaultTimeout;
+        const expectation = {
+            match,
+            onMessage,
+            name: options.name || ANONYMOUS_EXPECTATION,
+            sentAt,
+            done: false,
+            onTimeout: options.onTimeout
+        };
+        pending.push(expectation);
+
+        socket.setTimeout(() => {
+            if (!expectation.done) {
+                logExpectTimeout(target, options.name || describeMatch(match), timeout);
+                settle(expectation, false, null);
+            }
+        }, timeout);
+    }
+
+    function settle(expectation, matched, message) {
+        expectation.done = true;
+        pending.splice(pending.indexOf(expectation), 1);
+
+        const roundTrip = matched && expectation.sentAt !== null ? Date.now() - expectation.sentAt : null;
+        const expectTags = { ...tags, message: expectation.name };
+        trackExpectation(matched, roundTrip, expectTags);
+        check(message, { [`ws ${expectation.name}`]: () => matched }, expectTags);
+
+        if (matched && expectation.onMessage) {
+            expectation.onMessage(message);
+        } else if (!matched && expectation.onTimeout) {
+            expectation.onTimeout();
+        }
+    }
+
+    return {
+        send,
+        expect: (match, onMessage, options) => expect(match, onMessage, options),
+        // Send a message and wait for its reply; the wait is the round-trip latency
+        request: (message, match, onReply, options) => {
+            const sentAt = Date.now();
+            send(message);
+            expect(match, onReply, options, sentAt);
+        },
+        on: (event, listener) => {
+            if (!listeners[event]) throw new Error(`Unsupported WebSocket event: ${event}`);
+            listeners[event].push(listener);
+        },
+        close: (code) => socket.close(code),
+        ping: () => socket.ping(),
+        setTimeout: (fn, ms) => socket.setTimeout(fn, ms),
+        setInterval: (fn, ms) => socket.setInterval(fn, ms),
+        stats: () => ({ ...stats })
+    };
+}
+
+/**
+ * Parse JSON messages; other payloads are returned as received
+ * @private
+ */
+function parseMessage(raw) {
+    if (typeof raw !== 'string') return raw;
+
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return raw;
+    }
+}
+
+/**
+ * Match a message against a predicate, an exact string, or an object whose
+ * fields must all be present with equal values
+ * @private
+ */
+function matches(match, message) {
+    if (typeof match === 'function') return Boolean(match(message));
+    if (match instanceof RegExp) return typeof message === 'string' && match.test(message);
+    if (match && typeof match === 'object') return isSubset(match, message);
+    return message === match;
+}
+
+function isSubset(expected, actual) {
+    if (expected === actual) return true;
+    if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object') return false;
+
+    return Object.keys(expected).every(key => isSubset(expected[key], actual[key]));
+}
+
+function describeMatch(match) {
+    if (typeof match === 'function') return match.name || 'message';
+    if (match instanceof RegExp) return String(match);
+    return typeof match === 'string' ? match : JSON.stringify(match);
+}
@@ -0,0 +1,103 @@
+/**
+ * WebSocket connection and message logging for k6 performance testing SDK
+ */
+
+import { createLogger, setLogLevel as setModuleLogLevel, formatValue, logLevels as LOG_LEVELS } from '../utils/logger.js';
+import { redactValue } from '../utils/redact.js';
+
+// Level from LOG_LEVEL_WS or LOG_LEVEL, format from LOG_FORMAT (see utils/logger.js)
+const logger = createLogger('ws');
+
+/**
+ * Log a connection attempt
+ */
+export function logConnect(url, headers) {
+    if (!logger.enabled('DEBUG')) return;
+
+    const hasHeaders = headers && Object.keys(headers).length > 0;
+    logger.log('DEBUG', '➡️', `WS ${url}`, { event: 'connect', url },
+        logger.enabled('TRACE') && hasHeaders ? [['Request Headers', 'headers', headers]] : []);
+}
+
+/**
+ * Log the result of a connection attempt
+ */
+export function logConnectResult(url, response, connectTime) {
+    const status = response ? response.status : 0;
+    const duration = connectTime !== null ? ` (${connectTime.toFixed(2)}ms)` : '';
+    const fields = { event: 'connect_result', url, status, duration: connectTime };
+
+    if (status !== 101) {
+        logger.log('ERROR', '❌', `WS status=${status} ${url}${duration}`, fields,
+            logger.enabled('ERROR', {}, true) && response ? [['WS Error', 'error', response.error || null]] : []);
+        return;
+    }
+
+    if (logger.enabled('DEBUG')) {
+        logger.log('DEBUG', '✅', `WS open ${url}${duration}`, fields);
+    }
+}
+
+/**
+ * Log a sent or received message
+ */
+export function logMessage(direction, url, message) {
+    if (!logger.enabled('TRACE')) return;
+
+    logger.log('TRACE', direction === 'sent' ? '⬆️' : '⬇️', `WS ${url}: ${formatValue(redactValue(message))}`, {
+        event: 'message', direction, url
+    });
+}
+
+/**
+ * Log an expectation that timed out
+ */
+export function logExpectTimeout(url, name, timeout) {
+    if (!logger.enabled('WARN')) return;
+
+    logger.log('WARN', '⏱️', `WS ${url}: no message matching "${name}" within ${timeout}ms`, {
+        event: 'expect_timeout', url, expectation: name, timeout
+    });
+}
+
+/**
+ * Log the end of a session; abnormal close codes are always logged as errors
+ */
+export function logClose(url, code, abnormal) {
+    const fields = { event: 'close', url, code };
+
+    if (abnormal) {
+        logger.log('ERROR', '❌', `WS closed abnormally code=${code} ${url}`, fields);
+        return;
+    }
+
+    if (logger.enabled('DEBUG')) {
+        logger.log('DEBUG', '🔌', `WS closed${code !== undefined ? ` code=${code}` : ''} ${url}`, fields);
+    }
+}
+
+/**
+ * Log a socket error
+ */
+export function logError(url, error) {
+    if (!logger.enabled('ERROR', {}, true)) return;
+
+    const message = error && typeof error.error === 'function' ? error.error() : String(error);
+    logger.log('ERROR', '❌', `WS error ${url}: ${message}`, { event: 'error', url });
+}
+
+/**
+ * Set the log level of WebSocket logging
+ */
+export function setLogLevel(level) {
+    setModuleLogLevel(level, 'ws');
+}
+
+/**
+ * Get the current log level
+ */
+export function getCurrentLogLevel() {
+    return logger.level();
+}
+
+export const logLevels = LOG_LEVELS;
@@ -0,0 +1,91 @@
+import { defineMetric } from '../utils/metrics.js';
+
+// Close codes that end a session normally (RFC 6455: normal closure, going away)
+const NORMAL_CLOSE_CODES = [1000, 1001];
+
+const OWNER = { owner: 'ws' };
+const TIME = { owner: 'ws', isTime: true };
+
+// Core WebSocket metrics
+const coreMetrics = {
+    wsConnectTime: defineMetric('ws_connect_time', 'trend', TIME),
+    wsConnectFailed: defineMetric('ws_connect_failed', 'rate', OWNER),
+    wsSessionDuration: defineMetric('ws_session_duration', 'trend', TIME),
+    wsMessageRtt: defineMetric('ws_message_rtt', 'trend', TIME),
+    wsMessagesSent: defineMetric('ws_messages_sent', 'counter', OWNER),
+    wsMessagesReceived: defineMetric('ws_messages_received', 'counter', OWNER),
+    wsMessagesPerSecond: defineMetric('ws_messages_per_second', 'trend', OWNER),
+    wsExpectSuccess: defineMetric('ws_expect_success', 'rate', OWNER),
+    wsAbnormalClose: defineMetric('ws_abnormal_close', 'counter', OWNER),
+    wsErrors: defineMetric('ws_errors', 'counter', OWNER)
+};
+
+/**
+ * Track the outcome of a connection attempt
+ * @param {Object} response - k6/ws connect response
+ * @param {number|null} connectTime - Milliseconds until the socket opened, null if it never did
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackConnect(response, connectTime, tags = {}) {
+    const failed = !response || response.status !== 101;
+    coreMetrics.wsConnectFailed.add(failed, tags);
+
+    if (connectTime !== null) {
+        coreMetrics.wsConnectTime.add(connectTime, tags);
+    }
+}
+
+/**
+ * Track a sent or received message
+ * @param {string} direction - 'sent' or 'received'
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackMessage(direction, tags = {}) {
+    const metric = direction === 'sent' ? coreMetrics.wsMessagesSent : coreMetrics.wsMessagesReceived;
+    metric.add(1, tags);
+}
+
+/**
+ * Track an expectation: matched (with round-trip latency when it answered a sent message) or timed out
+ * @param {boolean} matched - Whether a matching message arrived in time
+ * @param {number|null} roundTrip - Milliseconds from send to reply, null when not a request
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackExpectation(matched, roundTrip, tags = {}) {
+    coreMetrics.wsExpectSuccess.add(matched, tags);
+
+    if (matched && roundTrip !== null) {
+        coreMetrics.wsMessageRtt.add(roundTrip, tags);
+    }
+}
+
+/**
+ * Track the end of a session
+ * @param {Object} session - { duration, received, code } - duration in ms, close code if known
+ * @param {Object} tags - Tags to apply to metrics
+ * @param {Array<number>} [normalCodes] - Close codes that are not abnormal
+ */
+export function trackClose(session, tags = {}, normalCodes = NORMAL_CLOSE_CODES) {
+    const { duration, received, code } = session;
+
+    coreMetrics.wsSessionDuration.add(duration, tags);
+    if (duration > 0) {
+        coreMetrics.wsMessagesPerSecond.add(received / (duration / 1000), tags);
+    }
+
+    if (code !== undefined && code !== null && !normalCodes.includes(code)) {
+        coreMetrics.wsAbnormalClose.add(1, { ...tags, close_code: String(code) });
+    }
+}
+
+/**
+ * Track a socket error
+ * @param {Object} tags - Tags to apply to metrics
+ */
+export function trackError(tags = {}) {
+    coreMetrics.wsErrors.add(1, tags);
+}
+
+// Exports
+export const metrics = { ...coreMetrics };
+export { NORMAL_CLOSE_CODES as normalCloseCodes };
@@ -0,0 +1,302 @@
+/**
+ * Tests for the k6 WebSocket client wrapper (createWsClient) and its logging and metrics.
+ * k6/ws is replaced by a scripted socket whose timers run in order once the handler returns.
+ */
+
+import ws from 'k6/ws';
+import { createWsClient } from './client.js';
+import { logConnectResult, logMessage, logClose, logError, setLogLevel, getCurrentLogLevel } from './logger.js';
+import { trackConnect, trackExpectation, trackClose } from './metrics.js';
+import { setLogFormat } from '../utils/logger.js';
+
+jest.mock('k6/ws', () => {
+    const mockWs = { server: {}, connections: [] };
+
+    // Run the callback against a fake socket; the server answers via mockWs.server
+    mockWs.connect = (url, params, callback) => {
+        const { status = 101, onSend = () => {} } = mockWs.server;
+        const handlers = {};
+        const timers = [];
+        const connection = { url, params, sent: [] };
+        let closed = false;
+        let clock = 0;
+
+        const emit = (event, ...args) => (handlers[event] || []).forEach(handler => handler(...args));
+        const socket = {
+            on: (event, handler) => { (handlers[event] = handlers[event] || []).push(handler); },
+            send: (data) => {
+                connection.sent.push(data);
+                onSend(data, socket);
+            },
+            setTimeout: (fn, ms) => timers.push({ fn, at: clock + ms }),
+            setInterval: () => {},
+            ping: () => {},
+            close: (code = 1000) => {
+                if (!closed) {
+                    closed = true;
+                    emit('close', code);
+                }
+            },
+            // Test helpers: deliver a server message or error after `ms`
+            reply: (data, ms = 1) => socket.setTimeout(() => emit('message', data), ms),
+            fail: (error) => emit('error', error)
+        };
+
+        mockWs.connections.push(connection);
+        callback(socket);
+        if (status !== 101) {
+            return { status, url, error: 'bad handshake' };
+        }
+
+        emit('open');
+        while (!closed && timers.length) {
+            timers.sort((a, b) => a.at - b.at);
+            const timer = timers.shift();
+            clock = timer.at;
+            timer.fn();
+        }
+        socket.close(1000);
+        return { status, url };
+    };
+
+    return { __esModule: true, default: mockWs };
+}, { virtual: true });
+
+// Record every metric sample as { name, value, tags }
+jest.mock('k6/metrics', () => {
+    const samples = [];
+    const metric = function (name) {
+        return { add: (value, tags) => samples.push({ name, value, tags }) };
+    };
+    return { samples, Trend: metric, Rate: metric, Counter: metric, Gauge: metric };
+});
+
+const { samples } = jest.requireMock('k6/metrics');
+const recorded = (name) => samples.filter(sample => sample.name === name);
+
+beforeEach(() => {
+    ws.server = {};
+    ws.connections.length = 0;
+    samples.length = 0;
+});
+
+describe('createWsClient', () => {
+    it('connects with default headers, the bearer token and route tags', () => {
+        const client = createWsClient({ url: 'ws://chat.test', token: 'abc', defaultHeaders: { 'X-Client': 'k6' }, tags: { team: 'chat' } });
+
+        const response = client.connect('/rooms/42', session => session.close(), { tags: { flow: 'join' } });
+
+        expect(response.status).toBe(101);
+        expect(ws.connections[0].url).toBe('ws://chat.test/rooms/42');
+        expect(ws.connections[0].params.headers).toEqual({ 'X-Client': 'k6', Authorization: 'Bearer abc' });
+        expect(ws.connections[0].params.tags).toMatchObject({ team: 'chat', flow: 'join', target: 'ws://chat.test' });
+        expect(response.session).toMatchObject({ sent: 0, received: 0, code: 1000 });
+    });
+
+    it('matches replies to requests and hands parsed JSON to the callback', () => {
+        ws.server.onSend = (data, socket) => socket.reply(JSON.stringify({ id: JSON.parse(data).id, ok: true }));
+        const replies = [];
+        const client = createWsClient({ url: 'ws://chat.test' });
+
+        const response = client.connect('/', (session) => {
+            session.request({ id: 1, op: 'join' }, { id: 1 }, reply => replies.push(reply));
+            session.request({ id: 2, op: 'say' }, { id: 2 }, reply => replies.push(reply));
+        });
+
+        expect(ws.connections[0].sent).toEqual(['{"id":1,"op":"join"}', '{"id":2,"op":"say"}']);
+        expect(replies).toEqual([{ id: 1, ok: true }, { id: 2, ok: true }]);
+        expect(response.session).toMatchObject({ sent: 2, received: 2 });
+        expect(recorded('ws_expect_success').map(sample => sample.value)).toEqual([true, true]);
+        expect(recorded('ws_expect_success')[0].tags.message).toBe('anonymous');
+        expect(recorded('ws_message_rtt')).toHaveLength(2);
+    });
+
+    it('times out expectations that no message matches', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        ws.server.onSend = (data, socket) => socket.reply('pong');
+        const outcomes = [];
+        const client = createWsClient({ url: 'ws://chat.test', expectTimeout: 50 });
+
+        client.connect('/', (session) => {
+            session.expect(/^pong$/, () => outcomes.push('pong'));
+            session.expect({ type: 'welcome' }, () => outcomes.push('welcome'), {
+                name: 'welcome',
+                onTimeout: () => outcomes.push('timeout')
+            });
+            session.send('ping');
+        });
+        jest.restoreAllMocks();
+
+        expect(outcomes).toEqual(['pong', 'timeout']);
+        expect(recorded('ws_expect_success').map(sample => [sample.tags.message, sample.value])).toEqual([
+            ['anonymous', true],
+            ['welcome', false]
+        ]);
+        expect(recorded('ws_message_rtt')).toHaveLength(0);
+    });
+
+    it('names checks and tags after options.name only, logging the matcher on timeout', () => {
+        const warnings = [];
+        jest.spyOn(console, 'warn').mockImplementation((line) => warnings.push(line));
+        const client = createWsClient({ url: 'ws://chat.test', expectTimeout: 50 });
+
+        client.connect('/', (session) => {
+            session.expect({ type: 'order', id: 7 }, () => {});
+        });
+        jest.restoreAllMocks();
+
+        expect(recorded('ws_expect_success').map(sample => sample.tags.message)).toEqual(['anonymous']);
+        expect(warnings.join('\n')).toContain('{"type":"order","id":7}');
+    });
+
+    it('passes messages to listeners and rejects unknown events', () => {
+        ws.server.onSend = (data, socket) => socket.reply(data);
+        const messages = [];
+        const client = createWsClient({ url: 'ws://chat.test' });
+
+        client.connect('/', (session) => {
+            session.on('message', (message, raw) => messages.push([message, raw]));
+            expect(() => session.on('upgrade', () => {})).toThrow('Unsupported WebSocket event: upgrade');
+            session.send('hello');
+        });
+
+        expect(messages).toEqual([['hello', 'hello']]);
+    });
+
+    it('tracks failed handshakes without session metrics', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        ws.server.status = 403;
+        const handler = jest.fn();
+
+        const response = createWsClient({ url: 'ws://chat.test' }).connect('/', handler);
+        jest.restoreAllMocks();
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(response.session.code).toBeUndefined();
+        expect(recorded('ws_connect_failed').map(sample => sample.value)).toEqual([true]);
+        expect(recorded('ws_connect_time')).toHaveLength(0);
+        expect(recorded('ws_session_duration')).toHaveLength(0);
+    });
+
+    it('counts abnormal closes and socket errors', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const client = createWsClient({ url: 'ws://chat.test' });
+
+        client.connect('/', (session) => {
+            session.setTimeout(() => session.close(1011), 10);
+        });
+        ws.server.onSend = (data, socket) => socket.fail({ error: () => 'connection reset' });
+        client.connect('/', session => session.send('x'));
+        jest.restoreAllMocks();
+
+        expect(recorded('ws_abnormal_close').map(sample => sample.tags.close_code)).toEqual(['1011']);
+        expect(recorded('ws_errors')).toHaveLength(1);
+        expect(recorded('ws_connect_failed').map(sample => sample.value)).toEqual([false, false]);
+    });
+
+    it('treats custom close codes as normal', () => {
+        const client = createWsClient({ url: 'ws://chat.test', normalCodes: [1000, 4000] });
+
+        client.connect('/', session => session.close(4000));
+
+        expect(recorded('ws_abnormal_close')).toHaveLength(0);
+    });
+
+    it('updates the token and default headers', () => {
+        const client = createWsClient({ url: 'ws://chat.test' });
+
+        client.setToken('t-2');
+        client.addDefaultHeaders({ 'X-Tenant': 'acme' });
+        client.connect('wss://other.test/feed', session => session.close(), { headers: { Authorization: 'Basic x' } });
+
+        expect(ws.connections[0].url).toBe('wss://other.test/feed');
+        expect(ws.connections[0].params.headers).toEqual({ 'X-Tenant': 'acme', Authorization: 'Basic x' });
+        expect(client.getConfig()).toMatchObject({ token: 't-2', defaultHeaders: { 'X-Tenant': 'acme' } });
+    });
+});
+
+describe('ws metrics', () => {
+    it('records connect time only for sockets that opened', () => {
+        trackConnect({ status: 101 }, 12, { name: '/' });
+        trackConnect(null, null);
+
+        expect(recorded('ws_connect_failed').map(sample => sample.value)).toEqual([false, true]);
+        expect(recorded('ws_connect_time').map(sample => sample.value)).toEqual([12]);
+    });
+
+    it('records round trips only for matched requests', () => {
+        trackExpectation(true, 30);
+        trackExpectation(true, null);
+        trackExpectation(false, null);
+
+        expect(recorded('ws_expect_success').map(sample => sample.value)).toEqual([true, true, false]);
+        expect(recorded('ws_message_rtt').map(sample => sample.value)).toEqual([30]);
+    });
+
+    it('derives the message rate from the session duration', () => {
+        trackClose({ duration: 2000, received: 10, code: 1001 }, { name: '/' });
+        trackClose({ duration: 0, received: 0, code: 1006 });
+
+        expect(recorded('ws_session_duration').map(sample => sample.value)).toEqual([2000, 0]);
+        expect(recorded('ws_messages_per_second').map(sample => sample.value)).toEqual([5]);
+        expect(recorded('ws_abnormal_close').map(sample => sample.tags)).toEqual([{ close_code: '1006' }]);
+    });
+});
+
+describe('ws logger', () => {
+    afterEach(() => {
+        setLogLevel('INFO');
+        setLogFormat('text');
+        jest.restoreAllMocks();
+    });
+
+    it('sets the WebSocket level', () => {
+        setLogLevel('TRACE');
+        expect(getCurrentLogLevel()).toBe(5);
+    });
+
+    it('logs failed handshakes and abnormal closes as errors at any level', () => {
+        const lines = [];
+        jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+        setLogLevel('NONE');
+
+        logConnectResult('ws://chat.test/', { status: 403, error: 'forbidden' }, null);
+        logClose('ws://chat.test/', 1011, true);
+        logClose('ws://chat.test/', 1000, false);
+
+        expect(lines).toEqual([
+            '❌ WS status=403 ws://chat.test/',
+            '❌ WS closed abnormally code=1011 ws://chat.test/'
+        ]);
+    });
+
+    it('writes JSON entries with the event fields', () => {
+        const lines = [];
+        jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+        jest.spyOn(console, 'error').mockImplementation((line) => lines.push(line));
+        setLogFormat('json');
+        setLogLevel('DEBUG');
+
+        logConnectResult('ws://chat.test/', { status: 101 }, 4.5);
+        logError('ws://chat.test/', { error: () => 'connection reset' });
+
+        expect(lines.map(line => JSON.parse(line))).toEqual([
+            expect.objectContaining({ level: 'debug', module: 'ws', event: 'connect_result', status: 101, msg: 'WS open ws://chat.test/ (4.50ms)' }),
+            expect.objectContaining({ level: 'error', event: 'error', msg: 'WS error ws://chat.test/: connection reset' })
+        ]);
+    });
+
+    it('logs messages at TRACE with secrets redacted', () => {
+        const lines = [];
+        jest.spyOn(console, 'log').mockImplementation((line) => lines.push(line));
+
+        logMessage('sent', 'ws://chat.test/', '{"op":"auth","password":"hunter2"}');
+        expect(lines).toEqual([]);
+
+        setLogLevel('TRACE');
+        logMessage('sent', 'ws://chat.test/', '{"op":"auth","password":"hunter2"}');
+        expect(lines).toHaveLength(1);
+        expect(lines[0]).toContain('[REDACTED]');
+        expect(lines[0]).not.toContain('hunter2');
+    });
+});